@@ -1,7 +1,8 @@
 // ===== SERVERLESS FUNCTION - ENVIO DE E-MAIL =====
 // Função para envio de e-mails via Vercel Serverless Functions
 
-import nodemailer from 'nodemailer';
+import { renderEmail } from '../lib/email-templates.js';
+import { createMailTransport, describeMailTransport } from '../lib/mail-transport.js';
 
 export default async function handler(req, res) {
     console.log('🚀 Função serverless iniciada');
@@ -10,6 +11,7 @@ export default async function handler(req, res) {
     console.log('- EMAIL_PASS:', process.env.EMAIL_PASS ? '✅ Configurado' : '❌ Não configurado');
     console.log('- RECIPIENT_EMAIL:', process.env.RECIPIENT_EMAIL ? '✅ Configurado' : '❌ Não configurado');
     console.log('- CC_EMAIL:', process.env.CC_EMAIL ? '✅ Configurado' : '❌ Não configurado');
+    console.log('- MAIL_TRANSPORT:', describeMailTransport());
     console.log('- SMTP_HOST:', process.env.SMTP_HOST || 'smtp.gmail.com (padrão)');
     console.log('- SMTP_PORT:', process.env.SMTP_PORT || '587 (padrão)');
     
@@ -67,84 +69,45 @@ export default async function handler(req, res) {
             });
         }
 
-        console.log('⚙️ Configurando transporter SMTP...');
-        // Configurar transporter do nodemailer
-        const transporter = nodemailer.createTransport({
-            host: process.env.SMTP_HOST || 'smtp.gmail.com',
-            port: parseInt(process.env.SMTP_PORT) || 587,
-            secure: process.env.SMTP_SECURE === 'true',
-            auth: {
-                user: process.env.EMAIL_USER,
-                pass: process.env.EMAIL_PASS
-            }
-        });
+        console.log('⚙️ Configurando transporter de email...');
+        // Mesmo transporte do servidor, escolhido em MAIL_TRANSPORT (lib/mail-transport.js);
+        // sem pool de conexões SMTP, que ficariam abertas após a resposta
+        const transporter = createMailTransport({ pool: false });
 
-        // Verifica conexão SMTP (não crítico)
+        // Verifica a conexão/configuração do transporte (não crítico)
         try {
             await transporter.verify();
-            console.log('✅ Conexão SMTP verificada');
+            console.log('✅ Transporte de email verificado');
         } catch (verifyError) {
-            console.warn('⚠️ Falha na verificação SMTP (não crítico):', verifyError.message);
+            console.warn('⚠️ Falha na verificação do transporte (não crítico):', verifyError.message);
         }
         
         console.log('✅ Transporter configurado com sucesso');
 
-        // Template do e-mail
-        const emailHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="UTF-8">
-            <title>Nova Solicitação de Aporte - ${empresa || 'Empresa'}</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background: linear-gradient(135deg, #1e3c72, #2a5298); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-                .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-                .info-box { background: white; padding: 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #2a5298; }
-                .label { font-weight: bold; color: #1e3c72; }
-                .value { margin-left: 10px; }
-                .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>🚀 Nova Solicitação de Aporte</h1>
-                    <p>Recebemos uma nova solicitação através da landing page</p>
-                </div>
-                
-                <div class="content">
-                    <div class="info-box">
-                        <h3>📋 Dados do Solicitante</h3>
-                        <p><span class="label">Nome:</span><span class="value">${nome}</span></p>
-                        <p><span class="label">E-mail:</span><span class="value">${email}</span></p>
-                        <p><span class="label">Telefone:</span><span class="value">${telefone}</span></p>
-                    </div>
-
-                    ${empresa ? `
-                    <div class="info-box">
-                        <h3>🏢 Dados da Empresa</h3>
-                        <p><span class="label">Empresa:</span><span class="value">${empresa}</span></p>
-                        ${cnpj ? `<p><span class="label">CNPJ:</span><span class="value">${cnpj}</span></p>` : ''}
-                    </div>
-                    ` : ''}
-
-                    <div class="info-box">
-                        <h3>💰 Informações do Aporte</h3>
-                        <p><span class="label">Valor Solicitado:</span><span class="value">R$ ${valorAporte || 'Não informado'}</span></p>
-                        ${descricao ? `<p><span class="label">Descrição:</span><span class="value">${descricao}</span></p>` : ''}
-                    </div>
-
-                    <div class="footer">
-                        <p>📧 E-mail enviado automaticamente pela Landing Page</p>
-                        <p>🕒 ${new Date().toLocaleString('pt-BR')}</p>
-                    </div>
-                </div>
-            </div>
-        </body>
-        </html>
-        `;
+        // Template do e-mail (templates/emails/aporte-equipe.html e .txt, mesmo layout do email de consultoria)
+        const { html: emailHtml, text: emailText } = renderEmail('aporte-equipe', {
+            titulo: `Nova Solicitação de Aporte - ${empresa || 'Empresa'}`,
+            preheader: [nome, empresa, `R$ ${valorAporte || 'valor não informado'}`, telefone].filter(Boolean).join(' • '),
+            cabecalho: '🚀 Nova Solicitação de Aporte',
+            subtitulo: 'Recebemos uma nova solicitação através da landing page',
+            solicitante: [
+                { label: 'Nome:', valor: nome },
+                { label: 'E-mail:', valor: email },
+                { label: 'Telefone:', valor: telefone }
+            ],
+            empresa: empresa ? [
+                { label: 'Empresa:', valor: empresa },
+                ...(cnpj ? [{ label: 'CNPJ:', valor: cnpj }] : [])
+            ] : null,
+            aporte: [
+                { label: 'Valor Solicitado:', valor: `R$ ${valorAporte || 'Não informado'}` },
+                ...(descricao ? [{ label: 'Descrição:', valor: descricao }] : [])
+            ],
+            rodape: [
+                { texto: '📧 E-mail enviado automaticamente pela Landing Page', destaque: false },
+                { texto: `🕒 ${new Date().toLocaleString('pt-BR')}`, destaque: false }
+            ]
+        });
 
         // Configurar e-mail
         const mailOptions = {
@@ -152,7 +115,8 @@ export default async function handler(req, res) {
             to: process.env.RECIPIENT_EMAIL,
             cc: process.env.CC_EMAIL, // Email em cópia
             subject: `🚀 Nova Solicitação de Aporte - ${empresa || nome}`,
-            html: emailHtml
+            html: emailHtml,
+            text: emailText
         };
 
         console.log('📧 Tentando enviar email...');
@@ -0,0 +1,282 @@
+/**
+ * ===== AUTENTICAÇÃO E PERFIS DE ACESSO =====
+ *
+ * Usuários com senha em hash (scrypt) e sessões por cookie, ambos
+ * persistidos localmente. Perfis disponíveis:
+ * - admin: acesso total, incluindo gestão de usuários e rotas de diagnóstico
+ * - analyst: acesso às solicitações e às análises de CNPJ
+ */
+const crypto = require('crypto');
+const { createJsonlStore } = require('./jsonl-store');
+
+const ROLES = {
+    admin: 'Administrador',
+    analyst: 'Analista'
+};
+
+const SESSION_COOKIE = 'ac_session';
+const SESSION_HOURS = parseInt(process.env.SESSION_HOURS) || 12;
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCK_MINUTES = 15;
+
+const users = createJsonlStore('users.jsonl', { key: 'username' });
+const sessions = createJsonlStore('sessions.jsonl', { key: 'id' });
+
+/**
+ * Tentativas de login malsucedidas por usuário+IP
+ * Estrutura: { chave: { count, firstAt } }
+ */
+const loginAttempts = new Map();
+
+/**
+ * Gera o hash de uma senha no formato scrypt$salt$hash
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Compara uma senha com o hash armazenado em tempo constante
+ */
+function verifyPassword(password, stored) {
+    const [algorithm, salt, hash] = (stored || '').split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Remove dados sensíveis do usuário
+ */
+function publicUser(user) {
+    if (!user) return null;
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+/**
+ * Cadastra um novo usuário
+ * @param {Object} data - { username, name, password, role }
+ * @returns {Object} { success, user } ou { success: false, error }
+ */
+function createUser({ username, name, password, role }) {
+    const login = (username || '').toString().trim().toLowerCase();
+
+    if (!login) {
+        return { success: false, error: 'Usuário é obrigatório' };
+    }
+    if (users.get(login)) {
+        return { success: false, error: 'Usuário já cadastrado' };
+    }
+    if (!password || password.length < 8) {
+        return { success: false, error: 'A senha deve ter pelo menos 8 caracteres' };
+    }
+    if (!ROLES[role]) {
+        return { success: false, error: `Perfil inválido. Use: ${Object.keys(ROLES).join(', ')}` };
+    }
+
+    const user = users.set({
+        username: login,
+        name: (name || login).toString().trim(),
+        role,
+        passwordHash: hashPassword(password),
+        createdAt: new Date().toISOString()
+    });
+
+    return { success: true, user: publicUser(user) };
+}
+
+function listUsers() {
+    return users.all().map(publicUser);
+}
+
+/**
+ * Valida usuário e senha, bloqueando temporariamente após falhas seguidas
+ * @returns {Object} { success, user } ou { success: false, error, locked }
+ */
+function authenticate(username, password, ip) {
+    const login = (username || '').toString().trim().toLowerCase();
+    const attemptKey = `${login}|${ip}`;
+    const attempts = loginAttempts.get(attemptKey);
+
+    if (attempts && Date.now() - attempts.firstAt > LOGIN_LOCK_MINUTES * 60 * 1000) {
+        loginAttempts.delete(attemptKey);
+    } else if (attempts && attempts.count >= MAX_LOGIN_ATTEMPTS) {
+        return {
+            success: false,
+            locked: true,
+            error: `Muitas tentativas. Tente novamente em ${LOGIN_LOCK_MINUTES} minutos.`
+        };
+    }
+
+    const user = users.get(login);
+    if (!user || !password || !verifyPassword(password.toString(), user.passwordHash)) {
+        const current = loginAttempts.get(attemptKey) || { count: 0, firstAt: Date.now() };
+        current.count++;
+        loginAttempts.set(attemptKey, current);
+        return { success: false, error: 'Usuário ou senha inválidos' };
+    }
+
+    loginAttempts.delete(attemptKey);
+    return { success: true, user: publicUser(user) };
+}
+
+/**
+ * Abre uma sessão para o usuário
+ */
+function createSession(user) {
+    return sessions.set({
+        id: crypto.randomBytes(32).toString('hex'),
+        username: user.username,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000).toISOString()
+    });
+}
+
+function destroySession(id) {
+    return sessions.remove(id);
+}
+
+/**
+ * Retorna o usuário de uma sessão válida
+ */
+function getSessionUser(id) {
+    const session = id ? sessions.get(id) : null;
+    if (!session) return null;
+
+    if (new Date() > new Date(session.expiresAt)) {
+        sessions.remove(id);
+        return null;
+    }
+
+    return publicUser(users.get(session.username));
+}
+
+/**
+ * Remove sessões expiradas
+ */
+function cleanupExpiredSessions() {
+    const now = new Date();
+    sessions.all()
+        .filter(session => now > new Date(session.expiresAt))
+        .forEach(session => sessions.remove(session.id));
+}
+
+/**
+ * Lê os cookies do cabeçalho da requisição
+ */
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Middleware que popula req.user a partir do cookie de sessão
+ */
+function loadSession(req, res, next) {
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    req.sessionId = sessionId || null;
+    req.user = getSessionUser(sessionId);
+    next();
+}
+
+/**
+ * Middleware que exige usuário autenticado com um dos perfis informados
+ * Páginas redirecionam para /login; rotas de API respondem 401/403 em JSON
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const isApi = req.originalUrl.startsWith('/api/');
+
+        if (!req.user) {
+            if (isApi) {
+                return res.status(401).json({ success: false, message: 'Autenticação necessária' });
+            }
+            return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            if (isApi) {
+                return res.status(403).json({ success: false, message: 'Acesso negado para o seu perfil' });
+            }
+            return res.status(403).send('Acesso negado para o seu perfil');
+        }
+
+        next();
+    };
+}
+
+/**
+ * Define o cookie de sessão na resposta
+ */
+function setSessionCookie(res, session) {
+    res.cookie(SESSION_COOKIE, session.id, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_HOURS * 60 * 60 * 1000
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production'
+    });
+}
+
+/**
+ * Cria o primeiro administrador a partir de ADMIN_USER/ADMIN_PASSWORD
+ * quando ainda não há usuários cadastrados
+ */
+function bootstrapAdmin() {
+    if (users.all().length > 0) return;
+
+    if (!process.env.ADMIN_USER || !process.env.ADMIN_PASSWORD) {
+        console.warn('⚠️ Nenhum usuário cadastrado. Defina ADMIN_USER e ADMIN_PASSWORD para criar o primeiro administrador.');
+        return;
+    }
+
+    const result = createUser({
+        username: process.env.ADMIN_USER,
+        name: process.env.ADMIN_NAME || 'Administrador',
+        password: process.env.ADMIN_PASSWORD,
+        role: 'admin'
+    });
+
+    if (result.success) {
+        console.log(`✅ Administrador inicial criado: ${result.user.username}`);
+    } else {
+        console.error('❌ Não foi possível criar o administrador inicial:', result.error);
+    }
+}
+
+module.exports = {
+    ROLES,
+    createUser,
+    listUsers,
+    authenticate,
+    createSession,
+    destroySession,
+    cleanupExpiredSessions,
+    loadSession,
+    requireRole,
+    setSessionCookie,
+    clearSessionCookie,
+    parseCookies,
+    bootstrapAdmin
+};
@@ -0,0 +1,107 @@
+/**
+ * ===== RISCO SETORIAL POR CNAE =====
+ *
+ * Classifica o risco do setor pelo código numérico da CNAE usando a tabela
+ * embutida em lib/cnae-risco.json. A regra mais específica prevalece:
+ * grupo (3 dígitos) > divisão (2 dígitos) > seção (faixa de divisões).
+ */
+const TABELA = require('./cnae-risco.json');
+
+const NIVEIS_RISCO = {
+    baixo: 'baixo risco',
+    medio: 'médio risco',
+    alto: 'alto risco'
+};
+
+const ORDEM_RISCO = { baixo: 0, medio: 1, alto: 2 };
+
+/**
+ * Extrai os 7 dígitos da subclasse CNAE de textos como
+ * "62.01-5-01 - Desenvolvimento de programas...", "6201-5/01" ou "6201501"
+ * @returns {string|null}
+ */
+function extrairCodigoCNAE(atividade) {
+    const partes = (atividade || '').toString().match(/^\s*(\d{2})\.?(\d{2})-?(\d)[-/]?(\d{2})(?!\d)/);
+    return partes ? partes.slice(1).join('') : null;
+}
+
+/**
+ * Classifica uma atividade pelo código CNAE
+ * @param {string} atividade - Atividade no formato "código - descrição"
+ * @returns {Object|null} { codigo, nivel, regra: { tipo, codigo, descricao } } ou null sem código reconhecível
+ */
+function classificarCNAE(atividade) {
+    const codigo = extrairCodigoCNAE(atividade);
+    if (!codigo || /^0+$/.test(codigo)) return null;
+
+    const grupo = codigo.slice(0, 3);
+    const divisao = codigo.slice(0, 2);
+
+    if (TABELA.grupos[grupo]) {
+        return { codigo, nivel: TABELA.grupos[grupo].nivel, regra: { tipo: 'grupo', codigo: `${divisao}.${grupo[2]}`, descricao: TABELA.grupos[grupo].descricao } };
+    }
+
+    if (TABELA.divisoes[divisao]) {
+        return { codigo, nivel: TABELA.divisoes[divisao].nivel, regra: { tipo: 'divisão', codigo: divisao, descricao: TABELA.divisoes[divisao].descricao } };
+    }
+
+    const numero = Number(divisao);
+    const secao = TABELA.secoes.find(item => numero >= item.divisoes[0] && numero <= item.divisoes[1]);
+    if (secao) {
+        return { codigo, nivel: secao.nivel, regra: { tipo: 'seção', codigo: secao.secao, descricao: secao.descricao } };
+    }
+
+    return null;
+}
+
+/**
+ * Classifica a atividade principal e as secundárias
+ * @param {string} principal - Atividade principal
+ * @param {Array} secundarias - Atividades secundárias
+ * @returns {Object} { principal, secundarias, maiorRiscoSecundario }
+ */
+function classificarAtividades(principal, secundarias = []) {
+    const classificadas = (Array.isArray(secundarias) ? secundarias : [])
+        .map(atividade => classificarCNAE(atividade))
+        .filter(Boolean);
+
+    const maiorRiscoSecundario = classificadas.reduce(
+        (maior, atual) => !maior || ORDEM_RISCO[atual.nivel] > ORDEM_RISCO[maior.nivel] ? atual : maior,
+        null
+    );
+
+    return {
+        principal: classificarCNAE(principal),
+        secundarias: classificadas,
+        maiorRiscoSecundario
+    };
+}
+
+/**
+ * Formata o código para exibição (6201501 → 62.01-5-01)
+ */
+function formatarCodigoCNAE(codigo) {
+    const digitos = (codigo || '').toString().replace(/\D/g, '');
+    return digitos.length === 7
+        ? `${digitos.slice(0, 2)}.${digitos.slice(2, 4)}-${digitos[4]}-${digitos.slice(5)}`
+        : digitos;
+}
+
+/**
+ * Descreve a regra aplicada, para a lista de fatores do score
+ * ("divisão 56 - Alimentação")
+ */
+function descreverRegraCNAE(classificacao) {
+    const { regra } = classificacao;
+    return `${regra.tipo} ${regra.codigo} - ${regra.descricao}`;
+}
+
+module.exports = {
+    NIVEIS_RISCO,
+    ORDEM_RISCO,
+    extrairCodigoCNAE,
+    classificarCNAE,
+    classificarAtividades,
+    formatarCodigoCNAE,
+    descreverRegraCNAE
+};
@@ -0,0 +1,57 @@
+/**
+ * ===== CACHE DE CONSULTAS DE CNPJ =====
+ *
+ * Respostas bem-sucedidas das APIs de CNPJ ficam persistidas por CNPJ
+ * (apenas dígitos). Cada registro passa por três fases:
+ * - fresco (até CNPJ_CACHE_TTL_HOURS): servido direto, sem consultar APIs
+ * - velho (até CNPJ_CACHE_STALE_HOURS): servido na hora e atualizado em segundo plano
+ * - vencido: consulta as APIs; usado apenas se todas falharem
+ */
+const { createJsonlStore } = require('./jsonl-store');
+
+const CACHE_TTL_HOURS = parseFloat(process.env.CNPJ_CACHE_TTL_HOURS) || 24;
+const CACHE_STALE_HOURS = parseFloat(process.env.CNPJ_CACHE_STALE_HOURS) || 7 * 24;
+
+const store = createJsonlStore('cnpj-cache.jsonl', { key: 'cnpj' });
+
+/**
+ * Busca a consulta em cache e classifica sua idade
+ * @param {string} cnpj - CNPJ apenas com dígitos
+ * @returns {Object|null} { data, cachedAt, ageSeconds, state: 'fresh' | 'stale' | 'expired' }
+ */
+function getCachedCNPJ(cnpj) {
+    const entry = store.get(cnpj);
+    if (!entry) return null;
+
+    const ageHours = (Date.now() - new Date(entry.cachedAt).getTime()) / (60 * 60 * 1000);
+    let state = 'expired';
+    if (ageHours <= CACHE_TTL_HOURS) {
+        state = 'fresh';
+    } else if (ageHours <= CACHE_STALE_HOURS) {
+        state = 'stale';
+    }
+
+    return {
+        data: entry.data,
+        cachedAt: entry.cachedAt,
+        ageSeconds: Math.round(ageHours * 60 * 60),
+        state
+    };
+}
+
+/**
+ * Grava uma consulta bem-sucedida
+ * @param {string} cnpj - CNPJ apenas com dígitos
+ * @param {Object} data - Dados normalizados retornados pela API
+ */
+function saveCachedCNPJ(cnpj, data) {
+    const { cache, stale, ...clean } = data;
+    return store.set({ cnpj, data: clean, cachedAt: new Date().toISOString() });
+}
+
+module.exports = {
+    CACHE_TTL_HOURS,
+    CACHE_STALE_HOURS,
+    getCachedCNPJ,
+    saveCachedCNPJ
+};
@@ -0,0 +1,330 @@
+/**
+ * ===== NORMALIZAÇÃO DOS DADOS DE CNPJ =====
+ *
+ * Converte as respostas de cada provedor (BrasilAPI, ReceitaWS, CNPJ.ws)
+ * para o formato único usado no score, nos emails e no dashboard.
+ */
+
+const { formatarCodigoCNAE } = require('./cnae-risk');
+
+/**
+ * Nome de cada campo normalizado, usado na procedência dos dados ("Fonte")
+ */
+const CAMPOS_CNPJ = {
+    cnpj: 'CNPJ',
+    razaoSocial: 'razão social',
+    nomeFantasia: 'nome fantasia',
+    situacao: 'situação cadastral',
+    dataSituacao: 'data da situação',
+    motivoSituacao: 'motivo da situação',
+    dataAbertura: 'data de abertura',
+    naturezaJuridica: 'natureza jurídica',
+    porte: 'porte',
+    regimeTributario: 'regime tributário',
+    capitalSocial: 'capital social',
+    endereco: 'endereço',
+    telefone: 'telefone',
+    email: 'email',
+    atividadePrincipal: 'atividade principal',
+    atividadesSecundarias: 'atividades secundárias',
+    socios: 'sócios',
+    inscricoesEstaduais: 'inscrições estaduais',
+    simples: 'Simples/MEI',
+    dataUltimaAtualizacao: 'última atualização'
+};
+
+/**
+ * Estrutura padrão dos dados normalizados, com todos os campos vazios
+ * @returns {Object}
+ */
+function criarDadosVazios() {
+    return {
+        success: true,
+        cnpj: '',
+        razaoSocial: '',
+        nomeFantasia: '',
+        situacao: '',
+        dataSituacao: '',
+        motivoSituacao: '',
+        dataAbertura: '',
+        naturezaJuridica: '',
+        porte: '',
+        regimeTributario: '',
+        capitalSocial: '',
+        endereco: {
+            logradouro: '',
+            numero: '',
+            complemento: '',
+            bairro: '',
+            municipio: '',
+            uf: '',
+            cep: ''
+        },
+        telefone: '',
+        email: '',
+        atividadePrincipal: '',
+        atividadesSecundarias: [],
+        socios: [],
+        inscricoesEstaduais: [],
+        simples: null,
+        dataUltimaAtualizacao: ''
+    };
+}
+
+/**
+ * Converte datas no formato dd/mm/aaaa para aaaa-mm-dd (outros formatos passam direto)
+ */
+function normalizarData(valor) {
+    const texto = (valor || '').toString().trim();
+    const partes = texto.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    return partes ? `${partes[3]}-${partes[2]}-${partes[1]}` : texto;
+}
+
+/**
+ * Monta o objeto simples a partir dos campos de cada API
+ * @returns {Object|null} null quando a API não informa opção nem datas
+ */
+function montarSimples({ optante, dataOpcao, dataExclusao, mei, dataOpcaoMei, dataExclusaoMei }) {
+    const simples = {
+        optante: optante === true,
+        dataOpcao: normalizarData(dataOpcao),
+        dataExclusao: normalizarData(dataExclusao),
+        mei: mei === true,
+        dataOpcaoMei: normalizarData(dataOpcaoMei),
+        dataExclusaoMei: normalizarData(dataExclusaoMei)
+    };
+
+    const informado = [optante, mei].some(valor => typeof valor === 'boolean')
+        || simples.dataOpcao || simples.dataExclusao || simples.dataOpcaoMei || simples.dataExclusaoMei;
+
+    return informado ? simples : null;
+}
+
+/**
+ * Resume o regime tributário a partir do objeto simples
+ * @param {Object|null} simples - Opção pelo Simples Nacional / MEI
+ * @returns {string} 'MEI', 'Simples Nacional', 'Excluída do Simples Nacional', 'Não optante' ou '' (não informado)
+ */
+function definirRegimeTributario(simples) {
+    if (!simples) return '';
+    if (simples.mei) return 'MEI';
+    if (simples.optante) return 'Simples Nacional';
+    if (simples.dataExclusao) return 'Excluída do Simples Nacional';
+    return 'Não optante';
+}
+
+/**
+ * Normaliza dados de diferentes APIs para um formato padrão
+ */
+function normalizarDadosCNPJ(data, apiName) {
+    try {
+        const normalized = criarDadosVazios();
+        
+        if (apiName === 'BrasilAPI') {
+            normalized.cnpj = data.cnpj || '';
+            normalized.razaoSocial = data.razao_social || data.company?.name || '';
+            normalized.nomeFantasia = data.nome_fantasia || data.alias || '';
+            normalized.situacao = data.descricao_situacao_cadastral || data.status || '';
+            normalized.dataSituacao = data.data_situacao_cadastral || '';
+            normalized.motivoSituacao = data.descricao_motivo_situacao_cadastral || '';
+            normalized.dataAbertura = data.data_inicio_atividade || data.founded || '';
+            normalized.naturezaJuridica = data.descricao_natureza_juridica || '';
+            normalized.porte = data.descricao_porte || data.size || '';
+            normalized.capitalSocial = data.capital_social || '';
+            
+            // Endereço
+            normalized.endereco.logradouro = data.logradouro || '';
+            normalized.endereco.numero = data.numero || '';
+            normalized.endereco.complemento = data.complemento || '';
+            normalized.endereco.bairro = data.bairro || '';
+            normalized.endereco.municipio = data.municipio || '';
+            normalized.endereco.uf = data.uf || '';
+            normalized.endereco.cep = data.cep || '';
+            
+            // Contatos
+            normalized.telefone = data.ddd_telefone_1 || '';
+            normalized.email = data.email || '';
+            
+            // Atividades (códigos numéricos; código 0 indica "não informada")
+            if (data.cnae_fiscal) {
+                normalized.atividadePrincipal = `${formatarCodigoCNAE(data.cnae_fiscal)} - ${data.cnae_fiscal_descricao || ''}`;
+            }
+            
+            if (data.cnaes_secundarios && Array.isArray(data.cnaes_secundarios)) {
+                normalized.atividadesSecundarias = data.cnaes_secundarios
+                    .filter(cnae => Number(cnae.codigo) > 0)
+                    .map(cnae => `${formatarCodigoCNAE(cnae.codigo)} - ${cnae.descricao}`);
+            }
+            
+            // Sócios
+            if (data.qsa && Array.isArray(data.qsa)) {
+                normalized.socios = data.qsa.map(socio => ({
+                    nome: socio.nome_socio || '',
+                    qualificacao: socio.qualificacao_socio || '',
+                    dataEntrada: socio.data_entrada_sociedade || ''
+                }));
+            }
+            
+            // Simples Nacional / MEI
+            normalized.simples = montarSimples({
+                optante: data.opcao_pelo_simples,
+                dataOpcao: data.data_opcao_pelo_simples,
+                dataExclusao: data.data_exclusao_do_simples,
+                mei: data.opcao_pelo_mei,
+                dataOpcaoMei: data.data_opcao_pelo_mei,
+                dataExclusaoMei: data.data_exclusao_do_mei
+            });
+            
+        } else if (apiName === 'ReceitaWS') {
+            normalized.cnpj = data.cnpj || '';
+            normalized.razaoSocial = data.nome || '';
+            normalized.nomeFantasia = data.fantasia || '';
+            normalized.situacao = data.situacao || '';
+            normalized.dataAbertura = normalizarData(data.abertura);
+            normalized.naturezaJuridica = data.natureza_juridica || '';
+            normalized.porte = data.porte || '';
+            normalized.capitalSocial = data.capital_social || '';
+            
+            // Endereço
+            normalized.endereco.logradouro = data.logradouro || '';
+            normalized.endereco.numero = data.numero || '';
+            normalized.endereco.complemento = data.complemento || '';
+            normalized.endereco.bairro = data.bairro || '';
+            normalized.endereco.municipio = data.municipio || '';
+            normalized.endereco.uf = data.uf || '';
+            normalized.endereco.cep = data.cep || '';
+            
+            // Contatos
+            normalized.telefone = data.telefone || '';
+            normalized.email = data.email || '';
+            
+            // Atividades
+            if (data.atividade_principal && data.atividade_principal.length > 0) {
+                const principal = data.atividade_principal[0];
+                normalized.atividadePrincipal = `${principal.code} - ${principal.text}`;
+            }
+            
+            if (data.atividades_secundarias && Array.isArray(data.atividades_secundarias)) {
+                normalized.atividadesSecundarias = data.atividades_secundarias.map(ativ => 
+                    `${ativ.code} - ${ativ.text}`
+                );
+            }
+            
+            // Sócios
+            if (data.qsa && Array.isArray(data.qsa)) {
+                normalized.socios = data.qsa.map(socio => ({
+                    nome: socio.nome || '',
+                    qualificacao: socio.qual || '',
+                    dataEntrada: ''
+                }));
+            }
+            
+            // Simples Nacional / MEI ("simei" traz a opção pelo MEI)
+            normalized.simples = montarSimples({
+                optante: data.simples?.optante,
+                dataOpcao: data.simples?.data_opcao,
+                dataExclusao: data.simples?.data_exclusao,
+                mei: data.simei?.optante,
+                dataOpcaoMei: data.simei?.data_opcao,
+                dataExclusaoMei: data.simei?.data_exclusao
+            });
+            
+        } else if (apiName === 'CNPJ.ws') {
+            // Dados do estabelecimento (endereço, situação, CNAEs) ficam em "estabelecimento"
+            const estabelecimento = data.estabelecimento || {};
+            const formatarCNAE = cnae => `${formatarCodigoCNAE(cnae.subclasse || cnae.id)} - ${cnae.descricao}`;
+            
+            normalized.cnpj = estabelecimento.cnpj || '';
+            normalized.razaoSocial = data.razao_social || '';
+            normalized.nomeFantasia = estabelecimento.nome_fantasia || '';
+            normalized.situacao = estabelecimento.situacao_cadastral || '';
+            normalized.dataSituacao = estabelecimento.data_situacao_cadastral || '';
+            normalized.motivoSituacao = estabelecimento.motivo_situacao_cadastral?.descricao || '';
+            normalized.dataAbertura = estabelecimento.data_inicio_atividade || '';
+            normalized.naturezaJuridica = data.natureza_juridica?.descricao || '';
+            normalized.porte = data.porte?.descricao || '';
+            normalized.capitalSocial = data.capital_social ? parseFloat(data.capital_social) : '';
+            normalized.dataUltimaAtualizacao = data.atualizado_em || '';
+            
+            // Endereço
+            normalized.endereco.logradouro = [estabelecimento.tipo_logradouro, estabelecimento.logradouro].filter(Boolean).join(' ');
+            normalized.endereco.numero = estabelecimento.numero || '';
+            normalized.endereco.complemento = estabelecimento.complemento || '';
+            normalized.endereco.bairro = estabelecimento.bairro || '';
+            normalized.endereco.municipio = estabelecimento.cidade?.nome || '';
+            normalized.endereco.uf = estabelecimento.estado?.sigla || '';
+            normalized.endereco.cep = estabelecimento.cep || '';
+            
+            // Contatos
+            normalized.telefone = estabelecimento.telefone1
+                ? `(${estabelecimento.ddd1 || ''}) ${estabelecimento.telefone1}`
+                : '';
+            normalized.email = estabelecimento.email || '';
+            
+            // Atividades
+            if (estabelecimento.atividade_principal) {
+                normalized.atividadePrincipal = formatarCNAE(estabelecimento.atividade_principal);
+            }
+            
+            if (Array.isArray(estabelecimento.atividades_secundarias)) {
+                normalized.atividadesSecundarias = estabelecimento.atividades_secundarias.map(formatarCNAE);
+            }
+            
+            // Sócios
+            if (Array.isArray(data.socios)) {
+                normalized.socios = data.socios.map(socio => ({
+                    nome: socio.nome || '',
+                    qualificacao: socio.qualificacao_socio?.descricao || '',
+                    dataEntrada: socio.data_entrada || ''
+                }));
+            }
+            
+            // Inscrições estaduais
+            if (Array.isArray(estabelecimento.inscricoes_estaduais)) {
+                normalized.inscricoesEstaduais = estabelecimento.inscricoes_estaduais.map(inscricao => ({
+                    inscricao: inscricao.inscricao_estadual || '',
+                    uf: inscricao.estado?.sigla || '',
+                    ativa: inscricao.ativo === true
+                }));
+            }
+            
+            // Simples Nacional / MEI (null quando a empresa nunca optou)
+            if (data.simples) {
+                normalized.simples = montarSimples({
+                    optante: data.simples.simples === 'Sim',
+                    dataOpcao: data.simples.data_opcao_simples,
+                    dataExclusao: data.simples.data_exclusao_simples,
+                    mei: data.simples.mei === 'Sim',
+                    dataOpcaoMei: data.simples.data_opcao_mei,
+                    dataExclusaoMei: data.simples.data_exclusao_mei
+                });
+            }
+        }
+        
+        normalized.regimeTributario = definirRegimeTributario(normalized.simples);
+        
+        // Validação mínima - deve ter pelo menos razão social
+        if (!normalized.razaoSocial) {
+            return {
+                success: false,
+                error: 'Dados incompletos retornados pela API'
+            };
+        }
+        
+        return normalized;
+        
+    } catch (error) {
+        console.error('Erro ao normalizar dados:', error);
+        return {
+            success: false,
+            error: 'Erro ao processar dados da API'
+        };
+    }
+}
+
+module.exports = {
+    CAMPOS_CNPJ,
+    criarDadosVazios,
+    definirRegimeTributario,
+    normalizarDadosCNPJ
+};
@@ -0,0 +1,372 @@
+/**
+ * ===== PROVEDORES DE CONSULTA DE CNPJ =====
+ *
+ * Registro dos provedores (nome, URL, normalizador, prioridade e timeout).
+ * Cada provedor tem um disjuntor (circuit breaker): após falhas seguidas
+ * ele é ignorado por alguns minutos, sem atrasar as consultas seguintes,
+ * e volta a ser testado com uma única consulta quando o prazo termina.
+ *
+ * No modo de mesclagem (CNPJ_LOOKUP_MODE=merge), todos os provedores são
+ * consultados em paralelo e cada campo vem do provedor mais confiável que
+ * o preencheu, com a procedência registrada por campo (ver mergeProviderData).
+ *
+ * Para desenvolvimento offline, CNPJ_MOCK_PROVIDER=true registra um
+ * provedor local com prioridade máxima (ver registerMockProvider).
+ */
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./jsonl-store');
+const { CAMPOS_CNPJ, criarDadosVazios, definirRegimeTributario, normalizarDadosCNPJ } = require('./cnpj-normalizers');
+
+const FAILURE_THRESHOLD = parseInt(process.env.CNPJ_PROVIDER_MAX_FAILURES) || 3;
+const COOLDOWN_SECONDS = parseInt(process.env.CNPJ_PROVIDER_COOLDOWN_SECONDS) || 120;
+
+/**
+ * Provedores registrados
+ * Estrutura: { nome: { name, url, lookup, normalize, priority, trust, timeoutMs, official, breaker } }
+ * breaker: { failures, openUntil, lastError, lastFailureAt, probing }
+ * probing: consulta de teste em andamento no estado meio-aberto
+ */
+const providers = new Map();
+
+/**
+ * Registra (ou substitui) um provedor
+ * @param {Object} provider
+ * @param {string} provider.name - Nome exibido na "Fonte" dos emails
+ * @param {string} provider.url - Modelo da URL com {cnpj} (ou use lookup)
+ * @param {Function} provider.lookup - Alternativa à URL: (cnpj, { signal }) => Promise<dados brutos>;
+ *   o signal é abortado no tempo limite, como nas requisições por URL
+ * @param {Function} provider.normalize - (dados brutos) => dados normalizados
+ * @param {number} provider.priority - Menor valor é consultado primeiro
+ * @param {number} provider.trust - Confiança na mesclagem (menor valor prevalece; padrão: priority)
+ * @param {number} provider.timeoutMs - Tempo limite da requisição
+ * @param {boolean} provider.official - Se a fonte é considerada oficial
+ */
+function registerProvider({ name, url = null, lookup = null, normalize, priority = 100, trust = priority, timeoutMs = 10000, official = false }) {
+    if (!name || (!url && !lookup) || typeof normalize !== 'function') {
+        throw new Error('Provedor de CNPJ precisa de name, url (ou lookup) e normalize');
+    }
+
+    providers.set(name, {
+        name,
+        url,
+        lookup,
+        normalize,
+        priority,
+        trust,
+        timeoutMs: parseInt(process.env.CNPJ_PROVIDER_TIMEOUT_MS) || timeoutMs,
+        official,
+        breaker: { failures: 0, openUntil: null, lastError: null, lastFailureAt: null, probing: false }
+    });
+}
+
+/**
+ * Situação do disjuntor: fechado (normal), aberto (ignorado) ou meio-aberto (em teste)
+ */
+function breakerState(provider) {
+    const { failures, openUntil } = provider.breaker;
+    if (openUntil && Date.now() < openUntil) return 'aberto';
+    if (failures >= FAILURE_THRESHOLD) return 'meio-aberto';
+    return 'fechado';
+}
+
+/**
+ * Provedores em ordem de prioridade, com a situação de cada disjuntor
+ * @returns {Array} [{ name, priority, trust, timeoutMs, official, state, failures, openUntil, lastError }]
+ */
+function listProviders() {
+    return Array.from(providers.values())
+        .sort((a, b) => a.priority - b.priority)
+        .map(provider => ({
+            name: provider.name,
+            priority: provider.priority,
+            trust: provider.trust,
+            timeoutMs: provider.timeoutMs,
+            official: provider.official,
+            state: breakerState(provider),
+            failures: provider.breaker.failures,
+            openUntil: provider.breaker.openUntil ? new Date(provider.breaker.openUntil).toISOString() : null,
+            lastError: provider.breaker.lastError
+        }));
+}
+
+function recordSuccess(provider) {
+    provider.breaker = { failures: 0, openUntil: null, lastError: null, lastFailureAt: null, probing: false };
+}
+
+function recordFailure(provider, message) {
+    const breaker = provider.breaker;
+    breaker.failures++;
+    breaker.lastError = message;
+    breaker.lastFailureAt = new Date().toISOString();
+
+    if (breaker.failures >= FAILURE_THRESHOLD) {
+        breaker.openUntil = Date.now() + COOLDOWN_SECONDS * 1000;
+        console.warn(`⚡ Provedor ${provider.name} desativado por ${COOLDOWN_SECONDS}s após ${breaker.failures} falhas seguidas`);
+    }
+}
+
+/**
+ * Executa a consulta com um AbortController abortado no tempo limite; a
+ * promessa é rejeitada no prazo mesmo que a consulta ignore o signal
+ */
+async function withTimeout(timeoutMs, run) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            const error = new Error('This operation was aborted');
+            error.name = 'AbortError';
+            reject(error);
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([run(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Busca os dados brutos no provedor (URL ou lookup), abortando no tempo limite
+ */
+function fetchProvider(provider, cnpj) {
+    return withTimeout(provider.timeoutMs, async signal => {
+        if (provider.lookup) {
+            return provider.lookup(cnpj, { signal });
+        }
+
+        const response = await fetch(provider.url.replace('{cnpj}', cnpj), {
+            method: 'GET',
+            headers: {
+                'User-Agent': 'AporteCapital/1.0',
+                'Accept': 'application/json'
+            },
+            signal
+        });
+
+        if (!response.ok) {
+            const error = new Error(`status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return await response.json();
+    });
+}
+
+/**
+ * Consulta um provedor respeitando o disjuntor
+ * Respostas 400/404 (CNPJ inexistente) não contam como falha do provedor;
+ * erros de rede, tempo limite, 429 e 5xx contam. No estado meio-aberto só
+ * uma consulta de teste fica em andamento; as demais falham na hora até
+ * ela terminar.
+ * @param {string} name - Nome do provedor
+ * @param {string} cnpj - CNPJ apenas com dígitos
+ * @returns {Promise<Object>} { success, data } ou { success: false, error, skipped }
+ */
+async function queryProvider(name, cnpj) {
+    const provider = providers.get(name);
+    if (!provider) {
+        return { success: false, error: `Provedor desconhecido: ${name}` };
+    }
+
+    const state = breakerState(provider);
+    if (state === 'aberto') {
+        return { success: false, skipped: true, error: 'Provedor temporariamente desativado após falhas seguidas' };
+    }
+    if (state === 'meio-aberto' && provider.breaker.probing) {
+        return { success: false, skipped: true, error: 'Provedor em teste após falhas seguidas' };
+    }
+
+    const breaker = provider.breaker;
+    if (state === 'meio-aberto') {
+        breaker.probing = true;
+    }
+
+    try {
+        const raw = await fetchProvider(provider, cnpj);
+
+        if (!raw || raw.status === 'ERROR') {
+            recordSuccess(provider);
+            return { success: false, error: (raw && raw.message) || 'CNPJ não encontrado' };
+        }
+
+        const data = provider.normalize(raw);
+        recordSuccess(provider);
+
+        if (!data.success) {
+            return { success: false, error: data.error };
+        }
+
+        return {
+            success: true,
+            data: {
+                ...data,
+                source: provider.name,
+                official: provider.official,
+                consultedAt: new Date().toISOString()
+            }
+        };
+    } catch (error) {
+        const message = error.name === 'AbortError'
+            ? `tempo limite de ${provider.timeoutMs}ms excedido`
+            : error.message;
+
+        if (error.status !== 400 && error.status !== 404) {
+            recordFailure(provider, message);
+        }
+
+        return { success: false, error: message };
+    } finally {
+        breaker.probing = false;
+    }
+}
+
+/**
+ * Verifica se um campo normalizado veio preenchido
+ */
+function isFilled(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.values(value).some(isFilled);
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Combina os dados de vários provedores campo a campo: cada campo vem do
+ * provedor mais confiável (menor trust) que o preencheu
+ * @param {Array} dataList - Dados normalizados retornados por queryProvider
+ * @returns {Object} Dados combinados com provenance ({ campo: provedor }) e sources
+ */
+function mergeProviderData(dataList) {
+    const ranked = [...dataList].sort((a, b) => providers.get(a.source).trust - providers.get(b.source).trust);
+    const merged = criarDadosVazios();
+    const provenance = {};
+
+    Object.keys(CAMPOS_CNPJ).forEach(field => {
+        const origem = ranked.find(data => isFilled(data[field]));
+        if (origem) {
+            merged[field] = origem[field];
+            provenance[field] = origem.source;
+        }
+    });
+
+    // O regime tributário acompanha o provedor que informou o Simples/MEI
+    merged.regimeTributario = definirRegimeTributario(merged.simples);
+    if (provenance.simples) {
+        provenance.regimeTributario = provenance.simples;
+    } else {
+        delete provenance.regimeTributario;
+    }
+
+    // Oficial apenas se a situação cadastral veio de uma fonte oficial
+    const situacaoSource = provenance.situacao ? providers.get(provenance.situacao) : null;
+
+    return {
+        ...merged,
+        success: true,
+        source: ranked.map(data => data.source).join(' + '),
+        official: Boolean(situacaoSource && situacaoSource.official),
+        sources: ranked.map(data => ({ name: data.source, official: data.official })),
+        provenance,
+        consultedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Provedor local para desenvolvimento offline: usa DATA_DIR/cnpj-mock/<cnpj>.json
+ * (dados já no formato normalizado) quando existir, senão gera dados fictícios
+ * estáveis a partir dos dígitos do CNPJ
+ */
+function registerMockProvider() {
+    const mockDir = process.env.CNPJ_MOCK_DIR || path.join(DATA_DIR, 'cnpj-mock');
+
+    registerProvider({
+        name: 'Mock',
+        priority: 0,
+        timeoutMs: 1000,
+        lookup: async (cnpj, { signal }) => {
+            const fixture = path.join(mockDir, `${cnpj}.json`);
+            if (fs.existsSync(fixture)) {
+                return JSON.parse(await fs.promises.readFile(fixture, { encoding: 'utf8', signal }));
+            }
+
+            const semente = Number(cnpj.slice(0, 4));
+            return {
+                cnpj,
+                razaoSocial: `EMPRESA FICTICIA ${cnpj.slice(0, 8)} LTDA`,
+                nomeFantasia: 'EMPRESA FICTICIA',
+                situacao: 'ATIVA',
+                dataAbertura: `${2000 + (semente % 24)}-01-15`,
+                naturezaJuridica: 'Sociedade Empresária Limitada',
+                porte: 'MICRO EMPRESA',
+                capitalSocial: ((semente % 50) + 1) * 10000,
+                endereco: {
+                    logradouro: 'RUA FICTICIA',
+                    numero: '100',
+                    complemento: '',
+                    bairro: 'CENTRO',
+                    municipio: 'MANAUS',
+                    uf: 'AM',
+                    cep: '69005000'
+                },
+                atividadePrincipal: '62.01-5-01 - Desenvolvimento de programas de computador sob encomenda',
+                simples: {
+                    optante: true,
+                    dataOpcao: `${2000 + (semente % 24)}-01-15`,
+                    dataExclusao: '',
+                    mei: false,
+                    dataOpcaoMei: '',
+                    dataExclusaoMei: ''
+                }
+            };
+        },
+        normalize: raw => {
+            const data = { ...criarDadosVazios(), ...raw, success: true };
+            data.regimeTributario = data.regimeTributario || definirRegimeTributario(data.simples);
+            return data;
+        }
+    });
+
+    console.log(`🧪 Provedor de CNPJ local (Mock) ativo - fixtures em ${mockDir}`);
+}
+
+// Provedores públicos (prioridade: oficial primeiro, depois fallbacks)
+registerProvider({
+    name: 'BrasilAPI',
+    url: 'https://brasilapi.com.br/api/cnpj/v1/{cnpj}',
+    normalize: data => normalizarDadosCNPJ(data, 'BrasilAPI'),
+    priority: 10,
+    timeoutMs: 8000,
+    official: true
+});
+
+registerProvider({
+    name: 'ReceitaWS',
+    url: 'https://www.receitaws.com.br/v1/cnpj/{cnpj}',
+    normalize: data => normalizarDadosCNPJ(data, 'ReceitaWS'),
+    priority: 20,
+    timeoutMs: 10000
+});
+
+registerProvider({
+    name: 'CNPJ.ws',
+    url: 'https://publica.cnpj.ws/cnpj/{cnpj}',
+    normalize: data => normalizarDadosCNPJ(data, 'CNPJ.ws'),
+    priority: 30,
+    timeoutMs: 10000
+});
+
+if (process.env.CNPJ_MOCK_PROVIDER === 'true') {
+    registerMockProvider();
+}
+
+module.exports = {
+    registerProvider,
+    listProviders,
+    queryProvider,
+    mergeProviderData
+};
@@ -0,0 +1,229 @@
+/**
+ * ===== CATÁLOGO DE LINHAS DE CRÉDITO =====
+ *
+ * As linhas e suas regras de elegibilidade ficam em public/credit-catalog.js,
+ * compartilhado com o simulador da página. Cada critério é avaliado com os
+ * dados públicos do CNPJ e, na falta deles, com o que foi declarado no
+ * formulário:
+ * - atende: o ponto aparece como atendido
+ * - não atende: a linha é descartada
+ * - indefinido: a linha continua na lista, com o ponto "a confirmar"
+ */
+const { PRODUTOS, getProduto, verificarLimites } = require('../public/credit-catalog');
+const LoanSimulator = require('../public/loan-simulator');
+const { FAIXAS_FATURAMENTO, FAIXAS_TEMPO } = require('./declared-score');
+
+const PORTES = {
+    mei: 'MEI',
+    me: 'Microempresa',
+    epp: 'Empresa de Pequeno Porte',
+    demais: 'Médio/Grande porte'
+};
+
+const REGIMES = {
+    mei: 'MEI',
+    simples: 'Simples Nacional',
+    normal: 'Fora do Simples'
+};
+
+const FINALIDADES = {
+    'capital-giro': 'Capital de Giro',
+    expansao: 'Expansão de Negócio',
+    modernizacao: 'Modernização',
+    investimento: 'Investimento em Equipamentos',
+    outros: 'Outros'
+};
+
+const formatarReais = valor => `R$ ${valor.toLocaleString('pt-BR')}`;
+
+/**
+ * Enquadramento pelo porte cadastral (MEI identificado pela opção no Simples)
+ */
+function identificarPorte(dadosCNPJ) {
+    if (!dadosCNPJ || !dadosCNPJ.success) return null;
+    if (dadosCNPJ.simples && dadosCNPJ.simples.mei) return 'mei';
+
+    const porte = (dadosCNPJ.porte || '').toLowerCase();
+    if (/micro ?empresa|^me$/.test(porte)) return 'me';
+    if (/pequeno porte|^epp$/.test(porte)) return 'epp';
+    if (/demais/.test(porte)) return 'demais';
+    return null;
+}
+
+function identificarRegime(dadosCNPJ) {
+    if (!dadosCNPJ || !dadosCNPJ.success || !dadosCNPJ.simples) return null;
+    if (dadosCNPJ.simples.mei) return 'mei';
+    return dadosCNPJ.simples.optante ? 'simples' : 'normal';
+}
+
+/**
+ * Anos de existência: pela data de abertura ou, sem ela, pelo mínimo da faixa declarada
+ */
+function identificarTempo(dadosCNPJ, formData) {
+    if (dadosCNPJ && dadosCNPJ.success && dadosCNPJ.dataAbertura) {
+        const anos = (Date.now() - new Date(dadosCNPJ.dataAbertura)) / (1000 * 60 * 60 * 24 * 365);
+        if (!Number.isNaN(anos)) return { anos, fonte: 'abertura do CNPJ' };
+    }
+
+    const faixa = FAIXAS_TEMPO[formData.tempoExistencia];
+    return faixa ? { anos: faixa.min, fonte: 'declarado' } : null;
+}
+
+/**
+ * Avalia uma linha: cada critério vira { criterio, resultado: 'atende' | 'nao-atende' | 'indefinido', texto }
+ */
+function avaliarProduto(produto, perfil) {
+    const regras = produto.elegibilidade;
+    const criterios = [];
+    const registrar = (criterio, resultado, texto) => criterios.push({ criterio, resultado, texto });
+
+    if (regras.portes) {
+        if (!perfil.porte) {
+            registrar('porte', 'indefinido', `Porte (${regras.portes.map(porte => PORTES[porte]).join(', ')})`);
+        } else {
+            registrar('porte', regras.portes.includes(perfil.porte) ? 'atende' : 'nao-atende', `Porte: ${PORTES[perfil.porte]}`);
+        }
+    }
+
+    if (regras.regimes) {
+        if (!perfil.regime) {
+            registrar('regime', 'indefinido', `Regime (${regras.regimes.map(regime => REGIMES[regime]).join(', ')})`);
+        } else {
+            registrar('regime', regras.regimes.includes(perfil.regime) ? 'atende' : 'nao-atende', `Regime: ${REGIMES[perfil.regime]}`);
+        }
+    }
+
+    if (regras.faturamentoMin !== undefined || regras.faturamentoMax !== undefined) {
+        const min = regras.faturamentoMin || 0;
+        const max = regras.faturamentoMax || Infinity;
+        let limites = `${formatarReais(min)} a ${formatarReais(max)}`;
+        if (max === Infinity) limites = `a partir de ${formatarReais(min)}`;
+        if (min === 0) limites = `até ${formatarReais(max)}`;
+
+        if (!perfil.faturamento) {
+            registrar('faturamento', 'indefinido', `Faturamento (${limites})`);
+        } else if (perfil.faturamento.max < min || perfil.faturamento.min > max) {
+            registrar('faturamento', 'nao-atende', `Faturamento ${perfil.faturamento.rotulo} fora da faixa (${limites})`);
+        } else if (perfil.faturamento.min >= min && perfil.faturamento.max <= max) {
+            registrar('faturamento', 'atende', `Faturamento ${perfil.faturamento.rotulo}`);
+        } else {
+            registrar('faturamento', 'indefinido', `Faturamento ${perfil.faturamento.rotulo} (confirmar ${limites})`);
+        }
+    }
+
+    if (regras.tempoMinAnos) {
+        if (!perfil.tempo) {
+            registrar('tempo', 'indefinido', `Tempo de existência (mínimo ${regras.tempoMinAnos} ano${regras.tempoMinAnos > 1 ? 's' : ''})`);
+        } else {
+            registrar('tempo', perfil.tempo.anos >= regras.tempoMinAnos ? 'atende' : 'nao-atende',
+                `${Math.floor(perfil.tempo.anos)} ano(s) de existência (${perfil.tempo.fonte}; mínimo ${regras.tempoMinAnos})`);
+        }
+    }
+
+    if (regras.finalidades && perfil.finalidade) {
+        registrar('finalidade', regras.finalidades.includes(perfil.finalidade) ? 'atende' : 'nao-atende',
+            `Finalidade: ${FINALIDADES[perfil.finalidade] || perfil.finalidade}`);
+    }
+
+    return criterios;
+}
+
+/**
+ * Linhas de crédito compatíveis com o lead: primeiro as com menos pontos a
+ * confirmar e, entre elas, as mais específicas do catálogo (menor prioridade)
+ * @param {Object} dadosCNPJ - Dados normalizados do CNPJ (pode ser null)
+ * @param {Object} formData - Dados do formulário (faturamentoAnual, tempoExistencia, tipoConsultoria)
+ * @returns {Array} [{ id, nome, descricao, atendidos, aConfirmar }]
+ */
+function recomendarLinhasCredito(dadosCNPJ, formData = {}) {
+    // Empresas com situação cadastral irregular não são encaminhadas a nenhuma linha
+    if (dadosCNPJ && dadosCNPJ.success && !(dadosCNPJ.situacao || '').toLowerCase().includes('ativa')) {
+        return [];
+    }
+
+    const dados = formData || {};
+    const perfil = {
+        porte: identificarPorte(dadosCNPJ),
+        regime: identificarRegime(dadosCNPJ),
+        faturamento: FAIXAS_FATURAMENTO[dados.faturamentoAnual] || null,
+        tempo: identificarTempo(dadosCNPJ, dados),
+        finalidade: FINALIDADES[dados.tipoConsultoria] && dados.tipoConsultoria !== 'outros' ? dados.tipoConsultoria : null
+    };
+
+    return PRODUTOS
+        .map(produto => ({ produto, criterios: avaliarProduto(produto, perfil) }))
+        .filter(({ criterios }) => !criterios.some(item => item.resultado === 'nao-atende'))
+        .map(({ produto, criterios }) => ({
+            id: produto.id,
+            nome: produto.nome,
+            descricao: produto.descricao,
+            prioridade: produto.prioridade,
+            atendidos: criterios.filter(item => item.resultado === 'atende').map(item => item.texto),
+            aConfirmar: criterios.filter(item => item.resultado === 'indefinido').map(item => item.texto)
+        }))
+        .sort((a, b) => a.aConfirmar.length - b.aConfirmar.length || a.prioridade - b.prioridade)
+        .map(({ prioridade, ...linha }) => linha);
+}
+
+/**
+ * Cenário escolhido no simulador da página e enviado com a solicitação.
+ * Os valores são recalculados com as condições do catálogo, sem confiar nos
+ * números vindos do navegador.
+ * @param {string|Object} simulacao - Campo "simulacao" do formulário (JSON)
+ * @returns {Object} { success, simulacao } ou { success: false, error }
+ */
+function normalizarSimulacao(simulacao) {
+    let dados = simulacao;
+    if (typeof dados === 'string') {
+        try {
+            dados = JSON.parse(dados);
+        } catch (error) {
+            return { success: false, error: 'Simulação em formato inválido' };
+        }
+    }
+
+    if (!dados || typeof dados !== 'object') {
+        return { success: false, error: 'Simulação em formato inválido' };
+    }
+
+    const produto = getProduto(dados.linha);
+    if (!produto) {
+        return { success: false, error: `Linha desconhecida: ${dados.linha}` };
+    }
+
+    const params = {
+        valor: Number(dados.valor),
+        prazoMeses: Number(dados.prazoMeses),
+        carenciaMeses: Number(dados.carenciaMeses) || 0,
+        taxaMensal: produto.simulacao.taxaMensal,
+        sistema: dados.sistema
+    };
+
+    const limites = verificarLimites(produto, params);
+    if (!limites.valid) {
+        return { success: false, error: limites.reason };
+    }
+
+    const resultado = LoanSimulator.simular(params);
+    if (!resultado.success) {
+        return { success: false, error: resultado.error };
+    }
+
+    return {
+        success: true,
+        simulacao: {
+            linha: { id: produto.id, nome: produto.nome },
+            ...params,
+            primeiraParcela: resultado.primeiraParcela,
+            ultimaParcela: resultado.ultimaParcela,
+            totalJuros: resultado.totalJuros,
+            totalPago: resultado.totalPago
+        }
+    };
+}
+
+module.exports = {
+    PRODUTOS,
+    recomendarLinhasCredito,
+    normalizarSimulacao
+};
@@ -0,0 +1,162 @@
+/**
+ * ===== DADOS DECLARADOS NO FORMULÁRIO =====
+ *
+ * Pontua o que o cliente informou (faturamento, tempo de existência, bancos
+ * e documentos enviados) e confronta essas informações com os dados
+ * públicos do CNPJ. Divergências viram alertas para a equipe, pois podem
+ * indicar erro de preenchimento ou informação inflada.
+ */
+
+/**
+ * Faixas de faturamento anual do formulário (em reais)
+ */
+const FAIXAS_FATURAMENTO = {
+    '350k-500k': { min: 350000, max: 500000, rotulo: 'R$ 350 mil a R$ 500 mil' },
+    '500k-1m': { min: 500000, max: 1000000, rotulo: 'R$ 500 mil a R$ 1 milhão' },
+    '1m-2m': { min: 1000000, max: 2000000, rotulo: 'R$ 1 milhão a R$ 2 milhões' },
+    '2m-5m': { min: 2000000, max: 5000000, rotulo: 'R$ 2 milhões a R$ 5 milhões' },
+    '5m-10m': { min: 5000000, max: 10000000, rotulo: 'R$ 5 milhões a R$ 10 milhões' },
+    'mais-10m': { min: 10000000, max: Infinity, rotulo: 'Acima de R$ 10 milhões' }
+};
+
+/**
+ * Faixas de tempo de existência do formulário (em anos)
+ */
+const FAIXAS_TEMPO = {
+    'menos-1-ano': { min: 0, max: 1, rotulo: 'Menos de 1 ano' },
+    '1-2-anos': { min: 1, max: 2, rotulo: '1 a 2 anos' },
+    '2-5-anos': { min: 2, max: 5, rotulo: '2 a 5 anos' },
+    '5-10-anos': { min: 5, max: 10, rotulo: '5 a 10 anos' },
+    'mais-10-anos': { min: 10, max: Infinity, rotulo: 'Mais de 10 anos' }
+};
+
+/**
+ * Faturamento máximo anual por enquadramento (LC 123/2006)
+ */
+const LIMITES_FATURAMENTO = [
+    { regra: dados => dados.simples && dados.simples.mei, limite: 81000, rotulo: 'MEI' },
+    { regra: dados => /micro ?empresa|^me$/i.test(dados.porte || ''), limite: 360000, rotulo: 'Microempresa' },
+    { regra: dados => /pequeno porte|^epp$/i.test(dados.porte || ''), limite: 4800000, rotulo: 'Empresa de Pequeno Porte' },
+    { regra: dados => dados.simples && dados.simples.optante, limite: 4800000, rotulo: 'Simples Nacional' }
+];
+
+// Tolerância para diferenças de arredondamento no tempo declarado
+const TOLERANCIA_ANOS = 0.5;
+
+const formatarReais = valor => `R$ ${valor.toLocaleString('pt-BR')}`;
+
+/**
+ * Lê uma data aaaa-mm-dd (formato dos dados normalizados do CNPJ)
+ * @returns {Date|null} Data em UTC, ou null se o valor não for uma data válida
+ */
+function lerDataISO(valor) {
+    const partes = (valor || '').toString().match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!partes) return null;
+
+    const [ano, mes, dia] = partes.slice(1).map(Number);
+    const data = new Date(Date.UTC(ano, mes - 1, dia));
+    return data.getUTCFullYear() === ano && data.getUTCMonth() === mes - 1 && data.getUTCDate() === dia ? data : null;
+}
+
+/**
+ * Quantidade de bancos informados (cada nome em "outros" conta como um)
+ */
+function contarBancos(formData) {
+    const selecionados = Array.isArray(formData.bancos)
+        ? formData.bancos
+        : (formData.bancos || '').toString().split(',');
+
+    const outros = (formData.outrosBancos || '').toString().split(/[,;]/);
+
+    return selecionados.map(banco => banco.trim()).filter(banco => banco && banco !== 'Outros').length
+        + outros.map(banco => banco.trim()).filter(Boolean).length;
+}
+
+/**
+ * Pontos da primeira faixa atingida (faixas com "minimo", da maior para a menor)
+ */
+function pontosPorMinimo(faixas, valor) {
+    const faixa = [...faixas].sort((a, b) => b.minimo - a.minimo).find(item => valor >= item.minimo);
+    return faixa ? faixa.pontos : 0;
+}
+
+/**
+ * Confronta o declarado com os dados públicos
+ * @returns {Array} Alertas [{ campo, mensagem }]
+ */
+function verificarInconsistencias(formData, dadosCNPJ) {
+    const alertas = [];
+    if (!dadosCNPJ || !dadosCNPJ.success) return alertas;
+
+    const tempo = FAIXAS_TEMPO[formData.tempoExistencia];
+    const abertura = lerDataISO(dadosCNPJ.dataAbertura);
+    if (dadosCNPJ.dataAbertura && !abertura) {
+        console.warn(`⚠️ Data de abertura do CNPJ em formato inesperado (${dadosCNPJ.dataAbertura}); tempo de existência não conferido`);
+    }
+
+    if (tempo && abertura) {
+        const anos = (Date.now() - abertura) / (1000 * 60 * 60 * 24 * 365);
+
+        if (anos < tempo.min - TOLERANCIA_ANOS || anos > tempo.max + TOLERANCIA_ANOS) {
+            const meses = Math.round(anos * 12);
+            const idade = meses < 24 ? `${meses} ${meses === 1 ? 'mês' : 'meses'}` : `${Math.floor(anos)} anos`;
+            alertas.push({
+                campo: 'tempoExistencia',
+                mensagem: `Tempo de existência declarado (${tempo.rotulo}) incompatível com a abertura do CNPJ em ${abertura.toLocaleDateString('pt-BR', { timeZone: 'UTC' })} (${idade})`
+            });
+        }
+    }
+
+    const faturamento = FAIXAS_FATURAMENTO[formData.faturamentoAnual];
+    if (faturamento) {
+        const enquadramento = LIMITES_FATURAMENTO.find(item => item.regra(dadosCNPJ));
+        if (enquadramento && faturamento.min > enquadramento.limite) {
+            alertas.push({
+                campo: 'faturamentoAnual',
+                mensagem: `Faturamento declarado (${faturamento.rotulo}) acima do limite de ${formatarReais(enquadramento.limite)}/ano para ${enquadramento.rotulo}`
+            });
+        }
+    }
+
+    return alertas;
+}
+
+/**
+ * Avalia os dados declarados no formulário
+ * @param {Object} formData - Dados do formulário (faturamentoAnual, tempoExistencia, bancos, outrosBancos)
+ * @param {Array} files - Documentos enviados
+ * @param {Object} dadosCNPJ - Dados normalizados do CNPJ
+ * @param {Object} regras - Seção "declarados" das regras do score
+ * @returns {Object} { pontos (0-100), itens, fatores, alertas }
+ */
+function avaliarDadosDeclarados(formData, files, dadosCNPJ, regras) {
+    const bancos = contarBancos(formData);
+    const documentos = Array.isArray(files) ? files.length : 0;
+
+    const itens = {
+        faturamento: regras.faturamento[formData.faturamentoAnual] || 0,
+        tempo_existencia: regras.tempoExistencia[formData.tempoExistencia] || 0,
+        bancos: pontosPorMinimo(regras.bancos, bancos),
+        documentos: pontosPorMinimo(regras.documentos, documentos)
+    };
+
+    const fatores = [
+        `📝 Faturamento declarado: ${(FAIXAS_FATURAMENTO[formData.faturamentoAnual] || {}).rotulo || 'não informado'}`,
+        `📝 Tempo de existência declarado: ${(FAIXAS_TEMPO[formData.tempoExistencia] || {}).rotulo || 'não informado'}`,
+        `📝 ${bancos} banco(s) de relacionamento informado(s)`,
+        `📝 ${documentos} documento(s) enviado(s)`
+    ];
+
+    return {
+        pontos: Math.min(100, Object.values(itens).reduce((total, pontos) => total + pontos, 0)),
+        itens,
+        fatores,
+        alertas: verificarInconsistencias(formData, dadosCNPJ)
+    };
+}
+
+module.exports = {
+    FAIXAS_FATURAMENTO,
+    FAIXAS_TEMPO,
+    avaliarDadosDeclarados
+};
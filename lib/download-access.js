@@ -0,0 +1,223 @@
+/**
+ * ===== CONTROLE DE ACESSO AOS DOWNLOADS =====
+ *
+ * URLs de download assinadas (HMAC) e vinculadas a um destinatário do link,
+ * código de verificação (OTP) opcional enviado por email e trilha de
+ * auditoria de todos os acessos.
+ */
+const crypto = require('crypto');
+const { createJsonlStore } = require('./jsonl-store');
+
+const RECIPIENT_TYPES = {
+    interno: 'Analista interno',
+    banco: 'Parceiro bancário'
+};
+
+const OTP_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+const GRANT_MINUTES = 30;
+
+const secrets = createJsonlStore('secrets.jsonl', { key: 'name' });
+const accessLog = createJsonlStore('download-access.jsonl', { key: 'id' });
+
+/**
+ * Códigos OTP pendentes (curta duração, mantidos em memória)
+ * Estrutura: { "linkId|recipientId": { hash, expiresAt, attempts } }
+ */
+const pendingOtps = new Map();
+
+/**
+ * Último envio de código por destinatário do link e por IP, para limitar os
+ * envios a um a cada OTP_RESEND_SECONDS
+ * Estrutura: { "link|linkId|recipientId" ou "ip|ip": timestamp }
+ */
+const otpRequests = new Map();
+
+/**
+ * Segredo de assinatura: DOWNLOAD_SIGNING_SECRET ou um segredo aleatório
+ * gerado uma única vez e persistido, para que as URLs sobrevivam a reinícios
+ */
+function getSecret() {
+    if (process.env.DOWNLOAD_SIGNING_SECRET) {
+        return process.env.DOWNLOAD_SIGNING_SECRET;
+    }
+
+    let secret = secrets.get('download-signing');
+    if (!secret) {
+        secret = secrets.set({
+            name: 'download-signing',
+            value: crypto.randomBytes(32).toString('hex'),
+            createdAt: new Date().toISOString()
+        });
+    }
+    return secret.value;
+}
+
+function sign(value) {
+    return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a || '');
+    const bufferB = Buffer.from(b || '');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Gera o token de download de um destinatário
+ * @returns {string} "<recipientId>.<assinatura>"
+ */
+function signDownloadToken(linkId, recipientId) {
+    return `${recipientId}.${sign(`download|${linkId}|${recipientId}`)}`;
+}
+
+/**
+ * Valida um token de download
+ * @returns {string|null} recipientId se a assinatura conferir
+ */
+function verifyDownloadToken(linkId, token) {
+    if (typeof token !== 'string') return null;
+
+    const [recipientId, signature] = token.split('.');
+    if (!recipientId || !signature) return null;
+
+    return safeEqual(signature, sign(`download|${linkId}|${recipientId}`)) ? recipientId : null;
+}
+
+/**
+ * Gera um código de 6 dígitos para o destinatário, no máximo um a cada
+ * OTP_RESEND_SECONDS por destinatário do link e por IP
+ * @returns {Object} { success, code, expiresAt } ou { success: false, error, retryAfter, pending }
+ */
+function createOtp(linkId, recipientId, ip) {
+    const now = Date.now();
+    const key = `${linkId}|${recipientId}`;
+    const limitKeys = [`link|${key}`, `ip|${ip}`];
+
+    otpRequests.forEach((requestedAt, limitKey) => {
+        if (now - requestedAt >= OTP_RESEND_SECONDS * 1000) otpRequests.delete(limitKey);
+    });
+
+    const lastRequest = Math.max(0, ...limitKeys.map(limitKey => otpRequests.get(limitKey) || 0));
+    if (lastRequest > 0) {
+        const retryAfter = Math.ceil((lastRequest + OTP_RESEND_SECONDS * 1000 - now) / 1000);
+        const pending = pendingOtps.get(key);
+        return {
+            success: false,
+            error: `Aguarde ${retryAfter} segundos para solicitar um novo código.`,
+            retryAfter,
+            pending: Boolean(pending && new Date() <= pending.expiresAt)
+        };
+    }
+
+    limitKeys.forEach(limitKey => otpRequests.set(limitKey, now));
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiresAt = new Date(now + OTP_MINUTES * 60 * 1000);
+
+    pendingOtps.set(key, {
+        hash: sign(`otp|${linkId}|${recipientId}|${code}`),
+        expiresAt,
+        attempts: 0
+    });
+
+    return { success: true, code, expiresAt };
+}
+
+/**
+ * Confere o código informado pelo destinatário
+ * @returns {Object} { valid } ou { valid: false, reason }
+ */
+function verifyOtp(linkId, recipientId, code) {
+    const key = `${linkId}|${recipientId}`;
+    const pending = pendingOtps.get(key);
+
+    if (!pending) {
+        return { valid: false, reason: 'Nenhum código solicitado. Solicite um novo código.' };
+    }
+
+    if (new Date() > pending.expiresAt) {
+        pendingOtps.delete(key);
+        return { valid: false, reason: 'Código expirado. Solicite um novo código.' };
+    }
+
+    if (pending.attempts >= OTP_MAX_ATTEMPTS) {
+        pendingOtps.delete(key);
+        return { valid: false, reason: 'Muitas tentativas. Solicite um novo código.' };
+    }
+
+    pending.attempts++;
+    if (!safeEqual(pending.hash, sign(`otp|${linkId}|${recipientId}|${(code || '').toString().trim()}`))) {
+        return { valid: false, reason: 'Código inválido' };
+    }
+
+    pendingOtps.delete(key);
+    return { valid: true };
+}
+
+/**
+ * Gera a autorização temporária (cookie) concedida após o OTP
+ * @returns {Object} { value, maxAge }
+ */
+function createGrant(linkId, recipientId) {
+    const expiresAt = Date.now() + GRANT_MINUTES * 60 * 1000;
+    return {
+        value: `${recipientId}.${expiresAt}.${sign(`grant|${linkId}|${recipientId}|${expiresAt}`)}`,
+        maxAge: GRANT_MINUTES * 60 * 1000
+    };
+}
+
+function verifyGrant(linkId, recipientId, value) {
+    if (typeof value !== 'string') return false;
+
+    const [grantRecipient, expiresAt, signature] = value.split('.');
+    if (grantRecipient !== recipientId || Date.now() > Number(expiresAt)) return false;
+
+    return safeEqual(signature, sign(`grant|${linkId}|${recipientId}|${expiresAt}`));
+}
+
+/**
+ * Nome do cookie de autorização de um link
+ */
+function grantCookieName(linkId) {
+    return `dl_${linkId}`;
+}
+
+/**
+ * Registra um acesso ao link na trilha de auditoria
+ * @param {Object} entry - { linkId, recipientId, recipientName, recipientType, action, file, detail, ip, userAgent }
+ */
+function recordAccess(entry) {
+    return accessLog.set({
+        id: crypto.randomBytes(8).toString('hex'),
+        at: new Date().toISOString(),
+        file: null,
+        detail: null,
+        ...entry
+    });
+}
+
+/**
+ * Acessos de um link, dos mais recentes para os mais antigos
+ */
+function listAccess(linkId) {
+    return accessLog.all()
+        .filter(entry => entry.linkId === linkId)
+        .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+module.exports = {
+    RECIPIENT_TYPES,
+    OTP_MINUTES,
+    OTP_RESEND_SECONDS,
+    signDownloadToken,
+    verifyDownloadToken,
+    createOtp,
+    verifyOtp,
+    createGrant,
+    verifyGrant,
+    grantCookieName,
+    recordAccess,
+    listAccess
+};
@@ -0,0 +1,186 @@
+/**
+ * ===== FILA DE EMAILS (OUTBOX) =====
+ *
+ * Emails da solicitação (aviso para a equipe e confirmação para o cliente)
+ * são gravados aqui antes da primeira tentativa de envio. Se o SMTP falhar,
+ * o envio é repetido com intervalos crescentes (exponenciais) até o limite
+ * de tentativas; depois disso o email fica como "falhou" e só volta para a
+ * fila quando alguém pede o reenvio pelo dashboard.
+ *
+ * Os anexos são gravados pelo caminho do arquivo: o conteúdo continua em
+ * uploads/ enquanto o link de download da solicitação estiver ativo.
+ */
+const { createJsonlStore } = require('./jsonl-store');
+
+const store = createJsonlStore('email-outbox.jsonl', { key: 'id' });
+
+const OUTBOX_STATUS = {
+    pendente: { label: 'Pendente' },
+    enviado: { label: 'Enviado' },
+    falhou: { label: 'Falhou (sem novas tentativas)' }
+};
+
+const OUTBOX_KINDS = {
+    admin: 'Aviso para a equipe',
+    confirmacao: 'Confirmação para o cliente'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = (parseInt(process.env.EMAIL_OUTBOX_BASE_DELAY_SECONDS) || 60) * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Intervalo até a próxima tentativa: 1x, 2x, 4x... o intervalo base, limitado a 6 horas
+ * @param {number} attempts - Tentativas já feitas
+ * @returns {number} Milissegundos
+ */
+function retryDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_DELAY_MS);
+}
+
+/**
+ * Coloca um email na fila, pronto para a primeira tentativa
+ * @param {Object} email - { requestId, kind: 'admin' | 'confirmacao', mailOptions }
+ * @returns {Object} Registro gravado
+ */
+function enqueueEmail({ requestId, kind, mailOptions }) {
+    const now = new Date().toISOString();
+
+    return store.set({
+        id: `${requestId}-${kind}`,
+        requestId,
+        kind,
+        mailOptions,
+        status: 'pendente',
+        attempts: 0,
+        maxAttempts: MAX_ATTEMPTS,
+        nextAttemptAt: now,
+        lastError: null,
+        messageId: null,
+        sentAt: null,
+        history: [],
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+function getEmail(id) {
+    return store.get(id);
+}
+
+function updateEmail(email, changes) {
+    return store.set({
+        ...email,
+        ...changes,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Registra um envio bem-sucedido
+ * @param {string} id
+ * @param {Object} result - { messageId }
+ * @returns {Object|null} Registro atualizado
+ */
+function markSent(id, { messageId = null } = {}) {
+    const email = store.get(id);
+    if (!email) return null;
+
+    const now = new Date().toISOString();
+    return updateEmail(email, {
+        status: 'enviado',
+        attempts: email.attempts + 1,
+        nextAttemptAt: null,
+        messageId,
+        sentAt: now,
+        history: [...email.history, { event: 'enviado', at: now, messageId }]
+    });
+}
+
+/**
+ * Registra uma tentativa com erro e agenda a próxima, ou encerra as
+ * tentativas quando o limite é atingido
+ * @param {string} id
+ * @param {Error} error - Erro do transporter
+ * @returns {Object|null} Registro atualizado
+ */
+function markFailed(id, error) {
+    const email = store.get(id);
+    if (!email) return null;
+
+    const now = new Date();
+    const attempts = email.attempts + 1;
+    const lastError = [error.code, error.message].filter(Boolean).join(': ');
+    const exhausted = attempts >= email.maxAttempts;
+
+    return updateEmail(email, {
+        status: exhausted ? 'falhou' : 'pendente',
+        attempts,
+        nextAttemptAt: exhausted ? null : new Date(now.getTime() + retryDelay(attempts)).toISOString(),
+        lastError,
+        history: [...email.history, { event: exhausted ? 'falhou' : 'erro', at: now.toISOString(), error: lastError }]
+    });
+}
+
+/**
+ * Devolve um email à fila para envio imediato, com um novo ciclo de tentativas
+ * (inclusive emails já enviados, quando o destinatário pede outra cópia)
+ * @param {string} id
+ * @param {Object} options - { requestedBy }
+ * @returns {Object} { success, email } ou { success: false, error, notFound }
+ */
+function requeueEmail(id, { requestedBy } = {}) {
+    const email = store.get(id);
+    if (!email) {
+        return { success: false, notFound: true, error: 'Email não encontrado na fila' };
+    }
+
+    if (email.status === 'pendente' && email.attempts === 0) {
+        return { success: false, error: 'Email ainda aguardando a primeira tentativa' };
+    }
+
+    const now = new Date().toISOString();
+    const updated = updateEmail(email, {
+        status: 'pendente',
+        attempts: 0,
+        nextAttemptAt: now,
+        history: [...email.history, { event: 'reenvio', at: now, requestedBy }]
+    });
+
+    return { success: true, email: updated };
+}
+
+/**
+ * Emails pendentes cuja próxima tentativa já venceu, dos mais antigos para os mais novos
+ * @param {Date} now
+ * @returns {Array}
+ */
+function listDueEmails(now = new Date()) {
+    const limit = now.toISOString();
+    return store.all()
+        .filter(email => email.status === 'pendente' && email.nextAttemptAt <= limit)
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+}
+
+/**
+ * Lista a fila, dos emails mais recentes para os mais antigos
+ * @param {Function} filter - Predicado opcional
+ * @returns {Array}
+ */
+function listOutbox(filter = null) {
+    const emails = filter ? store.all().filter(filter) : store.all();
+    return emails.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+    OUTBOX_STATUS,
+    OUTBOX_KINDS,
+    MAX_ATTEMPTS,
+    enqueueEmail,
+    getEmail,
+    markSent,
+    markFailed,
+    requeueEmail,
+    listDueEmails,
+    listOutbox
+};
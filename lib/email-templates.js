@@ -0,0 +1,289 @@
+/**
+ * ===== TEMPLATES DE EMAIL =====
+ *
+ * Os emails ficam em templates/emails como arquivos, renderizados por este
+ * módulo tanto pelo servidor quanto pela função serverless (api/send-email.js):
+ *
+ * - <nome>.html: conteúdo do email, inserido no layout em {{{body}}}
+ * - <nome>.txt: versão em texto puro (opcional), com o layout .txt correspondente
+ * - layouts/<layout>.html|.txt: estrutura comum (cabeçalho, rodapé, estilos)
+ * - partials/<partial>.html|.txt: trechos reutilizáveis, incluídos com {{> nome}}
+ *
+ * Os layouts .html exibem o campo "preheader" (quando informado) como a
+ * prévia que a caixa de entrada mostra ao lado do assunto.
+ *
+ * Sintaxe (subconjunto do Handlebars):
+ * - {{campo.sub}} valor escapado; {{{campo}}} sem escape; {{campo | nl2br}} quebra linhas com <br>
+ * - {{#if campo}}...{{else}}...{{/if}} e {{#unless campo}}...{{/unless}} (listas vazias são falsas)
+ * - {{#each lista}}...{{else}}...{{/each}}, com {{this}}, {{@index}}, {{@number}} (a partir de 1) e {{@last}}
+ * - {{#with objeto}}...{{/with}} muda o contexto quando o objeto existe
+ * - {{! comentário}}
+ * Campos são procurados no contexto atual e depois nos contextos externos.
+ * Tags de bloco sozinhas na linha não deixam linhas em branco no resultado.
+ */
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+/**
+ * Emails disponíveis e o layout de cada um
+ */
+const EMAIL_TEMPLATES = {
+    'consultoria-equipe': { layout: 'equipe' },
+    'confirmacao-cliente': { layout: 'cliente' },
+    'aporte-equipe': { layout: 'equipe' }
+};
+
+const EXTENSIONS = { html: 'html', text: 'txt' };
+
+const FILTERS = {
+    nl2br: { html: value => value.replace(/\r?\n/g, '<br>'), text: value => value }
+};
+
+const BLOCKS = ['if', 'unless', 'each', 'with'];
+const TAG = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([#/!>]?)\s*([\s\S]*?)\s*\}\}/g;
+
+// Templates compilados (em desenvolvimento os arquivos são relidos a cada envio)
+const cache = new Map();
+
+/**
+ * Quebra o template em textos e tags, removendo as linhas que contêm apenas
+ * uma tag de bloco, comentário ou partial
+ */
+function tokenize(source, fileName) {
+    const tokens = [];
+    let last = 0;
+    let match;
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source)) !== null) {
+        if (match.index > last) {
+            tokens.push({ type: 'text', value: source.slice(last, match.index) });
+        }
+        last = TAG.lastIndex;
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'var', ...parseExpression(match[1], fileName), raw: true });
+            continue;
+        }
+
+        const sigil = match[2];
+        const content = match[3];
+        if (sigil === '!') {
+            tokens.push({ type: 'comment' });
+        } else if (sigil === '>') {
+            tokens.push({ type: 'partial', name: content });
+        } else if (sigil === '#') {
+            const [block, ...rest] = content.split(/\s+/);
+            if (!BLOCKS.includes(block)) {
+                throw new Error(`Bloco desconhecido "{{#${block}}}" em ${fileName}`);
+            }
+            tokens.push({ type: 'open', block, expr: rest.join(' ') });
+        } else if (sigil === '/') {
+            tokens.push({ type: 'close', block: content });
+        } else if (content === 'else') {
+            tokens.push({ type: 'else' });
+        } else {
+            tokens.push({ type: 'var', ...parseExpression(content, fileName), raw: false });
+        }
+    }
+
+    if (last < source.length) {
+        tokens.push({ type: 'text', value: source.slice(last) });
+    }
+
+    return trimStandaloneTags(tokens);
+}
+
+function parseExpression(content, fileName) {
+    const [expr, ...filters] = content.split('|').map(part => part.trim());
+    filters.forEach(filter => {
+        if (!FILTERS[filter]) throw new Error(`Filtro desconhecido "${filter}" em ${fileName}`);
+    });
+    return { expr, filters };
+}
+
+function trimStandaloneTags(tokens) {
+    const standalone = ['open', 'close', 'else', 'comment', 'partial'];
+    const isText = token => token && token.type === 'text';
+
+    // Decide com o texto original antes de remover os espaços
+    const trims = tokens.map((token, index) => {
+        if (!standalone.includes(token.type)) return false;
+
+        const before = tokens[index - 1];
+        const after = tokens[index + 1];
+        const lineStart = index === 0 || (isText(before) && /(^|\n)[ \t]*$/.test(before.value) && (index === 1 || before.value.includes('\n')));
+        const lineEnd = index === tokens.length - 1 || (isText(after) && /^[ \t]*(\r?\n|$)/.test(after.value));
+        return lineStart && lineEnd;
+    });
+
+    trims.forEach((trim, index) => {
+        if (!trim) return;
+        if (index > 0) tokens[index - 1].value = tokens[index - 1].value.replace(/[ \t]*$/, '');
+        if (index < tokens.length - 1) tokens[index + 1].value = tokens[index + 1].value.replace(/^[ \t]*(\r?\n)?/, '');
+    });
+
+    return tokens.filter(token => token.type !== 'comment');
+}
+
+/**
+ * Monta a árvore de blocos a partir das tags
+ */
+function parse(tokens, fileName) {
+    const root = { children: [] };
+    const stack = [root];
+
+    tokens.forEach(token => {
+        const current = stack[stack.length - 1];
+
+        if (token.type === 'open') {
+            const node = { type: 'block', block: token.block, expr: token.expr, children: [], inverse: [] };
+            (current.inElse ? current.inverse : current.children).push(node);
+            stack.push(node);
+        } else if (token.type === 'else') {
+            if (stack.length === 1) throw new Error(`{{else}} fora de bloco em ${fileName}`);
+            current.inElse = true;
+        } else if (token.type === 'close') {
+            if (stack.length === 1 || current.block !== token.block) {
+                throw new Error(`{{/${token.block}}} sem bloco correspondente em ${fileName}`);
+            }
+            stack.pop();
+        } else {
+            (current.inElse ? current.inverse : current.children).push(token);
+        }
+    });
+
+    if (stack.length > 1) {
+        throw new Error(`Bloco {{#${stack[stack.length - 1].block}}} não fechado em ${fileName}`);
+    }
+
+    return root.children;
+}
+
+/**
+ * Lê e compila um arquivo de template (null se não existir)
+ */
+function loadTemplate(relativePath) {
+    if (process.env.NODE_ENV === 'production' && cache.has(relativePath)) {
+        return cache.get(relativePath);
+    }
+
+    const filePath = path.join(TEMPLATES_DIR, relativePath);
+    const compiled = fs.existsSync(filePath)
+        ? parse(tokenize(fs.readFileSync(filePath, 'utf8'), relativePath), relativePath)
+        : null;
+
+    cache.set(relativePath, compiled);
+    return compiled;
+}
+
+function lookup(expr, stack) {
+    const frame = stack[stack.length - 1];
+
+    if (expr === 'this' || expr === '.') return frame.value;
+    if (expr.startsWith('@')) return frame.data ? frame.data[expr.slice(1)] : undefined;
+
+    const [first, ...rest] = expr.replace(/^this\./, '').split('.');
+    for (let i = stack.length - 1; i >= 0; i--) {
+        const value = stack[i].value;
+        if (value !== null && typeof value === 'object' && first in value) {
+            return rest.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value[first]);
+        }
+        // Com "this.campo" a busca fica só no contexto atual
+        if (expr.startsWith('this.')) return undefined;
+    }
+
+    return undefined;
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, stack, mode) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+
+        if (node.type === 'var') {
+            const value = lookup(node.expr, stack);
+            let output = value === null || value === undefined ? '' : String(value);
+            if (mode === 'html' && !node.raw) output = escapeHtml(output);
+            return node.filters.reduce((result, filter) => FILTERS[filter][mode](result), output);
+        }
+
+        if (node.type === 'partial') {
+            const partial = loadTemplate(path.join('partials', `${node.name}.${EXTENSIONS[mode]}`));
+            if (!partial) throw new Error(`Partial não encontrado: partials/${node.name}.${EXTENSIONS[mode]}`);
+            return renderNodes(partial, stack, mode);
+        }
+
+        const value = lookup(node.expr, stack);
+        switch (node.block) {
+        case 'if':
+            return renderNodes(isTruthy(value) ? node.children : node.inverse, stack, mode);
+        case 'unless':
+            return renderNodes(isTruthy(value) ? node.inverse : node.children, stack, mode);
+        case 'with':
+            return isTruthy(value)
+                ? renderNodes(node.children, [...stack, { value }], mode)
+                : renderNodes(node.inverse, stack, mode);
+        case 'each':
+            if (!isTruthy(value)) return renderNodes(node.inverse, stack, mode);
+            return value.map((item, index) => renderNodes(node.children, [...stack, {
+                value: item,
+                data: { index, number: index + 1, first: index === 0, last: index === value.length - 1 }
+            }], mode)).join('');
+        default:
+            return '';
+        }
+    }).join('');
+}
+
+/**
+ * Renderiza um template do diretório de emails
+ * @param {string} relativePath - Caminho dentro de templates/emails
+ * @param {Object} data - Dados do template
+ * @param {string} mode - 'html' (escapa os valores) ou 'text'
+ * @returns {string|null} Resultado ou null se o arquivo não existir
+ */
+function renderFile(relativePath, data, mode) {
+    const template = loadTemplate(relativePath);
+    return template ? renderNodes(template, [{ value: data }], mode) : null;
+}
+
+/**
+ * Renderiza um email completo (conteúdo dentro do layout)
+ * @param {string} name - Nome do email em EMAIL_TEMPLATES
+ * @param {Object} data - Dados usados pelo template e pelo layout
+ * @returns {Object} { html, text } (text é null quando o email não tem versão .txt)
+ */
+function renderEmail(name, data = {}) {
+    const definition = EMAIL_TEMPLATES[name];
+    if (!definition) {
+        throw new Error(`Template de email desconhecido: ${name}`);
+    }
+
+    const render = mode => {
+        const body = renderFile(`${name}.${EXTENSIONS[mode]}`, data, mode);
+        if (body === null) return null;
+
+        const layout = renderFile(path.join('layouts', `${definition.layout}.${EXTENSIONS[mode]}`), { ...data, body }, mode);
+        return layout === null ? body : layout;
+    };
+
+    const html = render('html');
+    if (html === null) {
+        throw new Error(`Arquivo do template não encontrado: ${name}.html`);
+    }
+
+    return { html, text: render('text') };
+}
+
+module.exports = {
+    EMAIL_TEMPLATES,
+    TEMPLATES_DIR,
+    renderEmail
+};
@@ -0,0 +1,21 @@
+/**
+ * ===== UTILITÁRIOS DE HTML =====
+ */
+
+/**
+ * Escapa um valor para inserção segura em HTML (texto e atributos)
+ * @param {*} value - Valor a ser exibido
+ * @returns {string} Texto escapado
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = { escapeHtml };
@@ -0,0 +1,93 @@
+/**
+ * ===== ARMAZENAMENTO EMBUTIDO EM ARQUIVOS JSON-LINES =====
+ *
+ * Cada coleção é um arquivo .jsonl dentro de DATA_DIR onde cada linha
+ * é o estado completo de um registro. Ao carregar, a última linha de
+ * cada chave prevalece e o arquivo é compactado.
+ *
+ * As gravações são síncronas (appendFileSync) para que o registro esteja
+ * em disco antes de qualquer etapa posterior do fluxo.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Cria (ou abre) uma coleção persistente
+ * @param {string} fileName - Nome do arquivo dentro de DATA_DIR
+ * @param {Object} options - { key: campo usado como identificador }
+ * @returns {Object} API da coleção
+ */
+function createJsonlStore(fileName, { key = 'id' } = {}) {
+    const filePath = path.join(DATA_DIR, fileName);
+    const records = new Map();
+
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+
+    // Carrega registros existentes (linhas corrompidas são ignoradas)
+    if (fs.existsSync(filePath)) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        let invalid = 0;
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            try {
+                const record = JSON.parse(line);
+                if (record._deleted) {
+                    records.delete(record[key]);
+                } else {
+                    records.set(record[key], record);
+                }
+            } catch (error) {
+                invalid++;
+            }
+        });
+
+        if (invalid > 0) {
+            console.warn(`⚠️ ${invalid} linha(s) inválida(s) ignorada(s) em ${filePath}`);
+        }
+
+        compact();
+    }
+
+    /**
+     * Reescreve o arquivo apenas com o estado atual de cada registro
+     */
+    function compact() {
+        const tmpPath = `${filePath}.tmp`;
+        const content = Array.from(records.values()).map(record => JSON.stringify(record)).join('\n');
+        fs.writeFileSync(tmpPath, content ? `${content}\n` : '');
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    function get(id) {
+        return records.get(id) || null;
+    }
+
+    function all() {
+        return Array.from(records.values());
+    }
+
+    function set(record) {
+        if (!record || record[key] === undefined) {
+            throw new Error(`Registro sem chave "${key}"`);
+        }
+        fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+        records.set(record[key], record);
+        return record;
+    }
+
+    function remove(id) {
+        if (!records.has(id)) return false;
+        fs.appendFileSync(filePath, `${JSON.stringify({ [key]: id, _deleted: true })}\n`);
+        records.delete(id);
+        return true;
+    }
+
+    return { get, all, set, remove, compact, filePath };
+}
+
+module.exports = { createJsonlStore, DATA_DIR };
@@ -0,0 +1,167 @@
+/**
+ * ===== REPOSITÓRIO DE SOLICITAÇÕES (LEADS) =====
+ *
+ * Toda submissão de /api/consultoria é gravada aqui antes de qualquer
+ * tentativa de envio de email, para que nenhum lead dependa apenas dos logs.
+ */
+const { createJsonlStore } = require('./jsonl-store');
+
+const store = createJsonlStore('leads.jsonl', { key: 'requestId' });
+
+/**
+ * Etapas do funil de crédito e transições permitidas a partir de cada uma
+ */
+const LEAD_STATUS = {
+    'novo': { label: 'Novo', next: ['em-analise', 'recusado'] },
+    'em-analise': { label: 'Em análise', next: ['enviado-banco', 'recusado'] },
+    'enviado-banco': { label: 'Enviado ao banco', next: ['aprovado', 'recusado'] },
+    'aprovado': { label: 'Aprovado', next: [] },
+    'recusado': { label: 'Recusado', next: [] }
+};
+
+/**
+ * Extrai apenas os metadados relevantes dos arquivos do multer
+ * @param {Array} files - req.files
+ * @returns {Array} Metadados dos arquivos
+ */
+function mapFiles(files) {
+    if (!files || !Array.isArray(files)) return [];
+
+    return files.map(file => ({
+        originalname: file.originalname,
+        filename: file.filename,
+        path: file.path,
+        size: file.size,
+        mimetype: file.mimetype
+    }));
+}
+
+/**
+ * Grava uma nova solicitação
+ * @param {Object} lead - { requestId, formData, dadosCNPJ, scoreEstimado, linhasCredito, simulacao, files, origin, downloadLink, downloadPath, receivedAt }
+ * @returns {Object} Registro gravado
+ */
+function saveLead({ requestId, formData, dadosCNPJ = null, scoreEstimado = null, linhasCredito = null, simulacao = null, files = null, origin = {}, downloadLink = null, downloadPath = null, receivedAt }) {
+    const now = new Date().toISOString();
+
+    return store.set({
+        requestId,
+        status: 'novo',
+        statusChangedAt: now,
+        history: [{ from: null, to: 'novo', changedBy: 'sistema', note: null, at: now }],
+        notes: [],
+        formData: { ...formData },
+        dadosCNPJ,
+        scoreEstimado,
+        linhasCredito,
+        simulacao,
+        files: mapFiles(files),
+        origin,
+        downloadLink,
+        downloadPath,
+        emailSent: null,
+        processingError: null,
+        receivedAt: receivedAt || now,
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+/**
+ * Busca uma solicitação pelo requestId
+ * @param {string} requestId
+ * @returns {Object|null}
+ */
+function getLead(requestId) {
+    return store.get(requestId);
+}
+
+/**
+ * Atualiza campos de uma solicitação existente
+ * @param {string} requestId
+ * @param {Object} changes - Campos a sobrescrever
+ * @returns {Object|null} Registro atualizado ou null se não existir
+ */
+function updateLead(requestId, changes) {
+    const lead = store.get(requestId);
+    if (!lead) return null;
+
+    return store.set({
+        ...lead,
+        ...changes,
+        requestId,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Move uma solicitação para outra etapa do funil, respeitando as transições
+ * permitidas em LEAD_STATUS e registrando quem fez a alteração
+ * @param {string} requestId
+ * @param {string} status - Etapa de destino
+ * @param {Object} options - { changedBy, note }
+ * @returns {Object} { success, lead } ou { success: false, error, notFound }
+ */
+function changeLeadStatus(requestId, status, { changedBy, note = null } = {}) {
+    const lead = store.get(requestId);
+    if (!lead) {
+        return { success: false, notFound: true, error: 'Solicitação não encontrada' };
+    }
+
+    if (!LEAD_STATUS[status]) {
+        return { success: false, error: `Status inválido: ${status}` };
+    }
+
+    const allowed = LEAD_STATUS[lead.status].next;
+    if (!allowed.includes(status)) {
+        return {
+            success: false,
+            error: `Transição não permitida: ${lead.status} → ${status}`,
+            allowed
+        };
+    }
+
+    const now = new Date().toISOString();
+    const updated = updateLead(requestId, {
+        status,
+        statusChangedAt: now,
+        history: [...lead.history, { from: lead.status, to: status, changedBy, note, at: now }]
+    });
+
+    return { success: true, lead: updated };
+}
+
+/**
+ * Adiciona uma observação interna à solicitação
+ * @param {string} requestId
+ * @param {Object} note - { author, text }
+ * @returns {Object|null} Registro atualizado ou null se não existir
+ */
+function addLeadNote(requestId, { author, text }) {
+    const lead = store.get(requestId);
+    if (!lead) return null;
+
+    return updateLead(requestId, {
+        notes: [...(lead.notes || []), { author, text, at: new Date().toISOString() }]
+    });
+}
+
+/**
+ * Lista solicitações, das mais recentes para as mais antigas
+ * @param {Function} filter - Predicado opcional
+ * @returns {Array}
+ */
+function listLeads(filter = null) {
+    const leads = filter ? store.all().filter(filter) : store.all();
+    return leads.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+    LEAD_STATUS,
+    saveLead,
+    getLead,
+    updateLead,
+    changeLeadStatus,
+    addLeadNote,
+    listLeads
+};
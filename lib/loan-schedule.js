@@ -0,0 +1,237 @@
+/**
+ * ===== SIMULAÇÃO DE FINANCIAMENTO (ANALISTAS) =====
+ *
+ * Cronograma completo para enviar ao cliente: SAC ou Price, carência com
+ * pagamento dos juros ou capitalizada, IOF, TAC e custo efetivo total (CET).
+ * O cálculo das parcelas é o mesmo do simulador da página
+ * (public/loan-simulator.js); aqui entram os custos da operação.
+ *
+ * IOF de pessoa jurídica: alíquota adicional sobre o valor financiado mais a
+ * alíquota diária sobre cada amortização, pelos dias até o vencimento
+ * (meses de 30 dias, limitado a 365). As alíquotas mudam por decreto e podem
+ * ser informadas na requisição.
+ */
+const LoanSimulator = require('../public/loan-simulator');
+const { getProduto } = require('../public/credit-catalog');
+
+const IOF_PADRAO = {
+    aliquotaDiaria: 0.0041,
+    aliquotaAdicional: 0.38
+};
+
+const DIAS_LIMITE_IOF = 365;
+
+const arredondar = valor => Math.round(valor * 100) / 100;
+
+/**
+ * Converte números vindos de JSON ou de formulários ("1.234,56" ou "1234.56")
+ */
+function lerNumero(valor) {
+    if (typeof valor === 'number') return valor;
+    if (valor === undefined || valor === null || valor === '') return NaN;
+
+    const texto = valor.toString().trim();
+    return Number(texto.includes(',') ? texto.replace(/\./g, '').replace(',', '.') : texto);
+}
+
+/**
+ * IOF de um cronograma
+ * @param {number} valor - Principal financiado
+ * @param {Array} parcelas - Cronograma de LoanSimulator.simular
+ * @param {Object} aliquotas - { aliquotaDiaria, aliquotaAdicional } em %
+ * @returns {number} IOF em reais
+ */
+function calcularIOF(valor, parcelas, { aliquotaDiaria, aliquotaAdicional }) {
+    // Na carência capitalizada as amortizações somam mais que o principal;
+    // a base de cada uma é a sua proporção do principal
+    const totalAmortizado = parcelas.reduce((total, item) => total + item.amortizacao, 0);
+    const proporcao = totalAmortizado > 0 ? valor / totalAmortizado : 0;
+
+    const diario = parcelas.reduce((total, item) => {
+        const dias = Math.min(item.numero * 30, DIAS_LIMITE_IOF);
+        return total + item.amortizacao * proporcao * dias * (aliquotaDiaria / 100);
+    }, 0);
+
+    return arredondar(valor * (aliquotaAdicional / 100) + diario);
+}
+
+/**
+ * Taxa interna de retorno mensal do fluxo (bisseção)
+ * @param {number} liberado - Valor recebido pelo cliente
+ * @param {Array} parcelas - Cronograma
+ * @returns {number|null} Taxa mensal em % ou null se não convergir
+ */
+function calcularCETMensal(liberado, parcelas) {
+    const valorPresente = taxa => parcelas.reduce((total, item) => total + item.parcela / Math.pow(1 + taxa, item.numero), 0);
+
+    let minimo = 0;
+    let maximo = 1;
+    if (liberado <= 0 || valorPresente(minimo) < liberado || valorPresente(maximo) > liberado) return null;
+
+    for (let iteracao = 0; iteracao < 200; iteracao++) {
+        const meio = (minimo + maximo) / 2;
+        if (valorPresente(meio) > liberado) {
+            minimo = meio;
+        } else {
+            maximo = meio;
+        }
+    }
+
+    return Math.round(((minimo + maximo) / 2) * 100 * 10000) / 10000;
+}
+
+/**
+ * Lê e valida o cenário enviado pelo analista
+ * @param {Object} body - { valor, prazoMeses, carenciaMeses, carenciaTipo, sistema, taxaMensal, linha, tac, financiarCustos, iof }
+ * @returns {Object} { valid, reason, params }
+ */
+function lerCenario(body) {
+    const dados = body || {};
+    const invalid = reason => ({ valid: false, reason, params: null });
+
+    let produto = null;
+    if (dados.linha) {
+        produto = getProduto(dados.linha);
+        if (!produto) return invalid(`Linha desconhecida: ${dados.linha}`);
+    }
+
+    // Sem taxa informada, usa a taxa de referência da linha
+    const taxaMensal = dados.taxaMensal !== undefined && dados.taxaMensal !== ''
+        ? lerNumero(dados.taxaMensal)
+        : (produto ? produto.simulacao.taxaMensal : NaN);
+    if (Number.isNaN(taxaMensal)) {
+        return invalid('Informe taxaMensal ou uma linha do catálogo');
+    }
+
+    const tac = dados.tac !== undefined && dados.tac !== '' ? lerNumero(dados.tac) : 0;
+    if (!(tac >= 0)) return invalid('TAC deve ser um valor maior ou igual a zero');
+
+    let iof = null;
+    if (dados.iof !== false) {
+        const informado = dados.iof && typeof dados.iof === 'object' ? dados.iof : {};
+        iof = {
+            aliquotaDiaria: informado.aliquotaDiaria !== undefined ? lerNumero(informado.aliquotaDiaria) : IOF_PADRAO.aliquotaDiaria,
+            aliquotaAdicional: informado.aliquotaAdicional !== undefined ? lerNumero(informado.aliquotaAdicional) : IOF_PADRAO.aliquotaAdicional
+        };
+        if (!(iof.aliquotaDiaria >= 0) || !(iof.aliquotaAdicional >= 0)) {
+            return invalid('Alíquotas de IOF devem ser maiores ou iguais a zero');
+        }
+    }
+
+    const params = {
+        linha: produto ? { id: produto.id, nome: produto.nome } : null,
+        valor: lerNumero(dados.valor),
+        prazoMeses: lerNumero(dados.prazoMeses),
+        carenciaMeses: dados.carenciaMeses !== undefined && dados.carenciaMeses !== '' ? lerNumero(dados.carenciaMeses) : 0,
+        carenciaTipo: dados.carenciaTipo || 'juros',
+        taxaMensal,
+        sistema: (dados.sistema || '').toString().toLowerCase(),
+        tac,
+        iof,
+        financiarCustos: dados.financiarCustos === true || dados.financiarCustos === 'true'
+    };
+
+    const validacao = LoanSimulator.validarParametros(params);
+    if (!validacao.valid) return invalid(validacao.reason);
+
+    return { valid: true, reason: null, params };
+}
+
+/**
+ * Calcula o cronograma com IOF, TAC e CET
+ * Com financiarCustos, IOF e TAC entram no valor financiado e o cliente
+ * recebe o valor pedido; sem, são descontados do valor liberado.
+ * @param {Object} body - Cenário (ver lerCenario)
+ * @returns {Object} { success, simulacao: { parametros, parcelas, resumo } } ou { success: false, error }
+ */
+function calcularCronograma(body) {
+    const cenario = lerCenario(body);
+    if (!cenario.valid) {
+        return { success: false, error: cenario.reason };
+    }
+
+    const { params } = cenario;
+    const simular = valor => LoanSimulator.simular({ ...params, valor });
+    const iofDe = (valor, resultado) => params.iof ? calcularIOF(valor, resultado.parcelas, params.iof) : 0;
+
+    let valorFinanciado = params.valor;
+    let resultado = simular(valorFinanciado);
+    let iof = iofDe(valorFinanciado, resultado);
+
+    if (params.financiarCustos && (iof > 0 || params.tac > 0)) {
+        // O IOF é proporcional ao valor financiado: F = (valor + TAC) / (1 - IOF/valor)
+        const fatorIOF = iof / params.valor;
+        valorFinanciado = arredondar((params.valor + params.tac) / (1 - fatorIOF));
+        resultado = simular(valorFinanciado);
+        iof = iofDe(valorFinanciado, resultado);
+    }
+
+    const valorLiberado = params.financiarCustos
+        ? arredondar(valorFinanciado - iof - params.tac)
+        : arredondar(params.valor - iof - params.tac);
+    const cetMensal = calcularCETMensal(valorLiberado, resultado.parcelas);
+
+    return {
+        success: true,
+        simulacao: {
+            parametros: {
+                linha: params.linha,
+                valor: params.valor,
+                valorFinanciado,
+                prazoMeses: params.prazoMeses,
+                carenciaMeses: params.carenciaMeses,
+                carenciaTipo: params.carenciaTipo,
+                taxaMensal: params.taxaMensal,
+                sistema: params.sistema,
+                financiarCustos: params.financiarCustos,
+                iof: params.iof
+            },
+            parcelas: resultado.parcelas,
+            resumo: {
+                primeiraParcela: resultado.primeiraParcela,
+                ultimaParcela: resultado.ultimaParcela,
+                totalPago: resultado.totalPago,
+                totalJuros: resultado.totalJuros,
+                iof,
+                tac: params.tac,
+                valorLiberado,
+                cetMensal,
+                cetAnual: cetMensal === null ? null : Math.round((Math.pow(1 + cetMensal / 100, 12) - 1) * 100 * 100) / 100
+            }
+        }
+    };
+}
+
+/**
+ * Cronograma em CSV (separador ";" e vírgula decimal, como o Excel em português espera)
+ * @param {Object} simulacao - Resultado de calcularCronograma
+ * @returns {string} CSV com BOM UTF-8
+ */
+function cronogramaCSV(simulacao) {
+    const decimal = valor => valor.toFixed(2).replace('.', ',');
+    const { parametros, parcelas, resumo } = simulacao;
+
+    const linhas = [
+        ['Mês', 'Parcela', 'Juros', 'Amortização', 'Saldo devedor'].join(';'),
+        ...parcelas.map(item => [item.numero, decimal(item.parcela), decimal(item.juros), decimal(item.amortizacao), decimal(item.saldo)].join(';')),
+        ['Total', decimal(resumo.totalPago), decimal(resumo.totalJuros), decimal(parametros.valorFinanciado), ''].join(';'),
+        '',
+        `Valor financiado;${decimal(parametros.valorFinanciado)}`,
+        `Taxa de juros (% a.m.);${decimal(parametros.taxaMensal)}`,
+        `Sistema;${parametros.sistema.toUpperCase()}`,
+        `Carência (meses);${parametros.carenciaMeses}`,
+        `IOF;${decimal(resumo.iof)}`,
+        `TAC;${decimal(resumo.tac)}`,
+        `Valor liberado;${decimal(resumo.valorLiberado)}`,
+        `CET (% a.m.);${resumo.cetMensal === null ? '' : decimal(resumo.cetMensal)}`,
+        `CET (% a.a.);${resumo.cetAnual === null ? '' : decimal(resumo.cetAnual)}`
+    ];
+
+    return '\uFEFF' + linhas.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    IOF_PADRAO,
+    calcularCronograma,
+    cronogramaCSV
+};
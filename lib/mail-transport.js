@@ -0,0 +1,302 @@
+/**
+ * ===== TRANSPORTE DE EMAIL =====
+ *
+ * O envio é feito pelo transporte escolhido em MAIL_TRANSPORT, sem mudar o código:
+ * - smtp (padrão): servidor SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, EMAIL_USER, EMAIL_PASS)
+ * - file: grava cada email como .eml em MAIL_FILE_DIR (padrão DATA_DIR/mail), para
+ *   desenvolvimento e CI rodarem o fluxo completo sem caixa de email
+ * - http: API HTTP de um provedor (MAIL_HTTP_PROVIDER), com a chave em MAIL_HTTP_API_KEY
+ *
+ * Todos são transporters do Nodemailer: sendMail, verify e os anexos funcionam
+ * igual para quem envia. Novos provedores HTTP entram com registerHttpProvider.
+ */
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { DATA_DIR } = require('./jsonl-store');
+
+const MAIL_TRANSPORTS = {
+    smtp: 'SMTP',
+    file: 'Arquivos .eml (desenvolvimento)',
+    http: 'API HTTP'
+};
+
+const HTTP_TIMEOUT_MS = parseInt(process.env.MAIL_HTTP_TIMEOUT_MS) || 15000;
+
+/**
+ * Provedores do transporte HTTP
+ * Estrutura: { nome: { requiredEnv, buildRequest, getMessageId } }
+ */
+const httpProviders = new Map();
+
+/**
+ * Registra (ou substitui) um provedor de envio por API HTTP
+ * @param {string} name - Valor de MAIL_HTTP_PROVIDER
+ * @param {Object} provider
+ * @param {Array} provider.requiredEnv - Variáveis de ambiente obrigatórias
+ * @param {Function} provider.buildRequest - (mensagem) => { url, headers, body }; a mensagem
+ *   vem normalizada pelo Nodemailer: { from, to, cc, bcc, replyTo, subject, html, text,
+ *   attachments: [{ filename, content (base64), contentType, cid }], messageId }
+ * @param {Function} provider.getMessageId - (resposta, corpo JSON ou null) => id do provedor (opcional)
+ */
+function registerHttpProvider(name, { requiredEnv = [], buildRequest, getMessageId = null }) {
+    if (!name || typeof buildRequest !== 'function') {
+        throw new Error('Provedor de email HTTP precisa de name e buildRequest');
+    }
+
+    httpProviders.set(name, { name, requiredEnv, buildRequest, getMessageId });
+}
+
+const addressList = value => [].concat(value || []);
+
+// Genérico: envia a mensagem normalizada em JSON para MAIL_HTTP_URL
+// (serviços próprios, relays internos ou um servidor de testes no CI)
+registerHttpProvider('webhook', {
+    requiredEnv: ['MAIL_HTTP_URL'],
+    buildRequest: message => ({
+        url: process.env.MAIL_HTTP_URL,
+        headers: process.env.MAIL_HTTP_API_KEY ? { Authorization: `Bearer ${process.env.MAIL_HTTP_API_KEY}` } : {},
+        body: message
+    }),
+    getMessageId: (response, body) => (body && (body.messageId || body.id)) || null
+});
+
+registerHttpProvider('sendgrid', {
+    requiredEnv: ['MAIL_HTTP_API_KEY'],
+    buildRequest: message => ({
+        url: process.env.MAIL_HTTP_URL || 'https://api.sendgrid.com/v3/mail/send',
+        headers: { Authorization: `Bearer ${process.env.MAIL_HTTP_API_KEY}` },
+        body: {
+            personalizations: [{
+                to: addressList(message.to).map(({ name, address }) => ({ email: address, name: name || undefined })),
+                cc: message.cc ? addressList(message.cc).map(({ name, address }) => ({ email: address, name: name || undefined })) : undefined,
+                bcc: message.bcc ? addressList(message.bcc).map(({ name, address }) => ({ email: address, name: name || undefined })) : undefined
+            }],
+            from: { email: message.from.address, name: message.from.name || undefined },
+            subject: message.subject,
+            content: [
+                ...(message.text ? [{ type: 'text/plain', value: message.text }] : []),
+                ...(message.html ? [{ type: 'text/html', value: message.html }] : [])
+            ],
+            attachments: message.attachments && message.attachments.length > 0
+                ? message.attachments.map(attachment => ({
+                    content: attachment.content,
+                    filename: attachment.filename,
+                    type: attachment.contentType,
+                    disposition: attachment.cid ? 'inline' : 'attachment',
+                    content_id: attachment.cid || undefined
+                }))
+                : undefined
+        }
+    }),
+    getMessageId: response => response.headers.get('x-message-id')
+});
+
+/**
+ * Configuração do servidor SMTP
+ * Para usar Gmail:
+ * 1. Ative a verificação em duas etapas
+ * 2. Gere uma senha de app: https://myaccount.google.com/apppasswords
+ * 3. Use a senha de app no lugar da senha normal
+ */
+function smtpConfig() {
+    return {
+        host: process.env.SMTP_HOST || 'smtp.gmail.com',
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true', // true para 465, false para outras portas
+        auth: {
+            user: process.env.EMAIL_USER || 'seu-email@gmail.com',
+            pass: process.env.EMAIL_PASS || 'sua-senha-de-app'
+        },
+        // Configurações de timeout para resolver problemas de conexão
+        connectionTimeout: 60000, // 60 segundos para conexão
+        greetingTimeout: 30000,   // 30 segundos para greeting
+        socketTimeout: 60000,     // 60 segundos para socket
+        // Configurações adicionais para estabilidade
+        pool: true,
+        maxConnections: 5,
+        maxMessages: 100,
+        rateLimit: 14 // máximo 14 emails por segundo
+    };
+}
+
+/**
+ * verify() do Nodemailer aceita callback ou devolve uma Promise (como no SMTP)
+ */
+function withCallback(promise, done) {
+    if (typeof done !== 'function') return promise;
+    promise.then(result => done(null, result), done);
+}
+
+/**
+ * Transporte que grava a mensagem completa (MIME, com anexos) em um arquivo .eml,
+ * que pode ser aberto em qualquer cliente de email
+ */
+function fileTransport(dir) {
+    return {
+        name: 'FileTransport',
+        version: '1.0.0',
+        send(mail, done) {
+            const messageId = mail.message.messageId();
+            mail.message.keepBcc = true;
+
+            mail.message.build(async (error, raw) => {
+                if (error) return done(error);
+
+                const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const file = path.join(dir, `${stamp}-${messageId.replace(/[<>]/g, '').replace(/[^a-zA-Z0-9.@-]/g, '_')}.eml`);
+                try {
+                    await fs.promises.mkdir(dir, { recursive: true });
+                    await fs.promises.writeFile(file, raw);
+                    done(null, { envelope: mail.message.getEnvelope(), messageId, file });
+                } catch (writeError) {
+                    done(writeError);
+                }
+            });
+        },
+        verify(done) {
+            return withCallback(fs.promises.mkdir(dir, { recursive: true })
+                .then(() => fs.promises.access(dir, fs.constants.W_OK))
+                .then(() => true), done);
+        }
+    };
+}
+
+/**
+ * Transporte que envia pela API HTTP do provedor. Respostas fora de 2xx viram
+ * erros com code 'EHTTP' (e o status HTTP), para a fila de emails tentar de novo.
+ */
+function httpTransport(provider) {
+    return {
+        name: `HttpTransport (${provider.name})`,
+        version: '1.0.0',
+        send(mail, done) {
+            const messageId = mail.message.messageId();
+
+            mail.normalize(async (error, message) => {
+                if (error) return done(error);
+
+                try {
+                    delete message.envelope;
+                    delete message.normalizedHeaders;
+                    const request = provider.buildRequest({ ...message, messageId });
+
+                    const response = await fetch(request.url, {
+                        method: request.method || 'POST',
+                        headers: { 'Content-Type': 'application/json', ...request.headers },
+                        body: JSON.stringify(request.body),
+                        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+                    });
+
+                    const text = await response.text();
+                    if (!response.ok) {
+                        const httpError = new Error(`${provider.name} respondeu HTTP ${response.status}: ${text.slice(0, 300)}`);
+                        httpError.code = 'EHTTP';
+                        httpError.status = response.status;
+                        return done(httpError);
+                    }
+
+                    let body = null;
+                    try {
+                        body = text ? JSON.parse(text) : null;
+                    } catch (parseError) {
+                        body = null;
+                    }
+
+                    const providerId = provider.getMessageId ? provider.getMessageId(response, body) : null;
+                    done(null, { envelope: mail.message.getEnvelope(), messageId: providerId || messageId });
+                } catch (requestError) {
+                    if (requestError.name === 'TimeoutError') {
+                        requestError.code = 'ETIMEDOUT';
+                    }
+                    done(requestError);
+                }
+            });
+        },
+        verify(done) {
+            // Não há conexão para testar; confere apenas a configuração
+            const missing = provider.requiredEnv.filter(name => !process.env[name]);
+            return withCallback(missing.length > 0
+                ? Promise.reject(new Error(`Variáveis não configuradas: ${missing.join(', ')}`))
+                : Promise.resolve(true), done);
+        }
+    };
+}
+
+/**
+ * Transporte configurado em MAIL_TRANSPORT (padrão: smtp)
+ * @returns {string}
+ */
+function getMailTransportKind() {
+    return (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase();
+}
+
+/**
+ * Variáveis de ambiente que o transporte configurado exige
+ * @returns {Array}
+ */
+function requiredMailEnv() {
+    const kind = getMailTransportKind();
+    if (kind === 'smtp') return ['EMAIL_USER', 'EMAIL_PASS'];
+    if (kind === 'http') {
+        const provider = httpProviders.get(process.env.MAIL_HTTP_PROVIDER || 'webhook');
+        return ['EMAIL_USER', ...(provider ? provider.requiredEnv : [])];
+    }
+    return [];
+}
+
+/**
+ * Descrição do transporte para os logs de inicialização
+ * @returns {string} Ex.: "SMTP (smtp.gmail.com:587)"
+ */
+function describeMailTransport() {
+    const kind = getMailTransportKind();
+    if (kind === 'smtp') {
+        const config = smtpConfig();
+        return `${MAIL_TRANSPORTS.smtp} (${config.host}:${config.port})`;
+    }
+    if (kind === 'file') return `${MAIL_TRANSPORTS.file} em ${mailFileDir()}`;
+    if (kind === 'http') return `${MAIL_TRANSPORTS.http} (${process.env.MAIL_HTTP_PROVIDER || 'webhook'})`;
+    return kind;
+}
+
+function mailFileDir() {
+    return path.resolve(process.env.MAIL_FILE_DIR || path.join(DATA_DIR, 'mail'));
+}
+
+/**
+ * Cria o transporter do Nodemailer para o transporte configurado
+ * @param {Object} smtpOptions - Ajustes da configuração SMTP (ex.: { pool: false } na função serverless)
+ * @returns {Object} Transporter (sendMail, verify)
+ */
+function createMailTransport(smtpOptions = {}) {
+    const kind = getMailTransportKind();
+
+    if (kind === 'smtp') {
+        return nodemailer.createTransport({ ...smtpConfig(), ...smtpOptions });
+    }
+
+    if (kind === 'file') {
+        return nodemailer.createTransport(fileTransport(mailFileDir()));
+    }
+
+    if (kind === 'http') {
+        const providerName = process.env.MAIL_HTTP_PROVIDER || 'webhook';
+        const provider = httpProviders.get(providerName);
+        if (!provider) {
+            throw new Error(`MAIL_HTTP_PROVIDER desconhecido: ${providerName} (disponíveis: ${Array.from(httpProviders.keys()).join(', ')})`);
+        }
+        return nodemailer.createTransport(httpTransport(provider));
+    }
+
+    throw new Error(`MAIL_TRANSPORT desconhecido: ${kind} (use ${Object.keys(MAIL_TRANSPORTS).join(', ')})`);
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    registerHttpProvider,
+    getMailTransportKind,
+    requiredMailEnv,
+    describeMailTransport,
+    createMailTransport
+};
@@ -0,0 +1,204 @@
+/**
+ * ===== REGRAS DO SCORE ESTIMADO =====
+ *
+ * Pesos, faixas e listas de palavras usados por calcularScoreEstimado ficam
+ * em um conjunto de regras versionado. Cada alteração feita pelo dashboard
+ * grava uma nova versão (as anteriores continuam disponíveis para consulta)
+ * e a versão mais recente é a ativa.
+ *
+ * Na primeira execução, sem regras em DATA_DIR, a versão 1 é criada a
+ * partir de lib/score-rules.json.
+ */
+const path = require('path');
+const fs = require('fs');
+const { createJsonlStore } = require('./jsonl-store');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'score-rules.json');
+const DEFAULT_RULES = JSON.parse(fs.readFileSync(DEFAULT_RULES_FILE, 'utf8'));
+
+const store = createJsonlStore('score-rules.jsonl', { key: 'version' });
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Valida a estrutura de um conjunto de regras
+ * @param {Object} rules - Regras (sem os metadados de versão)
+ * @returns {Object} { valid, reason }
+ */
+function validateScoreRules(rules) {
+    const invalid = reason => ({ valid: false, reason });
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return invalid('As regras devem ser um objeto JSON');
+    }
+
+    const { situacao, tempoAtividade, capitalSocial, atividade, endereco, regimeTributario, declarados, classificacao } = rules;
+
+    if (!situacao || !isNumber(situacao.ativa) || !isNumber(situacao.suspensa)) {
+        return invalid('situacao precisa de "ativa" e "suspensa" numéricos');
+    }
+
+    if (!Array.isArray(tempoAtividade) || tempoAtividade.length === 0
+        || !tempoAtividade.every(faixa => isNumber(faixa.anos) && isNumber(faixa.pontos))) {
+        return invalid('tempoAtividade precisa de faixas com "anos" e "pontos"');
+    }
+
+    if (!Array.isArray(capitalSocial) || capitalSocial.length === 0
+        || !capitalSocial.every(faixa => isNumber(faixa.minimo) && isNumber(faixa.pontos) && typeof faixa.descricao === 'string')) {
+        return invalid('capitalSocial precisa de faixas com "minimo", "pontos" e "descricao"');
+    }
+
+    if (!atividade || !isNumber(atividade.demais)) {
+        return invalid('atividade precisa de "demais" numérico');
+    }
+    for (const nivel of ['baixoRisco', 'medioRisco']) {
+        const grupo = atividade[nivel];
+        if (!grupo || !isNumber(grupo.pontos) || !Array.isArray(grupo.palavras)
+            || !grupo.palavras.every(palavra => typeof palavra === 'string' && palavra.trim())) {
+            return invalid(`atividade.${nivel} precisa de "pontos" e de uma lista de "palavras"`);
+        }
+    }
+    if (atividade.altoRisco !== undefined && !isNumber((atividade.altoRisco || {}).pontos)) {
+        return invalid('atividade.altoRisco precisa de "pontos" numérico');
+    }
+
+    if (!endereco || !isNumber(endereco.completo) || !isNumber(endereco.parcial)) {
+        return invalid('endereco precisa de "completo" e "parcial" numéricos');
+    }
+
+    if (!regimeTributario || !isNumber(regimeTributario.optante) || !isNumber(regimeTributario.exclusaoRecente)
+        || !isNumber(regimeTributario.anosExclusaoRecente)) {
+        return invalid('regimeTributario precisa de "optante", "exclusaoRecente" e "anosExclusaoRecente" numéricos');
+    }
+
+    // Seção opcional: versões anteriores à pontuação dos dados declarados não a possuem
+    if (declarados !== undefined) {
+        const faixasValidas = faixas => Array.isArray(faixas) && faixas.every(faixa => isNumber(faixa.minimo) && isNumber(faixa.pontos));
+        const mapaValido = mapa => mapa && typeof mapa === 'object' && Object.values(mapa).every(isNumber);
+
+        if (!declarados || !isNumber(declarados.peso) || declarados.peso < 0 || declarados.peso > 1) {
+            return invalid('declarados.peso deve ser um número entre 0 e 1');
+        }
+        if (!isNumber(declarados.penalidadeAlerta)) {
+            return invalid('declarados precisa de "penalidadeAlerta" numérico');
+        }
+        if (!mapaValido(declarados.faturamento) || !mapaValido(declarados.tempoExistencia)) {
+            return invalid('declarados.faturamento e declarados.tempoExistencia devem mapear cada faixa do formulário para pontos');
+        }
+        if (!faixasValidas(declarados.bancos) || !faixasValidas(declarados.documentos)) {
+            return invalid('declarados.bancos e declarados.documentos precisam de faixas com "minimo" e "pontos"');
+        }
+    }
+
+    if (!Array.isArray(classificacao) || classificacao.length === 0
+        || !classificacao.every(faixa => isNumber(faixa.minimo) && faixa.nome && faixa.cor && faixa.recomendacao)) {
+        return invalid('classificacao precisa de faixas com "minimo", "nome", "cor" e "recomendacao"');
+    }
+    if (!classificacao.some(faixa => faixa.minimo <= 0)) {
+        return invalid('classificacao precisa de uma faixa com "minimo" 0 para cobrir qualquer pontuação');
+    }
+
+    return { valid: true, reason: null };
+}
+
+/**
+ * Ordena as faixas da maior para a menor, como o cálculo espera
+ */
+function ordenarFaixas(rules) {
+    const desc = campo => (a, b) => b[campo] - a[campo];
+    return {
+        ...rules,
+        tempoAtividade: [...rules.tempoAtividade].sort(desc('anos')),
+        capitalSocial: [...rules.capitalSocial].sort(desc('minimo')),
+        classificacao: [...rules.classificacao].sort(desc('minimo'))
+    };
+}
+
+/**
+ * Pontuação máxima de cada critério (usada no detalhamento "x/máximo")
+ * @param {Object} rules - Regras
+ * @returns {Object} { situacao, tempo_atividade, capital_social, atividade_principal, endereco, regime_tributario }
+ */
+function pontuacaoMaxima(rules) {
+    const maior = lista => Math.max(0, ...lista);
+    return {
+        situacao: rules.situacao.ativa,
+        tempo_atividade: maior(rules.tempoAtividade.map(faixa => faixa.pontos)),
+        capital_social: maior(rules.capitalSocial.map(faixa => faixa.pontos)),
+        atividade_principal: maior([rules.atividade.baixoRisco.pontos, rules.atividade.medioRisco.pontos, rules.atividade.demais]),
+        endereco: rules.endereco.completo,
+        regime_tributario: rules.regimeTributario.optante
+    };
+}
+
+/**
+ * Versões gravadas, da mais recente para a mais antiga
+ */
+function listScoreRuleVersions() {
+    return store.all()
+        .sort((a, b) => b.version - a.version)
+        .map(({ version, createdAt, createdBy, note }) => ({ version, createdAt, createdBy, note }));
+}
+
+/**
+ * Busca uma versão específica
+ * @returns {Object|null} { version, createdAt, createdBy, note, rules }
+ */
+function getScoreRuleVersion(version) {
+    return store.get(Number(version));
+}
+
+/**
+ * Versão ativa (a mais recente)
+ * @returns {Object} { version, createdAt, createdBy, note, rules }
+ */
+function getScoreRules() {
+    const [latest] = listScoreRuleVersions();
+    return store.get(latest.version);
+}
+
+/**
+ * Grava uma nova versão das regras, que passa a ser a ativa
+ * @param {Object} rules - Regras editadas
+ * @param {Object} meta - { by: usuário, note: observação opcional }
+ * @returns {Object} { success, record } ou { success: false, error }
+ */
+function saveScoreRules(rules, { by = null, note = '' } = {}) {
+    const validation = validateScoreRules(rules);
+    if (!validation.valid) {
+        return { success: false, error: validation.reason };
+    }
+
+    const versions = listScoreRuleVersions();
+    const record = store.set({
+        version: versions.length > 0 ? versions[0].version + 1 : 1,
+        createdAt: new Date().toISOString(),
+        createdBy: by,
+        note: (note || '').toString().trim().slice(0, 200),
+        rules: ordenarFaixas(rules)
+    });
+
+    return { success: true, record };
+}
+
+// Cria a versão 1 a partir do arquivo padrão quando ainda não há regras gravadas
+if (store.all().length === 0) {
+    const result = saveScoreRules(DEFAULT_RULES, {
+        by: 'sistema',
+        note: 'Regras padrão (lib/score-rules.json)'
+    });
+
+    if (!result.success) {
+        throw new Error(`Regras padrão do score inválidas: ${result.error}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    validateScoreRules,
+    pontuacaoMaxima,
+    listScoreRuleVersions,
+    getScoreRuleVersion,
+    getScoreRules,
+    saveScoreRules
+};
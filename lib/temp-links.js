@@ -0,0 +1,420 @@
+/**
+ * ===== SISTEMA DE LINKS TEMPORÁRIOS =====
+ *
+ * Links de download enviados por email e WhatsApp. Ficam persistidos em
+ * disco para continuarem válidos após reinícios e deploys do servidor.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonlStore } = require('./jsonl-store');
+
+/**
+ * Estrutura: { linkId, requestId, empresa, files, recipients, createdAt, downloads, maxDownloads, expiresAt, active,
+ *              revokedAt, revokedBy, revokeReason, reissuedFrom }
+ * recipients: [{ id, type, name, email, requireOtp, createdAt, revokedAt }] - destinatários com URL assinada própria
+ * Datas armazenadas em ISO 8601
+ */
+const store = createJsonlStore('download-links.jsonl', { key: 'linkId' });
+
+/**
+ * Horas que um link vencido continua guardado (com os arquivos) antes da
+ * limpeza, para ainda poder ser prorrogado, ampliado ou reemitido
+ */
+const LINK_GRACE_HOURS = parseInt(process.env.DOWNLOAD_LINK_GRACE_HOURS) || 72;
+
+/**
+ * Gera um link temporário único para download de arquivos
+ * @param {Array} files - Arquivos do multer
+ * @param {number} maxDownloads - Limite de downloads
+ * @param {number} expirationHours - Validade em horas
+ * @param {Object} meta - { requestId, empresa } da solicitação de origem e, na reemissão, reissuedFrom
+ */
+function generateTempLink(files, maxDownloads = 5, expirationHours = 48, meta = {}) {
+    const linkId = crypto.randomBytes(8).toString('hex').toUpperCase();
+    const expiresAt = new Date(Date.now() + (expirationHours * 60 * 60 * 1000));
+
+    store.set({
+        linkId,
+        requestId: meta.requestId || null,
+        empresa: meta.empresa || null,
+        files: (files || []).map(file => ({
+            originalname: file.originalname,
+            filename: file.filename,
+            path: file.path,
+            size: file.size,
+            mimetype: file.mimetype
+        })),
+        recipients: [],
+        createdAt: new Date().toISOString(),
+        downloads: 0,
+        maxDownloads,
+        expiresAt: expiresAt.toISOString(),
+        active: true,
+        revokedAt: null,
+        revokedBy: null,
+        revokeReason: null,
+        reissuedFrom: meta.reissuedFrom || null
+    });
+
+    console.log(`Link temporário criado: ${linkId} - Expira em: ${expiresAt.toLocaleString('pt-BR')}`);
+    return linkId;
+}
+
+/**
+ * Busca um link pelo id, independentemente de estar válido
+ */
+function getTempLink(linkId) {
+    return store.get(linkId);
+}
+
+/**
+ * Cadastra um destinatário no link
+ * @param {string} linkId
+ * @param {Object} recipient - { type, name, email, requireOtp }
+ * @returns {Object|null} Destinatário criado ou null se o link não existir
+ */
+function addLinkRecipient(linkId, { type, name, email = null, requireOtp = false }) {
+    const link = store.get(linkId);
+    if (!link) return null;
+
+    const recipient = {
+        id: crypto.randomBytes(6).toString('hex'),
+        type,
+        name,
+        email,
+        requireOtp: Boolean(requireOtp),
+        createdAt: new Date().toISOString()
+    };
+
+    store.set({ ...link, recipients: [...(link.recipients || []), recipient] });
+    return recipient;
+}
+
+/**
+ * Revoga a URL de um destinatário sem afetar os demais
+ * @returns {Object} { success, link } ou { success: false, error, notFound }
+ */
+function revokeLinkRecipient(linkId, recipientId) {
+    const link = store.get(linkId);
+    if (!link) {
+        return { success: false, notFound: true, error: 'Link não encontrado' };
+    }
+
+    const recipient = getLinkRecipient(link, recipientId);
+    if (!recipient) {
+        return { success: false, notFound: true, error: 'Destinatário não encontrado' };
+    }
+    if (recipient.revokedAt) {
+        return { success: false, error: 'Destinatário já revogado' };
+    }
+
+    const recipients = link.recipients.map(item =>
+        item.id === recipientId ? { ...item, revokedAt: new Date().toISOString() } : item
+    );
+
+    return { success: true, link: store.set({ ...link, recipients }) };
+}
+
+/**
+ * Busca um destinatário do link
+ */
+function getLinkRecipient(link, recipientId) {
+    return (link.recipients || []).find(recipient => recipient.id === recipientId) || null;
+}
+
+/**
+ * Desativa um link persistindo o estado
+ */
+function deactivate(link) {
+    store.set({ ...link, active: false });
+}
+
+/**
+ * Situação atual de um link: ativo, revogado, expirado, esgotado ou desativado
+ */
+function getLinkStatus(link) {
+    if (link.revokedAt) return 'revogado';
+    if (new Date() > new Date(link.expiresAt)) return 'expirado';
+    if (link.downloads >= link.maxDownloads) return 'esgotado';
+    return link.active ? 'ativo' : 'desativado';
+}
+
+/**
+ * Valida se um link temporário ainda é válido
+ */
+function validateTempLink(linkId) {
+    const link = store.get(linkId);
+
+    if (!link) {
+        return { valid: false, reason: 'Link não encontrado' };
+    }
+
+    if (link.revokedAt) {
+        return { valid: false, reason: 'Link revogado' };
+    }
+
+    if (!link.active) {
+        return { valid: false, reason: 'Link desativado' };
+    }
+
+    if (new Date() > new Date(link.expiresAt)) {
+        deactivate(link);
+        return { valid: false, reason: 'Link expirado' };
+    }
+
+    if (link.downloads >= link.maxDownloads) {
+        deactivate(link);
+        return { valid: false, reason: 'Limite de downloads atingido' };
+    }
+
+    return { valid: true, link };
+}
+
+/**
+ * Incrementa contador de downloads de um link
+ */
+function incrementDownload(linkId) {
+    const link = store.get(linkId);
+    if (link) {
+        const updated = store.set({ ...link, downloads: link.downloads + 1 });
+        console.log(`Download ${updated.downloads}/${updated.maxDownloads} para link ${linkId}`);
+    }
+}
+
+/**
+ * Confere se todos os arquivos do link ainda existem no disco
+ */
+function hasLinkFiles(link) {
+    return link.files.every(file => file.path && fs.existsSync(file.path));
+}
+
+/**
+ * Carrega um link que ainda pode ser alterado pelo administrador
+ * @returns {Object} { link } ou { error, notFound }
+ */
+function getEditableLink(linkId) {
+    const link = store.get(linkId);
+    if (!link) {
+        return { notFound: true, error: 'Link não encontrado' };
+    }
+    if (link.revokedAt) {
+        return { error: 'Link revogado não pode ser alterado. Gere um novo link.' };
+    }
+    if (!hasLinkFiles(link)) {
+        return { error: 'Os arquivos deste link já foram removidos do servidor' };
+    }
+    return { link };
+}
+
+/**
+ * Revoga um link imediatamente (ex.: enviado para a pessoa errada)
+ * @param {string} linkId
+ * @param {Object} options - { by, reason }
+ * @returns {Object} { success, link } ou { success: false, error, notFound }
+ */
+function revokeTempLink(linkId, { by = null, reason = null } = {}) {
+    const link = store.get(linkId);
+    if (!link) {
+        return { success: false, notFound: true, error: 'Link não encontrado' };
+    }
+    if (link.revokedAt) {
+        return { success: false, error: 'Link já revogado' };
+    }
+
+    const updated = store.set({
+        ...link,
+        active: false,
+        revokedAt: new Date().toISOString(),
+        revokedBy: by,
+        revokeReason: reason
+    });
+
+    console.log(`Link temporário revogado: ${linkId}${by ? ` por ${by}` : ''}`);
+    return { success: true, link: updated };
+}
+
+/**
+ * Prorroga a validade de um link, reativando-o se havia expirado
+ * @param {string} linkId
+ * @param {number} hours - Horas adicionadas a partir da validade atual (ou de agora, se já expirou)
+ * @returns {Object} { success, link } ou { success: false, error, notFound }
+ */
+function extendTempLink(linkId, hours) {
+    const { link, error, notFound } = getEditableLink(linkId);
+    if (!link) {
+        return { success: false, notFound, error };
+    }
+
+    const base = Math.max(Date.now(), new Date(link.expiresAt).getTime());
+    const expiresAt = new Date(base + hours * 60 * 60 * 1000).toISOString();
+    const updated = store.set({ ...link, expiresAt, active: link.downloads < link.maxDownloads });
+
+    console.log(`Link temporário ${linkId} prorrogado até ${new Date(expiresAt).toLocaleString('pt-BR')}`);
+    return { success: true, link: updated };
+}
+
+/**
+ * Amplia o limite de downloads de um link, reativando-o se havia esgotado
+ * @param {string} linkId
+ * @param {number} extraDownloads - Downloads adicionados ao limite atual
+ * @returns {Object} { success, link } ou { success: false, error, notFound }
+ */
+function raiseDownloadQuota(linkId, extraDownloads) {
+    const { link, error, notFound } = getEditableLink(linkId);
+    if (!link) {
+        return { success: false, notFound, error };
+    }
+
+    const maxDownloads = link.maxDownloads + extraDownloads;
+    const updated = store.set({ ...link, maxDownloads, active: new Date() <= new Date(link.expiresAt) });
+
+    console.log(`Link temporário ${linkId} com novo limite de ${maxDownloads} downloads`);
+    return { success: true, link: updated };
+}
+
+/**
+ * Gera um novo link para os mesmos arquivos e revoga o anterior
+ * @param {string} linkId
+ * @param {Object} options - { maxDownloads, expirationHours, by }
+ * @returns {Object} { success, link, previous } ou { success: false, error, notFound }
+ */
+function reissueTempLink(linkId, { maxDownloads, expirationHours, by = null }) {
+    const previous = store.get(linkId);
+    if (!previous) {
+        return { success: false, notFound: true, error: 'Link não encontrado' };
+    }
+    if (!hasLinkFiles(previous)) {
+        return { success: false, error: 'Os arquivos deste link já foram removidos do servidor' };
+    }
+
+    const newLinkId = generateTempLink(previous.files, maxDownloads, expirationHours, {
+        requestId: previous.requestId,
+        empresa: previous.empresa,
+        reissuedFrom: linkId
+    });
+
+    const revoked = previous.revokedAt
+        ? previous
+        : revokeTempLink(linkId, { by, reason: `Reemitido como ${newLinkId}` }).link;
+
+    return { success: true, link: store.get(newLinkId), previous: revoked };
+}
+
+/**
+ * Quantos links guardados usam cada arquivo (um link reemitido compartilha
+ * os arquivos do anterior)
+ * @returns {Map} caminho absoluto => número de links
+ */
+function countFileReferences() {
+    const references = new Map();
+    store.all().forEach(link => {
+        new Set((link.files || []).filter(file => file.path).map(file => path.resolve(file.path)))
+            .forEach(filePath => references.set(filePath, (references.get(filePath) || 0) + 1));
+    });
+    return references;
+}
+
+/**
+ * Remove os arquivos físicos de um link já excluído do store que não sejam
+ * usados por nenhum outro link guardado, em qualquer situação
+ */
+function removeLinkFiles(link) {
+    if (!link.files || !Array.isArray(link.files)) return;
+
+    const references = countFileReferences();
+
+    link.files.forEach(file => {
+        if (file.path && !references.has(path.resolve(file.path)) && fs.existsSync(file.path)) {
+            try {
+                fs.unlinkSync(file.path);
+                console.log(`Arquivo removido: ${file.path}`);
+            } catch (error) {
+                console.error(`Erro ao remover arquivo ${file.path}:`, error.message);
+            }
+        }
+    });
+}
+
+/**
+ * Limpa links vencidos automaticamente
+ * Todo link (ativo, esgotado, desativado ou revogado) fica guardado até
+ * LINK_GRACE_HOURS depois da validade, para que ainda possa ser reativado
+ * ou reemitido; só então o link e os arquivos sem outras referências saem
+ */
+function cleanupExpiredLinks() {
+    const limit = Date.now() - LINK_GRACE_HOURS * 60 * 60 * 1000;
+    let cleaned = 0;
+
+    store.all().forEach(link => {
+        if (new Date(link.expiresAt).getTime() < limit) {
+            store.remove(link.linkId);
+            removeLinkFiles(link);
+            cleaned++;
+        }
+    });
+
+    if (cleaned > 0) {
+        console.log(`${cleaned} links temporários vencidos foram removidos`);
+    }
+}
+
+/**
+ * Reconcilia a pasta de uploads com os links persistidos na inicialização:
+ * - remove arquivos que não pertencem a nenhum link guardado (órfãos)
+ * - desativa links cujos arquivos não existem mais no disco
+ * @param {string} uploadDir - Pasta onde o multer grava os arquivos
+ */
+function reconcileUploads(uploadDir) {
+    cleanupExpiredLinks();
+
+    const referenced = new Set();
+    store.all().forEach(link => {
+        const existing = link.files.filter(file => file.path && fs.existsSync(file.path));
+
+        if (existing.length === 0 && link.files.length > 0) {
+            console.warn(`⚠️ Link ${link.linkId} sem arquivos no disco - desativando`);
+            deactivate(link);
+            return;
+        }
+
+        existing.forEach(file => referenced.add(path.resolve(file.path)));
+    });
+
+    if (!fs.existsSync(uploadDir)) return;
+
+    let orphans = 0;
+    fs.readdirSync(uploadDir).forEach(name => {
+        const filePath = path.resolve(uploadDir, name);
+        if (referenced.has(filePath) || !fs.statSync(filePath).isFile()) return;
+
+        try {
+            fs.unlinkSync(filePath);
+            orphans++;
+        } catch (error) {
+            console.error(`Erro ao remover arquivo órfão ${filePath}:`, error.message);
+        }
+    });
+
+    if (orphans > 0) {
+        console.log(`🧹 ${orphans} arquivo(s) órfão(s) removido(s) de ${uploadDir}`);
+    }
+}
+
+module.exports = {
+    LINK_GRACE_HOURS,
+    generateTempLink,
+    getTempLink,
+    getLinkStatus,
+    addLinkRecipient,
+    getLinkRecipient,
+    revokeLinkRecipient,
+    validateTempLink,
+    revokeTempLink,
+    extendTempLink,
+    raiseDownloadQuota,
+    reissueTempLink,
+    incrementDownload,
+    cleanupExpiredLinks,
+    reconcileUploads
+};
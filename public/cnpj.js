@@ -0,0 +1,71 @@
+/**
+ * APORTE CAPITAL - VALIDAÇÃO DE CNPJ
+ * Verificação completa dos dígitos verificadores (módulo 11), compartilhada
+ * entre o navegador (window.CNPJValidator) e o servidor (require('./public/cnpj'))
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CNPJValidator = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Pesos do módulo 11 para o primeiro e o segundo dígito verificador
+    const PESOS_DV1 = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+    const PESOS_DV2 = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+    /**
+     * Calcula um dígito verificador
+     * @param {string} base - Dígitos usados no cálculo
+     * @param {Array} pesos - Pesos correspondentes
+     * @returns {number} Dígito verificador
+     */
+    function calcularDigito(base, pesos) {
+        const soma = pesos.reduce((total, peso, index) => total + Number(base[index]) * peso, 0);
+        const resto = soma % 11;
+        return resto < 2 ? 0 : 11 - resto;
+    }
+
+    /**
+     * Valida um CNPJ com ou sem máscara
+     * @param {string} cnpj - CNPJ informado
+     * @returns {Object} { valid, reason, cnpj } - cnpj apenas com os 14 dígitos quando válido
+     */
+    function validate(cnpj) {
+        const numbers = (cnpj || '').toString().replace(/\D/g, '');
+
+        if (!numbers) {
+            return { valid: false, reason: 'CNPJ é obrigatório', cnpj: null };
+        }
+
+        if (numbers.length !== 14) {
+            return { valid: false, reason: 'CNPJ deve conter 14 dígitos', cnpj: null };
+        }
+
+        if (/^(\d)\1{13}$/.test(numbers)) {
+            return { valid: false, reason: 'CNPJ inválido: todos os dígitos são iguais', cnpj: null };
+        }
+
+        const dv1 = calcularDigito(numbers, PESOS_DV1);
+        const dv2 = calcularDigito(numbers, PESOS_DV2);
+
+        if (Number(numbers[12]) !== dv1 || Number(numbers[13]) !== dv2) {
+            return { valid: false, reason: 'CNPJ inválido: verifique os números digitados', cnpj: null };
+        }
+
+        return { valid: true, reason: null, cnpj: numbers };
+    }
+
+    /**
+     * Atalho booleano para validate()
+     * @param {string} cnpj - CNPJ com ou sem máscara
+     * @returns {boolean} True se válido
+     */
+    function isValid(cnpj) {
+        return validate(cnpj).valid;
+    }
+
+    return { validate, isValid };
+}));
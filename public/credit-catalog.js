@@ -0,0 +1,140 @@
+/**
+ * APORTE CAPITAL - CATÁLOGO DE LINHAS DE CRÉDITO
+ * Linhas apresentadas na seção #credito, compartilhadas entre o navegador
+ * (window.CreditCatalog, usado pelo simulador) e o servidor
+ * (require('./public/credit-catalog'), usado na indicação de linhas por lead)
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CreditCatalog = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * elegibilidade: { portes, regimes, faturamentoMin, faturamentoMax, tempoMinAnos, finalidades }
+     * (critério ausente = sem restrição). "prioridade" desempata linhas com a mesma
+     * quantidade de pontos a confirmar (as mais específicas primeiro).
+     *
+     * simulacao: condições de referência para a estimativa do simulador
+     * { taxaMensal (% a.m.), valorMinimo, valorMaximo, prazoMaximoMeses, carenciaMaximaMeses }
+     */
+    const PRODUTOS = [
+        {
+            id: 'procred-360',
+            nome: 'PROCRED 360',
+            descricao: 'Linha exclusiva para Microempreendedores Individuais, processo 100% digital e sem garantias',
+            prioridade: 1,
+            elegibilidade: {
+                regimes: ['mei'],
+                faturamentoMax: 360000,
+                finalidades: ['capital-giro', 'investimento', 'modernizacao', 'expansao']
+            },
+            simulacao: { taxaMensal: 1.5, valorMinimo: 1000, valorMaximo: 50000, prazoMaximoMeses: 36, carenciaMaximaMeses: 6 }
+        },
+        {
+            id: 'pronampe',
+            nome: 'PRONAMPE',
+            descricao: 'Até R$ 150 mil, prazo de até 48 meses e carência de 6 a 11 meses',
+            prioridade: 2,
+            elegibilidade: {
+                portes: ['mei', 'me', 'epp'],
+                regimes: ['mei', 'simples'],
+                faturamentoMax: 4800000,
+                finalidades: ['capital-giro', 'investimento', 'modernizacao', 'expansao']
+            },
+            simulacao: { taxaMensal: 1.2, valorMinimo: 5000, valorMaximo: 150000, prazoMaximoMeses: 48, carenciaMaximaMeses: 11 }
+        },
+        {
+            id: 'bndes-fgi',
+            nome: 'BNDES FGI',
+            descricao: 'Garantia do Fundo FGI, carência de 6 meses e prazo de até 60 meses',
+            prioridade: 3,
+            elegibilidade: {
+                portes: ['me', 'epp', 'demais'],
+                faturamentoMax: 300000000,
+                tempoMinAnos: 1,
+                finalidades: ['capital-giro', 'investimento', 'modernizacao', 'expansao']
+            },
+            simulacao: { taxaMensal: 1.3, valorMinimo: 20000, valorMaximo: 2000000, prazoMaximoMeses: 60, carenciaMaximaMeses: 6 }
+        },
+        {
+            id: 'finame',
+            nome: 'FINAME Máquinas',
+            descricao: 'Financiamento de até 90% de máquinas e equipamentos nacionais e importados',
+            prioridade: 4,
+            elegibilidade: {
+                portes: ['me', 'epp', 'demais'],
+                tempoMinAnos: 1,
+                finalidades: ['investimento', 'modernizacao']
+            },
+            simulacao: { taxaMensal: 1.1, valorMinimo: 20000, valorMaximo: 5000000, prazoMaximoMeses: 120, carenciaMaximaMeses: 24 }
+        },
+        {
+            id: 'medias-empresas',
+            nome: 'Linhas para Médias Empresas',
+            descricao: 'Taxas reduzidas e carência personalizada, valores até R$ 5 milhões',
+            prioridade: 5,
+            elegibilidade: {
+                portes: ['epp', 'demais'],
+                faturamentoMin: 1000000,
+                faturamentoMax: 10000000,
+                tempoMinAnos: 2,
+                finalidades: ['capital-giro', 'expansao', 'modernizacao', 'investimento']
+            },
+            simulacao: { taxaMensal: 1.25, valorMinimo: 100000, valorMaximo: 5000000, prazoMaximoMeses: 60, carenciaMaximaMeses: 12 }
+        },
+        {
+            id: 'grandes-empresas',
+            nome: 'Linhas para Grandes Empresas',
+            descricao: 'Carência de 2 anos e juros reduzidos, com consultoria personalizada',
+            prioridade: 6,
+            elegibilidade: {
+                portes: ['demais'],
+                faturamentoMin: 10000000,
+                faturamentoMax: 80000000,
+                tempoMinAnos: 2,
+                finalidades: ['capital-giro', 'expansao', 'modernizacao', 'investimento']
+            },
+            simulacao: { taxaMensal: 1.0, valorMinimo: 500000, valorMaximo: 20000000, prazoMaximoMeses: 96, carenciaMaximaMeses: 24 }
+        }
+    ];
+
+    /**
+     * Busca uma linha pelo id
+     * @param {string} id - Id da linha
+     * @returns {Object|null} Linha do catálogo
+     */
+    function getProduto(id) {
+        return PRODUTOS.find(produto => produto.id === id) || null;
+    }
+
+    /**
+     * Confere valor, prazo e carência com os limites de simulação da linha
+     * @param {Object} produto - Linha do catálogo
+     * @param {Object} params - { valor, prazoMeses, carenciaMeses }
+     * @returns {Object} { valid, reason }
+     */
+    function verificarLimites(produto, { valor, prazoMeses, carenciaMeses = 0 }) {
+        const limites = produto.simulacao;
+        const reais = numero => `R$ ${numero.toLocaleString('pt-BR')}`;
+
+        if (!(valor >= limites.valorMinimo && valor <= limites.valorMaximo)) {
+            return { valid: false, reason: `Valor deve ficar entre ${reais(limites.valorMinimo)} e ${reais(limites.valorMaximo)} no ${produto.nome}` };
+        }
+
+        if (!(prazoMeses >= 1 && prazoMeses <= limites.prazoMaximoMeses)) {
+            return { valid: false, reason: `Prazo máximo do ${produto.nome}: ${limites.prazoMaximoMeses} meses` };
+        }
+
+        if (!(carenciaMeses >= 0 && carenciaMeses <= limites.carenciaMaximaMeses)) {
+            return { valid: false, reason: `Carência máxima do ${produto.nome}: ${limites.carenciaMaximaMeses} meses` };
+        }
+
+        return { valid: true, reason: null };
+    }
+
+    return { PRODUTOS, getProduto, verificarLimites };
+}));
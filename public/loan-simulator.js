@@ -0,0 +1,136 @@
+/**
+ * APORTE CAPITAL - SIMULADOR DE FINANCIAMENTO
+ * Cronograma de parcelas pelos sistemas SAC e Price, com carência em que
+ * apenas os juros são pagos ou em que eles são incorporados ao saldo.
+ * Compartilhado entre o navegador (window.LoanSimulator) e o servidor
+ * (require('./public/loan-simulator'))
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LoanSimulator = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SISTEMAS = {
+        sac: 'SAC (parcelas decrescentes)',
+        price: 'Price (parcelas fixas)'
+    };
+
+    const CARENCIAS = {
+        juros: 'Pagamento apenas dos juros',
+        capitalizada: 'Juros capitalizados no saldo'
+    };
+
+    // Limite do cronograma (35 anos): prazos maiores não existem nas linhas
+    // de crédito e gerariam cronogramas grandes demais para calcular
+    const PRAZO_MAXIMO_MESES = 420;
+
+    const arredondar = valor => Math.round(valor * 100) / 100;
+
+    /**
+     * Valida os parâmetros da simulação
+     * @param {Object} params - { valor, prazoMeses, carenciaMeses, carenciaTipo, taxaMensal, sistema }
+     * @returns {Object} { valid, reason }
+     */
+    function validarParametros({ valor, prazoMeses, carenciaMeses = 0, carenciaTipo = 'juros', taxaMensal, sistema }) {
+        if (!(Number.isFinite(valor) && valor > 0)) {
+            return { valid: false, reason: 'Informe um valor maior que zero' };
+        }
+
+        if (!Number.isInteger(prazoMeses) || prazoMeses < 1) {
+            return { valid: false, reason: 'Prazo deve ser um número inteiro de meses' };
+        }
+
+        if (prazoMeses > PRAZO_MAXIMO_MESES) {
+            return { valid: false, reason: `Prazo máximo: ${PRAZO_MAXIMO_MESES} meses` };
+        }
+
+        if (!Number.isInteger(carenciaMeses) || carenciaMeses < 0 || carenciaMeses >= prazoMeses) {
+            return { valid: false, reason: 'Carência deve ser menor que o prazo total' };
+        }
+
+        if (!CARENCIAS[carenciaTipo]) {
+            return { valid: false, reason: 'Tipo de carência deve ser "juros" ou "capitalizada"' };
+        }
+
+        if (!(Number.isFinite(taxaMensal) && taxaMensal >= 0)) {
+            return { valid: false, reason: 'Taxa de juros inválida' };
+        }
+
+        if (!SISTEMAS[sistema]) {
+            return { valid: false, reason: 'Sistema de amortização deve ser SAC ou Price' };
+        }
+
+        return { valid: true, reason: null };
+    }
+
+    /**
+     * Calcula o cronograma de parcelas
+     * O prazo inclui a carência e a amortização ocorre nos meses restantes.
+     * Na carência "juros" a parcela é só o juro do mês; na "capitalizada" não há
+     * pagamento e o juro soma-se ao saldo, que passa a ser a base da amortização.
+     * @param {Object} params - { valor, prazoMeses, carenciaMeses, carenciaTipo: 'juros' | 'capitalizada', taxaMensal (% a.m.), sistema: 'sac' | 'price' }
+     * @returns {Object} { success, parcelas: [{ numero, amortizacao, juros, parcela, saldo }], primeiraParcela, ultimaParcela, totalJuros, totalPago } ou { success: false, error }
+     */
+    function simular(params) {
+        const validacao = validarParametros(params);
+        if (!validacao.valid) {
+            return { success: false, error: validacao.reason };
+        }
+
+        const { valor, prazoMeses, carenciaMeses = 0, carenciaTipo = 'juros', sistema } = params;
+        const taxa = params.taxaMensal / 100;
+        const mesesAmortizacao = prazoMeses - carenciaMeses;
+
+        const parcelas = [];
+        let saldo = valor;
+        let base = null;
+        let prestacaoPrice = null;
+
+        for (let numero = 1; numero <= prazoMeses; numero++) {
+            const juros = arredondar(saldo * taxa);
+
+            if (numero <= carenciaMeses && carenciaTipo === 'capitalizada') {
+                saldo = arredondar(saldo + juros);
+                parcelas.push({ numero, amortizacao: 0, juros, parcela: 0, saldo });
+                continue;
+            }
+
+            let amortizacao = 0;
+            if (numero > carenciaMeses) {
+                // Base da amortização: saldo ao fim da carência (com os juros capitalizados, se houver)
+                if (base === null) {
+                    base = saldo;
+                    prestacaoPrice = taxa === 0
+                        ? base / mesesAmortizacao
+                        : base * taxa / (1 - Math.pow(1 + taxa, -mesesAmortizacao));
+                }
+
+                amortizacao = numero === prazoMeses
+                    ? saldo
+                    : arredondar(sistema === 'sac' ? base / mesesAmortizacao : prestacaoPrice - juros);
+            }
+
+            saldo = arredondar(saldo - amortizacao);
+            parcelas.push({ numero, amortizacao, juros, parcela: arredondar(amortizacao + juros), saldo });
+        }
+
+        // Inclui os juros capitalizados na carência, pagos junto com as amortizações
+        const totalPago = arredondar(parcelas.reduce((total, item) => total + item.parcela, 0));
+
+        return {
+            success: true,
+            parcelas,
+            // Primeira parcela após a carência (a primeira com amortização)
+            primeiraParcela: parcelas[carenciaMeses].parcela,
+            ultimaParcela: parcelas[parcelas.length - 1].parcela,
+            totalJuros: arredondar(totalPago - valor),
+            totalPago
+        };
+    }
+
+    return { SISTEMAS, CARENCIAS, PRAZO_MAXIMO_MESES, validarParametros, simular };
+}));
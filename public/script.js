@@ -104,6 +104,33 @@ const Utils = {
             element.style.opacity = '1';
             element.style.transform = 'translateY(0)';
         });
+    },
+    /**
+     * Escapa texto para uso em innerHTML (nomes de arquivo, mensagens do servidor)
+     * @param {*} value - Valor a ser exibido
+     * @returns {string} Texto com &, <, >, aspas e apóstrofo escapados
+     */
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+,
+    /**
+     * Aceita apenas URLs http(s) para links e window.open (bloqueia javascript:, data: etc.)
+     * @param {string} url - URL vinda do servidor
+     * @returns {string} URL normalizada ou '' se não for http(s)
+     */
+    safeURL(url) {
+        try {
+            const parsed = new URL(String(url), window.location.href);
+            return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : '';
+        } catch (error) {
+            return '';
+        }
     }
 };
 
@@ -215,13 +242,12 @@ const MaskUtils = {
     },
 
     /**
-     * Valida CNPJ (deve ter 14 dígitos)
+     * Valida CNPJ (14 dígitos e dígitos verificadores - ver cnpj.js)
      * @param {string} cnpj - CNPJ com ou sem máscara
      * @returns {boolean} True se válido
      */
     validateCNPJ(cnpj) {
-        const numbers = this.removeMask(cnpj);
-        return numbers.length === 14;
+        return CNPJValidator.isValid(cnpj);
     }
 };
 
@@ -698,6 +724,7 @@ class AporteCapitalApp {
             AnimationManager.init();
             FormManager.init();
             ConsultoriaModal.init();
+            CreditSimulator.init();
             
             // Inicializa máscaras dos campos
             this.initMasks();
@@ -822,6 +849,7 @@ const ConsultoriaModal = {
     fileInput: null,
     fileList: null,
     uploadedFiles: [],
+    simulacao: null,
 
     /**
      * Inicializa o modal de consultoria
@@ -837,9 +865,70 @@ const ConsultoriaModal = {
             this.setupFileUpload();
             this.setupFormValidation();
             this.setupBancosToggle();
+
+            const removerSimulacao = document.getElementById('removerSimulacao');
+            if (removerSimulacao) {
+                removerSimulacao.addEventListener('click', () => this.clearSimulacao());
+            }
         }
     },
 
+    /**
+     * Anexa ao formulário o cenário escolhido no simulador
+     * @param {Object} cenario - { linha, nome, valor, prazoMeses, carenciaMeses, sistema, primeiraParcela, totalPago }
+     */
+    setSimulacao(cenario) {
+        const grupo = document.getElementById('simulacaoSelecionada');
+        if (!grupo) return;
+
+        this.simulacao = cenario;
+
+        // Apenas os parâmetros vão para o servidor, que recalcula as parcelas
+        document.getElementById('simulacao').value = JSON.stringify({
+            linha: cenario.linha,
+            valor: cenario.valor,
+            prazoMeses: cenario.prazoMeses,
+            carenciaMeses: cenario.carenciaMeses,
+            sistema: cenario.sistema
+        });
+        document.getElementById('simulacaoResumo').innerHTML = `
+            <strong>🧮 Simulação selecionada</strong>
+            <span>${Utils.escapeHtml(this.getSimulacaoLabel(cenario))}</span>
+        `;
+        grupo.style.display = 'block';
+
+        // Sugere o tipo de consultoria quando a linha é exclusiva para investimento
+        const tipoConsultoria = document.getElementById('tipoConsultoria');
+        if (tipoConsultoria && !tipoConsultoria.value && cenario.linha === 'finame') {
+            tipoConsultoria.value = 'investimento';
+        }
+    },
+
+    /**
+     * Remove o cenário do simulador do formulário
+     */
+    clearSimulacao() {
+        const grupo = document.getElementById('simulacaoSelecionada');
+        if (!grupo) return;
+
+        this.simulacao = null;
+        document.getElementById('simulacao').value = '';
+        document.getElementById('simulacaoResumo').innerHTML = '';
+        grupo.style.display = 'none';
+    },
+
+    /**
+     * Descreve o cenário em uma linha
+     * @param {Object} cenario - Cenário do simulador
+     * @returns {string} - Ex.: "PRONAMPE: R$ 100.000,00 em 36 meses (6 de carência), Price, 1ª parcela R$ 3.672,54"
+     */
+    getSimulacaoLabel(cenario) {
+        const carencia = cenario.carenciaMeses > 0 ? ` (${cenario.carenciaMeses} de carência)` : '';
+        const sistema = cenario.sistema === 'sac' ? 'SAC' : 'Price';
+        return `${cenario.nome}: ${CreditSimulator.formatarMoeda(cenario.valor)} em ${cenario.prazoMeses} meses${carencia}, `
+            + `${sistema}, 1ª parcela ${CreditSimulator.formatarMoeda(cenario.primeiraParcela)}`;
+    },
+
     /**
      * Configura os event listeners do modal
      */
@@ -988,7 +1077,7 @@ const ConsultoriaModal = {
                         <path d="M4 18h12V6h-4V2H4v16zm-2 1V1a1 1 0 011-1h8.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V19a1 1 0 01-1 1H3a1 1 0 01-1-1z"/>
                     </svg>
                     <div class="file-details">
-                        <div class="file-name">${file.name}</div>
+                        <div class="file-name">${Utils.escapeHtml(file.name)}</div>
                         <div class="file-size">${this.formatFileSize(file.size)}</div>
                     </div>
                 </div>
@@ -1151,15 +1240,14 @@ const ConsultoriaModal = {
                 }
                 break;
 
-            case 'cnpj':
-                if (!value) {
-                    isValid = false;
-                    message = 'CNPJ é obrigatório';
-                } else if (!MaskUtils.validateCNPJ(value)) {
+            case 'cnpj': {
+                const cnpjValidation = CNPJValidator.validate(value);
+                if (!cnpjValidation.valid) {
                     isValid = false;
-                    message = 'CNPJ deve ter 14 dígitos';
+                    message = cnpjValidation.reason;
                 }
                 break;
+            }
 
             case 'faturamentoAnual':
                 if (!value) {
@@ -1284,7 +1372,17 @@ const ConsultoriaModal = {
             
         } catch (error) {
             console.error('Erro ao enviar formulário:', error);
-            this.showMessage(error.message || 'Erro ao enviar solicitação. Tente novamente.', 'error');
+
+            // Erros de campo apontados pelo servidor (ex.: CNPJ com dígito verificador inválido)
+            if (error.fieldErrors && Object.keys(error.fieldErrors).length > 0) {
+                Object.entries(error.fieldErrors).forEach(([name, message]) => {
+                    const field = this.form.querySelector(`[name="${name}"]`);
+                    if (field) this.showFieldValidation(field, false, message);
+                });
+                this.showMessage('Por favor, corrija os erros antes de enviar.', 'error');
+            } else {
+                this.showMessage(error.message || 'Erro ao enviar solicitação. Tente novamente.', 'error');
+            }
         } finally {
             submitBtn.innerHTML = originalText;
             submitBtn.disabled = false;
@@ -1346,7 +1444,9 @@ const ConsultoriaModal = {
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.message || `Erro HTTP: ${response.status}`);
+            const error = new Error(errorData.message || `Erro HTTP: ${response.status}`);
+            error.fieldErrors = errorData.fieldErrors || null;
+            throw error;
         }
 
         return await response.json();
@@ -1432,6 +1532,11 @@ const ConsultoriaModal = {
             message += `\n`;
         }
         
+        // Simulação feita na página
+        if (this.simulacao) {
+            message += `🧮 *Simulação:* ${this.getSimulacaoLabel(this.simulacao)}\n\n`;
+        }
+        
         // Outros documentos
         if (data.outrosDocumentos) {
             message += `📋 *Outros Documentos:*\n${data.outrosDocumentos}\n\n`;
@@ -1591,6 +1696,8 @@ const ConsultoriaModal = {
      * @param {string} whatsappURL - URL do WhatsApp
      */
     showSuccessWithWhatsApp(message, whatsappURL) {
+        whatsappURL = Utils.safeURL(whatsappURL);
+
         // Remove mensagem anterior
         const existingMessage = this.modal.querySelector('.modal-message');
         if (existingMessage) {
@@ -1604,14 +1711,14 @@ const ConsultoriaModal = {
         // Conteúdo da mensagem com botão do WhatsApp
         messageDiv.innerHTML = `
             <div style="margin-bottom: 1rem;">
-                <strong>✅ ${message || 'Solicitação enviada com sucesso!'}</strong>
+                <strong>✅ ${Utils.escapeHtml(message || 'Solicitação enviada com sucesso!')}</strong>
             </div>
             <div style="margin-bottom: 1rem;">
                 📧 Email enviado para nossa equipe
             </div>
             ${whatsappURL ? `
                 <div style="margin-bottom: 1rem;">
-                    <a href="${whatsappURL}" 
+                    <a href="${Utils.escapeHtml(whatsappURL)}" 
                        target="_blank" 
                        rel="noopener noreferrer"
                        style="
@@ -1681,6 +1788,8 @@ const ConsultoriaModal = {
      * @param {string} whatsappURL - URL do WhatsApp
      */
     showSuccessWithWhatsAppRedirect(message, whatsappURL) {
+        whatsappURL = Utils.safeURL(whatsappURL);
+
         // Remove mensagem anterior
         const existingMessage = this.modal.querySelector('.modal-message');
         if (existingMessage) {
@@ -1698,7 +1807,7 @@ const ConsultoriaModal = {
             messageDiv.innerHTML = `
                 <div style="text-align: center;">
                     <div style="margin-bottom: 1rem;">
-                        <strong>✅ ${message || 'Solicitação processada com sucesso!'}</strong>
+                        <strong>✅ ${Utils.escapeHtml(message || 'Solicitação processada com sucesso!')}</strong>
                     </div>
                     <div style="margin-bottom: 1rem; font-size: 1.1rem;">
                         🚀 <strong>Redirecionando para WhatsApp em ${countdown}s...</strong>
@@ -1718,7 +1827,7 @@ const ConsultoriaModal = {
                         📱 Sua mensagem será enviada automaticamente
                     </div>
                     <div style="margin-top: 1rem;">
-                        <button onclick="window.open('${whatsappURL}', '_blank')" 
+                        <button type="button" class="whatsapp-open-btn"
                                 style="
                                     background: #25D366;
                                     color: white;
@@ -1736,6 +1845,12 @@ const ConsultoriaModal = {
                     </div>
                 </div>
             `;
+
+            // Sem onclick inline: a URL não passa por um atributo com código
+            const openButton = messageDiv.querySelector('.whatsapp-open-btn');
+            if (openButton && whatsappURL) {
+                openButton.addEventListener('click', () => window.open(whatsappURL, '_blank'));
+            }
         };
 
         // Adiciona estilos inline para a mensagem
@@ -1782,7 +1897,9 @@ const ConsultoriaModal = {
             } else {
                 clearInterval(countdownInterval);
                 // Abre WhatsApp
-                window.open(whatsappURL, '_blank');
+                if (whatsappURL) {
+                    window.open(whatsappURL, '_blank');
+                }
                 
                 // Remove mensagem
                 messageDiv.style.animation = 'scaleOut 0.3s ease-in';
@@ -1805,6 +1922,7 @@ const ConsultoriaModal = {
         this.form.reset();
         this.uploadedFiles = [];
         this.renderFileList();
+        this.clearSimulacao();
         
         // Remove erros de validação
         const errorGroups = this.form.querySelectorAll('.form-group.error');
@@ -1832,6 +1950,192 @@ const ConsultoriaModal = {
     }
 };
 
+// ===== SIMULADOR DE FINANCIAMENTO =====
+const CreditSimulator = {
+    form: null,
+    resultado: null,
+    cenario: null,
+
+    /**
+     * Inicializa o simulador da seção de crédito
+     */
+    init() {
+        this.form = document.getElementById('simuladorForm');
+        this.resultado = document.getElementById('simResultado');
+
+        if (!this.form || !window.CreditCatalog || !window.LoanSimulator) return;
+
+        const linhaSelect = document.getElementById('simLinha');
+        linhaSelect.innerHTML = CreditCatalog.PRODUTOS
+            .map(produto => `<option value="${produto.id}">${produto.nome}</option>`)
+            .join('');
+        linhaSelect.value = 'pronampe';
+
+        linhaSelect.addEventListener('change', () => {
+            this.ajustarLimites();
+            this.atualizar();
+        });
+
+        this.form.addEventListener('input', Utils.debounce(() => this.atualizar(), 300));
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+
+        this.resultado.addEventListener('click', (e) => {
+            if (e.target.closest('#simSolicitar')) {
+                this.solicitarConsultoria();
+            }
+        });
+
+        this.ajustarLimites();
+        this.atualizar();
+    },
+
+    /**
+     * Linha selecionada no catálogo
+     * @returns {Object} - Linha do catálogo
+     */
+    getProduto() {
+        return CreditCatalog.getProduto(document.getElementById('simLinha').value);
+    },
+
+    /**
+     * Aplica aos campos os limites da linha selecionada, trazendo os valores para dentro deles
+     */
+    ajustarLimites() {
+        const { simulacao: limites } = this.getProduto();
+        const campos = [
+            { id: 'simValor', min: limites.valorMinimo, max: limites.valorMaximo },
+            { id: 'simPrazo', min: 1, max: limites.prazoMaximoMeses },
+            { id: 'simCarencia', min: 0, max: limites.carenciaMaximaMeses }
+        ];
+
+        campos.forEach(({ id, min, max }) => {
+            const input = document.getElementById(id);
+            input.min = min;
+            input.max = max;
+            input.value = Math.min(Math.max(Number(input.value) || min, min), max);
+        });
+
+        document.getElementById('simLimites').textContent =
+            `Taxa de referência ${limites.taxaMensal.toLocaleString('pt-BR')}% a.m. • `
+            + `valores de ${this.formatarMoeda(limites.valorMinimo)} a ${this.formatarMoeda(limites.valorMaximo)} • `
+            + `prazo de até ${limites.prazoMaximoMeses} meses • carência de até ${limites.carenciaMaximaMeses} meses`;
+    },
+
+    /**
+     * Lê os parâmetros do formulário
+     * @returns {Object} - { valor, prazoMeses, carenciaMeses, taxaMensal, sistema }
+     */
+    lerParametros() {
+        const sistema = this.form.querySelector('input[name="simSistema"]:checked');
+        return {
+            valor: Number(document.getElementById('simValor').value),
+            prazoMeses: Number(document.getElementById('simPrazo').value),
+            carenciaMeses: Number(document.getElementById('simCarencia').value) || 0,
+            taxaMensal: this.getProduto().simulacao.taxaMensal,
+            sistema: sistema ? sistema.value : 'price'
+        };
+    },
+
+    /**
+     * Recalcula e exibe o cronograma
+     */
+    atualizar() {
+        const produto = this.getProduto();
+        const params = this.lerParametros();
+
+        const limites = CreditCatalog.verificarLimites(produto, params);
+        const simulacao = limites.valid ? LoanSimulator.simular(params) : { success: false, error: limites.reason };
+
+        if (!simulacao.success) {
+            this.cenario = null;
+            this.resultado.innerHTML = `<p class="simulator-erro">⚠️ ${Utils.escapeHtml(simulacao.error)}</p>`;
+            return;
+        }
+
+        this.cenario = {
+            linha: produto.id,
+            nome: produto.nome,
+            ...params,
+            primeiraParcela: simulacao.primeiraParcela,
+            ultimaParcela: simulacao.ultimaParcela,
+            totalJuros: simulacao.totalJuros,
+            totalPago: simulacao.totalPago
+        };
+
+        this.resultado.innerHTML = `
+            <div class="simulator-resumo">
+                ${params.carenciaMeses > 0 ? `
+                <div class="simulator-resumo-item">
+                    <span>Parcela na carência</span>
+                    <strong>${this.formatarMoeda(simulacao.parcelas[0].parcela)}</strong>
+                </div>` : ''}
+                <div class="simulator-resumo-item">
+                    <span>${params.sistema === 'sac' ? 'Primeira parcela' : 'Parcela fixa'}</span>
+                    <strong>${this.formatarMoeda(simulacao.primeiraParcela)}</strong>
+                </div>
+                ${params.sistema === 'sac' ? `
+                <div class="simulator-resumo-item">
+                    <span>Última parcela</span>
+                    <strong>${this.formatarMoeda(simulacao.ultimaParcela)}</strong>
+                </div>` : ''}
+                <div class="simulator-resumo-item">
+                    <span>Total de juros</span>
+                    <strong>${this.formatarMoeda(simulacao.totalJuros)}</strong>
+                </div>
+                <div class="simulator-resumo-item">
+                    <span>Custo total</span>
+                    <strong>${this.formatarMoeda(simulacao.totalPago)}</strong>
+                </div>
+            </div>
+
+            <details class="simulator-cronograma">
+                <summary>Ver cronograma de ${simulacao.parcelas.length} parcelas</summary>
+                <div class="simulator-tabela">
+                    <table>
+                        <thead>
+                            <tr><th>Mês</th><th>Parcela</th><th>Juros</th><th>Amortização</th><th>Saldo devedor</th></tr>
+                        </thead>
+                        <tbody>
+                            ${simulacao.parcelas.map(item => `
+                                <tr${item.numero <= params.carenciaMeses ? ' class="carencia"' : ''}>
+                                    <td>${item.numero}</td>
+                                    <td>${this.formatarMoeda(item.parcela)}</td>
+                                    <td>${this.formatarMoeda(item.juros)}</td>
+                                    <td>${this.formatarMoeda(item.amortizacao)}</td>
+                                    <td>${this.formatarMoeda(item.saldo)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+
+            <button type="button" class="btn btn-primary" id="simSolicitar">
+                Solicitar consultoria com esta simulação
+            </button>
+        `;
+    },
+
+    /**
+     * Leva o cenário atual para o formulário de consultoria e abre o modal
+     */
+    solicitarConsultoria() {
+        if (!this.cenario) return;
+
+        ConsultoriaModal.setSimulacao(this.cenario);
+        ConsultoriaModal.open();
+    },
+
+    /**
+     * Formata valores em reais
+     * @param {number} valor - Valor
+     * @returns {string} - Ex.: R$ 1.234,50
+     */
+    formatarMoeda(valor) {
+        return Number(valor).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+    }
+};
+
 // ===== FUNÇÕES GLOBAIS =====
 /**
  * Abre o modal de consultoria
@@ -1854,5 +2158,6 @@ window.AporteCapital = {
     NavigationManager,
     AnimationManager,
     FormManager,
-    ConsultoriaModal
+    ConsultoriaModal,
+    CreditSimulator
 };
\ No newline at end of file
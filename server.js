@@ -15,117 +15,103 @@
 require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
-const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
 const crypto = require('crypto');
+const archiver = require('archiver');
+const leadStore = require('./lib/lead-store');
+const emailOutbox = require('./lib/email-outbox');
+const emailTemplates = require('./lib/email-templates');
+const mailTransport = require('./lib/mail-transport');
+const auth = require('./lib/auth');
+const {
+    generateTempLink,
+    getTempLink,
+    getLinkStatus,
+    validateTempLink,
+    incrementDownload,
+    cleanupExpiredLinks,
+    reconcileUploads,
+    addLinkRecipient,
+    getLinkRecipient,
+    revokeLinkRecipient,
+    revokeTempLink,
+    extendTempLink,
+    raiseDownloadQuota,
+    reissueTempLink
+} = require('./lib/temp-links');
+const {
+    RECIPIENT_TYPES,
+    OTP_MINUTES,
+    signDownloadToken,
+    verifyDownloadToken,
+    createOtp,
+    verifyOtp,
+    createGrant,
+    verifyGrant,
+    grantCookieName,
+    recordAccess,
+    listAccess
+} = require('./lib/download-access');
+const { escapeHtml } = require('./lib/html');
+const CNPJValidator = require('./public/cnpj');
+const { getCachedCNPJ, saveCachedCNPJ } = require('./lib/cnpj-cache');
+const { listProviders, queryProvider, mergeProviderData } = require('./lib/cnpj-providers');
+const { CAMPOS_CNPJ } = require('./lib/cnpj-normalizers');
+const { NIVEIS_RISCO, ORDEM_RISCO, classificarAtividades, formatarCodigoCNAE, descreverRegraCNAE } = require('./lib/cnae-risk');
+const { DEFAULT_RULES, getScoreRules, getScoreRuleVersion, listScoreRuleVersions, saveScoreRules, pontuacaoMaxima } = require('./lib/score-rules');
+const { avaliarDadosDeclarados } = require('./lib/declared-score');
+const { PRODUTOS, recomendarLinhasCredito, normalizarSimulacao } = require('./lib/credit-products');
+const LoanSimulator = require('./public/loan-simulator');
+const { calcularCronograma, cronogramaCSV } = require('./lib/loan-schedule');
 
-// ===== SISTEMA DE LINKS TEMPORÁRIOS =====
+// ===== FUNÇÃO DE CONSULTA CNPJ =====
 /**
- * Armazena informações dos links temporários de download
- * Estrutura: { linkId: { files, createdAt, downloads, maxDownloads, expiresAt } }
+ * Revalidações em andamento por CNPJ, para não repetir a mesma consulta em paralelo
  */
-const tempLinks = new Map();
+const revalidacoesCNPJ = new Map();
 
 /**
- * Gera um link temporário único para download de arquivos
+ * Resumo do uso do cache anexado ao resultado da consulta
+ * @param {string} status - hit, miss, stale (servido enquanto atualiza) ou stale-if-error (APIs falharam)
+ * @param {Object} cached - Registro retornado por getCachedCNPJ
  */
-function generateTempLink(files, maxDownloads = 5, expirationHours = 48) {
-    const linkId = crypto.randomBytes(8).toString('hex').toUpperCase();
-    const expiresAt = new Date(Date.now() + (expirationHours * 60 * 60 * 1000));
-    
-    tempLinks.set(linkId, {
-        files: files || [],
-        createdAt: new Date(),
-        downloads: 0,
-        maxDownloads,
-        expiresAt,
-        active: true
-    });
-    
-    console.log(`Link temporário criado: ${linkId} - Expira em: ${expiresAt.toLocaleString('pt-BR')}`);
-    return linkId;
+function infoCache(status, cached = null) {
+    return {
+        status,
+        cachedAt: cached ? cached.cachedAt : null,
+        ageSeconds: cached ? cached.ageSeconds : null
+    };
 }
 
 /**
- * Valida se um link temporário ainda é válido
+ * Consulta as APIs e atualiza o cache em caso de sucesso
+ * @param {string} cnpjLimpo - CNPJ apenas com dígitos
+ * @returns {Promise<Object>} Resultado de consultarAPIsCNPJ
  */
-function validateTempLink(linkId) {
-    const link = tempLinks.get(linkId);
-    
-    if (!link) {
-        return { valid: false, reason: 'Link não encontrado' };
-    }
-    
-    if (!link.active) {
-        return { valid: false, reason: 'Link desativado' };
-    }
-    
-    if (new Date() > link.expiresAt) {
-        link.active = false;
-        return { valid: false, reason: 'Link expirado' };
-    }
-    
-    if (link.downloads >= link.maxDownloads) {
-        link.active = false;
-        return { valid: false, reason: 'Limite de downloads atingido' };
-    }
-    
-    return { valid: true, link };
-}
+function revalidarCNPJ(cnpjLimpo) {
+    if (!revalidacoesCNPJ.has(cnpjLimpo)) {
+        const consulta = consultarAPIsCNPJ(cnpjLimpo)
+            .then(resultado => {
+                if (resultado.success) {
+                    saveCachedCNPJ(cnpjLimpo, resultado);
+                }
+                return resultado;
+            })
+            .finally(() => revalidacoesCNPJ.delete(cnpjLimpo));
 
-/**
- * Incrementa contador de downloads de um link
- */
-function incrementDownload(linkId) {
-    const link = tempLinks.get(linkId);
-    if (link) {
-        link.downloads++;
-        console.log(`Download ${link.downloads}/${link.maxDownloads} para link ${linkId}`);
+        revalidacoesCNPJ.set(cnpjLimpo, consulta);
     }
-}
 
-/**
- * Limpa links expirados automaticamente
- */
-function cleanupExpiredLinks() {
-    const now = new Date();
-    let cleaned = 0;
-    
-    for (const [linkId, link] of tempLinks.entries()) {
-        if (now > link.expiresAt || !link.active) {
-            // Remove arquivos físicos se ainda existirem
-            if (link.files && Array.isArray(link.files)) {
-                link.files.forEach(file => {
-                    if (file.path && fs.existsSync(file.path)) {
-                        try {
-                            fs.unlinkSync(file.path);
-                            console.log(`Arquivo removido: ${file.path}`);
-                        } catch (error) {
-                            console.error(`Erro ao remover arquivo ${file.path}:`, error.message);
-                        }
-                    }
-                });
-            }
-            
-            tempLinks.delete(linkId);
-            cleaned++;
-        }
-    }
-    
-    if (cleaned > 0) {
-        console.log(`${cleaned} links temporários expirados foram removidos`);
-    }
+    return revalidacoesCNPJ.get(cnpjLimpo);
 }
 
-// Executa limpeza de links expirados a cada hora
-setInterval(cleanupExpiredLinks, 60 * 60 * 1000);
-
-// ===== FUNÇÃO DE CONSULTA CNPJ =====
 /**
- * Consulta dados oficiais do CNPJ usando múltiplas APIs
- * Prioriza APIs oficiais e usa fallbacks para garantir dados fidedignos
+ * Consulta dados oficiais do CNPJ, passando pelo cache persistente
+ * (ver lib/cnpj-cache.js para as fases fresco/velho/vencido)
+ * @param {string} cnpj - CNPJ com ou sem formatação
+ * @returns {Promise<Object>} Dados normalizados com { cache, stale }
  */
 async function consultarCNPJ(cnpj) {
     // Remove formatação do CNPJ (pontos, barras, hífens)
@@ -133,75 +119,82 @@ async function consultarCNPJ(cnpj) {
     
     console.log(`Consultando CNPJ: ${cnpjLimpo}`);
     
-    // Validação básica do CNPJ
-    if (cnpjLimpo.length !== 14) {
+    // Valida os dígitos verificadores antes de gastar cota das APIs externas
+    const validacao = CNPJValidator.validate(cnpjLimpo);
+    if (!validacao.valid) {
         return {
             success: false,
-            error: 'CNPJ deve ter 14 dígitos',
+            error: validacao.reason,
             source: 'validacao'
         };
     }
     
-    const apis = [
-        {
-            name: 'BrasilAPI',
-            url: `https://brasilapi.com.br/api/cnpj/v1/${cnpjLimpo}`,
-            official: true
-        },
-        {
-            name: 'ReceitaWS',
-            url: `https://www.receitaws.com.br/v1/cnpj/${cnpjLimpo}`,
-            official: false
-        },
-        {
-            name: 'CNPJ.ws',
-            url: `https://cnpj.ws/cnpj/${cnpjLimpo}`,
-            official: false
-        }
-    ];
+    const cached = getCachedCNPJ(cnpjLimpo);
     
-    for (const api of apis) {
-        try {
-            console.log(`Tentando API: ${api.name}`);
-            
-            const response = await fetch(api.url, {
-                method: 'GET',
-                headers: {
-                    'User-Agent': 'AporteCapital/1.0',
-                    'Accept': 'application/json'
-                },
-                timeout: 10000 // 10 segundos
-            });
-            
-            if (!response.ok) {
-                console.log(`API ${api.name} retornou status: ${response.status}`);
-                continue;
-            }
-            
-            const data = await response.json();
-            
-            // Verifica se retornou dados válidos
-            if (!data || (data.status && data.status === 'ERROR')) {
-                console.log(`API ${api.name} retornou erro:`, data);
-                continue;
+    if (cached && cached.state === 'fresh') {
+        console.log(`CNPJ ${cnpjLimpo} servido do cache (consultado em ${cached.cachedAt})`);
+        return { ...cached.data, stale: false, cache: infoCache('hit', cached) };
+    }
+    
+    if (cached && cached.state === 'stale') {
+        console.log(`CNPJ ${cnpjLimpo} servido do cache (desatualizado) - atualizando em segundo plano`);
+        revalidarCNPJ(cnpjLimpo).catch(error => {
+            console.log(`Erro ao atualizar cache do CNPJ ${cnpjLimpo}:`, error.message);
+        });
+        return { ...cached.data, stale: true, cache: infoCache('stale', cached) };
+    }
+    
+    const resultado = await revalidarCNPJ(cnpjLimpo);
+    
+    if (!resultado.success && cached) {
+        console.log(`⚠️ Todas as APIs falharam - usando cache vencido do CNPJ ${cnpjLimpo}`);
+        return {
+            ...cached.data,
+            stale: true,
+            staleReason: resultado.error,
+            cache: infoCache('stale-if-error', cached)
+        };
+    }
+    
+    return { ...resultado, stale: false, cache: infoCache('miss') };
+}
+
+/**
+ * Consulta os provedores de CNPJ (lib/cnpj-providers.js)
+ * - modo "first" (padrão): em ordem de prioridade, retorna o primeiro com dados válidos
+ * - modo "merge": consulta todos em paralelo e combina os campos por confiança
+ * @param {string} cnpjLimpo - CNPJ já validado, apenas com dígitos
+ */
+async function consultarAPIsCNPJ(cnpjLimpo) {
+    if (process.env.CNPJ_LOOKUP_MODE === 'merge') {
+        const provedores = listProviders();
+        console.log(`Consultando em paralelo: ${provedores.map(provider => provider.name).join(', ')}`);
+        
+        const resultados = await Promise.all(provedores.map(provider => queryProvider(provider.name, cnpjLimpo)));
+        
+        resultados.forEach((resultado, index) => {
+            if (!resultado.success) {
+                console.log(`${resultado.skipped ? 'API ignorada' : 'Erro na API'} ${provedores[index].name}: ${resultado.error}`);
             }
+        });
+        
+        const sucessos = resultados.filter(resultado => resultado.success).map(resultado => resultado.data);
+        if (sucessos.length > 0) {
+            console.log(`Dados combinados de: ${sucessos.map(data => data.source).join(', ')}`);
+            return mergeProviderData(sucessos);
+        }
+    } else {
+        for (const provider of listProviders()) {
+            console.log(`Tentando API: ${provider.name}`);
             
-            // Normaliza os dados independente da API
-            const dadosNormalizados = normalizarDadosCNPJ(data, api.name);
+            const resultado = await queryProvider(provider.name, cnpjLimpo);
             
-            if (dadosNormalizados.success) {
-                console.log(`Dados obtidos com sucesso via ${api.name}`);
-                return {
-                    ...dadosNormalizados,
-                    source: api.name,
-                    official: api.official,
-                    consultedAt: new Date().toISOString()
-                };
+            if (resultado.success) {
+                console.log(`Dados obtidos com sucesso via ${provider.name}`);
+                return resultado.data;
             }
             
-        } catch (error) {
-            console.log(`Erro na API ${api.name}:`, error.message);
-            continue;
+            console.log(`${resultado.skipped ? 'API ignorada' : 'Erro na API'} ${provider.name}: ${resultado.error}`);
         }
     }
     
@@ -215,156 +208,35 @@ async function consultarCNPJ(cnpj) {
 }
 
 /**
- * Normaliza dados de diferentes APIs para um formato padrão
+ * Marca o fator conforme a pontuação obtida no critério
  */
-function normalizarDadosCNPJ(data, apiName) {
-    try {
-        let normalized = {
-            success: true,
-            cnpj: '',
-            razaoSocial: '',
-            nomeFantasia: '',
-            situacao: '',
-            dataSituacao: '',
-            motivoSituacao: '',
-            dataAbertura: '',
-            naturezaJuridica: '',
-            porte: '',
-            regimeTributario: '',
-            capitalSocial: '',
-            endereco: {
-                logradouro: '',
-                numero: '',
-                complemento: '',
-                bairro: '',
-                municipio: '',
-                uf: '',
-                cep: ''
-            },
-            telefone: '',
-            email: '',
-            atividadePrincipal: '',
-            atividadesSecundarias: [],
-            socios: [],
-            dataUltimaAtualizacao: ''
-        };
-        
-        if (apiName === 'BrasilAPI') {
-            normalized.cnpj = data.cnpj || '';
-            normalized.razaoSocial = data.razao_social || data.company?.name || '';
-            normalized.nomeFantasia = data.nome_fantasia || data.alias || '';
-            normalized.situacao = data.descricao_situacao_cadastral || data.status || '';
-            normalized.dataSituacao = data.data_situacao_cadastral || '';
-            normalized.motivoSituacao = data.descricao_motivo_situacao_cadastral || '';
-            normalized.dataAbertura = data.data_inicio_atividade || data.founded || '';
-            normalized.naturezaJuridica = data.descricao_natureza_juridica || '';
-            normalized.porte = data.descricao_porte || data.size || '';
-            normalized.capitalSocial = data.capital_social || '';
-            
-            // Endereço
-            normalized.endereco.logradouro = data.logradouro || '';
-            normalized.endereco.numero = data.numero || '';
-            normalized.endereco.complemento = data.complemento || '';
-            normalized.endereco.bairro = data.bairro || '';
-            normalized.endereco.municipio = data.municipio || '';
-            normalized.endereco.uf = data.uf || '';
-            normalized.endereco.cep = data.cep || '';
-            
-            // Contatos
-            normalized.telefone = data.ddd_telefone_1 || '';
-            normalized.email = data.email || '';
-            
-            // Atividades
-            if (data.cnae_fiscal_principal) {
-                normalized.atividadePrincipal = `${data.cnae_fiscal_principal.codigo} - ${data.cnae_fiscal_principal.descricao}`;
-            }
-            
-            if (data.cnaes_secundarios && Array.isArray(data.cnaes_secundarios)) {
-                normalized.atividadesSecundarias = data.cnaes_secundarios.map(cnae => 
-                    `${cnae.codigo} - ${cnae.descricao}`
-                );
-            }
-            
-            // Sócios
-            if (data.qsa && Array.isArray(data.qsa)) {
-                normalized.socios = data.qsa.map(socio => ({
-                    nome: socio.nome_socio || '',
-                    qualificacao: socio.qualificacao_socio || '',
-                    dataEntrada: socio.data_entrada_sociedade || ''
-                }));
-            }
-            
-        } else if (apiName === 'ReceitaWS') {
-            normalized.cnpj = data.cnpj || '';
-            normalized.razaoSocial = data.nome || '';
-            normalized.nomeFantasia = data.fantasia || '';
-            normalized.situacao = data.situacao || '';
-            normalized.dataAbertura = data.abertura || '';
-            normalized.naturezaJuridica = data.natureza_juridica || '';
-            normalized.porte = data.porte || '';
-            normalized.capitalSocial = data.capital_social || '';
-            
-            // Endereço
-            normalized.endereco.logradouro = data.logradouro || '';
-            normalized.endereco.numero = data.numero || '';
-            normalized.endereco.complemento = data.complemento || '';
-            normalized.endereco.bairro = data.bairro || '';
-            normalized.endereco.municipio = data.municipio || '';
-            normalized.endereco.uf = data.uf || '';
-            normalized.endereco.cep = data.cep || '';
-            
-            // Contatos
-            normalized.telefone = data.telefone || '';
-            normalized.email = data.email || '';
-            
-            // Atividades
-            if (data.atividade_principal && data.atividade_principal.length > 0) {
-                const principal = data.atividade_principal[0];
-                normalized.atividadePrincipal = `${principal.code} - ${principal.text}`;
-            }
-            
-            if (data.atividades_secundarias && Array.isArray(data.atividades_secundarias)) {
-                normalized.atividadesSecundarias = data.atividades_secundarias.map(ativ => 
-                    `${ativ.code} - ${ativ.text}`
-                );
-            }
-            
-            // Sócios
-            if (data.qsa && Array.isArray(data.qsa)) {
-                normalized.socios = data.qsa.map(socio => ({
-                    nome: socio.nome || '',
-                    qualificacao: socio.qual || '',
-                    dataEntrada: ''
-                }));
-            }
-        }
-        
-        // Validação mínima - deve ter pelo menos razão social
-        if (!normalized.razaoSocial) {
-            return {
-                success: false,
-                error: 'Dados incompletos retornados pela API'
-            };
-        }
-        
-        return normalized;
-        
-    } catch (error) {
-        console.error('Erro ao normalizar dados:', error);
-        return {
-            success: false,
-            error: 'Erro ao processar dados da API'
-        };
-    }
+function marcadorFator(pontos, maximo) {
+    if (pontos >= maximo * 0.75) return '✅';
+    if (pontos > 0) return '⚠️';
+    return '❌';
 }
 
 /**
- * Calcula um score estimado baseado em dados públicos do CNPJ
+ * Calcula um score estimado baseado em dados públicos do CNPJ, combinado
+ * com os dados declarados no formulário quando informados
+ * Pesos, faixas e palavras-chave vêm da versão ativa das regras (lib/score-rules)
  * @param {Object} dadosCNPJ - Dados normalizados do CNPJ
- * @returns {Object} Score estimado com detalhes
+ * @param {Object} formData - Dados do formulário (opcional; ausente na consulta manual)
+ * @param {Array} files - Documentos enviados com o formulário
+ * @returns {Object} Score estimado com detalhes, alertas de inconsistência e a versão das regras usada
  */
-function calcularScoreEstimado(dadosCNPJ) {
+function calcularScoreEstimado(dadosCNPJ, formData = null, files = []) {
+    // Máximos das regras embutidas (lib/score-rules.json) até a versão ativa ser lida:
+    // se ela estiver corrompida, o resultado de erro ainda traz a escala de cada item
+    let version = null;
+    let maximos = pontuacaoMaxima(DEFAULT_RULES);
+    
     try {
+        const ativa = getScoreRules();
+        const rules = ativa.rules;
+        version = ativa.version;
+        maximos = pontuacaoMaxima(rules);
+        
         if (!dadosCNPJ || !dadosCNPJ.success) {
             return {
                 score: 0,
@@ -375,8 +247,11 @@ function calcularScoreEstimado(dadosCNPJ) {
                     tempo_atividade: 0,
                     capital_social: 0,
                     atividade_principal: 0,
-                    endereco: 0
-                }
+                    endereco: 0,
+                    regime_tributario: 0
+                },
+                maximos,
+                versaoRegras: version
             };
         }
 
@@ -387,144 +262,167 @@ function calcularScoreEstimado(dadosCNPJ) {
             tempo_atividade: 0,
             capital_social: 0,
             atividade_principal: 0,
-            endereco: 0
+            endereco: 0,
+            regime_tributario: 0
         };
 
-        // 1. Situação Cadastral (peso: 30 pontos)
+        // 1. Situação Cadastral
         if (dadosCNPJ.situacao) {
             const situacao = dadosCNPJ.situacao.toLowerCase();
             if (situacao.includes('ativa')) {
-                pontuacao += 30;
-                detalhes.situacao = 30;
-                fatores.push('✅ Situação cadastral ativa');
+                detalhes.situacao = rules.situacao.ativa;
+                fatores.push(`${marcadorFator(detalhes.situacao, maximos.situacao)} Situação cadastral ativa`);
             } else if (situacao.includes('suspensa')) {
-                pontuacao += 10;
-                detalhes.situacao = 10;
-                fatores.push('⚠️ Situação cadastral suspensa');
+                detalhes.situacao = rules.situacao.suspensa;
+                fatores.push(`${marcadorFator(detalhes.situacao, maximos.situacao)} Situação cadastral suspensa`);
             } else {
                 fatores.push('❌ Situação cadastral irregular');
             }
         }
 
-        // 2. Tempo de Atividade (peso: 25 pontos)
+        // 2. Tempo de Atividade
         if (dadosCNPJ.dataAbertura) {
             const dataAbertura = new Date(dadosCNPJ.dataAbertura);
             const hoje = new Date();
             const anosAtividade = (hoje - dataAbertura) / (1000 * 60 * 60 * 24 * 365);
+            const faixa = rules.tempoAtividade.find(item => anosAtividade >= item.anos);
+            const anos = Math.floor(anosAtividade);
             
-            if (anosAtividade >= 5) {
-                pontuacao += 25;
-                detalhes.tempo_atividade = 25;
-                fatores.push(`✅ Empresa com ${Math.floor(anosAtividade)} anos de atividade`);
-            } else if (anosAtividade >= 2) {
-                pontuacao += 15;
-                detalhes.tempo_atividade = 15;
-                fatores.push(`⚠️ Empresa com ${Math.floor(anosAtividade)} anos de atividade`);
-            } else if (anosAtividade >= 1) {
-                pontuacao += 8;
-                detalhes.tempo_atividade = 8;
-                fatores.push(`⚠️ Empresa nova (${Math.floor(anosAtividade)} ano)`);
+            if (faixa) {
+                detalhes.tempo_atividade = faixa.pontos;
+                const marcador = marcadorFator(faixa.pontos, maximos.tempo_atividade);
+                fatores.push(anos >= 2
+                    ? `${marcador} Empresa com ${anos} anos de atividade`
+                    : `${marcador} Empresa nova (${anos} ano)`);
             } else {
-                fatores.push('❌ Empresa muito recente (menos de 1 ano)');
+                const menorFaixa = rules.tempoAtividade[rules.tempoAtividade.length - 1].anos;
+                fatores.push(`❌ Empresa muito recente (menos de ${menorFaixa} ano${menorFaixa > 1 ? 's' : ''})`);
             }
         }
 
-        // 3. Capital Social (peso: 20 pontos)
+        // 3. Capital Social
         if (dadosCNPJ.capitalSocial) {
             const capital = parseFloat(dadosCNPJ.capitalSocial.toString().replace(/[^\d,]/g, '').replace(',', '.'));
+            const faixa = rules.capitalSocial.find(item => capital >= item.minimo);
             
-            if (capital >= 1000000) { // 1 milhão ou mais
-                pontuacao += 20;
-                detalhes.capital_social = 20;
-                fatores.push('✅ Capital social elevado (R$ 1M+)');
-            } else if (capital >= 100000) { // 100 mil ou mais
-                pontuacao += 15;
-                detalhes.capital_social = 15;
-                fatores.push('✅ Capital social adequado (R$ 100K+)');
-            } else if (capital >= 10000) { // 10 mil ou mais
-                pontuacao += 10;
-                detalhes.capital_social = 10;
-                fatores.push('⚠️ Capital social moderado (R$ 10K+)');
-            } else if (capital > 0) {
-                pontuacao += 5;
-                detalhes.capital_social = 5;
-                fatores.push('⚠️ Capital social baixo');
+            if (faixa) {
+                detalhes.capital_social = faixa.pontos;
+                fatores.push(`${marcadorFator(faixa.pontos, maximos.capital_social)} ${faixa.descricao}`);
             } else {
                 fatores.push('❌ Capital social não informado');
             }
         }
 
-        // 4. Atividade Principal (peso: 15 pontos)
-        if (dadosCNPJ.atividadePrincipal) {
+        // 4. Atividade Principal (risco setorial pelo código CNAE; sem código, por palavras-chave)
+        const atividades = classificarAtividades(dadosCNPJ.atividadePrincipal, dadosCNPJ.atividadesSecundarias);
+        const pontosPorNivel = {
+            baixo: rules.atividade.baixoRisco.pontos,
+            medio: rules.atividade.medioRisco.pontos,
+            alto: rules.atividade.altoRisco ? rules.atividade.altoRisco.pontos : rules.atividade.demais
+        };
+        
+        if (atividades.principal) {
+            const { codigo, nivel } = atividades.principal;
+            detalhes.atividade_principal = pontosPorNivel[nivel];
+            fatores.push(`${marcadorFator(detalhes.atividade_principal, maximos.atividade_principal)} Atividade de ${NIVEIS_RISCO[nivel]} - CNAE ${formatarCodigoCNAE(codigo)} (${descreverRegraCNAE(atividades.principal)})`);
+        } else if (dadosCNPJ.atividadePrincipal) {
             const atividade = dadosCNPJ.atividadePrincipal.toLowerCase();
+            const contem = grupo => grupo.palavras.some(palavra => atividade.includes(palavra.toLowerCase()));
             
-            // Atividades consideradas de baixo risco
-            const atividadesBaixoRisco = [
-                'consultoria', 'tecnologia', 'software', 'educação', 'saúde',
-                'engenharia', 'arquitetura', 'advocacia', 'contabilidade'
-            ];
-            
-            // Atividades consideradas de médio risco
-            const atividadesMedioRisco = [
-                'comércio', 'varejo', 'atacado', 'indústria', 'construção',
-                'transporte', 'logística', 'alimentação'
-            ];
-            
-            if (atividadesBaixoRisco.some(palavra => atividade.includes(palavra))) {
-                pontuacao += 15;
-                detalhes.atividade_principal = 15;
-                fatores.push('✅ Atividade de baixo risco');
-            } else if (atividadesMedioRisco.some(palavra => atividade.includes(palavra))) {
-                pontuacao += 10;
-                detalhes.atividade_principal = 10;
-                fatores.push('⚠️ Atividade de médio risco');
+            if (contem(rules.atividade.baixoRisco)) {
+                detalhes.atividade_principal = rules.atividade.baixoRisco.pontos;
+                fatores.push(`${marcadorFator(detalhes.atividade_principal, maximos.atividade_principal)} Atividade de baixo risco (sem código CNAE; por palavras-chave)`);
+            } else if (contem(rules.atividade.medioRisco)) {
+                detalhes.atividade_principal = rules.atividade.medioRisco.pontos;
+                fatores.push(`${marcadorFator(detalhes.atividade_principal, maximos.atividade_principal)} Atividade de médio risco (sem código CNAE; por palavras-chave)`);
             } else {
-                pontuacao += 5;
-                detalhes.atividade_principal = 5;
-                fatores.push('⚠️ Atividade requer análise específica');
+                detalhes.atividade_principal = rules.atividade.demais;
+                fatores.push(`${marcadorFator(detalhes.atividade_principal, maximos.atividade_principal)} Atividade requer análise específica`);
             }
         }
+        
+        // Atividades secundárias não pontuam, mas um setor mais arriscado que o principal é sinalizado
+        const secundaria = atividades.maiorRiscoSecundario;
+        if (secundaria && (!atividades.principal || ORDEM_RISCO[secundaria.nivel] > ORDEM_RISCO[atividades.principal.nivel])) {
+            fatores.push(`ℹ️ Atividade secundária de ${NIVEIS_RISCO[secundaria.nivel]} - CNAE ${formatarCodigoCNAE(secundaria.codigo)} (${descreverRegraCNAE(secundaria)})`);
+        }
 
-        // 5. Endereço Completo (peso: 10 pontos)
+        // 5. Endereço Completo
         if (dadosCNPJ.endereco && dadosCNPJ.endereco.logradouro && dadosCNPJ.endereco.cep) {
-            pontuacao += 10;
-            detalhes.endereco = 10;
+            detalhes.endereco = rules.endereco.completo;
             fatores.push('✅ Endereço completo informado');
         } else if (dadosCNPJ.endereco && dadosCNPJ.endereco.logradouro) {
-            pontuacao += 5;
-            detalhes.endereco = 5;
+            detalhes.endereco = rules.endereco.parcial;
             fatores.push('⚠️ Endereço parcialmente informado');
         } else {
             fatores.push('❌ Endereço incompleto');
         }
 
-        // Determinar classificação
-        let classificacao;
-        let cor;
-        if (pontuacao >= 80) {
-            classificacao = 'Excelente';
-            cor = '#28a745'; // Verde
-        } else if (pontuacao >= 60) {
-            classificacao = 'Bom';
-            cor = '#17a2b8'; // Azul
-        } else if (pontuacao >= 40) {
-            classificacao = 'Regular';
-            cor = '#ffc107'; // Amarelo
-        } else if (pontuacao >= 20) {
-            classificacao = 'Baixo';
-            cor = '#fd7e14'; // Laranja
-        } else {
-            classificacao = 'Crítico';
-            cor = '#dc3545'; // Vermelho
+        // 6. Regime Tributário (ajuste positivo ou negativo, total limitado a 0-100)
+        const simples = dadosCNPJ.simples;
+        if (simples) {
+            const anosDesde = data => (new Date() - new Date(data)) / (1000 * 60 * 60 * 24 * 365);
+            
+            if (simples.mei) {
+                detalhes.regime_tributario = rules.regimeTributario.optante;
+                fatores.push(`✅ MEI${simples.dataOpcaoMei ? ` desde ${formatarDataCurta(simples.dataOpcaoMei)}` : ''}`);
+            } else if (simples.optante) {
+                detalhes.regime_tributario = rules.regimeTributario.optante;
+                fatores.push(`✅ Optante do Simples Nacional${simples.dataOpcao ? ` desde ${formatarDataCurta(simples.dataOpcao)}` : ''}`);
+                if (simples.dataExclusaoMei) {
+                    fatores.push(`ℹ️ Desenquadrada do MEI em ${formatarDataCurta(simples.dataExclusaoMei)}`);
+                }
+            } else if (simples.dataExclusao && anosDesde(simples.dataExclusao) < rules.regimeTributario.anosExclusaoRecente) {
+                // Exclusões recentes costumam decorrer de débitos fiscais
+                detalhes.regime_tributario = rules.regimeTributario.exclusaoRecente;
+                fatores.push(`❌ Excluída do Simples Nacional em ${formatarDataCurta(simples.dataExclusao)} (verificar pendências fiscais)`);
+            } else if (simples.dataExclusao) {
+                fatores.push(`⚠️ Excluída do Simples Nacional em ${formatarDataCurta(simples.dataExclusao)}`);
+            } else {
+                fatores.push('ℹ️ Não optante do Simples Nacional');
+            }
+        }
+
+        pontuacao = Object.values(detalhes).reduce((total, pontos) => total + pontos, 0);
+        pontuacao = Math.min(100, Math.max(0, pontuacao));
+        const scorePublico = pontuacao;
+
+        // 7. Dados declarados: parte do score vem do formulário e cada inconsistência desconta pontos
+        let declarados = null;
+        let alertas = [];
+        if (formData) {
+            const regrasDeclarados = rules.declarados || DEFAULT_RULES.declarados;
+            const avaliacao = avaliarDadosDeclarados(formData, files, dadosCNPJ, regrasDeclarados);
+            
+            declarados = {
+                pontos: avaliacao.pontos,
+                peso: regrasDeclarados.peso,
+                itens: avaliacao.itens
+            };
+            alertas = avaliacao.alertas;
+            fatores.push(...avaliacao.fatores);
+            alertas.forEach(alerta => fatores.push(`🚩 ${alerta.mensagem}`));
+            
+            pontuacao = Math.round(scorePublico * (1 - regrasDeclarados.peso) + avaliacao.pontos * regrasDeclarados.peso)
+                - alertas.length * regrasDeclarados.penalidadeAlerta;
+            pontuacao = Math.min(100, Math.max(0, pontuacao));
         }
 
+        // Determinar classificação
+        const faixa = rules.classificacao.find(item => pontuacao >= item.minimo);
+
         return {
             score: pontuacao,
-            classificacao,
-            cor,
+            classificacao: faixa.nome,
+            cor: faixa.cor,
             fatores,
             detalhes,
-            recomendacao: gerarRecomendacao(pontuacao, classificacao),
+            maximos,
+            scorePublico,
+            declarados,
+            alertas,
+            recomendacao: faixa.recomendacao,
+            versaoRegras: version,
             calculadoEm: new Date().toISOString()
         };
 
@@ -534,44 +432,49 @@ function calcularScoreEstimado(dadosCNPJ) {
             score: 0,
             classificacao: 'Erro',
             fatores: ['Erro no cálculo do score'],
-            detalhes: {},
+            detalhes: {
+                situacao: 0,
+                tempo_atividade: 0,
+                capital_social: 0,
+                atividade_principal: 0,
+                endereco: 0,
+                regime_tributario: 0
+            },
+            maximos,
+            versaoRegras: version,
             erro: error.message
         };
     }
 }
 
 /**
- * Gera recomendação baseada no score
- * @param {number} pontuacao - Pontuação obtida
- * @param {string} classificacao - Classificação do score
- * @returns {string} Recomendação
- */
-function gerarRecomendacao(pontuacao, classificacao) {
-    if (pontuacao >= 80) {
-        return 'Cliente com excelente perfil. Recomendado para aprovação com condições preferenciais.';
-    } else if (pontuacao >= 60) {
-        return 'Cliente com bom perfil. Recomendado para aprovação com condições padrão.';
-    } else if (pontuacao >= 40) {
-        return 'Cliente com perfil regular. Recomenda-se análise adicional e condições restritivas.';
-    } else if (pontuacao >= 20) {
-        return 'Cliente com perfil de risco. Recomenda-se análise criteriosa e garantias adicionais.';
-    } else {
-        return 'Cliente com perfil crítico. Não recomendado para aprovação sem análise presencial detalhada.';
-    }
+ * Formata datas aaaa-mm-dd como dd/mm/aaaa (outros formatos passam direto)
+ */
+function formatarDataCurta(data) {
+    const partes = (data || '').toString().match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return partes ? `${partes[3]}/${partes[2]}/${partes[1]}` : data;
+}
+
+/**
+ * Formata valores em reais (1234.5 → R$ 1.234,50)
+ */
+function formatarMoeda(valor) {
+    return Number(valor).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
 }
 
 // ===== CONFIGURAÇÕES =====
 const app = express();
 const PORT = process.env.PORT || 10000;
 
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+
 // Configuração do multer para upload de arquivos
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, 'uploads');
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
+        if (!fs.existsSync(UPLOAD_DIR)) {
+            fs.mkdirSync(UPLOAD_DIR, { recursive: true });
         }
-        cb(null, uploadDir);
+        cb(null, UPLOAD_DIR);
     },
     filename: (req, file, cb) => {
         const timestamp = Date.now();
@@ -601,6 +504,18 @@ const upload = multer({
     }
 });
 
+// Validade e limite padrão dos links de download (e limites aceitos nas alterações do admin)
+const DOWNLOAD_LINK_HOURS = parseInt(process.env.DOWNLOAD_LINK_HOURS) || 48;
+const DOWNLOAD_LINK_MAX_DOWNLOADS = parseInt(process.env.DOWNLOAD_LINK_MAX_DOWNLOADS) || 5;
+const MAX_LINK_HOURS = 30 * 24;
+const MAX_LINK_DOWNLOADS = 100;
+
+// Links de download sobrevivem a reinícios: remove apenas arquivos órfãos e links vencidos
+reconcileUploads(UPLOAD_DIR);
+
+// Executa limpeza de links expirados a cada hora
+setInterval(cleanupExpiredLinks, 60 * 60 * 1000);
+
 // ===== MIDDLEWARES =====
 // Configuração dinâmica do CORS baseada no ambiente
 const corsOptions = {
@@ -635,7 +550,7 @@ const corsOptions = {
         }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: [
         'Content-Type', 
         'Authorization', 
@@ -657,12 +572,20 @@ app.use(express.urlencoded({ extended: true }));
 // Servir arquivos estáticos (para testar o frontend)
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Sessão do usuário autenticado (req.user) para rotas administrativas
+app.use(auth.loadSession);
+
+// Garante o primeiro administrador e limpa sessões expiradas a cada hora
+auth.bootstrapAdmin();
+auth.cleanupExpiredSessions();
+setInterval(auth.cleanupExpiredSessions, 60 * 60 * 1000);
+
 // ===== CONFIGURAÇÃO DE EMAIL =====
 // Validação de variáveis de ambiente críticas
 function validateEnvironmentVariables() {
+    // As credenciais dependem do transporte (o transporte "file" não exige nenhuma)
     const requiredVars = [
-        'EMAIL_USER',
-        'EMAIL_PASS',
+        ...mailTransport.requiredMailEnv(),
         'RECIPIENT_EMAIL'
     ];
     
@@ -692,36 +615,13 @@ function validateEnvironmentVariables() {
 // Executa validação
 validateEnvironmentVariables();
 
-/**
- * Configuração do transporter de email
- * Para usar Gmail:
- * 1. Ative a verificação em duas etapas
- * 2. Gere uma senha de app: https://myaccount.google.com/apppasswords
- * 3. Use a senha de app no lugar da senha normal
- */
-const emailConfig = {
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: parseInt(process.env.SMTP_PORT) || 587,
-    secure: process.env.SMTP_SECURE === 'true', // true para 465, false para outras portas
-    auth: {
-        user: process.env.EMAIL_USER || 'seu-email@gmail.com',
-        pass: process.env.EMAIL_PASS || 'sua-senha-de-app'
-    },
-    // Configurações de timeout para resolver problemas de conexão
-    connectionTimeout: 60000, // 60 segundos para conexão
-    greetingTimeout: 30000,   // 30 segundos para greeting
-    socketTimeout: 60000,     // 60 segundos para socket
-    // Configurações adicionais para estabilidade
-    pool: true,
-    maxConnections: 5,
-    maxMessages: 100,
-    rateLimit: 14 // máximo 14 emails por segundo
-};
-
-const transporter = nodemailer.createTransport(emailConfig);
+// Transporte escolhido em MAIL_TRANSPORT: smtp (padrão), file ou http (ver lib/mail-transport.js)
+const emailSender = process.env.EMAIL_USER || 'seu-email@gmail.com';
+const transporter = mailTransport.createMailTransport();
 
 // Debug: Verificar se as variáveis de ambiente estão carregadas
 console.log('=== DEBUG: Configuração de Email ===');
+console.log('MAIL_TRANSPORT:', mailTransport.describeMailTransport());
 console.log('EMAIL_USER:', process.env.EMAIL_USER ? 'Configurado' : 'NÃO CONFIGURADO');
 console.log('EMAIL_PASS:', process.env.EMAIL_PASS ? 'Configurado' : 'NÃO CONFIGURADO');
 console.log('RECIPIENT_EMAIL:', process.env.RECIPIENT_EMAIL ? 'Configurado' : 'NÃO CONFIGURADO');
@@ -779,6 +679,101 @@ if (process.env.NODE_ENV !== 'production') {
     console.log('ℹ️ Verificação de SMTP desabilitada em produção');
 }
 
+// ===== FILA DE EMAILS =====
+const EMAIL_OUTBOX_INTERVAL_MS = (parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 60) * 1000;
+
+// Emails em envio neste momento (evita que a fila e a rota enviem o mesmo email em paralelo)
+const emailsEmEnvio = new Set();
+
+/**
+ * Tenta enviar um email da fila e registra o resultado
+ * Anexos cujos arquivos já foram removidos são descartados (o email da equipe
+ * continua com o link de download).
+ * @param {Object} email - Registro de lib/email-outbox
+ * @returns {Promise<Object>} { success, email } ou { success: false, error, email }
+ */
+async function deliverOutboxEmail(email) {
+    const requestId = email.requestId;
+    const label = emailOutbox.OUTBOX_KINDS[email.kind] || email.kind;
+
+    if (emailsEmEnvio.has(email.id)) {
+        return { success: false, error: 'Envio já em andamento', email };
+    }
+    emailsEmEnvio.add(email.id);
+
+    try {
+        const attachments = (email.mailOptions.attachments || []).filter(attachment => {
+            if (!attachment.path || fs.existsSync(attachment.path)) return true;
+            console.warn(`⚠️ [${requestId}] Anexo indisponível removido do email (${label}): ${attachment.filename}`);
+            return false;
+        });
+
+        const result = await transporter.sendMail({ ...email.mailOptions, attachments });
+        console.log(`✅ [${requestId}] ${label} enviado (tentativa ${email.attempts + 1}) ID: ${result.messageId}`);
+
+        const updated = emailOutbox.markSent(email.id, { messageId: result.messageId });
+        if (email.kind === 'admin') {
+            leadStore.updateLead(requestId, { emailSent: true });
+        }
+        return { success: true, email: updated };
+    } catch (emailError) {
+        console.error(`❌ [${requestId}] ERRO no envio (${label}):`, emailError.message);
+        console.error(`❌ [${requestId}] Código do erro:`, emailError.code);
+
+        // Log detalhado do erro de email
+        if (emailError.code === 'EAUTH') {
+            console.error(`❌ [${requestId}] ERRO DE AUTENTICAÇÃO - Verifique EMAIL_USER e EMAIL_PASS`);
+        } else if (emailError.code === 'ECONNREFUSED') {
+            console.error(`❌ [${requestId}] ERRO DE CONEXÃO - Servidor SMTP não acessível`);
+        } else if (emailError.code === 'ETIMEDOUT') {
+            console.error(`❌ [${requestId}] TIMEOUT - Servidor SMTP demorou para responder`);
+        } else if (emailError.code === 'EHTTP') {
+            console.error(`❌ [${requestId}] ERRO NA API DE EMAIL (HTTP ${emailError.status}) - Verifique MAIL_HTTP_PROVIDER e MAIL_HTTP_API_KEY`);
+        }
+
+        const updated = emailOutbox.markFailed(email.id, emailError);
+        if (updated.status === 'falhou') {
+            console.error(`❌ [${requestId}] ${label} sem novas tentativas após ${updated.attempts} falha(s) - reenvie pelo dashboard`);
+        } else {
+            console.log(`📤 [${requestId}] ${label} mantido na fila - nova tentativa em ${updated.nextAttemptAt}`);
+        }
+        return { success: false, error: emailError.message, email: updated };
+    } finally {
+        emailsEmEnvio.delete(email.id);
+    }
+}
+
+/**
+ * Envia, um por vez, os emails da fila com tentativa vencida
+ */
+async function processEmailOutbox() {
+    const due = emailOutbox.listDueEmails();
+    if (due.length === 0) return;
+
+    console.log(`📤 Fila de emails: ${due.length} email(s) para reenviar`);
+    for (const email of due) {
+        // O registro pode ter sido enviado pela rota ou por um reenvio enquanto a fila andava
+        const atual = emailOutbox.getEmail(email.id);
+        if (atual && atual.status === 'pendente') {
+            await deliverOutboxEmail(atual);
+        }
+    }
+}
+
+// Retoma a fila após reinícios e verifica novas tentativas periodicamente
+let processandoFila = false;
+setInterval(async () => {
+    if (processandoFila) return;
+    processandoFila = true;
+    try {
+        await processEmailOutbox();
+    } catch (error) {
+        console.error('❌ Erro ao processar a fila de emails:', error.message);
+    } finally {
+        processandoFila = false;
+    }
+}, EMAIL_OUTBOX_INTERVAL_MS).unref();
+
 // ===== FUNÇÕES AUXILIARES =====
 
 /**
@@ -788,6 +783,7 @@ if (process.env.NODE_ENV !== 'production') {
  */
 function validateFormData(data) {
     const errors = [];
+    const fieldErrors = {};
     
     // Validação de informações pessoais
     if (!data.nomeCompleto || data.nomeCompleto.trim().length < 2) {
@@ -806,15 +802,11 @@ function validateFormData(data) {
         errors.push('Nome da empresa é obrigatório');
     }
     
-    // Validação de dados empresariais
-    if (!data.cnpj || data.cnpj.trim().length < 14) {
-        errors.push('CNPJ é obrigatório e deve ser válido');
-    } else {
-        // Validação básica de formato CNPJ (remove caracteres especiais)
-        const cnpjNumbers = data.cnpj.replace(/\D/g, '');
-        if (cnpjNumbers.length !== 14) {
-            errors.push('CNPJ deve conter 14 dígitos');
-        }
+    // Validação de dados empresariais (dígitos verificadores do CNPJ)
+    const cnpjValidation = CNPJValidator.validate(data.cnpj);
+    if (!cnpjValidation.valid) {
+        errors.push(cnpjValidation.reason);
+        fieldErrors.cnpj = cnpjValidation.reason;
     }
     
     if (!data.tempoExistencia) {
@@ -836,378 +828,226 @@ function validateFormData(data) {
     
     return {
         isValid: errors.length === 0,
-        errors: errors
+        errors: errors,
+        fieldErrors: fieldErrors
+    };
+}
+
+/**
+ * Descreve a origem dos dados do CNPJ para a linha "Fonte" do email.
+ * Com dados combinados de vários provedores, lista os campos vindos de cada um.
+ * @param {Object} dadosCNPJ - Resultado de consultarCNPJ
+ * @returns {Object} { fonte } ou { fontes: [linha por provedor] }
+ */
+function descreverFonteCNPJ(dadosCNPJ) {
+    const rotulo = official => official ? '(Oficial)' : '(Terceiros)';
+    
+    if (!dadosCNPJ.provenance) {
+        return { fonte: `${dadosCNPJ.source} ${rotulo(dadosCNPJ.official)}`, fontes: [] };
+    }
+    
+    const fontes = dadosCNPJ.sources
+        .map(fonte => ({
+            ...fonte,
+            campos: Object.keys(dadosCNPJ.provenance)
+                .filter(campo => dadosCNPJ.provenance[campo] === fonte.name)
+                .map(campo => CAMPOS_CNPJ[campo])
+        }))
+        .filter(fonte => fonte.campos.length > 0)
+        .map(fonte => `${fonte.name} ${rotulo(fonte.official)}: ${fonte.campos.join(', ')}`);
+    
+    return { fonte: null, fontes };
+}
+
+/**
+ * Dados do CNPJ no formato do partial dados-cnpj
+ */
+function montarDadosCNPJEmail(dadosCNPJ) {
+    const simples = dadosCNPJ.simples || {};
+    const opcao = (rotulo, inicio, fim) => inicio
+        ? `Opção pelo ${rotulo}: ${formatarDataCurta(inicio)}${fim ? ` • Exclusão: ${formatarDataCurta(fim)}` : ''}`
+        : null;
+    const endereco = dadosCNPJ.endereco;
+    const secundarias = dadosCNPJ.atividadesSecundarias || [];
+    const socios = dadosCNPJ.socios || [];
+    
+    return {
+        consultadoEm: new Date(dadosCNPJ.consultedAt).toLocaleString('pt-BR'),
+        ...descreverFonteCNPJ(dadosCNPJ),
+        cache: dadosCNPJ.stale ? {
+            motivo: dadosCNPJ.staleReason
+                ? 'As APIs de CNPJ estavam indisponíveis no momento do envio;'
+                : 'A consulta armazenada passou da validade e está sendo atualizada;',
+            cachedAt: new Date(dadosCNPJ.cache.cachedAt).toLocaleString('pt-BR')
+        } : null,
+        razaoSocial: dadosCNPJ.razaoSocial,
+        nomeFantasia: dadosCNPJ.nomeFantasia || null,
+        situacao: dadosCNPJ.situacao,
+        corSituacao: dadosCNPJ.situacao?.toLowerCase().includes('ativa') ? '#059669' : '#dc2626',
+        dataSituacao: dadosCNPJ.dataSituacao || null,
+        motivoSituacao: dadosCNPJ.motivoSituacao || null,
+        dataAbertura: dadosCNPJ.dataAbertura,
+        naturezaJuridica: dadosCNPJ.naturezaJuridica || null,
+        porte: dadosCNPJ.porte || null,
+        regimeTributario: dadosCNPJ.regimeTributario || null,
+        opcoesSimples: [
+            opcao('Simples', simples.dataOpcao, simples.dataExclusao),
+            opcao('MEI', simples.dataOpcaoMei, simples.dataExclusaoMei)
+        ].filter(Boolean),
+        capitalSocial: dadosCNPJ.capitalSocial || null,
+        endereco: endereco ? {
+            logradouro: [
+                `${endereco.logradouro || 'Não informado'} ${endereco.numero || ''}`.trim(),
+                endereco.complemento
+            ].filter(Boolean).join(', '),
+            localidade: `${endereco.bairro || 'Não informado'} - ${endereco.municipio || 'Não informado'}/${endereco.uf || 'Não informado'}`,
+            cep: endereco.cep || 'Não informado'
+        } : null,
+        contatos: [
+            dadosCNPJ.telefone ? { label: '📱 Telefone:', valor: dadosCNPJ.telefone } : null,
+            dadosCNPJ.email ? { label: '📧 Email:', valor: dadosCNPJ.email } : null
+        ].filter(Boolean),
+        atividadePrincipal: dadosCNPJ.atividadePrincipal || null,
+        atividadesSecundarias: secundarias.slice(0, 5),
+        atividadesRestantes: Math.max(secundarias.length - 5, 0),
+        inscricoesEstaduais: (dadosCNPJ.inscricoesEstaduais || []).map(ie => ({ inscricao: ie.inscricao, uf: ie.uf, ativa: Boolean(ie.ativa) })),
+        socios: socios.slice(0, 10).map(socio => ({ nome: socio.nome, qualificacao: socio.qualificacao, dataEntrada: socio.dataEntrada || null })),
+        sociosRestantes: Math.max(socios.length - 10, 0)
+    };
+}
+
+/**
+ * Avaliação preliminar no formato do partial avaliacao
+ */
+function montarAvaliacaoEmail(scoreEstimado) {
+    // Scores antigos não trazem os máximos; usa os das regras ativas
+    const maximos = scoreEstimado.maximos || pontuacaoMaxima(getScoreRules().rules);
+    const detalhes = scoreEstimado.detalhes || {};
+    const declarados = scoreEstimado.declarados;
+    const alertas = scoreEstimado.alertas || [];
+    
+    const detalhamento = [
+        ['Situação Cadastral', 'situacao'],
+        ['Tempo de Atividade', 'tempo_atividade'],
+        ['Capital Social', 'capital_social'],
+        ['Atividade Principal', 'atividade_principal'],
+        ['Endereço Completo', 'endereco']
+    ].map(([rotulo, chave]) => ({ rotulo, pontos: `${detalhes[chave]}/${maximos[chave]}` }));
+    
+    if (detalhes.regime_tributario !== undefined) {
+        detalhamento.push({
+            rotulo: 'Regime Tributário (ajuste)',
+            pontos: `${detalhes.regime_tributario > 0 ? '+' : ''}${detalhes.regime_tributario}`
+        });
+    }
+    
+    return {
+        pontuacao: scoreEstimado.score,
+        cor: scoreEstimado.cor,
+        classificacao: scoreEstimado.classificacao,
+        alertas: alertas.map(alerta => alerta.mensagem),
+        recomendacao: scoreEstimado.recomendacao,
+        fatores: Array.isArray(scoreEstimado.fatores) ? scoreEstimado.fatores : [],
+        detalhamento,
+        composicao: declarados ? {
+            publico: scoreEstimado.scorePublico,
+            pesoPublico: Math.round((1 - declarados.peso) * 100),
+            declarados: declarados.pontos,
+            pesoDeclarados: Math.round(declarados.peso * 100),
+            itens: declarados.itens,
+            inconsistencias: alertas.length
+        } : null,
+        calculadoEm: new Date(scoreEstimado.calculadoEm).toLocaleString('pt-BR'),
+        versaoRegras: scoreEstimado.versaoRegras || null
     };
 }
 
 /**
- * Gera o HTML do email
+ * Gera o email da equipe (templates/emails/consultoria-equipe.html e .txt)
  * @param {Object} data - Dados do formulário
- * @returns {string} - HTML do email
- */
-function generateEmailHTML(data, dadosCNPJ = null, downloadLink = null, files = null, scoreEstimado = null) {
-    // Gera seção de dados do CNPJ se disponível
-    const secaoCNPJ = dadosCNPJ && dadosCNPJ.success ? `
-        <h2 style="color: #059669; border-bottom: 2px solid #059669; padding-bottom: 10px;">📊 DADOS OFICIAIS DO CNPJ</h2>
-        <div style="background: #ecfdf5; padding: 15px; border-radius: 8px; margin-bottom: 20px;">
-            <p style="margin: 0; font-size: 12px; color: #065f46;">
-                <strong>Fonte:</strong> ${dadosCNPJ.source} ${dadosCNPJ.official ? '(Oficial)' : '(Terceiros)'} | 
-                <strong>Consultado em:</strong> ${new Date(dadosCNPJ.consultedAt).toLocaleString('pt-BR')}
-            </p>
-        </div>
-        
-        <div class="field">
-            <div class="label">🏢 Razão Social:</div>
-            <div class="value" style="font-weight: bold; color: #059669;">${dadosCNPJ.razaoSocial}</div>
-        </div>
-        
-        ${dadosCNPJ.nomeFantasia ? `
-        <div class="field">
-            <div class="label">🏪 Nome Fantasia:</div>
-            <div class="value">${dadosCNPJ.nomeFantasia}</div>
-        </div>
-        ` : ''}
-        
-        <div class="field">
-            <div class="label">📋 Situação Cadastral:</div>
-            <div class="value" style="color: ${dadosCNPJ.situacao?.toLowerCase().includes('ativa') ? '#059669' : '#dc2626'}; font-weight: bold;">
-                ${dadosCNPJ.situacao}
-                ${dadosCNPJ.dataSituacao ? ` (desde ${dadosCNPJ.dataSituacao})` : ''}
-            </div>
-        </div>
-        
-        ${dadosCNPJ.motivoSituacao ? `
-        <div class="field">
-            <div class="label">📝 Motivo da Situação:</div>
-            <div class="value">${dadosCNPJ.motivoSituacao}</div>
-        </div>
-        ` : ''}
-        
-        <div class="field">
-            <div class="label">📅 Data de Abertura:</div>
-            <div class="value">${dadosCNPJ.dataAbertura}</div>
-        </div>
-        
-        ${dadosCNPJ.naturezaJuridica ? `
-        <div class="field">
-            <div class="label">⚖️ Natureza Jurídica:</div>
-            <div class="value">${dadosCNPJ.naturezaJuridica}</div>
-        </div>
-        ` : ''}
-        
-        ${dadosCNPJ.porte ? `
-        <div class="field">
-            <div class="label">📏 Porte da Empresa:</div>
-            <div class="value">${dadosCNPJ.porte}</div>
-        </div>
-        ` : ''}
-        
-        ${dadosCNPJ.capitalSocial ? `
-        <div class="field">
-            <div class="label">💰 Capital Social:</div>
-            <div class="value">R$ ${dadosCNPJ.capitalSocial}</div>
-        </div>
-        ` : ''}
-        
-        ${dadosCNPJ.endereco ? `
-        <h3 style="color: #0369a1; margin-top: 25px;">📍 Endereço Oficial</h3>
-        <div class="field">
-            <div class="label">🏠 Endereço Completo:</div>
-            <div class="value">
-                ${dadosCNPJ.endereco.logradouro || 'Não informado'} ${dadosCNPJ.endereco.numero || ''}
-                ${dadosCNPJ.endereco.complemento ? `, ${dadosCNPJ.endereco.complemento}` : ''}
-                <br>${dadosCNPJ.endereco.bairro || 'Não informado'} - ${dadosCNPJ.endereco.municipio || 'Não informado'}/${dadosCNPJ.endereco.uf || 'Não informado'}
-                <br>CEP: ${dadosCNPJ.endereco.cep || 'Não informado'}
-            </div>
-        </div>
-        ` : ''}
-        
-        ${dadosCNPJ.telefone || dadosCNPJ.email ? `
-        <h3 style="color: #0369a1; margin-top: 25px;">📞 Contatos Oficiais</h3>
-        ${dadosCNPJ.telefone ? `
-        <div class="field">
-            <div class="label">📱 Telefone:</div>
-            <div class="value">${dadosCNPJ.telefone}</div>
-        </div>
-        ` : ''}
-        ${dadosCNPJ.email ? `
-        <div class="field">
-            <div class="label">📧 Email:</div>
-            <div class="value">${dadosCNPJ.email}</div>
-        </div>
-        ` : ''}
-        ` : ''}
-        
-        ${dadosCNPJ.atividadePrincipal ? `
-        <h3 style="color: #0369a1; margin-top: 25px;">🎯 Atividade Econômica</h3>
-        <div class="field">
-            <div class="label">🏭 Atividade Principal:</div>
-            <div class="value">${dadosCNPJ.atividadePrincipal}</div>
-        </div>
-        ` : ''}
-        
-        ${dadosCNPJ.atividadesSecundarias && dadosCNPJ.atividadesSecundarias.length > 0 ? `
-        <div class="field">
-            <div class="label">🔧 Atividades Secundárias:</div>
-            <div class="value">
-                ${dadosCNPJ.atividadesSecundarias.slice(0, 5).map(ativ => `• ${ativ}`).join('<br>')}
-                ${dadosCNPJ.atividadesSecundarias.length > 5 ? `<br><em>... e mais ${dadosCNPJ.atividadesSecundarias.length - 5} atividades</em>` : ''}
-            </div>
-        </div>
-        ` : ''}
-        
-        ${dadosCNPJ.socios && dadosCNPJ.socios.length > 0 ? `
-        <h3 style="color: #0369a1; margin-top: 25px;">👥 Quadro Societário</h3>
-        <div class="field">
-            <div class="label">🤝 Sócios/Administradores:</div>
-            <div class="value">
-                ${dadosCNPJ.socios.slice(0, 10).map(socio => `
-                    <strong>${socio.nome}</strong><br>
-                    <em>${socio.qualificacao}</em>
-                    ${socio.dataEntrada ? `<br><small>Entrada: ${socio.dataEntrada}</small>` : ''}
-                `).join('<br><br>')}
-                ${dadosCNPJ.socios.length > 10 ? `<br><br><em>... e mais ${dadosCNPJ.socios.length - 10} sócios</em>` : ''}
-            </div>
-        </div>
-        ` : ''}
-        
-    ` : (dadosCNPJ && !dadosCNPJ.success ? `
-        <h2 style="color: #dc2626;">⚠️ CONSULTA CNPJ</h2>
-        <div style="background: #fef2f2; padding: 15px; border-radius: 8px; margin-bottom: 20px; border-left: 4px solid #dc2626;">
-            <p style="margin: 0; color: #991b1b;">
-                <strong>Erro na consulta:</strong> ${dadosCNPJ.error}<br>
-                <small>Fonte: ${dadosCNPJ.source} | Consultado em: ${new Date(dadosCNPJ.consultedAt).toLocaleString('pt-BR')}</small>
-            </p>
-        </div>
-    ` : '');
+ * @returns {Object} - { subject, preheader, html, text } do email
+ */
+function generateEmail(data, dadosCNPJ = null, downloadPath = null, files = null, scoreEstimado = null, linhasCredito = null, simulacao = null) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3001';
+    const bancos = data.bancos ? (Array.isArray(data.bancos) ? data.bancos.map(banco => banco.trim()) : [data.bancos]) : [];
+    const temAlertas = Boolean(scoreEstimado && scoreEstimado.alertas && scoreEstimado.alertas.length > 0);
+    const subject = `Nova Solicitação de Consultoria - ${data.empresa}`
+        + (dadosCNPJ && dadosCNPJ.success ? ` - ${dadosCNPJ.situacao}` : '')
+        + (temAlertas ? ' - 🚩 Verificar inconsistências' : '');
 
-    return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 700px; margin: 0 auto; padding: 20px; }
-                .header { background: #3b82f6; color: white; padding: 20px; text-align: center; }
-                .content { padding: 20px; background: #f9f9f9; }
-                .field { margin-bottom: 15px; }
-                .label { font-weight: bold; color: #555; }
-                .value { margin-top: 5px; padding: 10px; background: white; border-radius: 5px; }
-                .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
-                .cnpj-section { background: #f0f9ff; border: 1px solid #0ea5e9; border-radius: 8px; padding: 20px; margin: 20px 0; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>Nova Solicitação de Consultoria</h1>
-                </div>
-                
-                <div class="content">
-                    <h2>Dados do Solicitante</h2>
-                    
-                    <div class="field">
-                        <div class="label">Nome:</div>
-                        <div class="value">${data.nomeCompleto}</div>
-                    </div>
-                    
-                    <div class="field">
-                        <div class="label">Email:</div>
-                        <div class="value">${data.email}</div>
-                    </div>
-                    
-                    <div class="field">
-                        <div class="label">Telefone:</div>
-                        <div class="value">${data.telefone}</div>
-                    </div>
-                    
-                    <div class="field">
-                        <div class="label">Empresa:</div>
-                        <div class="value">${data.empresa}</div>
-                    </div>
-                    
-                    <h2>Dados Empresariais Informados</h2>
-                    
-                    <div class="field">
-                        <div class="label">CNPJ:</div>
-                        <div class="value">${data.cnpj}</div>
-                    </div>
-                    
-                    <div class="field">
-                        <div class="label">Faturamento Anual:</div>
-                        <div class="value">${data.faturamentoAnual}</div>
-                    </div>
-                    
-                    <div class="field">
-                        <div class="label">Tempo de Existência:</div>
-                        <div class="value">${data.tempoExistencia}</div>
-                    </div>
-                    
-                    ${secaoCNPJ}
-                    
-                    ${scoreEstimado ? `
-                    <h2 style="color: #7c3aed; border-bottom: 2px solid #7c3aed; padding-bottom: 10px;">📊 AVALIAÇÃO PRELIMINAR</h2>
-                    <div style="background: linear-gradient(135deg, #f3f4f6 0%, #e5e7eb 100%); padding: 20px; border-radius: 12px; margin-bottom: 20px; border: 1px solid #d1d5db;">
-                        <div style="text-align: center; margin-bottom: 20px;">
-                            <div style="display: inline-block; background: ${scoreEstimado.cor}; color: white; padding: 15px 30px; border-radius: 50px; font-size: 24px; font-weight: bold; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-                                ${scoreEstimado.score}/100
-                            </div>
-                            <div style="margin-top: 10px; font-size: 18px; font-weight: bold; color: ${scoreEstimado.cor};">
-                                ${scoreEstimado.classificacao}
-                            </div>
-                        </div>
-                        
-                        <div style="background: white; padding: 15px; border-radius: 8px; margin-bottom: 15px;">
-                            <h4 style="margin: 0 0 10px 0; color: #374151;">🎯 Recomendação:</h4>
-                            <p style="margin: 0; color: #6b7280; font-style: italic;">${scoreEstimado.recomendacao}</p>
-                        </div>
-                        
-                        <div style="background: white; padding: 15px; border-radius: 8px; margin-bottom: 15px;">
-                            <h4 style="margin: 0 0 10px 0; color: #374151;">📋 Fatores Analisados:</h4>
-                            <div style="color: #6b7280;">
-                                ${scoreEstimado.fatores && Array.isArray(scoreEstimado.fatores) ? scoreEstimado.fatores.map(fator => `<div style="margin-bottom: 5px;">• ${fator}</div>`).join('') : '<div>Nenhum fator disponível</div>'}
-                            </div>
-                        </div>
-                        
-                        <div style="background: white; padding: 15px; border-radius: 8px;">
-                            <h4 style="margin: 0 0 10px 0; color: #374151;">📊 Detalhamento da Pontuação:</h4>
-                            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; font-size: 14px;">
-                                <div>• Situação Cadastral: <strong>${scoreEstimado.detalhes.situacao}/30</strong></div>
-                                <div>• Tempo de Atividade: <strong>${scoreEstimado.detalhes.tempo_atividade}/25</strong></div>
-                                <div>• Capital Social: <strong>${scoreEstimado.detalhes.capital_social}/20</strong></div>
-                                <div>• Atividade Principal: <strong>${scoreEstimado.detalhes.atividade_principal}/15</strong></div>
-                                <div>• Endereço Completo: <strong>${scoreEstimado.detalhes.endereco}/10</strong></div>
-                                <div style="grid-column: 1 / -1; text-align: center; margin-top: 10px; padding-top: 10px; border-top: 1px solid #e5e7eb;">
-                                    <strong style="color: ${scoreEstimado.cor};">Total: ${scoreEstimado.score}/100</strong>
-                                </div>
-                            </div>
-                        </div>
-                        
-                        <div style="text-align: center; margin-top: 15px; font-size: 12px; color: #9ca3af;">
-                            Avaliação calculada em: ${new Date(scoreEstimado.calculadoEm).toLocaleString('pt-BR')}
-                        </div>
-                    </div>
-                    ` : ''}
-                    
-                    <h2>Detalhes da Consultoria</h2>
-                    
-                    <div class="field">
-                        <div class="label">Tipo de Consultoria:</div>
-                        <div class="value">${data.tipoConsultoria}</div>
-                    </div>
-                    
-                    <div class="field">
-                        <div class="label">Descrição do Projeto:</div>
-                        <div class="value">${data.mensagem ? data.mensagem.replace(/\n/g, '<br>') : 'Não informado'}</div>
-                    </div>
-                    
-                    ${data.bancos || data.outrosBancos ? `
-                    <div class="field" style="margin-top: 30px; margin-bottom: 30px; background: #f0f9ff; padding: 20px; border-radius: 8px; border-left: 6px solid #0ea5e9;">
-                        <div class="label" style="font-size: 22px; color: #0369a1; font-weight: bold; margin-bottom: 15px;">🏦 Bancos onde possui conta:</div>
-                        <div class="value" style="font-size: 18px; font-weight: 600; padding: 20px; background: white; border-radius: 5px; margin-top: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.05);">
-                            ${data.bancos ? (Array.isArray(data.bancos) ? data.bancos.split(',').map(banco => `<span style="color: #0369a1; display: inline-block; margin: 5px 10px 5px 0;">${banco.trim()}</span>`).join(' • ') : `<span style="color: #0369a1;">${data.bancos}</span>`) : ''}
-                            ${data.bancos && data.outrosBancos ? ' • ' : ''}
-                            ${data.outrosBancos ? `<span style="color: #0369a1; font-weight: bold; text-decoration: underline;">Outros: ${data.outrosBancos}</span>` : ''}
-                        </div>
-                    </div>
-                    ` : ''}
-                    
-                    ${data.outrosDocumentos ? `
-                    <div class="field">
-                        <div class="label">Outros Documentos:</div>
-                        <div class="value">${data.outrosDocumentos.replace(/\n/g, '<br>')}</div>
-                    </div>
-                    ` : ''}
-                    
-                    ${files && files.length > 0 ? `
-                    <h2 style="color: #059669; border-bottom: 2px solid #059669; padding-bottom: 10px;">📎 DOCUMENTOS ANEXADOS</h2>
-                    <div style="background: #f0f9ff; padding: 15px; border-radius: 8px; margin-bottom: 20px; border-left: 4px solid #0ea5e9;">
-                        <div class="field">
-                            <div class="label">📄 Arquivos Enviados:</div>
-                            <div class="value">
-                                ${files.map(file => `
-                                    <div style="margin-bottom: 10px; padding: 10px; background: white; border-radius: 5px; border: 1px solid #e5e7eb;">
-                                        <strong>📋 ${file.originalname}</strong><br>
-                                        <small style="color: #6b7280;">Tamanho: ${(file.size / 1024).toFixed(1)} KB</small>
-                                    </div>
-                                `).join('')}
-                            </div>
-                        </div>
-                        
-                        ${downloadLink ? `
-                        <div class="field" style="margin-top: 20px;">
-                            <div class="label">🔗 Link para Download:</div>
-                            <div class="value">
-                                <a href="${process.env.BASE_URL || 'http://localhost:3001'}/download/${downloadLink}" 
-                                   style="background: #059669; color: white; padding: 12px 20px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
-                                    📥 Acessar Documentos
-                                </a>
-                                <br><br>
-                                <small style="color: #6b7280;">
-                                    ⏰ <strong>Link válido por 48 horas</strong><br>
-                                    🔢 <strong>Máximo 5 downloads</strong><br>
-                                    🔒 <strong>Acesso seguro e temporário</strong>
-                                </small>
-                            </div>
-                        </div>
-                        ` : ''}
-                        
-                        <div style="background: #fef3c7; padding: 10px; border-radius: 5px; margin-top: 15px; border-left: 4px solid #f59e0b;">
-                            <small style="color: #92400e;">
-                                <strong>📋 Instruções:</strong><br>
-                                • Os documentos também foram anexados diretamente neste e-mail<br>
-                                • Use o link acima para download individual ou em lote<br>
-                                • Guarde os documentos em local seguro após o download
-                            </small>
-                        </div>
-                    </div>
-                    ` : ''}
-                </div>
-                
-                <!-- Seção Administrativa -->
-                <div style="background: linear-gradient(135deg, #1e40af, #3b82f6); color: #1e40af; padding: 25px; border-radius: 12px; margin: 30px 0; text-align: center;">
-                    <h3 style="margin: 0 0 15px 0; color: #1e40af;">🔧 Área Administrativa - Aporte Capital</h3>
-                    <p style="margin: 0 0 20px 0; color: #1e40af; opacity: 0.9;">Acesse o dashboard para consultas detalhadas de CNPJ e análises de score</p>
-                    
-                    <div style="text-align: center; margin: 25px 0;">
-                        <a href="${process.env.BASE_URL || 'http://localhost:3001'}/dashboard" 
-                           style="background: #22c55e; 
-                                  color: #ffffff; 
-                                  padding: 15px 30px; 
-                                  text-decoration: none; 
-                                  border-radius: 25px; 
-                                  display: inline-block; 
-                                  font-weight: bold; 
-                                  font-size: 16px;
-                                  box-shadow: 0 4px 12px rgba(34, 197, 94, 0.3);
-                                  border: none;
-                                  transition: all 0.3s ease;
-                                  text-transform: none;
-                                  letter-spacing: 0.5px;">
-                            📊 Acessar Dashboard Administrativo
-                        </a>
-                    </div>
-                    
-                    <div style="margin-top: 20px; font-size: 14px; color: #ffffff;">
-                        <div style="margin-bottom: 8px; color: #1e40af;"><span style="color:#1e40af;">🔍</span> <strong>Funcionalidades disponíveis:</strong></div>
-                        <div style="display: flex; justify-content: center; flex-wrap: wrap; gap: 15px; margin-top: 10px;">
-                            <span style="background: #ffffff; color: #1e40af; padding: 8px 15px; border-radius: 20px; font-size: 13px; font-weight: 600; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">✅ Consulta manual de CNPJ</span>
-                            <span style="background: #ffffff; color: #1e40af; padding: 8px 15px; border-radius: 20px; font-size: 13px; font-weight: 600; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">📊 Análise de score em tempo real</span>
-                            <span style="background: #ffffff; color: #1e40af; padding: 8px 15px; border-radius: 20px; font-size: 13px; font-weight: 600; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">📋 Relatórios detalhados</span>
-                        </div>
-                    </div>
-                </div>
+    // Prévia na caixa de entrada: o essencial para triagem sem abrir o email
+    const preheader = [
+        `${data.empresa} (CNPJ ${data.cnpj})`,
+        dadosCNPJ && dadosCNPJ.success ? dadosCNPJ.situacao : null,
+        scoreEstimado ? `Score ${scoreEstimado.score}/100 - ${scoreEstimado.classificacao}` : null,
+        temAlertas ? `${scoreEstimado.alertas.length} inconsistência(s)` : null,
+        files && files.length > 0 ? `${files.length} documento(s)` : null
+    ].filter(Boolean).join(' • ');
+    
+    const { html, text } = emailTemplates.renderEmail('consultoria-equipe', {
+        titulo: 'Nova Solicitação de Consultoria',
+        preheader,
+        cabecalho: 'Nova Solicitação de Consultoria',
+        subtitulo: null,
+        solicitante: [
+            { label: 'Nome:', valor: data.nomeCompleto },
+            { label: 'Email:', valor: data.email },
+            { label: 'Telefone:', valor: data.telefone },
+            { label: 'Empresa:', valor: data.empresa }
+        ],
+        empresaInformada: [
+            { label: 'CNPJ:', valor: data.cnpj },
+            { label: 'Faturamento Anual:', valor: data.faturamentoAnual },
+            { label: 'Tempo de Existência:', valor: data.tempoExistencia }
+        ],
+        cnpj: dadosCNPJ && dadosCNPJ.success ? montarDadosCNPJEmail(dadosCNPJ) : null,
+        erroCNPJ: dadosCNPJ && !dadosCNPJ.success ? {
+            erro: dadosCNPJ.error,
+            fonte: dadosCNPJ.source,
+            consultadoEm: new Date(dadosCNPJ.consultedAt).toLocaleString('pt-BR')
+        } : null,
+        score: scoreEstimado ? montarAvaliacaoEmail(scoreEstimado) : null,
+        linhasCredito: linhasCredito ? {
+            itens: linhasCredito.map(linha => ({
+                nome: linha.nome,
+                descricao: linha.descricao,
+                atendidos: linha.atendidos.join(' • '),
+                aConfirmar: linha.aConfirmar.join(' • ')
+            }))
+        } : null,
+        simulacao: simulacao ? {
+            linha: simulacao.linha.nome,
+            valor: formatarMoeda(simulacao.valor),
+            prazoMeses: simulacao.prazoMeses,
+            carenciaMeses: simulacao.carenciaMeses,
+            sistema: LoanSimulator.SISTEMAS[simulacao.sistema],
+            taxaMensal: simulacao.taxaMensal.toLocaleString('pt-BR'),
+            primeiraParcela: formatarMoeda(simulacao.primeiraParcela),
+            ultimaParcela: formatarMoeda(simulacao.ultimaParcela),
+            totalJuros: formatarMoeda(simulacao.totalJuros),
+            totalPago: formatarMoeda(simulacao.totalPago)
+        } : null,
+        consultoria: [
+            { label: 'Tipo de Consultoria:', valor: data.tipoConsultoria },
+            { label: 'Descrição do Projeto:', valor: data.mensagem || 'Não informado' }
+        ],
+        bancos: bancos.length > 0 || data.outrosBancos ? { lista: bancos, outros: data.outrosBancos || null } : null,
+        outrosDocumentos: data.outrosDocumentos || null,
+        documentos: files && files.length > 0 ? {
+            arquivos: files.map(file => ({ nome: file.originalname, tamanhoKB: (file.size / 1024).toFixed(1) })),
+            downloadUrl: downloadPath ? `${baseUrl}${downloadPath}` : null,
+            validadeHoras: DOWNLOAD_LINK_HOURS,
+            maxDownloads: DOWNLOAD_LINK_MAX_DOWNLOADS
+        } : null,
+        dashboardUrl: `${baseUrl}/dashboard`,
+        rodape: [
+            { texto: 'Esta solicitação foi enviada através do formulário de consultoria do site.', destaque: false },
+            { texto: `Data: ${new Date().toLocaleString('pt-BR')}`, destaque: false },
+            ...(dadosCNPJ && dadosCNPJ.success ? [{ texto: '✅ Dados do CNPJ verificados automaticamente', destaque: true }] : [])
+        ]
+    });
 
-                <div class="footer">
-                    <p>Esta solicitação foi enviada através do formulário de consultoria do site.</p>
-                    <p>Data: ${new Date().toLocaleString('pt-BR')}</p>
-                    ${dadosCNPJ && dadosCNPJ.success ? '<p><strong>✅ Dados do CNPJ verificados automaticamente</strong></p>' : ''}
-                </div>
-            </div>
-        </body>
-        </html>
-    `;
+    return { subject, preheader, html, text };
 }
 
 /**
@@ -1272,65 +1112,6 @@ Atenciosamente,
     return message;
 }
 
-// Função para gerar mensagem do WhatsApp para a APORTE CAPITAL (com link de download)
-function generateWhatsAppMessage(data, downloadLink = null, files = null) {
-    let documentosInfo = '';
-    
-    if (files && files.length > 0) {
-        // Em desenvolvimento, usar IP local para permitir acesso via celular
-        // Em produção, usar o domínio real da empresa
-        const baseUrl = process.env.NODE_ENV === 'production' 
-            ? 'https://aportecapital.com.br' 
-            : 'http://192.168.0.18:3001';
-            
-        documentosInfo = `📋 *DOCUMENTOS ENVIADOS:*
-✅ ${files.length} arquivo(s) enviado(s) por EMAIL
-✅ Disponíveis para download em:
-🔗 ${baseUrl}/download/${downloadLink}
-
-⏰ Link válido por 48 horas
-🔒 Acesso seguro e criptografado
-🔢 Máximo 5 downloads
-
-📧 Verifique também seu email para detalhes completos!`;
-    } else {
-        documentosInfo = '📄 *DOCUMENTOS:* Nenhum documento anexado';
-    }
-
-    const message = `🏢 *APORTE CAPITAL - NOVA SOLICITAÇÃO*
-
-🚨 *ATENÇÃO EQUIPE:* Nova solicitação recebida!
-
-👤 *DADOS DO SOLICITANTE:*
-• Nome: ${data.nomeCompleto}
-• Email: ${data.email}
-• Telefone: ${data.telefone}
-
-🏭 *INFORMAÇÕES DA EMPRESA:*
-• Razão Social: ${data.empresa}
-• CNPJ: ${data.cnpj}
-• Faturamento Anual: ${data.faturamentoAnual}
-• Tempo de Existência: ${data.tempoExistencia}
-
-💼 *TIPO DE CONSULTORIA:*
-• Serviço: ${mapearTipoConsultoria(data.tipoConsultoria)}
-• Descrição: ${data.mensagem}
-
-${documentosInfo}
-
-⚡ *AÇÃO NECESSÁRIA:*
-• Analisar solicitação
-• Baixar documentos (se houver)
-• Entrar em contato em até 24h
-
-⏰ *Enviado em:* ${new Date().toLocaleString('pt-BR')}
-
----
-*Mensagem automática - Aporte Capital*`;
-
-    return message;
-}
-
 /**
  * Gera URL do WhatsApp com mensagem pré-preenchida
  */
@@ -1365,12 +1146,12 @@ function mapearTipoConsultoria(tipoConsultoria) {
 }
 
 /**
- * Gera template de email de confirmação automático para o cliente
+ * Gera o email de confirmação automático para o cliente (templates/emails/confirmacao-cliente.html e .txt)
  * @param {Object} data - Dados do formulário
  * @param {Array} files - Arquivos enviados (opcional)
- * @returns {string} HTML do email de confirmação
+ * @returns {Object} { subject, preheader, html, text } do email de confirmação
  */
-function generateConfirmationEmailHTML(data, files = null) {
+function generateConfirmationEmail(data, files = null) {
     const currentDate = new Date().toLocaleDateString('pt-BR', {
         day: '2-digit',
         month: '2-digit',
@@ -1379,115 +1160,22 @@ function generateConfirmationEmailHTML(data, files = null) {
         minute: '2-digit'
     });
 
-    let documentosInfo = '';
-    if (files && files.length > 0) {
-        documentosInfo = `
-        <div style="background-color: #e8f5e8; padding: 15px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="color: #2e7d32; margin: 0 0 10px 0; font-size: 16px;">📋 Documentos Recebidos</h3>
-            <p style="margin: 0; color: #2e7d32;">✅ ${files.length} arquivo(s) anexado(s) com sucesso</p>
-        </div>`;
-    }
-
-    return `
-    <!DOCTYPE html>
-    <html lang="pt-BR">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Confirmação de Solicitação - Aporte Capital</title>
-    </head>
-    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
-        <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-            
-            <!-- Header -->
-            <div style="background-color: #021748; padding: 30px; text-align: center;">
-                <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: 300; display: flex; align-items: center; justify-content: center; gap: 10px;">
-                    <img src="cid:logo" alt="Aporte Capital" style="height: 40px; margin-right: 10px; width: auto; vertical-align: middle;" />
-                    Aporte Capital
-                </h1>
-                <p style="color: #ffffff; margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">
-                    Consultoria Financeira Especializada
-                </p>
-            </div>
-
-            <!-- Content -->
-            <div style="padding: 40px 30px;">
-                
-                <!-- Success Message -->
-                <div style="text-align: center; margin-bottom: 30px;">
-                    <div style="background-color: #4caf50; color: white; padding: 15px; border-radius: 50px; display: inline-block; margin-bottom: 20px;">
-                        ✅ Solicitação Recebida com Sucesso!
-                    </div>
-                    <h2 style="color: #333; margin: 0; font-size: 24px;">Olá, ${data.nomeCompleto}!</h2>
-                    <p style="color: #666; margin: 10px 0 0 0; font-size: 16px;">
-                        Recebemos sua solicitação de consultoria financeira e nossa equipe já está analisando.
-                    </p>
-                </div>
-
-                <!-- Client Data Summary -->
-                <div style="background-color: #f8f9fa; padding: 25px; border-radius: 10px; margin: 25px 0;">
-                    <h3 style="color: #1e3c72; margin: 0 0 20px 0; font-size: 18px; border-bottom: 2px solid #1e3c72; padding-bottom: 10px;">
-                        📋 Resumo da Solicitação
-                    </h3>
-                    
-                    <div style="margin-bottom: 15px;">
-                        <strong style="color: #333;">Empresa:</strong> ${data.empresa}<br>
-                        <strong style="color: #333;">CNPJ:</strong> ${data.cnpj}<br>
-                        <strong style="color: #333;">Tipo de Consultoria:</strong> ${mapearTipoConsultoria(data.tipoConsultoria)}<br>
-                        <strong style="color: #333;">Data da Solicitação:</strong> ${currentDate}
-                    </div>
-                </div>
-
-                ${documentosInfo}
-
-                <!-- Next Steps -->
-                <div style="background-color: #fff3e0; padding: 25px; border-radius: 10px; margin: 25px 0; border-left: 4px solid #ff9800;">
-                    <h3 style="color: #e65100; margin: 0 0 15px 0; font-size: 18px;">🎯 Próximos Passos</h3>
-                    <ul style="color: #333; margin: 0; padding-left: 20px; line-height: 1.6;">
-                        <li>Nossa equipe especializada analisará sua solicitação</li>
-                        <li>Entraremos em contato em até <strong>24 horas úteis</strong></li>
-                        <li>Mantenha seus contatos atualizados para facilitar o retorno</li>
-                        <li>Prepare documentação adicional que possa ser solicitada</li>
-                    </ul>
-                </div>
-
-                <!-- Contact Info -->
-                <div style="text-align: center; margin: 30px 0;">
-                    <p style="color: #666; margin: 0 0 15px 0;">
-                        Dúvidas? Entre em contato conosco:
-                    </p>
-                    <div style="background-color: #25d366; color: white; padding: 12px 25px; border-radius: 25px; display: inline-block; text-decoration: none; margin: 10px;">
-                        📱 WhatsApp: (92) 99988-9392
-                    </div>
-                </div>
-
-            </div>
+    const subject = 'Confirmação de Solicitação - Aporte Capital';
+    const preheader = `Recebemos a solicitação da ${data.empresa}. Retornaremos em até 24 horas úteis.`;
 
-            <!-- Footer -->
-            <div style="background-color: #021748; padding: 25px; text-align: center;">
-                <div style="margin-bottom: 15px;">
-                    <h3 style="color: #ffffff; margin: 0; font-size: 20px; font-weight: 300; display: flex; align-items: center; justify-content: center; gap: 10px;">
-                        <img src="cid:logo" alt="Aporte Capital" style="height: 28px; margin-right: 10px; width: auto; vertical-align: middle;" />
-                        Aporte Capital
-                    </h3>
-                    <p style="color: #ffffff; margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">
-                        Transformando empresas através de soluções financeiras inteligentes
-                    </p>
-                </div>
-                
-                <div style="border-top: 1px solid rgba(255, 255, 255, 0.2); padding-top: 15px;">
-                    <p style="color: #ffffff; margin: 0; font-size: 12px; opacity: 0.8;">
-                        Este é um email automático. Por favor, não responda diretamente a esta mensagem.
-                    </p>
-                    <p style="color: #ffffff; margin: 5px 0 0 0; font-size: 12px; opacity: 0.8;">
-                        © 2024 Aporte Capital - Todos os direitos reservados
-                    </p>
-                </div>
-            </div>
+    const { html, text } = emailTemplates.renderEmail('confirmacao-cliente', {
+        titulo: subject,
+        preheader,
+        nome: data.nomeCompleto,
+        empresa: data.empresa,
+        cnpj: data.cnpj,
+        tipoConsultoria: mapearTipoConsultoria(data.tipoConsultoria),
+        dataSolicitacao: currentDate,
+        documentos: files ? files.length : 0,
+        whatsapp: '(92) 99988-9392'
+    });
 
-        </div>
-    </body>
-    </html>`;
+    return { subject, preheader, html, text };
 }
 
 // ===== ROTAS =====
@@ -1510,6 +1198,216 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+/**
+ * Página de login da área administrativa
+ */
+app.get('/login', (req, res) => {
+    // Aceita apenas caminhos locais como destino após o login
+    const next = typeof req.query.next === 'string' && /^\/(?!\/)/.test(req.query.next) ? req.query.next : '/dashboard';
+
+    if (req.user) {
+        return res.redirect(next);
+    }
+
+    res.send(`
+        <!DOCTYPE html>
+        <html lang="pt-BR">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Login - Aporte Capital</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f8fafc; min-height: 100vh; display: flex; align-items: center; justify-content: center; }
+                .card { background: white; border-radius: 12px; padding: 30px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); width: 100%; max-width: 400px; }
+                h1 { color: #1f2937; font-size: 22px; margin-bottom: 20px; text-align: center; }
+                .form-group { margin-bottom: 20px; }
+                label { display: block; margin-bottom: 8px; font-weight: 600; color: #1f2937; font-size: 14px; }
+                input { width: 100%; padding: 12px; border: 2px solid #e5e7eb; border-radius: 8px; font-size: 16px; }
+                input:focus { outline: none; border-color: #3b82f6; }
+                .btn { width: 100%; background: #3b82f6; color: white; padding: 12px 24px; border: none; border-radius: 8px; cursor: pointer; font-size: 16px; font-weight: 600; }
+                .btn:hover { background: #2563eb; }
+                .btn:disabled { background: #9ca3af; cursor: not-allowed; }
+                .error { background: #fef2f2; color: #dc2626; padding: 12px; border-radius: 8px; border-left: 4px solid #dc2626; margin-bottom: 20px; display: none; }
+            </style>
+        </head>
+        <body>
+            <div class="card">
+                <h1>🔒 Área Administrativa</h1>
+                <div class="error" id="erro"></div>
+                <form id="loginForm">
+                    <div class="form-group">
+                        <label for="username">Usuário:</label>
+                        <input type="text" id="username" autocomplete="username" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="password">Senha:</label>
+                        <input type="password" id="password" autocomplete="current-password" required>
+                    </div>
+                    <button type="submit" class="btn" id="entrarBtn">Entrar</button>
+                </form>
+            </div>
+            
+            <script>
+                const destino = ${JSON.stringify(next).replace(/</g, '\\u003c')};
+                
+                document.getElementById('loginForm').addEventListener('submit', async function(e) {
+                    e.preventDefault();
+                    
+                    const btn = document.getElementById('entrarBtn');
+                    const erro = document.getElementById('erro');
+                    btn.disabled = true;
+                    erro.style.display = 'none';
+                    
+                    try {
+                        const response = await fetch('/api/auth/login', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({
+                                username: document.getElementById('username').value,
+                                password: document.getElementById('password').value
+                            })
+                        });
+                        const data = await response.json();
+                        
+                        if (data.success) {
+                            window.location.href = destino;
+                            return;
+                        }
+                        
+                        erro.textContent = data.message;
+                        erro.style.display = 'block';
+                    } catch (error) {
+                        erro.textContent = 'Erro ao conectar com o servidor';
+                        erro.style.display = 'block';
+                    } finally {
+                        btn.disabled = false;
+                    }
+                });
+            </script>
+        </body>
+        </html>
+    `);
+});
+
+/**
+ * Autentica o usuário e abre uma sessão
+ */
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const result = auth.authenticate(username, password, req.ip);
+
+    if (!result.success) {
+        console.warn(`🔒 Falha de login para "${username}" (${req.ip})`);
+        return res.status(result.locked ? 429 : 401).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    const session = auth.createSession(result.user);
+    auth.setSessionCookie(res, session);
+    console.log(`🔓 Login: ${result.user.username} (${result.user.role})`);
+
+    res.json({
+        success: true,
+        user: result.user
+    });
+});
+
+/**
+ * Encerra a sessão atual
+ */
+app.post('/api/auth/logout', (req, res) => {
+    if (req.sessionId) {
+        auth.destroySession(req.sessionId);
+    }
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+/**
+ * Usuário da sessão atual
+ */
+app.get('/api/auth/me', auth.requireRole(), (req, res) => {
+    res.json({
+        success: true,
+        user: req.user
+    });
+});
+
+/**
+ * Gestão de usuários (somente administradores)
+ */
+app.get('/api/users', auth.requireRole('admin'), (req, res) => {
+    res.json({
+        success: true,
+        users: auth.listUsers()
+    });
+});
+
+app.post('/api/users', auth.requireRole('admin'), (req, res) => {
+    const result = auth.createUser(req.body || {});
+
+    if (!result.success) {
+        return res.status(400).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    console.log(`👤 Usuário ${result.user.username} (${result.user.role}) criado por ${req.user.username}`);
+
+    res.status(201).json({
+        success: true,
+        user: result.user
+    });
+});
+
+/**
+ * Regras do score estimado: versão ativa e histórico (leitura para analistas,
+ * alteração somente por administradores)
+ */
+app.get('/api/score-rules', auth.requireRole('admin', 'analyst'), (req, res) => {
+    res.json({
+        success: true,
+        active: getScoreRules(),
+        versions: listScoreRuleVersions()
+    });
+});
+
+app.get('/api/score-rules/:version', auth.requireRole('admin', 'analyst'), (req, res) => {
+    const record = getScoreRuleVersion(req.params.version);
+
+    if (!record) {
+        return res.status(404).json({
+            success: false,
+            message: 'Versão das regras não encontrada'
+        });
+    }
+
+    res.json({ success: true, record });
+});
+
+app.put('/api/score-rules', auth.requireRole('admin'), (req, res) => {
+    const { rules, note } = req.body || {};
+    const result = saveScoreRules(rules, { by: req.user.username, note });
+
+    if (!result.success) {
+        return res.status(400).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    console.log(`⚖️ Regras do score v${result.record.version} publicadas por ${req.user.username}`);
+
+    res.status(201).json({
+        success: true,
+        record: result.record
+    });
+});
+
 // Endpoint de teste para formulário (sem envio de email)
 app.post('/api/test-form', upload.array('documentos', 10), async (req, res) => {
     const requestId = crypto.randomBytes(8).toString('hex');
@@ -1531,6 +1429,7 @@ app.post('/api/test-form', upload.array('documentos', 10), async (req, res) => {
                 success: false,
                 message: 'Dados inválidos',
                 errors: validation.errors,
+                fieldErrors: validation.fieldErrors,
                 requestId,
                 timestamp
             });
@@ -1627,6 +1526,7 @@ app.post('/api/consultoria-no-email', upload.array('documentos', 10), async (req
                 success: false,
                 message: 'Dados inválidos',
                 errors: validation.errors,
+                fieldErrors: validation.fieldErrors,
                 requestId,
                 timestamp
             });
@@ -1684,7 +1584,7 @@ app.post('/api/consultoria-no-email', upload.array('documentos', 10), async (req
 /**
  * Rota de debug para verificar variáveis de ambiente (apenas em produção para debug)
  */
-app.get('/api/debug/env', (req, res) => {
+app.get('/api/debug/env', auth.requireRole('admin'), (req, res) => {
     // Só permite acesso se for para debug em produção
     if (process.env.NODE_ENV !== 'production' && process.env.DEBUG_ENV !== 'true') {
         return res.status(403).json({ error: 'Acesso negado' });
@@ -1692,6 +1592,7 @@ app.get('/api/debug/env', (req, res) => {
     
     const envStatus = {
         NODE_ENV: process.env.NODE_ENV || 'undefined',
+        MAIL_TRANSPORT: mailTransport.describeMailTransport(),
         EMAIL_USER: process.env.EMAIL_USER ? 'Configurado' : 'NÃO CONFIGURADO',
         EMAIL_PASS: process.env.EMAIL_PASS ? 'Configurado' : 'NÃO CONFIGURADO',
         RECIPIENT_EMAIL: process.env.RECIPIENT_EMAIL ? 'Configurado' : 'NÃO CONFIGURADO',
@@ -1701,6 +1602,7 @@ app.get('/api/debug/env', (req, res) => {
         SMTP_SECURE: process.env.SMTP_SECURE || 'Usando padrão: false',
         WHATSAPP_NUMBER: process.env.WHATSAPP_NUMBER ? 'Configurado' : 'Usando padrão',
         PORT: process.env.PORT || 'Usando padrão: 10000',
+        cnpjProviders: listProviders(),
         timestamp: new Date().toISOString()
     };
     
@@ -1708,20 +1610,20 @@ app.get('/api/debug/env', (req, res) => {
 });
 
 /**
- * Rota para exibir página de download de arquivos temporários
+ * Página de erro dos links de download
+ * @param {string} title - Título exibido
+ * @param {string} reason - Motivo da recusa
+ * @param {string} hint - Orientação ao usuário
+ * @returns {string} HTML da página
  */
-app.get('/download/:linkId', (req, res) => {
-    const { linkId } = req.params;
-    const validation = validateTempLink(linkId);
-    
-    if (!validation.valid) {
-        return res.status(404).send(`
+function renderDownloadErrorPage(title, reason, hint = 'Este link pode ter expirado ou atingido o limite de downloads.') {
+    return `
             <!DOCTYPE html>
             <html lang="pt-BR">
             <head>
                 <meta charset="UTF-8">
                 <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>Link Inválido - Aporte Capital</title>
+                <title>${escapeHtml(title)} - Aporte Capital</title>
                 <style>
                     * { margin: 0; padding: 0; box-sizing: border-box; }
                     body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; display: flex; align-items: center; justify-content: center; }
@@ -1736,49 +1638,363 @@ app.get('/download/:linkId', (req, res) => {
             <body>
                 <div class="container">
                     <div class="error-icon">🔒</div>
-                    <h1>Link Inválido</h1>
-                    <p><strong>Motivo:</strong> ${validation.reason}</p>
-                    <p>Este link pode ter expirado ou atingido o limite de downloads.</p>
+                    <h1>${escapeHtml(title)}</h1>
+                    <p><strong>Motivo:</strong> ${escapeHtml(reason)}</p>
+                    <p>${escapeHtml(hint)}</p>
                     <a href="/" class="btn">Voltar ao Site</a>
                 </div>
             </body>
             </html>
-        `);
-    }
-    
-    const link = validation.link;
-    const timeRemaining = Math.max(0, link.expiresAt - new Date());
-    const hoursRemaining = Math.floor(timeRemaining / (1000 * 60 * 60));
-    const minutesRemaining = Math.floor((timeRemaining % (1000 * 60 * 60)) / (1000 * 60));
-    
-    // Gera HTML da página de download
-    const downloadPageHTML = `
+        `;
+}
+
+/**
+ * Página de verificação por código (OTP) antes do download
+ * @param {string} linkId - Link de download
+ * @param {Object} recipient - Destinatário do link
+ * @param {string} token - Token assinado do destinatário
+ * @param {Object} options - { sent, error }
+ * @returns {string} HTML da página
+ */
+function renderOtpPage(linkId, recipient, token, { sent = false, error = null } = {}) {
+    const query = `?t=${encodeURIComponent(token)}`;
+    const maskedEmail = (recipient.email || '').replace(/^(.{2})[^@]*(@.*)$/, '$1***$2');
+
+    return `
         <!DOCTYPE html>
         <html lang="pt-BR">
         <head>
             <meta charset="UTF-8">
             <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Download Seguro - Aporte Capital</title>
+            <title>Verificação de Acesso - Aporte Capital</title>
             <style>
                 * { margin: 0; padding: 0; box-sizing: border-box; }
-                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
-                .container { max-width: 800px; margin: 0 auto; background: white; border-radius: 15px; box-shadow: 0 10px 30px rgba(0,0,0,0.2); overflow: hidden; }
-                .header { background: linear-gradient(135deg, #2c3e50, #3498db); color: white; padding: 2rem; text-align: center; }
-                .header h1 { margin-bottom: 0.5rem; }
-                .header p { opacity: 0.9; }
-                .content { padding: 2rem; }
-                .info-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; margin-bottom: 2rem; }
-                .info-card { background: #f8f9fa; padding: 1rem; border-radius: 8px; border-left: 4px solid #3498db; }
-                .info-card h3 { color: #2c3e50; margin-bottom: 0.5rem; font-size: 0.9rem; text-transform: uppercase; }
-                .info-card p { color: #7f8c8d; font-weight: bold; }
-                .files-section { margin-bottom: 2rem; }
-                .files-section h2 { color: #2c3e50; margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem; }
-                .file-list { background: #f8f9fa; border-radius: 8px; overflow: hidden; }
-                .file-item { display: flex; align-items: center; justify-content: space-between; padding: 1rem; border-bottom: 1px solid #e9ecef; }
-                .file-item:last-child { border-bottom: none; }
-                .file-info { display: flex; align-items: center; gap: 1rem; }
-                .file-icon { font-size: 1.5rem; }
-                .file-details h4 { color: #2c3e50; margin-bottom: 0.25rem; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; display: flex; align-items: center; justify-content: center; }
+                .container { background: white; padding: 2rem; border-radius: 15px; box-shadow: 0 10px 30px rgba(0,0,0,0.2); text-align: center; max-width: 500px; width: 100%; }
+                .icon { font-size: 4rem; margin-bottom: 1rem; }
+                h1 { color: #2c3e50; margin-bottom: 1rem; }
+                p { color: #7f8c8d; margin-bottom: 1.5rem; }
+                input { width: 100%; padding: 12px; border: 2px solid #e5e7eb; border-radius: 8px; font-size: 1.5rem; text-align: center; letter-spacing: 0.5rem; margin-bottom: 1rem; }
+                .btn { background: #3498db; color: white; padding: 12px 24px; border: none; border-radius: 8px; font-size: 1rem; cursor: pointer; transition: background 0.3s; }
+                .btn:hover { background: #2980b9; }
+                .btn-link { background: none; color: #3498db; border: none; cursor: pointer; margin-top: 1rem; font-size: 0.9rem; text-decoration: underline; }
+                .error { background: #fef2f2; color: #dc2626; padding: 12px; border-radius: 8px; margin-bottom: 1rem; }
+                .info { background: #ecfdf5; color: #059669; padding: 12px; border-radius: 8px; margin-bottom: 1rem; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="icon">🔐</div>
+                <h1>Verificação de Acesso</h1>
+                <p>Para acessar os documentos, confirme o código enviado para <strong>${escapeHtml(maskedEmail)}</strong>.</p>
+                ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+                ${sent ? `
+                    <div class="info">Código enviado! Ele é válido por ${OTP_MINUTES} minutos.</div>
+                    <form method="POST" action="/download/${linkId}/otp/verify${query}">
+                        <input type="text" name="code" inputmode="numeric" pattern="[0-9]{6}" maxlength="6" autocomplete="one-time-code" required autofocus>
+                        <button type="submit" class="btn">Confirmar</button>
+                    </form>
+                    <form method="POST" action="/download/${linkId}/otp${query}">
+                        <button type="submit" class="btn-link">Reenviar código</button>
+                    </form>
+                ` : `
+                    <form method="POST" action="/download/${linkId}/otp${query}">
+                        <button type="submit" class="btn">📧 Enviar código por email</button>
+                    </form>
+                `}
+            </div>
+        </body>
+        </html>
+    `;
+}
+
+/**
+ * Registra um acesso ao link com os dados da requisição
+ */
+function recordDownloadAccess(req, action, file = null) {
+    const recipient = req.downloadRecipient;
+
+    recordAccess({
+        linkId: req.params.linkId,
+        recipientId: recipient ? recipient.id : null,
+        recipientName: recipient ? recipient.name : null,
+        recipientType: recipient ? recipient.type : null,
+        action,
+        file,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null
+    });
+}
+
+/**
+ * Middleware de autorização dos links de download
+ * - administradores logados acessam diretamente (auditoria)
+ * - demais acessos exigem a URL assinada do destinatário (?t=) e, quando
+ *   configurado para o destinatário, a verificação por código (OTP)
+ * @param {Object} options - { page: responde com HTML em vez de JSON, skipOtp: não exige OTP }
+ */
+function authorizeDownload({ page = false, skipOtp = false } = {}) {
+    return (req, res, next) => {
+        const { linkId } = req.params;
+        const validation = validateTempLink(linkId);
+
+        const deny = (status, title, reason, hint) => {
+            if (page) {
+                return res.status(status).send(renderDownloadErrorPage(title, reason, hint));
+            }
+            return res.status(status).json({ error: reason });
+        };
+
+        if (!validation.valid) {
+            return deny(404, 'Link Inválido', validation.reason);
+        }
+
+        req.downloadLink = validation.link;
+
+        if (req.user && req.user.role === 'admin') {
+            req.downloadRecipient = { id: `admin:${req.user.username}`, name: req.user.name, type: 'admin' };
+            req.downloadToken = null;
+            return next();
+        }
+
+        const token = typeof req.query.t === 'string' ? req.query.t : null;
+        const recipientId = verifyDownloadToken(linkId, token);
+        const recipient = recipientId ? getLinkRecipient(validation.link, recipientId) : null;
+
+        if (!recipient || recipient.revokedAt) {
+            req.downloadRecipient = null;
+            recordDownloadAccess(req, 'negado');
+            return deny(403, 'Acesso Negado', 'Link sem assinatura válida', 'Use exatamente o link recebido por email ou solicite um novo à Aporte Capital.');
+        }
+
+        req.downloadRecipient = recipient;
+        req.downloadToken = token;
+
+        if (recipient.requireOtp && !skipOtp) {
+            const grant = auth.parseCookies(req.headers.cookie)[grantCookieName(linkId)];
+            if (!verifyGrant(linkId, recipient.id, grant)) {
+                if (page) {
+                    return res.send(renderOtpPage(linkId, recipient, token));
+                }
+                return res.status(403).json({ error: 'Verificação por código necessária' });
+            }
+        }
+
+        next();
+    };
+}
+
+/**
+ * Caminho assinado (com token) do link para um destinatário
+ */
+function buildDownloadPath(linkId, recipientId) {
+    return `/download/${linkId}?t=${encodeURIComponent(signDownloadToken(linkId, recipientId))}`;
+}
+
+/**
+ * Cadastra a equipe interna como destinatária do link e retorna sua URL assinada
+ * (demais destinatários são cadastrados pelo admin)
+ */
+function createInternalDownloadPath(linkId) {
+    const recipient = addLinkRecipient(linkId, {
+        type: 'interno',
+        name: 'Equipe Aporte Capital',
+        email: process.env.RECIPIENT_EMAIL || 'contato@aportecapitalcred.com.br',
+        requireOtp: process.env.DOWNLOAD_OTP_INTERNAL === 'true'
+    });
+    return buildDownloadPath(linkId, recipient.id);
+}
+
+/**
+ * Envia o código de verificação para o email do destinatário
+ */
+app.post('/download/:linkId/otp', authorizeDownload({ page: true, skipOtp: true }), async (req, res) => {
+    const { linkId } = req.params;
+    const recipient = req.downloadRecipient;
+
+    if (!recipient.requireOtp || !recipient.email) {
+        return res.redirect(buildDownloadPath(linkId, recipient.id));
+    }
+
+    const otp = createOtp(linkId, recipient.id, req.ip);
+    if (!otp.success) {
+        recordDownloadAccess(req, 'otp-limitado');
+        res.set('Retry-After', String(otp.retryAfter));
+        return res.status(429).send(renderOtpPage(linkId, recipient, req.downloadToken, { sent: otp.pending, error: otp.error }));
+    }
+    const { code } = otp;
+
+    try {
+        await transporter.sendMail({
+            from: `"Aporte Capital" <${emailSender}>`,
+            to: recipient.email,
+            subject: 'Código de acesso aos documentos - Aporte Capital',
+            text: `Seu código de acesso é ${code}. Ele é válido por ${OTP_MINUTES} minutos.\n\nSe você não solicitou este código, ignore esta mensagem.`,
+            html: `<p>Seu código de acesso aos documentos é:</p><p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p><p>Ele é válido por ${OTP_MINUTES} minutos.</p><p style="color: #6b7280;">Se você não solicitou este código, ignore esta mensagem.</p>`
+        });
+        recordDownloadAccess(req, 'otp-enviado');
+        res.send(renderOtpPage(linkId, recipient, req.downloadToken, { sent: true }));
+    } catch (error) {
+        console.error(`Erro ao enviar código do link ${linkId}:`, error.message);
+        res.status(502).send(renderOtpPage(linkId, recipient, req.downloadToken, {
+            error: 'Não foi possível enviar o código agora. Tente novamente em alguns minutos.'
+        }));
+    }
+});
+
+/**
+ * Confere o código e libera o acesso por tempo limitado (cookie assinado)
+ */
+app.post('/download/:linkId/otp/verify', authorizeDownload({ page: true, skipOtp: true }), (req, res) => {
+    const { linkId } = req.params;
+    const recipient = req.downloadRecipient;
+    const result = verifyOtp(linkId, recipient.id, req.body.code);
+
+    if (!result.valid) {
+        recordDownloadAccess(req, 'otp-invalido');
+        return res.status(401).send(renderOtpPage(linkId, recipient, req.downloadToken, { sent: true, error: result.reason }));
+    }
+
+    const grant = createGrant(linkId, recipient.id);
+    res.cookie(grantCookieName(linkId), grant.value, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: grant.maxAge,
+        path: `/download/${linkId}`
+    });
+    recordDownloadAccess(req, 'otp-verificado');
+
+    res.redirect(buildDownloadPath(linkId, recipient.id));
+});
+
+/**
+ * Rota para exibir página de download de arquivos temporários
+ */
+app.get('/download/:linkId', authorizeDownload({ page: true }), (req, res) => {
+    const { linkId } = req.params;
+    const link = req.downloadLink;
+    const isAdmin = req.user && req.user.role === 'admin';
+    const tokenQuery = req.downloadToken ? `?t=${encodeURIComponent(req.downloadToken)}` : '';
+    const timeRemaining = Math.max(0, new Date(link.expiresAt) - new Date());
+    const hoursRemaining = Math.floor(timeRemaining / (1000 * 60 * 60));
+    const minutesRemaining = Math.floor((timeRemaining % (1000 * 60 * 60)) / (1000 * 60));
+    
+    recordDownloadAccess(req, 'pagina');
+    
+    // Seção visível apenas para administradores: destinatários e trilha de acessos
+    const adminSection = isAdmin ? `
+                    <div class="audit-section">
+                        <h2>👥 Destinatários</h2>
+                        <table class="audit-table">
+                            <thead>
+                                <tr><th>Nome</th><th>Tipo</th><th>Email</th><th>Código</th><th>URL assinada</th></tr>
+                            </thead>
+                            <tbody>
+                                ${(link.recipients || []).map(recipient => `
+                                    <tr>
+                                        <td>${escapeHtml(recipient.name)}</td>
+                                        <td>${escapeHtml(RECIPIENT_TYPES[recipient.type] || recipient.type)}</td>
+                                        <td>${escapeHtml(recipient.email || '-')}</td>
+                                        <td>${recipient.requireOtp ? 'Sim' : 'Não'}</td>
+                                        <td>${recipient.revokedAt
+                                            ? `Revogada em ${new Date(recipient.revokedAt).toLocaleString('pt-BR')}`
+                                            : `<input type="text" readonly value="${escapeHtml(`${req.protocol}://${req.get('host')}${buildDownloadPath(linkId, recipient.id)}`)}" onclick="this.select()">`}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        
+                        <form id="recipientForm" class="recipient-form">
+                            <input type="text" id="recipientName" placeholder="Nome do destinatário" required>
+                            <input type="email" id="recipientEmail" placeholder="Email (para envio do código)">
+                            <select id="recipientType">
+                                ${Object.entries(RECIPIENT_TYPES).map(([value, label]) => `<option value="${value}"${value === 'banco' ? ' selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                            <label><input type="checkbox" id="recipientOtp" checked> Exigir código por email</label>
+                            <button type="submit" class="btn">Gerar URL</button>
+                        </form>
+                        <div id="recipientMessage"></div>
+                        
+                        <h2>🕵️ Auditoria de Acessos</h2>
+                        <table class="audit-table">
+                            <thead>
+                                <tr><th>Data</th><th>Destinatário</th><th>Ação</th><th>Arquivo</th><th>IP</th><th>Navegador</th></tr>
+                            </thead>
+                            <tbody>
+                                ${listAccess(linkId).map(entry => `
+                                    <tr>
+                                        <td>${new Date(entry.at).toLocaleString('pt-BR')}</td>
+                                        <td>${escapeHtml(entry.recipientName || '-')} <small>(${escapeHtml(RECIPIENT_TYPES[entry.recipientType] || entry.recipientType || 'desconhecido')})</small></td>
+                                        <td>${escapeHtml(entry.action)}${entry.detail ? `<br><small>${escapeHtml(entry.detail)}</small>` : ''}</td>
+                                        <td>${escapeHtml(entry.file || '-')}</td>
+                                        <td>${escapeHtml(entry.ip)}</td>
+                                        <td><small>${escapeHtml(entry.userAgent || '-')}</small></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    
+                    <script>
+                        document.getElementById('recipientForm').addEventListener('submit', async function(e) {
+                            e.preventDefault();
+                            const message = document.getElementById('recipientMessage');
+                            
+                            try {
+                                const response = await fetch('/api/download-links/${linkId}/recipients', {
+                                    method: 'POST',
+                                    headers: { 'Content-Type': 'application/json' },
+                                    body: JSON.stringify({
+                                        name: document.getElementById('recipientName').value,
+                                        email: document.getElementById('recipientEmail').value,
+                                        type: document.getElementById('recipientType').value,
+                                        requireOtp: document.getElementById('recipientOtp').checked
+                                    })
+                                });
+                                const data = await response.json();
+                                
+                                if (!data.success) {
+                                    message.textContent = data.message;
+                                    return;
+                                }
+                                
+                                window.location.reload();
+                            } catch (error) {
+                                message.textContent = 'Erro ao gerar URL';
+                            }
+                        });
+                    </script>
+    ` : '';
+    
+    // Gera HTML da página de download
+    const downloadPageHTML = `
+        <!DOCTYPE html>
+        <html lang="pt-BR">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Download Seguro - Aporte Capital</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
+                .container { max-width: 800px; margin: 0 auto; background: white; border-radius: 15px; box-shadow: 0 10px 30px rgba(0,0,0,0.2); overflow: hidden; }
+                .header { background: linear-gradient(135deg, #2c3e50, #3498db); color: white; padding: 2rem; text-align: center; }
+                .header h1 { margin-bottom: 0.5rem; }
+                .header p { opacity: 0.9; }
+                .content { padding: 2rem; }
+                .info-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; margin-bottom: 2rem; }
+                .info-card { background: #f8f9fa; padding: 1rem; border-radius: 8px; border-left: 4px solid #3498db; }
+                .info-card h3 { color: #2c3e50; margin-bottom: 0.5rem; font-size: 0.9rem; text-transform: uppercase; }
+                .info-card p { color: #7f8c8d; font-weight: bold; }
+                .files-section { margin-bottom: 2rem; }
+                .files-section h2 { color: #2c3e50; margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem; }
+                .file-list { background: #f8f9fa; border-radius: 8px; overflow: hidden; }
+                .file-item { display: flex; align-items: center; justify-content: space-between; padding: 1rem; border-bottom: 1px solid #e9ecef; }
+                .file-item:last-child { border-bottom: none; }
+                .file-info { display: flex; align-items: center; gap: 1rem; }
+                .file-icon { font-size: 1.5rem; }
+                .file-details h4 { color: #2c3e50; margin-bottom: 0.25rem; }
                 .file-details p { color: #7f8c8d; font-size: 0.9rem; }
                 .download-btn { background: #27ae60; color: white; padding: 8px 16px; border: none; border-radius: 6px; text-decoration: none; font-size: 0.9rem; transition: background 0.3s; }
                 .download-btn:hover { background: #229954; }
@@ -1787,6 +2003,15 @@ app.get('/download/:linkId', (req, res) => {
                 .download-all .btn:hover { background: #2980b9; }
                 .warning { background: #fff3cd; border: 1px solid #ffeaa7; color: #856404; padding: 1rem; border-radius: 8px; margin-top: 1rem; }
                 .warning strong { display: block; margin-bottom: 0.5rem; }
+                .audit-section { margin-top: 2rem; }
+                .audit-section h2 { color: #2c3e50; margin: 1.5rem 0 1rem; }
+                .audit-table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+                .audit-table th { text-align: left; padding: 8px; background: #f8f9fa; color: #2c3e50; }
+                .audit-table td { padding: 8px; border-bottom: 1px solid #e9ecef; color: #2c3e50; vertical-align: top; }
+                .audit-table input { width: 100%; font-size: 0.75rem; padding: 4px; }
+                .recipient-form { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-top: 1rem; }
+                .recipient-form input, .recipient-form select { padding: 8px; border: 1px solid #e9ecef; border-radius: 6px; }
+                .recipient-form .btn { background: #3498db; color: white; padding: 8px 16px; border: none; border-radius: 6px; cursor: pointer; }
             </style>
         </head>
         <body>
@@ -1800,11 +2025,11 @@ app.get('/download/:linkId', (req, res) => {
                     <div class="info-grid">
                         <div class="info-card">
                             <h3>📋 Código da Solicitação</h3>
-                            <p>#${linkId}</p>
+                            <p>#${escapeHtml(linkId)}</p>
                         </div>
                         <div class="info-card">
                             <h3>📅 Criado em</h3>
-                            <p>${link.createdAt.toLocaleString('pt-BR')}</p>
+                            <p>${new Date(link.createdAt).toLocaleString('pt-BR')}</p>
                         </div>
                         <div class="info-card">
                             <h3>⏰ Expira em</h3>
@@ -1824,17 +2049,17 @@ app.get('/download/:linkId', (req, res) => {
                                     <div class="file-info">
                                         <div class="file-icon">📄</div>
                                         <div class="file-details">
-                                            <h4>${file.originalname}</h4>
+                                            <h4>${escapeHtml(file.originalname)}</h4>
                                             <p>${(file.size / 1024 / 1024).toFixed(2)} MB</p>
                                         </div>
                                     </div>
-                                    <a href="/download/${linkId}/file/${encodeURIComponent(file.originalname)}" class="download-btn">📥 Baixar</a>
+                                    <a href="/download/${linkId}/file/${encodeURIComponent(file.originalname)}${tokenQuery}" class="download-btn">📥 Baixar</a>
                                 </div>
                             `).join('')}
                         </div>
                         
                         <div class="download-all">
-                            <a href="/download/${linkId}/zip" class="btn">📦 Baixar Todos (ZIP)</a>
+                            <a href="/download/${linkId}/zip${tokenQuery}" class="btn">📦 Baixar Todos (ZIP)</a>
                         </div>
                     </div>
                     
@@ -1843,6 +2068,7 @@ app.get('/download/:linkId', (req, res) => {
                         Este link é temporário e expirará automaticamente. Faça o download dos arquivos necessários antes do prazo limite.
                         Após ${link.maxDownloads} downloads, o link será desativado por segurança.
                     </div>
+                    ${adminSection}
                 </div>
             </div>
         </body>
@@ -1855,15 +2081,9 @@ app.get('/download/:linkId', (req, res) => {
 /**
  * Rota para download de arquivo individual
  */
-app.get('/download/:linkId/file/:filename', (req, res) => {
+app.get('/download/:linkId/file/:filename', authorizeDownload(), (req, res) => {
     const { linkId, filename } = req.params;
-    const validation = validateTempLink(linkId);
-    
-    if (!validation.valid) {
-        return res.status(404).json({ error: validation.reason });
-    }
-    
-    const link = validation.link;
+    const link = req.downloadLink;
     const file = link.files.find(f => f.originalname === decodeURIComponent(filename));
     
     if (!file) {
@@ -1876,41 +2096,77 @@ app.get('/download/:linkId/file/:filename', (req, res) => {
     
     // Incrementa contador de downloads
     incrementDownload(linkId);
+    recordDownloadAccess(req, 'arquivo', file.originalname);
     
     // Envia o arquivo
     res.download(file.path, file.originalname, (err) => {
         if (err) {
             console.error('Erro no download:', err);
-            res.status(500).json({ error: 'Erro no download do arquivo' });
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Erro no download do arquivo' });
+            }
         }
     });
 });
 
 /**
  * Rota para download de todos os arquivos em ZIP
+ * O ZIP é gerado em streaming (sem arquivo temporário) e conta como um único download
  */
-app.get('/download/:linkId/zip', (req, res) => {
+app.get('/download/:linkId/zip', authorizeDownload(), (req, res) => {
     const { linkId } = req.params;
-    const validation = validateTempLink(linkId);
+    const link = req.downloadLink;
+    const files = link.files.filter(file => fs.existsSync(file.path));
     
-    if (!validation.valid) {
-        return res.status(404).json({ error: validation.reason });
+    if (files.length === 0) {
+        return res.status(404).json({ error: 'Arquivos não existem no servidor' });
     }
     
-    const link = validation.link;
+    // Nome do ZIP: documentos_<empresa>_<requestId>.zip (sem acentos ou caracteres especiais)
+    const empresaSlug = (link.empresa || 'empresa')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 60) || 'empresa';
+    const zipName = `documentos_${empresaSlug}_${link.requestId || linkId}.zip`;
     
-    // Incrementa contador de downloads
+    // Incrementa contador de downloads (uma vez para o lote inteiro)
     incrementDownload(linkId);
+    recordDownloadAccess(req, 'zip', zipName);
     
-    // Por simplicidade, vamos enviar os arquivos individualmente
-    // Em uma implementação completa, usaríamos uma biblioteca como 'archiver' para criar ZIP
-    res.json({ 
-        message: 'Download em lote não implementado ainda. Use downloads individuais.',
-        files: link.files.map(f => ({
-            name: f.originalname,
-            downloadUrl: `/download/${linkId}/file/${encodeURIComponent(f.originalname)}`
-        }))
+    res.attachment(zipName);
+    res.type('application/zip');
+    
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    
+    archive.on('warning', (err) => {
+        console.warn(`⚠️ Aviso ao gerar ZIP do link ${linkId}:`, err.message);
+    });
+    
+    archive.on('error', (err) => {
+        console.error(`Erro ao gerar ZIP do link ${linkId}:`, err);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Erro ao gerar arquivo ZIP' });
+        } else {
+            res.destroy(err);
+        }
+    });
+    
+    archive.pipe(res);
+    
+    // Evita nomes repetidos dentro do ZIP
+    const usedNames = new Set();
+    files.forEach((file, index) => {
+        let name = file.originalname;
+        if (usedNames.has(name)) {
+            name = `${index + 1}_${name}`;
+        }
+        usedNames.add(name);
+        archive.file(file.path, { name });
     });
+    
+    archive.finalize();
 });
 
 /**
@@ -1927,6 +2183,11 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
     console.log('🔗 URL completa:', req.originalUrl);
     console.log('📊 Content-Type:', req.get('Content-Type') || 'N/A');
     
+    // Definidos antes do try: em caso de erro, indicam se os arquivos já são
+    // referenciados pelo link de download e pela solicitação gravada
+    let downloadLink = null;
+    let leadSaved = false;
+    
     try {
         console.log(`📝 [${requestId}] Processando dados do formulário...`);
         console.log('📋 Dados recebidos:', req.body);
@@ -1950,6 +2211,7 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
                 success: false,
                 message: 'Dados inválidos',
                 errors: validation.errors,
+                fieldErrors: validation.fieldErrors,
                 requestId,
                 timestamp
             });
@@ -1964,12 +2226,15 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
             try {
                 dadosCNPJ = await consultarCNPJ(req.body.cnpj);
                 if (dadosCNPJ.success) {
-                    console.log('✅ CNPJ consultado com sucesso:', dadosCNPJ.razaoSocial);
+                    console.log(`✅ CNPJ consultado com sucesso: ${dadosCNPJ.razaoSocial} (cache: ${dadosCNPJ.cache.status})`);
                     
                     // Calcula score estimado baseado nos dados do CNPJ
                     console.log('📊 Calculando score estimado...');
-                    scoreEstimado = calcularScoreEstimado(dadosCNPJ);
+                    scoreEstimado = calcularScoreEstimado(dadosCNPJ, req.body, req.files);
                     console.log(`📊 Score calculado: ${scoreEstimado.score}/100 - ${scoreEstimado.classificacao}`);
+                    if (scoreEstimado.alertas && scoreEstimado.alertas.length > 0) {
+                        console.log(`🚩 [${requestId}] ${scoreEstimado.alertas.length} inconsistência(s) entre dados declarados e públicos`);
+                    }
                 } else {
                     console.log('⚠️ Erro na consulta do CNPJ:', dadosCNPJ.error);
                     // Calcula score com dados limitados
@@ -1987,6 +2252,22 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
             }
         }
         
+        // Linhas de crédito do catálogo compatíveis com o perfil
+        const linhasCredito = recomendarLinhasCredito(dadosCNPJ, req.body);
+        console.log(`💳 [${requestId}] Linhas indicadas: ${linhasCredito.map(linha => linha.nome).join(', ') || 'nenhuma'}`);
+        
+        // Cenário escolhido no simulador da página (opcional, recalculado no servidor)
+        let simulacao = null;
+        if (req.body.simulacao) {
+            const resultadoSimulacao = normalizarSimulacao(req.body.simulacao);
+            if (resultadoSimulacao.success) {
+                simulacao = resultadoSimulacao.simulacao;
+                console.log(`🧮 [${requestId}] Simulação: ${simulacao.linha.nome}, ${formatarMoeda(simulacao.valor)} em ${simulacao.prazoMeses} meses (${simulacao.sistema.toUpperCase()})`);
+            } else {
+                console.log(`⚠️ [${requestId}] Simulação ignorada: ${resultadoSimulacao.error}`);
+            }
+        }
+        
         // Prepara os anexos
         const attachments = [];
         if (req.files && req.files.length > 0) {
@@ -2001,24 +2282,52 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
         
         // Gera link temporário para download dos arquivos (se houver)
         console.log(`📎 [${requestId}] Processando arquivos anexados...`);
-        let downloadLink = null;
+        let downloadPath = null;
         if (req.files && req.files.length > 0) {
             console.log(`📎 [${requestId}] Gerando link temporário para ${req.files.length} arquivo(s)`);
-            downloadLink = generateTempLink(req.files, 5, 48); // 5 downloads, 48 horas
+            downloadLink = generateTempLink(req.files, DOWNLOAD_LINK_MAX_DOWNLOADS, DOWNLOAD_LINK_HOURS, {
+                requestId,
+                empresa: req.body.empresa
+            });
+            downloadPath = createInternalDownloadPath(downloadLink);
             console.log(`📎 [${requestId}] Link temporário gerado: ${downloadLink}`);
         } else {
             console.log(`📎 [${requestId}] Nenhum arquivo anexado`);
         }
 
+        // Persiste a solicitação antes de qualquer tentativa de envio de email
+        console.log(`💾 [${requestId}] Gravando solicitação no repositório de leads...`);
+        leadStore.saveLead({
+            requestId,
+            formData: req.body,
+            dadosCNPJ,
+            scoreEstimado,
+            linhasCredito,
+            simulacao,
+            files: req.files,
+            origin: {
+                ip: req.ip,
+                origin: req.get('Origin') || null,
+                userAgent: req.get('User-Agent') || null,
+                referer: req.get('Referer') || null
+            },
+            downloadLink,
+            downloadPath,
+            receivedAt: timestamp
+        });
+        leadSaved = true;
+        console.log(`✅ [${requestId}] Solicitação gravada`);
+
         // Configura o email com dados enriquecidos do CNPJ
         console.log(`📧 [${requestId}] Configurando email principal...`);
-        const subjectSuffix = dadosCNPJ && dadosCNPJ.success ? ` - ${dadosCNPJ.situacao}` : '';
+        const emailEquipe = generateEmail(req.body, dadosCNPJ, downloadPath, req.files, scoreEstimado, linhasCredito, simulacao);
         const mailOptions = {
-            from: `"Formulário de Consultoria" <${emailConfig.auth.user}>`,
+            from: `"Formulário de Consultoria" <${emailSender}>`,
             to: process.env.RECIPIENT_EMAIL || 'contato@aportecapitalcred.com.br',
             cc: process.env.CC_EMAIL, // Email em cópia
-            subject: `Nova Solicitação de Consultoria - ${req.body.empresa}${subjectSuffix}`,
-            html: generateEmailHTML(req.body, dadosCNPJ, downloadLink, req.files, scoreEstimado),
+            subject: emailEquipe.subject,
+            html: emailEquipe.html,
+            text: emailEquipe.text,
             attachments: attachments
         };
         
@@ -2029,37 +2338,19 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
         console.log(`📧 [${requestId}] Assunto: ${mailOptions.subject}`);
         console.log(`📧 [${requestId}] Anexos: ${attachments.length} arquivo(s)`);
         
-        let emailSent = false;
-        try {
-            const emailResult = await transporter.sendMail(mailOptions);
-            console.log(`✅ [${requestId}] Email principal enviado com sucesso! ID: ${emailResult.messageId}`);
-            emailSent = true;
-        } catch (emailError) {
-            console.error(`❌ [${requestId}] ERRO no envio do email principal:`, emailError.message);
-            console.error(`❌ [${requestId}] Código do erro:`, emailError.code);
-            console.error(`❌ [${requestId}] Stack do erro:`, emailError.stack);
-            
-            // Log detalhado do erro de email
-            if (emailError.code === 'EAUTH') {
-                console.error(`❌ [${requestId}] ERRO DE AUTENTICAÇÃO - Verifique EMAIL_USER e EMAIL_PASS`);
-            } else if (emailError.code === 'ECONNREFUSED') {
-                console.error(`❌ [${requestId}] ERRO DE CONEXÃO - Servidor SMTP não acessível`);
-            } else if (emailError.code === 'ETIMEDOUT') {
-                console.error(`❌ [${requestId}] TIMEOUT - Servidor SMTP demorou para responder`);
-            }
-            
-            // IMPORTANTE: Não interrompe o fluxo - continua sem email
-            console.log(`⚠️ [${requestId}] Continuando processamento sem envio de email...`);
-        }
-        
-        // Envia email de confirmação automático para o cliente
-        console.log(`📧 [${requestId}] Preparando email de confirmação para o cliente...`);
-        try {
-            const confirmationMailOptions = {
-                from: `"Aporte Capital" <${emailConfig.auth.user}>`,
+        // Grava os dois emails na fila antes de tentar enviar: se o SMTP falhar,
+        // processEmailOutbox repete o envio até conseguir
+        const adminEmail = emailOutbox.enqueueEmail({ requestId, kind: 'admin', mailOptions });
+        const emailCliente = generateConfirmationEmail(req.body, req.files);
+        const confirmationEmail = emailOutbox.enqueueEmail({
+            requestId,
+            kind: 'confirmacao',
+            mailOptions: {
+                from: `"Aporte Capital" <${emailSender}>`,
                 to: req.body.email,
-                subject: 'Confirmação de Solicitação - Aporte Capital',
-                html: generateConfirmationEmailHTML(req.body, req.files),
+                subject: emailCliente.subject,
+                html: emailCliente.html,
+                text: emailCliente.text,
                 attachments: [
                     {
                         filename: 'logo.png',
@@ -2067,28 +2358,30 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
                         cid: 'logo' // Content-ID para referenciar no HTML
                     }
                 ]
-            };
-            
-            console.log(`📧 [${requestId}] Enviando email de confirmação para: ${req.body.email}`);
-            const confirmationResult = await transporter.sendMail(confirmationMailOptions);
-            console.log(`✅ [${requestId}] Email de confirmação enviado com sucesso! ID: ${confirmationResult.messageId}`);
-        } catch (confirmationError) {
-            console.error(`⚠️ [${requestId}] Erro ao enviar email de confirmação (não crítico):`, confirmationError.message);
-            console.error(`⚠️ [${requestId}] Stack do erro de confirmação:`, confirmationError.stack);
-            // Não interrompe o fluxo principal se o email de confirmação falhar
+            }
+        });
+        console.log(`📤 [${requestId}] Emails gravados na fila`);
+
+        const adminResult = await deliverOutboxEmail(adminEmail);
+        const emailSent = adminResult.success;
+        if (!emailSent) {
+            // IMPORTANTE: Não interrompe o fluxo - o email fica na fila para nova tentativa
+            console.log(`⚠️ [${requestId}] Continuando processamento; email principal será reenviado pela fila`);
         }
+        leadStore.updateLead(requestId, { emailSent });
+        
+        // Envia email de confirmação automático para o cliente
+        console.log(`📧 [${requestId}] Enviando email de confirmação para: ${req.body.email}`);
+        await deliverOutboxEmail(confirmationEmail);
         
-        // Gera duas mensagens do WhatsApp diferentes:
-        console.log(`📱 [${requestId}] Gerando mensagens do WhatsApp...`);
-        // 1. Para o CLIENTE (sem link de download - mais limpa)
+        // Mensagem do WhatsApp para o CLIENTE, sem o link de download:
+        // a resposta vai para quem enviou o formulário, e a URL assinada
+        // dos documentos só sai no email da equipe
+        console.log(`📱 [${requestId}] Gerando mensagem do WhatsApp...`);
         const whatsappMessageForClient = generateWhatsAppMessageForClient(req.body, req.files);
         const whatsappNumber = process.env.WHATSAPP_NUMBER || '5592999889392';
         const whatsappURLForClient = generateWhatsAppURL(whatsappNumber, whatsappMessageForClient);
         
-        // 2. Para a APORTE CAPITAL (com link de download - completa)
-        const whatsappMessageForCompany = generateWhatsAppMessage(req.body, downloadLink, req.files);
-        const whatsappURLForCompany = generateWhatsAppURL(whatsappNumber, whatsappMessageForCompany);
-        
         // NÃO remove arquivos temporários se há link de download
         // Os arquivos serão removidos automaticamente quando o link expirar
         console.log(`🗂️ [${requestId}] Gerenciando arquivos temporários...`);
@@ -2101,10 +2394,8 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
         
         console.log(`✅ [${requestId}] Processamento concluído com sucesso!`);
         console.log(`📱 [${requestId}] Link WhatsApp para CLIENTE gerado`);
-        console.log(`📱 [${requestId}] Link WhatsApp para APORTE CAPITAL gerado`);
         if (downloadLink) {
-            const fullDownloadLink = `${req.protocol}://${req.get('host')}/download/${downloadLink}`;
-            console.log(`📎 [${requestId}] Link de download disponível: ${fullDownloadLink}`);
+            console.log(`📎 [${requestId}] Link de download disponível: ${downloadLink} (URL assinada enviada por email)`);
         }
         
         console.log(`🎯 [${requestId}] Enviando resposta de sucesso para o cliente`);
@@ -2120,8 +2411,6 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
             message: responseMessage,
             emailSent: emailSent,
             whatsappURL: whatsappURLForClient, // Cliente recebe a versão sem link
-            whatsappURLForCompany: whatsappURLForCompany, // Para logs/debug da empresa
-            downloadLink: downloadLink ? `${req.protocol}://${req.get('host')}/download/${downloadLink}` : null,
             hasFiles: req.files && req.files.length > 0,
             requestId: requestId,
             timestamp: timestamp
@@ -2151,10 +2440,24 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
             console.error(`❌ [${requestId}] ERRO DE CONEXÃO SMTP - Verifique SMTP_HOST e SMTP_PORT`);
         }
         
-        // Remove arquivos em caso de erro
-        if (req.files) {
+        // Remove os arquivos só se ainda não há link de download. Depois dele, o link,
+        // a solicitação e os emails da fila apontam para os arquivos: eles ficam no
+        // disco e a falha é registrada na solicitação, para a equipe ver no dashboard
+        if (req.files && !downloadLink) {
             console.log(`🗂️ [${requestId}] Removendo arquivos devido ao erro`);
             cleanupFiles(req.files);
+        } else if (downloadLink) {
+            console.log(`🗂️ [${requestId}] Mantendo arquivos do link ${downloadLink} (removidos quando o link vencer)`);
+        }
+        
+        if (leadSaved) {
+            try {
+                leadStore.updateLead(requestId, {
+                    processingError: { message: error.message, at: new Date().toISOString() }
+                });
+            } catch (updateError) {
+                console.error(`❌ [${requestId}] Não foi possível registrar a falha na solicitação:`, updateError.message);
+            }
         }
         
         // Resposta mais detalhada para debug em produção
@@ -2177,51 +2480,19 @@ app.post('/api/consultoria', upload.array('documentos', 10), async (req, res) =>
     }
 });
 
-/**
- * Middleware de tratamento de erros do multer
- */
-app.use((error, req, res, next) => {
-    if (error instanceof multer.MulterError) {
-        if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({
-                success: false,
-                message: 'Arquivo muito grande. Tamanho máximo: 50MB'
-            });
-        }
-        if (error.code === 'LIMIT_FILE_COUNT') {
-            return res.status(400).json({
-                success: false,
-                message: 'Muitos arquivos. Máximo: 10 arquivos'
-            });
-        }
-    }
-    
-    if (error.message === 'Apenas arquivos PDF são permitidos') {
-        return res.status(400).json({
-            success: false,
-            message: error.message
-        });
-    }
-    
-    console.error('Erro não tratado:', error);
-    res.status(500).json({
-        success: false,
-        message: 'Erro interno do servidor'
-    });
-});
-
 /**
  * Endpoint para consulta manual de CNPJ (Dashboard Administrativo)
  */
-app.get('/api/consulta-cnpj/:cnpj', async (req, res) => {
+app.get('/api/consulta-cnpj/:cnpj', auth.requireRole('admin', 'analyst'), async (req, res) => {
     try {
         const cnpj = req.params.cnpj;
         
-        // Valida formato básico do CNPJ
-        if (!cnpj || cnpj.length < 14) {
+        // Valida os dígitos verificadores do CNPJ
+        const validacao = CNPJValidator.validate(cnpj);
+        if (!validacao.valid) {
             return res.status(400).json({
                 success: false,
-                message: 'CNPJ inválido'
+                message: validacao.reason
             });
         }
         
@@ -2230,14 +2501,18 @@ app.get('/api/consulta-cnpj/:cnpj', async (req, res) => {
         // Consulta dados do CNPJ
         const dadosCNPJ = await consultarCNPJ(cnpj);
         
-        // Calcula score estimado
+        // Calcula score estimado e as linhas compatíveis (sem dados do formulário)
         const scoreEstimado = calcularScoreEstimado(dadosCNPJ);
+        const linhasCredito = recomendarLinhasCredito(dadosCNPJ);
         
+        res.set('X-Cache', dadosCNPJ.cache.status.toUpperCase());
         res.json({
             success: true,
             cnpj: cnpj,
             dados: dadosCNPJ,
             score: scoreEstimado,
+            linhas: linhasCredito,
+            cache: dadosCNPJ.cache,
             consultadoEm: new Date().toISOString()
         });
         
@@ -2251,53 +2526,856 @@ app.get('/api/consulta-cnpj/:cnpj', async (req, res) => {
     }
 });
 
+/**
+ * Cronograma de financiamento para enviar ao cliente (SAC/Price, carência,
+ * IOF, TAC e CET). Com ?formato=csv devolve o cronograma como arquivo.
+ */
+app.post('/api/simulacao', auth.requireRole('admin', 'analyst'), (req, res) => {
+    const resultado = calcularCronograma(req.body);
+
+    if (!resultado.success) {
+        return res.status(400).json({
+            success: false,
+            message: resultado.error
+        });
+    }
+
+    const { parametros, resumo } = resultado.simulacao;
+    console.log(`🧮 Simulação por ${req.user.username}: ${formatarMoeda(parametros.valorFinanciado)} em ${parametros.prazoMeses} meses (${parametros.sistema.toUpperCase()}, CET ${resumo.cetMensal}% a.m.)`);
+
+    if (req.query.formato === 'csv') {
+        const arquivo = `simulacao-${parametros.sistema}-${parametros.prazoMeses}m-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${arquivo}"`);
+        return res.send(cronogramaCSV(resultado.simulacao));
+    }
 
+    res.json({
+        success: true,
+        simulacao: resultado.simulacao
+    });
+});
 
 /**
- * Página do Dashboard Administrativo
+ * Lista as solicitações recebidas
+ * Filtros opcionais: status, tipoConsultoria, faturamentoAnual,
+ * scoreMin/scoreMax (0-100) e de/ate (datas AAAA-MM-DD de recebimento)
  */
-app.get('/dashboard', (req, res) => {
-    res.send(`
-        <!DOCTYPE html>
-        <html lang="pt-BR">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Dashboard - Aporte Capital</title>
-            <style>
-                * { margin: 0; padding: 0; box-sizing: border-box; }
-                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f8fafc; }
-                .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
-                .header { background: linear-gradient(135deg, #3b82f6, #1d4ed8); color: white; padding: 30px; border-radius: 12px; margin-bottom: 30px; text-align: center; }
-                .card { background: white; border-radius: 12px; padding: 25px; margin-bottom: 20px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
-                .form-group { margin-bottom: 20px; }
-                label { display: block; margin-bottom: 8px; font-weight: 600; color: #1f2937; font-size: 14px; }
-                input { width: 100%; padding: 12px; border: 2px solid #e5e7eb; border-radius: 8px; font-size: 16px; }
-                input:focus { outline: none; border-color: #3b82f6; }
-                .btn { background: #3b82f6; color: white; padding: 12px 24px; border: none; border-radius: 8px; cursor: pointer; font-size: 16px; font-weight: 600; }
-                .btn:hover { background: #2563eb; }
-                .btn:disabled { background: #9ca3af; cursor: not-allowed; }
-                .result { margin-top: 30px; }
-                .score-display { text-align: center; margin: 20px 0; }
-                .score-circle { display: inline-block; padding: 20px 40px; border-radius: 50px; color: white; font-size: 28px; font-weight: bold; }
-                .score-label { margin-top: 10px; font-size: 18px; font-weight: 600; }
-                .details-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 20px; margin-top: 20px; }
-                .detail-card { background: #f9fafb; padding: 15px; border-radius: 8px; border-left: 4px solid #3b82f6; color: #374151; }
-                .detail-card p { color: #1f2937; margin: 5px 0; }
-                .detail-card strong { color: #1f2937; }
-                .loading { text-align: center; padding: 40px; color: #6b7280; }
-                .error { background: #fef2f2; color: #dc2626; padding: 15px; border-radius: 8px; border-left: 4px solid #dc2626; }
-                .success { background: #f0fdf4; color: #059669; padding: 15px; border-radius: 8px; border-left: 4px solid #059669; }
-                h2 { color: #1f2937; margin-bottom: 20px; font-size: 24px; }
-                h3 { color: #374151; margin: 25px 0 15px 0; font-size: 20px; }
-                h4 { color: #4b5563; margin-bottom: 8px; font-size: 16px; font-weight: 600; }
-            </style>
-        </head>
-        <body>
+app.get('/api/leads', auth.requireRole('admin', 'analyst'), (req, res) => {
+    const { status, tipoConsultoria, faturamentoAnual, scoreMin, scoreMax, de, ate } = req.query;
+
+    if (status && !leadStore.LEAD_STATUS[status]) {
+        return res.status(400).json({
+            success: false,
+            message: `Status inválido. Use: ${Object.keys(leadStore.LEAD_STATUS).join(', ')}`
+        });
+    }
+
+    const min = scoreMin !== undefined && scoreMin !== '' ? Number(scoreMin) : null;
+    const max = scoreMax !== undefined && scoreMax !== '' ? Number(scoreMax) : null;
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+        return res.status(400).json({
+            success: false,
+            message: 'scoreMin e scoreMax devem ser numéricos'
+        });
+    }
+
+    // Datas em horário local; "ate" inclui o dia inteiro
+    const desde = de ? new Date(`${de}T00:00:00`) : null;
+    const limite = ate ? new Date(`${ate}T23:59:59.999`) : null;
+    if ((desde && isNaN(desde)) || (limite && isNaN(limite))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Datas devem estar no formato AAAA-MM-DD'
+        });
+    }
+
+    const leads = leadStore.listLeads(lead => {
+        const score = lead.scoreEstimado ? lead.scoreEstimado.score : null;
+        const recebidoEm = new Date(lead.createdAt);
+
+        if (status && lead.status !== status) return false;
+        if (tipoConsultoria && lead.formData.tipoConsultoria !== tipoConsultoria) return false;
+        if (faturamentoAnual && lead.formData.faturamentoAnual !== faturamentoAnual) return false;
+        if (min !== null && (score === null || score < min)) return false;
+        if (max !== null && (score === null || score > max)) return false;
+        if (desde && recebidoEm < desde) return false;
+        if (limite && recebidoEm > limite) return false;
+        return true;
+    });
+
+    res.json({
+        success: true,
+        total: leads.length,
+        leads
+    });
+});
+
+/**
+ * Detalhe de uma solicitação
+ */
+app.get('/api/leads/:requestId', auth.requireRole('admin', 'analyst'), (req, res) => {
+    const lead = leadStore.getLead(req.params.requestId);
+
+    if (!lead) {
+        return res.status(404).json({
+            success: false,
+            message: 'Solicitação não encontrada'
+        });
+    }
+
+    res.json({
+        success: true,
+        lead,
+        nextStatus: leadStore.LEAD_STATUS[lead.status].next
+    });
+});
+
+/**
+ * Renderiza a solicitação com o mesmo layout do email enviado à equipe
+ */
+app.get('/api/leads/:requestId/email', auth.requireRole('admin', 'analyst'), (req, res) => {
+    const lead = leadStore.getLead(req.params.requestId);
+
+    if (!lead) {
+        return res.status(404).json({
+            success: false,
+            message: 'Solicitação não encontrada'
+        });
+    }
+
+    res.send(generateEmail(lead.formData, lead.dadosCNPJ, lead.downloadPath, lead.files, lead.scoreEstimado, lead.linhasCredito, lead.simulacao).html);
+});
+
+/**
+ * Emails de uma solicitação (equipe e cliente) como o destinatário os recebe:
+ * assunto, prévia da caixa de entrada, versão HTML e versão em texto puro.
+ * Com ?email=admin|confirmacao&formato=html|text devolve apenas o conteúdo.
+ */
+app.get('/dashboard/emails/preview/:requestId', auth.requireRole('admin', 'analyst'), (req, res) => {
+    const lead = leadStore.getLead(req.params.requestId);
+
+    if (!lead) {
+        return res.status(404).json({
+            success: false,
+            message: 'Solicitação não encontrada'
+        });
+    }
+
+    const emails = {
+        admin: generateEmail(lead.formData, lead.dadosCNPJ, lead.downloadPath, lead.files, lead.scoreEstimado, lead.linhasCredito, lead.simulacao),
+        confirmacao: generateConfirmationEmail(lead.formData, lead.files)
+    };
+
+    if (req.query.email || req.query.formato) {
+        const email = emails[req.query.email];
+        if (!email || !['html', 'text'].includes(req.query.formato)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use email=admin|confirmacao e formato=html|text'
+            });
+        }
+
+        if (req.query.formato === 'text') {
+            return res.type('text/plain; charset=utf-8').send(email.text || '');
+        }
+
+        // O logo do email de confirmação vai como anexo (cid:logo); na prévia vem de public/
+        return res.send(email.html.replace(/cid:logo/g, '/images/logo.png'));
+    }
+
+    const base = `/dashboard/emails/preview/${encodeURIComponent(lead.requestId)}`;
+
+    res.send(`
+        <!DOCTYPE html>
+        <html lang="pt-BR">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Emails - ${escapeHtml(lead.formData.empresa)} - Aporte Capital</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f8fafc; color: #1f2937; padding: 2rem; }
+                h1 { margin-bottom: 0.5rem; }
+                h2 { margin-bottom: 1rem; }
+                h3 { margin: 1rem 0 0.5rem; }
+                .muted { color: #6b7280; }
+                .card { background: white; padding: 1.5rem; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.08); margin-top: 1.5rem; }
+                .inbox { border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; background: #f9fafb; }
+                .inbox strong { display: block; }
+                .columns { display: grid; grid-template-columns: 3fr 2fr; gap: 1.5rem; }
+                iframe { width: 100%; height: 700px; border: 1px solid #e5e7eb; border-radius: 8px; background: white; }
+                pre { height: 700px; overflow: auto; white-space: pre-wrap; font-size: 0.85rem; border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem; background: #f9fafb; }
+                @media (max-width: 900px) { .columns { grid-template-columns: 1fr; } }
+            </style>
+        </head>
+        <body>
+            <h1>📧 Emails da solicitação</h1>
+            <p class="muted">${escapeHtml(lead.formData.empresa)} • #${escapeHtml(lead.requestId)} • gerados com os templates atuais</p>
+
+            ${Object.entries(emails).map(([kind, email]) => `
+                <div class="card">
+                    <h2>${escapeHtml(emailOutbox.OUTBOX_KINDS[kind])}</h2>
+                    <div class="inbox">
+                        <strong>${escapeHtml(email.subject)}</strong>
+                        <span class="muted">${escapeHtml(email.preheader)}</span>
+                    </div>
+                    <div class="columns">
+                        <div>
+                            <h3>HTML <a href="${base}?email=${kind}&amp;formato=html" target="_blank">abrir</a></h3>
+                            <iframe src="${base}?email=${kind}&amp;formato=html"></iframe>
+                        </div>
+                        <div>
+                            <h3>Texto puro</h3>
+                            <pre>${email.text ? escapeHtml(email.text) : '<span class="muted">Sem versão em texto</span>'}</pre>
+                        </div>
+                    </div>
+                </div>
+            `).join('')}
+        </body>
+        </html>
+    `);
+});
+
+/**
+ * Move uma solicitação no funil (novo → em análise → enviado ao banco → aprovado/recusado)
+ * ou, sem status, apenas adiciona uma observação interna
+ */
+app.patch('/api/leads/:requestId', auth.requireRole('admin', 'analyst'), (req, res) => {
+    const { status, note } = req.body || {};
+    const changedBy = req.user.name || req.user.username;
+
+    if (!status && !(note && note.toString().trim())) {
+        return res.status(400).json({
+            success: false,
+            message: 'Informe o novo status ou uma observação'
+        });
+    }
+
+    if (!status) {
+        const lead = leadStore.addLeadNote(req.params.requestId, {
+            author: changedBy,
+            text: note.toString().trim()
+        });
+
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Solicitação não encontrada'
+            });
+        }
+
+        return res.json({
+            success: true,
+            lead,
+            nextStatus: leadStore.LEAD_STATUS[lead.status].next
+        });
+    }
+
+    const result = leadStore.changeLeadStatus(req.params.requestId, status, {
+        changedBy,
+        note: note ? note.toString().trim() : null
+    });
+
+    if (!result.success) {
+        return res.status(result.notFound ? 404 : 409).json({
+            success: false,
+            message: result.error,
+            allowed: result.allowed
+        });
+    }
+
+    console.log(`📌 Solicitação ${req.params.requestId} movida para "${status}" por ${req.user.username}`);
+
+    res.json({
+        success: true,
+        lead: result.lead,
+        nextStatus: leadStore.LEAD_STATUS[result.lead.status].next
+    });
+});
+
+/**
+ * Resumo de um email da fila (sem o HTML e com o nome da empresa)
+ */
+function resumoEmailFila(email) {
+    const lead = leadStore.getLead(email.requestId);
+
+    return {
+        id: email.id,
+        requestId: email.requestId,
+        empresa: lead ? lead.formData.empresa : null,
+        kind: email.kind,
+        to: email.mailOptions.to,
+        subject: email.mailOptions.subject,
+        status: email.status,
+        attempts: email.attempts,
+        maxAttempts: email.maxAttempts,
+        nextAttemptAt: email.nextAttemptAt,
+        lastError: email.lastError,
+        sentAt: email.sentAt,
+        history: email.history,
+        createdAt: email.createdAt
+    };
+}
+
+/**
+ * Fila de emails (filtros: status, requestId)
+ */
+app.get('/api/email-outbox', auth.requireRole('admin', 'analyst'), (req, res) => {
+    const { status, requestId } = req.query;
+
+    if (status && !emailOutbox.OUTBOX_STATUS[status]) {
+        return res.status(400).json({
+            success: false,
+            message: `Status inválido. Use: ${Object.keys(emailOutbox.OUTBOX_STATUS).join(', ')}`
+        });
+    }
+
+    const emails = emailOutbox.listOutbox(email => {
+        if (status && email.status !== status) return false;
+        if (requestId && email.requestId !== requestId) return false;
+        return true;
+    });
+
+    res.json({
+        success: true,
+        total: emails.length,
+        emails: emails.map(resumoEmailFila)
+    });
+});
+
+/**
+ * Reenvia um email da fila imediatamente (com um novo ciclo de tentativas se falhar)
+ */
+app.post('/api/email-outbox/:id/resend', auth.requireRole('admin', 'analyst'), async (req, res) => {
+    const result = emailOutbox.requeueEmail(req.params.id, { requestedBy: req.user.username });
+
+    if (!result.success) {
+        return res.status(result.notFound ? 404 : 409).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    console.log(`📤 [${result.email.requestId}] Reenvio de email solicitado por ${req.user.username} (${result.email.kind})`);
+    const delivery = await deliverOutboxEmail(result.email);
+
+    res.json({
+        success: delivery.success,
+        message: delivery.success ? 'Email reenviado' : `Falha no reenvio: ${delivery.error}. O email continua na fila.`,
+        email: resumoEmailFila(delivery.email)
+    });
+});
+
+/**
+ * Detalhes de um link de download: destinatários e trilha de acessos
+ */
+app.get('/api/download-links/:linkId', auth.requireRole('admin'), (req, res) => {
+    const link = getTempLink(req.params.linkId);
+
+    if (!link) {
+        return res.status(404).json({
+            success: false,
+            message: 'Link não encontrado'
+        });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    res.json({
+        success: true,
+        link: {
+            ...link,
+            status: getLinkStatus(link),
+            recipients: (link.recipients || []).map(recipient => ({
+                ...recipient,
+                url: `${baseUrl}${buildDownloadPath(link.linkId, recipient.id)}`
+            }))
+        },
+        access: listAccess(link.linkId)
+    });
+});
+
+/**
+ * Cadastra um destinatário no link e retorna sua URL assinada
+ */
+app.post('/api/download-links/:linkId/recipients', auth.requireRole('admin'), (req, res) => {
+    const { type, name, email, requireOtp } = req.body || {};
+    const recipientName = (name || '').toString().trim();
+    const recipientEmail = (email || '').toString().trim() || null;
+
+    if (!RECIPIENT_TYPES[type]) {
+        return res.status(400).json({
+            success: false,
+            message: `Tipo inválido. Use: ${Object.keys(RECIPIENT_TYPES).join(', ')}`
+        });
+    }
+
+    if (!recipientName) {
+        return res.status(400).json({
+            success: false,
+            message: 'Nome do destinatário é obrigatório'
+        });
+    }
+
+    if (requireOtp && !(recipientEmail && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Informe um email válido para envio do código de verificação'
+        });
+    }
+
+    const recipient = addLinkRecipient(req.params.linkId, {
+        type,
+        name: recipientName,
+        email: recipientEmail,
+        requireOtp: Boolean(requireOtp)
+    });
+
+    if (!recipient) {
+        return res.status(404).json({
+            success: false,
+            message: 'Link não encontrado'
+        });
+    }
+
+    console.log(`🔗 Destinatário "${recipientName}" (${type}) adicionado ao link ${req.params.linkId} por ${req.user.username}`);
+
+    res.status(201).json({
+        success: true,
+        recipient,
+        url: `${req.protocol}://${req.get('host')}${buildDownloadPath(req.params.linkId, recipient.id)}`
+    });
+});
+
+/**
+ * Registra na trilha de auditoria uma ação administrativa sobre o link
+ */
+function recordAdminLinkAction(req, linkId, action, detail = null) {
+    recordAccess({
+        linkId,
+        recipientId: `admin:${req.user.username}`,
+        recipientName: req.user.name,
+        recipientType: 'admin',
+        action,
+        detail,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null
+    });
+}
+
+/**
+ * Lê um inteiro positivo dentro do limite informado
+ * @returns {number|null}
+ */
+function parseLimitedInt(value, max) {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 && number <= max ? number : null;
+}
+
+/**
+ * Revoga o link inteiro (todas as URLs deixam de funcionar imediatamente)
+ */
+app.post('/api/download-links/:linkId/revoke', auth.requireRole('admin'), (req, res) => {
+    const reason = ((req.body || {}).reason || '').toString().trim() || null;
+    const result = revokeTempLink(req.params.linkId, { by: req.user.username, reason });
+
+    if (!result.success) {
+        return res.status(result.notFound ? 404 : 409).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    recordAdminLinkAction(req, req.params.linkId, 'revogado', reason);
+
+    res.json({ success: true, link: result.link, status: getLinkStatus(result.link) });
+});
+
+/**
+ * Prorroga a validade do link
+ */
+app.post('/api/download-links/:linkId/extend', auth.requireRole('admin'), (req, res) => {
+    const hours = parseLimitedInt((req.body || {}).hours, MAX_LINK_HOURS);
+
+    if (!hours) {
+        return res.status(400).json({
+            success: false,
+            message: `Informe as horas adicionais (1 a ${MAX_LINK_HOURS})`
+        });
+    }
+
+    const result = extendTempLink(req.params.linkId, hours);
+
+    if (!result.success) {
+        return res.status(result.notFound ? 404 : 409).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    recordAdminLinkAction(req, req.params.linkId, 'prorrogado', `+${hours}h`);
+
+    res.json({ success: true, link: result.link, status: getLinkStatus(result.link) });
+});
+
+/**
+ * Amplia o limite de downloads do link
+ */
+app.post('/api/download-links/:linkId/quota', auth.requireRole('admin'), (req, res) => {
+    const downloads = parseLimitedInt((req.body || {}).downloads, MAX_LINK_DOWNLOADS);
+
+    if (!downloads) {
+        return res.status(400).json({
+            success: false,
+            message: `Informe os downloads adicionais (1 a ${MAX_LINK_DOWNLOADS})`
+        });
+    }
+
+    const result = raiseDownloadQuota(req.params.linkId, downloads);
+
+    if (!result.success) {
+        return res.status(result.notFound ? 404 : 409).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    recordAdminLinkAction(req, req.params.linkId, 'cota-ampliada', `+${downloads} downloads`);
+
+    res.json({ success: true, link: result.link, status: getLinkStatus(result.link) });
+});
+
+/**
+ * Gera um novo link para os mesmos arquivos, revogando o anterior.
+ * O novo link ganha a URL da equipe interna e substitui o da solicitação.
+ */
+app.post('/api/download-links/:linkId/reissue', auth.requireRole('admin'), (req, res) => {
+    const body = req.body || {};
+    const hours = body.hours === undefined ? DOWNLOAD_LINK_HOURS : parseLimitedInt(body.hours, MAX_LINK_HOURS);
+    const maxDownloads = body.maxDownloads === undefined
+        ? DOWNLOAD_LINK_MAX_DOWNLOADS
+        : parseLimitedInt(body.maxDownloads, MAX_LINK_DOWNLOADS);
+
+    if (!hours || !maxDownloads) {
+        return res.status(400).json({
+            success: false,
+            message: `Validade deve ser de 1 a ${MAX_LINK_HOURS} horas e o limite de 1 a ${MAX_LINK_DOWNLOADS} downloads`
+        });
+    }
+
+    const result = reissueTempLink(req.params.linkId, { maxDownloads, expirationHours: hours, by: req.user.username });
+
+    if (!result.success) {
+        return res.status(result.notFound ? 404 : 409).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    const downloadPath = createInternalDownloadPath(result.link.linkId);
+    let lead = null;
+
+    if (result.link.requestId) {
+        lead = leadStore.updateLead(result.link.requestId, {
+            downloadLink: result.link.linkId,
+            downloadPath
+        });
+    }
+
+    recordAdminLinkAction(req, req.params.linkId, 'reemitido', `Novo link ${result.link.linkId}`);
+    console.log(`🔁 Link ${req.params.linkId} reemitido como ${result.link.linkId} por ${req.user.username}`);
+
+    res.status(201).json({
+        success: true,
+        link: result.link,
+        url: `${req.protocol}://${req.get('host')}${downloadPath}`,
+        lead
+    });
+});
+
+/**
+ * Revoga a URL de um único destinatário
+ */
+app.delete('/api/download-links/:linkId/recipients/:recipientId', auth.requireRole('admin'), (req, res) => {
+    const result = revokeLinkRecipient(req.params.linkId, req.params.recipientId);
+
+    if (!result.success) {
+        return res.status(result.notFound ? 404 : 409).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    const recipient = getLinkRecipient(result.link, req.params.recipientId);
+    recordAdminLinkAction(req, req.params.linkId, 'destinatario-revogado', recipient.name);
+
+    res.json({ success: true, recipient });
+});
+
+/**
+ * Página do Dashboard Administrativo
+ */
+app.get('/dashboard', auth.requireRole('admin', 'analyst'), (req, res) => {
+    // Faixas do filtro de score seguem a classificação das regras ativas
+    const faixasScore = {};
+    getScoreRules().rules.classificacao.forEach((faixa, index, lista) => {
+        faixasScore[faixa.nome] = [Math.max(0, faixa.minimo), index === 0 ? 100 : lista[index - 1].minimo - 1];
+    });
+
+    res.send(`
+        <!DOCTYPE html>
+        <html lang="pt-BR">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Dashboard - Aporte Capital</title>
+            <style>
+                * { margin: 0; padding: 0; box-sizing: border-box; }
+                body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f8fafc; }
+                .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+                .header { background: linear-gradient(135deg, #3b82f6, #1d4ed8); color: white; padding: 30px; border-radius: 12px; margin-bottom: 30px; text-align: center; }
+                .card { background: white; border-radius: 12px; padding: 25px; margin-bottom: 20px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+                .form-group { margin-bottom: 20px; }
+                label { display: block; margin-bottom: 8px; font-weight: 600; color: #1f2937; font-size: 14px; }
+                input { width: 100%; padding: 12px; border: 2px solid #e5e7eb; border-radius: 8px; font-size: 16px; }
+                input:focus { outline: none; border-color: #3b82f6; }
+                .btn { background: #3b82f6; color: white; padding: 12px 24px; border: none; border-radius: 8px; cursor: pointer; font-size: 16px; font-weight: 600; }
+                .btn:hover { background: #2563eb; }
+                .btn:disabled { background: #9ca3af; cursor: not-allowed; }
+                .result { margin-top: 30px; }
+                .score-display { text-align: center; margin: 20px 0; }
+                .score-circle { display: inline-block; padding: 20px 40px; border-radius: 50px; color: white; font-size: 28px; font-weight: bold; }
+                .score-label { margin-top: 10px; font-size: 18px; font-weight: 600; }
+                .details-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 20px; margin-top: 20px; }
+                .detail-card { background: #f9fafb; padding: 15px; border-radius: 8px; border-left: 4px solid #3b82f6; color: #374151; }
+                .detail-card p { color: #1f2937; margin: 5px 0; }
+                .detail-card strong { color: #1f2937; }
+                .loading { text-align: center; padding: 40px; color: #6b7280; }
+                .error { background: #fef2f2; color: #dc2626; padding: 15px; border-radius: 8px; border-left: 4px solid #dc2626; }
+                .success { background: #f0fdf4; color: #059669; padding: 15px; border-radius: 8px; border-left: 4px solid #059669; }
+                h2 { color: #1f2937; margin-bottom: 20px; font-size: 24px; }
+                h3 { color: #374151; margin: 25px 0 15px 0; font-size: 20px; }
+                h4 { color: #4b5563; margin-bottom: 8px; font-size: 16px; font-weight: 600; }
+                select, textarea { width: 100%; padding: 10px; border: 2px solid #e5e7eb; border-radius: 8px; font-size: 14px; font-family: inherit; margin-bottom: 10px; }
+                .filters-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 15px; }
+                .filters-grid .form-group { margin-bottom: 0; }
+                .filters-grid input { font-size: 14px; padding: 10px; }
+                .filters-actions { margin-top: 15px; display: flex; gap: 10px; align-items: center; }
+                .btn-secondary { background: #6b7280; }
+                .btn-secondary:hover { background: #4b5563; }
+                .btn-danger { background: #dc2626; }
+                .btn-danger:hover { background: #b91c1c; }
+                .link-actions { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin: 10px 0; }
+                .link-actions input { width: 90px; font-size: 14px; padding: 10px; }
+                .muted { color: #6b7280; font-size: 14px; }
+                .leads-table { width: 100%; border-collapse: collapse; font-size: 14px; }
+                .leads-table th { text-align: left; padding: 10px; background: #f3f4f6; color: #374151; }
+                .leads-table td { padding: 10px; border-bottom: 1px solid #e5e7eb; color: #1f2937; }
+                .leads-table tbody tr { cursor: pointer; }
+                .leads-table tbody tr:hover { background: #eff6ff; }
+                .badge { display: inline-block; padding: 3px 10px; border-radius: 12px; font-size: 12px; font-weight: 600; color: white; background: #6b7280; vertical-align: middle; }
+                .badge-novo { background: #3b82f6; }
+                .badge-em-analise { background: #f59e0b; }
+                .badge-enviado-banco { background: #8b5cf6; }
+                .badge-aprovado { background: #059669; }
+                .badge-recusado { background: #dc2626; }
+                .email-preview { width: 100%; height: 800px; border: 1px solid #e5e7eb; border-radius: 8px; }
+                .user-bar { margin-top: 15px; display: flex; gap: 10px; align-items: center; justify-content: center; font-size: 14px; }
+                .btn-small { padding: 6px 14px; font-size: 14px; background: rgba(255,255,255,0.2); }
+                .btn-small:hover { background: rgba(255,255,255,0.35); }
+            </style>
+        </head>
+        <body>
             <div class="container">
                 <div class="header">
                     <h1>📊 Dashboard Administrativo</h1>
-                    <p>Consulta e Avaliação de CNPJs</p>
+                    <p>Solicitações Recebidas e Avaliação de CNPJs</p>
+                    <div class="user-bar">
+                        <span id="usuarioAtual"></span>
+                        <button type="button" class="btn btn-small" id="sairBtn">Sair</button>
+                    </div>
+                </div>
+                
+                <div class="card">
+                    <h2>📥 Solicitações</h2>
+                    <form id="filtrosForm">
+                        <div class="filters-grid">
+                            <div class="form-group">
+                                <label for="filtro-status">Status</label>
+                                <select id="filtro-status">
+                                    <option value="">Todos</option>
+                                    ${Object.entries(leadStore.LEAD_STATUS).map(([value, status]) => `<option value="${value}">${status.label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="filtro-tipoConsultoria">Tipo de Consultoria</label>
+                                <select id="filtro-tipoConsultoria">
+                                    <option value="">Todos</option>
+                                    <option value="capital-giro">Capital de Giro</option>
+                                    <option value="expansao">Expansão de Negócio</option>
+                                    <option value="modernizacao">Modernização</option>
+                                    <option value="investimento">Investimento em Equipamentos</option>
+                                    <option value="outros">Outros</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="filtro-faturamentoAnual">Faturamento Anual</label>
+                                <select id="filtro-faturamentoAnual">
+                                    <option value="">Todos</option>
+                                    <option value="350k-500k">R$ 350 mil a R$ 500 mil</option>
+                                    <option value="500k-1m">R$ 500 mil a R$ 1 milhão</option>
+                                    <option value="1m-2m">R$ 1 milhão a R$ 2 milhões</option>
+                                    <option value="2m-5m">R$ 2 milhões a R$ 5 milhões</option>
+                                    <option value="5m-10m">R$ 5 milhões a R$ 10 milhões</option>
+                                    <option value="mais-10m">Acima de R$ 10 milhões</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="filtro-score">Faixa de Score</label>
+                                <select id="filtro-score">
+                                    <option value="">Todas</option>
+                                    ${Object.entries(faixasScore).map(([nome, [min, max]]) => `<option value="${escapeHtml(nome)}">${escapeHtml(nome)} (${min}-${max})</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="filtro-de">Recebidas de</label>
+                                <input type="date" id="filtro-de">
+                            </div>
+                            <div class="form-group">
+                                <label for="filtro-ate">Até</label>
+                                <input type="date" id="filtro-ate">
+                            </div>
+                        </div>
+                        <div class="filters-actions">
+                            <button type="submit" class="btn">Filtrar</button>
+                            <button type="button" class="btn btn-secondary" id="limparFiltros">Limpar</button>
+                            <span class="muted" id="totalLeads"></span>
+                        </div>
+                    </form>
+                    <div id="listaLeads" class="result"></div>
+                </div>
+                
+                <div id="detalheLead"></div>
+                
+                ${req.user.role === 'admin' ? `
+                <div class="card">
+                    <h2>👥 Usuários</h2>
+                    <div id="listaUsuarios"></div>
+                    <h3>Novo usuário</h3>
+                    <form id="usuarioForm">
+                        <div class="filters-grid">
+                            <div class="form-group">
+                                <label for="novo-username">Usuário (email)</label>
+                                <input type="text" id="novo-username" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="novo-name">Nome</label>
+                                <input type="text" id="novo-name" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="novo-password">Senha (mín. 8 caracteres)</label>
+                                <input type="password" id="novo-password" minlength="8" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="novo-role">Perfil</label>
+                                <select id="novo-role">
+                                    ${Object.entries(auth.ROLES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="filters-actions">
+                            <button type="submit" class="btn">Cadastrar</button>
+                        </div>
+                    </form>
+                    <div id="mensagemUsuario"></div>
+                </div>
+                
+                <div class="card">
+                    <h2>⚖️ Regras do Score</h2>
+                    <p class="muted" id="regrasAtivas"></p>
+                    <textarea id="regrasJson" rows="20" spellcheck="false" style="font-family: monospace;"></textarea>
+                    <div class="form-group">
+                        <label for="regrasNota">Observação da alteração</label>
+                        <input type="text" id="regrasNota" maxlength="200">
+                    </div>
+                    <div class="filters-actions">
+                        <button type="button" class="btn" id="salvarRegrasBtn">Publicar nova versão</button>
+                    </div>
+                    <div id="mensagemRegras"></div>
+                    <h3>Histórico</h3>
+                    <div id="historicoRegras"></div>
+                </div>
+                ` : ''}
+                
+                <div class="card">
+                    <h2>📤 Fila de Emails</h2>
+                    <p class="muted">Avisos para a equipe e confirmações para o cliente. Emails com erro são reenviados automaticamente com intervalos crescentes; após ${emailOutbox.MAX_ATTEMPTS} tentativas ficam como "Falhou" até serem reenviados aqui.</p>
+                    <div class="filters-actions">
+                        <select id="filtro-email-status" style="width: auto; margin-bottom: 0;">
+                            <option value="">Todos</option>
+                            ${Object.entries(emailOutbox.OUTBOX_STATUS).map(([value, status]) => `<option value="${value}">${status.label}</option>`).join('')}
+                        </select>
+                        <button type="button" class="btn btn-secondary" id="atualizarEmails">Atualizar</button>
+                        <span class="muted" id="totalEmails"></span>
+                    </div>
+                    <div id="mensagemEmails"></div>
+                    <div id="listaEmails" class="result"></div>
+                </div>
+                
+                <div class="card" id="simulacaoCard">
+                    <h2>🧮 Simulação de Financiamento</h2>
+                    <form id="simulacaoForm">
+                        <div class="filters-grid">
+                            <div class="form-group">
+                                <label for="sim-linha">Linha (taxa de referência)</label>
+                                <select id="sim-linha">
+                                    <option value="">Informar taxa</option>
+                                    ${PRODUTOS.map(produto => `<option value="${produto.id}">${produto.nome} (${produto.simulacao.taxaMensal.toLocaleString('pt-BR')}% a.m.)</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="sim-valor">Valor (R$)</label>
+                                <input type="text" id="sim-valor" placeholder="100.000,00">
+                            </div>
+                            <div class="form-group">
+                                <label for="sim-prazo">Prazo total (meses)</label>
+                                <input type="number" id="sim-prazo" min="1" max="${LoanSimulator.PRAZO_MAXIMO_MESES}" value="36">
+                            </div>
+                            <div class="form-group">
+                                <label for="sim-carencia">Carência (meses)</label>
+                                <input type="number" id="sim-carencia" min="0" value="0">
+                            </div>
+                            <div class="form-group">
+                                <label for="sim-carencia-tipo">Na carência</label>
+                                <select id="sim-carencia-tipo">
+                                    ${Object.entries(LoanSimulator.CARENCIAS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="sim-sistema">Amortização</label>
+                                <select id="sim-sistema">
+                                    ${Object.entries(LoanSimulator.SISTEMAS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="sim-taxa">Taxa (% a.m.)</label>
+                                <input type="text" id="sim-taxa" placeholder="da linha">
+                            </div>
+                            <div class="form-group">
+                                <label for="sim-tac">TAC (R$)</label>
+                                <input type="text" id="sim-tac" value="0">
+                            </div>
+                        </div>
+                        <label style="margin-top: 15px; font-weight: normal;">
+                            <input type="checkbox" id="sim-financiar" style="width: auto;"> Financiar IOF e TAC (cliente recebe o valor pedido)
+                        </label>
+                        <div class="filters-actions">
+                            <button type="submit" class="btn">Calcular</button>
+                            <button type="button" class="btn btn-secondary" id="simulacaoCsvBtn">Baixar CSV</button>
+                        </div>
+                    </form>
+                    <div id="resultadoSimulacao" class="result"></div>
                 </div>
                 
                 <div class="card">
@@ -2307,14 +3385,784 @@ app.get('/dashboard', (req, res) => {
                             <label for="cnpj">CNPJ:</label>
                             <input type="text" id="cnpj" placeholder="00.000.000/0000-00" maxlength="18">
                         </div>
-                        <button type="submit" class="btn" id="consultarBtn">Consultar</button>
-                    </form>
-                </div>
-                
-                <div id="resultado" class="result"></div>
-            </div>
-            
-            <script>
+                        <button type="submit" class="btn" id="consultarBtn">Consultar</button>
+                    </form>
+                </div>
+                
+                <div id="resultado" class="result"></div>
+            </div>
+            
+            <script src="/cnpj.js"></script>
+            <script>
+                // ===== CAIXA DE SOLICITAÇÕES =====
+                const STATUS = ${JSON.stringify(leadStore.LEAD_STATUS)};
+                const CACHE_CNPJ = {
+                    'hit': '⚡ Cache',
+                    'miss': '🌐 Consulta nova',
+                    'stale': '🕒 Cache desatualizado (atualizando)',
+                    'stale-if-error': '⚠️ Cache vencido (APIs indisponíveis)'
+                };
+                const STATUS_LINK = {
+                    ativo: '🟢 Ativo',
+                    revogado: '⛔ Revogado',
+                    expirado: '⌛ Expirado',
+                    esgotado: '🔢 Limite de downloads atingido',
+                    desativado: '⚪ Desativado'
+                };
+                const FAIXAS_SCORE = ${JSON.stringify(faixasScore).replace(/</g, '\\u003c')};
+                const FATURAMENTO = {
+                    '350k-500k': 'R$ 350 mil a R$ 500 mil',
+                    '500k-1m': 'R$ 500 mil a R$ 1 milhão',
+                    '1m-2m': 'R$ 1 milhão a R$ 2 milhões',
+                    '2m-5m': 'R$ 2 milhões a R$ 5 milhões',
+                    '5m-10m': 'R$ 5 milhões a R$ 10 milhões',
+                    'mais-10m': 'Acima de R$ 10 milhões'
+                };
+                const TIPOS = {
+                    'capital-giro': 'Capital de Giro',
+                    'expansao': 'Expansão de Negócio',
+                    'modernizacao': 'Modernização',
+                    'investimento': 'Investimento em Equipamentos',
+                    'outros': 'Outros'
+                };
+
+                function escapeHtml(value) {
+                    return String(value === null || value === undefined ? '' : value)
+                        .replace(/&/g, '&amp;')
+                        .replace(/</g, '&lt;')
+                        .replace(/>/g, '&gt;')
+                        .replace(/"/g, '&quot;')
+                        .replace(/'/g, '&#39;');
+                }
+
+                function formatarData(iso) {
+                    return iso ? new Date(iso).toLocaleString('pt-BR') : '-';
+                }
+
+                function formatarMoeda(valor) {
+                    return Number(valor).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+                }
+
+                function statusBadge(status) {
+                    const label = STATUS[status] ? STATUS[status].label : status;
+                    return \`<span class="badge badge-\${escapeHtml(status)}">\${escapeHtml(label)}</span>\`;
+                }
+
+                async function carregarLeads() {
+                    const lista = document.getElementById('listaLeads');
+                    const params = new URLSearchParams();
+
+                    ['status', 'tipoConsultoria', 'faturamentoAnual', 'de', 'ate'].forEach(campo => {
+                        const valor = document.getElementById(\`filtro-\${campo}\`).value;
+                        if (valor) params.set(campo, valor);
+                    });
+
+                    const faixa = document.getElementById('filtro-score').value;
+                    if (faixa) {
+                        params.set('scoreMin', FAIXAS_SCORE[faixa][0]);
+                        params.set('scoreMax', FAIXAS_SCORE[faixa][1]);
+                    }
+
+                    lista.innerHTML = '<div class="loading">🔄 Carregando solicitações...</div>';
+
+                    try {
+                        const response = await fetch(\`/api/leads?\${params}\`);
+                        const data = await response.json();
+
+                        if (!data.success) {
+                            lista.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                            return;
+                        }
+
+                        renderLista(data.leads);
+                    } catch (error) {
+                        lista.innerHTML = '<div class="error">❌ Erro ao carregar solicitações</div>';
+                    }
+                }
+
+                function renderLista(leads) {
+                    const lista = document.getElementById('listaLeads');
+                    document.getElementById('totalLeads').textContent = \`\${leads.length} solicitação(ões)\`;
+
+                    if (leads.length === 0) {
+                        lista.innerHTML = '<div class="loading">Nenhuma solicitação encontrada para os filtros selecionados.</div>';
+                        return;
+                    }
+
+                    lista.innerHTML = \`
+                        <table class="leads-table">
+                            <thead>
+                                <tr>
+                                    <th>Recebido em</th>
+                                    <th>Empresa</th>
+                                    <th>CNPJ</th>
+                                    <th>Tipo</th>
+                                    <th>Faturamento</th>
+                                    <th>Score</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                \${leads.map(lead => \`
+                                    <tr data-id="\${escapeHtml(lead.requestId)}">
+                                        <td>\${formatarData(lead.createdAt)}</td>
+                                        <td>\${escapeHtml(lead.formData.empresa)}</td>
+                                        <td>\${escapeHtml(lead.formData.cnpj)}</td>
+                                        <td>\${escapeHtml(TIPOS[lead.formData.tipoConsultoria] || lead.formData.tipoConsultoria)}</td>
+                                        <td>\${escapeHtml(FATURAMENTO[lead.formData.faturamentoAnual] || lead.formData.faturamentoAnual)}</td>
+                                        <td>\${lead.scoreEstimado ? \`<strong style="color: \${escapeHtml(lead.scoreEstimado.cor || '#6b7280')}">\${lead.scoreEstimado.score}</strong>\` : '-'}</td>
+                                        <td>\${statusBadge(lead.status)}\${lead.processingError ? ' <span title="Falha no processamento">⚠️</span>' : ''}</td>
+                                    </tr>
+                                \`).join('')}
+                            </tbody>
+                        </table>
+                    \`;
+
+                    lista.querySelectorAll('tr[data-id]').forEach(row => {
+                        row.addEventListener('click', () => abrirLead(row.dataset.id));
+                    });
+                }
+
+                async function abrirLead(requestId) {
+                    const detalhe = document.getElementById('detalheLead');
+                    detalhe.innerHTML = '<div class="card"><div class="loading">🔄 Carregando solicitação...</div></div>';
+
+                    try {
+                        const response = await fetch(\`/api/leads/\${encodeURIComponent(requestId)}\`);
+                        const data = await response.json();
+
+                        if (!data.success) {
+                            detalhe.innerHTML = \`<div class="card"><div class="error">❌ \${escapeHtml(data.message)}</div></div>\`;
+                            return;
+                        }
+
+                        renderDetalhe(data.lead, data.nextStatus);
+                        detalhe.scrollIntoView({ behavior: 'smooth' });
+                    } catch (error) {
+                        detalhe.innerHTML = '<div class="card"><div class="error">❌ Erro ao carregar solicitação</div></div>';
+                    }
+                }
+
+                function renderLinhasCredito(linhas) {
+                    return linhas.map((linha, index) => \`
+                        <p>
+                            <strong>\${index + 1}. \${escapeHtml(linha.nome)}</strong>\${linha.aConfirmar.length === 0 ? ' <span class="muted">(todos os critérios atendidos)</span>' : ''}<br>
+                            <span class="muted">\${escapeHtml(linha.descricao)}</span>
+                            \${linha.atendidos.length > 0 ? \`<br>✅ \${linha.atendidos.map(escapeHtml).join(' • ')}\` : ''}
+                            \${linha.aConfirmar.length > 0 ? \`<br>❓ A confirmar: \${linha.aConfirmar.map(escapeHtml).join(' • ')}\` : ''}
+                        </p>
+                    \`).join('');
+                }
+
+                function renderDetalhe(lead, nextStatus) {
+                    const detalhe = document.getElementById('detalheLead');
+                    const notas = lead.notes || [];
+
+                    detalhe.innerHTML = \`
+                        <div class="card">
+                            <h2>📄 \${escapeHtml(lead.formData.empresa)} \${statusBadge(lead.status)}</h2>
+                            <p class="muted">Solicitação #\${escapeHtml(lead.requestId)} • recebida em \${formatarData(lead.createdAt)}</p>
+                            \${lead.processingError ? \`
+                                <div class="error">⚠️ O processamento falhou em \${formatarData(lead.processingError.at)}: \${escapeHtml(lead.processingError.message)}. Confira os emails na fila e o link de download.</div>
+                            \` : ''}
+
+                            <div class="details-grid">
+                                <div class="detail-card">
+                                    <h4>🔀 Mover para</h4>
+                                    \${nextStatus.length > 0 ? \`
+                                        <select id="novoStatus">
+                                            \${nextStatus.map(status => \`<option value="\${escapeHtml(status)}">\${escapeHtml(STATUS[status].label)}</option>\`).join('')}
+                                        </select>
+                                        <textarea id="notaStatus" rows="2" placeholder="Observação da transição (opcional)"></textarea>
+                                        <button class="btn" id="moverBtn">Atualizar status</button>
+                                    \` : '<p>Etapa final - nenhuma transição disponível.</p>'}
+                                </div>
+                                <div class="detail-card">
+                                    <h4>📝 Nova observação</h4>
+                                    <textarea id="novaNota" rows="3" placeholder="Anotação interna"></textarea>
+                                    <button class="btn" id="notaBtn">Adicionar observação</button>
+                                </div>
+                            </div>
+                            <div id="mensagemDetalhe"></div>
+
+                            \${USUARIO.role === 'admin' && lead.downloadLink ? \`
+                                <h3>🔗 Link de Download</h3>
+                                <div class="detail-card" id="linkDownload"><div class="loading">🔄 Carregando link...</div></div>
+                            \` : ''}
+
+                            \${lead.linhasCredito ? \`
+                                <h3>💳 Linhas de Crédito Indicadas</h3>
+                                <div class="detail-card">\${lead.linhasCredito.length > 0 ? renderLinhasCredito(lead.linhasCredito) : '<p class="muted">Nenhuma linha do catálogo atende ao perfil.</p>'}</div>
+                            \` : ''}
+
+                            \${lead.simulacao ? \`
+                                <h3>🧮 Simulação do Cliente</h3>
+                                <div class="detail-card">
+                                    <p>
+                                        <strong>\${escapeHtml(lead.simulacao.linha.nome)}</strong>: \${formatarMoeda(lead.simulacao.valor)} em \${lead.simulacao.prazoMeses} meses\${lead.simulacao.carenciaMeses > 0 ? \`, \${lead.simulacao.carenciaMeses} de carência\` : ''}
+                                        (\${lead.simulacao.sistema === 'sac' ? 'SAC' : 'Price'}, \${lead.simulacao.taxaMensal.toLocaleString('pt-BR')}% a.m.)<br>
+                                        Primeira parcela: \${formatarMoeda(lead.simulacao.primeiraParcela)} • Última: \${formatarMoeda(lead.simulacao.ultimaParcela)}<br>
+                                        <span class="muted">Total de juros: \${formatarMoeda(lead.simulacao.totalJuros)} • Total pago: \${formatarMoeda(lead.simulacao.totalPago)}</span>
+                                    </p>
+                                    <button type="button" class="btn btn-secondary" id="abrirSimulacaoBtn">Abrir no simulador (com IOF e TAC)</button>
+                                </div>
+                            \` : ''}
+
+                            <h3>📝 Observações</h3>
+                            <div class="detail-card">
+                                \${notas.length > 0 ? notas.map(nota => \`
+                                    <p><strong>\${escapeHtml(nota.author)}</strong> <span class="muted">(\${formatarData(nota.at)})</span><br>\${escapeHtml(nota.text)}</p>
+                                \`).join('') : '<p class="muted">Nenhuma observação.</p>'}
+                            </div>
+
+                            <h3>🕒 Histórico</h3>
+                            <div class="detail-card">
+                                \${lead.history.map(item => \`
+                                    <p>
+                                        \${formatarData(item.at)} • <strong>\${escapeHtml(item.changedBy)}</strong>:
+                                        \${item.from ? \`\${statusBadge(item.from)} → \` : ''}\${statusBadge(item.to)}
+                                        \${item.note ? \`<br><em>\${escapeHtml(item.note)}</em>\` : ''}
+                                    </p>
+                                \`).join('')}
+                            </div>
+
+                            <h3>📧 Dados da Solicitação</h3>
+                            <p><a href="/dashboard/emails/preview/\${encodeURIComponent(lead.requestId)}" target="_blank">Ver emails enviados (prévia, HTML e texto)</a></p>
+                            <iframe class="email-preview" src="/api/leads/\${encodeURIComponent(lead.requestId)}/email"></iframe>
+                        </div>
+                    \`;
+
+                    const moverBtn = document.getElementById('moverBtn');
+                    if (moverBtn) {
+                        moverBtn.addEventListener('click', () => atualizarLead(lead.requestId, {
+                            status: document.getElementById('novoStatus').value,
+                            note: document.getElementById('notaStatus').value
+                        }));
+                    }
+
+                    document.getElementById('notaBtn').addEventListener('click', () => {
+                        const note = document.getElementById('novaNota').value.trim();
+                        if (!note) {
+                            document.getElementById('mensagemDetalhe').innerHTML = '<div class="error">Digite a observação</div>';
+                            return;
+                        }
+                        atualizarLead(lead.requestId, { note });
+                    });
+
+                    const abrirSimulacaoBtn = document.getElementById('abrirSimulacaoBtn');
+                    if (abrirSimulacaoBtn) {
+                        abrirSimulacaoBtn.addEventListener('click', () => preencherSimulacao(lead.simulacao));
+                    }
+
+                    if (USUARIO.role === 'admin' && lead.downloadLink) {
+                        carregarLinkDownload(lead);
+                    }
+                }
+
+                async function carregarLinkDownload(lead) {
+                    const container = document.getElementById('linkDownload');
+
+                    try {
+                        const response = await fetch(\`/api/download-links/\${encodeURIComponent(lead.downloadLink)}\`);
+                        const data = await response.json();
+
+                        if (!data.success) {
+                            container.innerHTML = \`<p class="muted">\${escapeHtml(data.message)} (os arquivos podem já ter sido removidos)</p>\`;
+                            return;
+                        }
+
+                        renderLinkDownload(lead, data.link);
+                    } catch (error) {
+                        container.innerHTML = '<div class="error">❌ Erro ao carregar link de download</div>';
+                    }
+                }
+
+                function renderLinkDownload(lead, link) {
+                    const container = document.getElementById('linkDownload');
+                    const revogado = link.status === 'revogado';
+
+                    container.innerHTML = \`
+                        <p><strong>\${STATUS_LINK[link.status] || escapeHtml(link.status)}</strong> • #\${escapeHtml(link.linkId)}</p>
+                        <p>Expira em \${formatarData(link.expiresAt)} • Downloads: \${link.downloads}/\${link.maxDownloads}</p>
+                        \${link.revokedAt ? \`<p class="muted">Revogado por \${escapeHtml(link.revokedBy || '-')} em \${formatarData(link.revokedAt)}\${link.revokeReason ? \` • \${escapeHtml(link.revokeReason)}\` : ''}</p>\` : ''}
+                        \${link.reissuedFrom ? \`<p class="muted">Reemitido a partir do link #\${escapeHtml(link.reissuedFrom)}</p>\` : ''}
+                        \${link.status === 'ativo' ? \`<p><a href="/download/\${encodeURIComponent(link.linkId)}" target="_blank">Abrir página do link (destinatários e auditoria)</a></p>\` : ''}
+                        \${!revogado ? \`
+                            <div class="link-actions">
+                                <input type="number" id="linkHoras" min="1" value="24">
+                                <button class="btn btn-secondary" id="prorrogarBtn">⏰ Prorrogar (horas)</button>
+                                <input type="number" id="linkDownloads" min="1" value="5">
+                                <button class="btn btn-secondary" id="cotaBtn">🔢 Ampliar limite</button>
+                                <button class="btn btn-danger" id="revogarBtn">⛔ Revogar</button>
+                            </div>
+                        \` : ''}
+                        <button class="btn" id="reemitirBtn">🔁 Gerar novo link</button>
+                        <div id="mensagemLink"></div>
+                    \`;
+
+                    if (!revogado) {
+                        document.getElementById('prorrogarBtn').addEventListener('click', () => acaoLink(lead, link, 'extend', {
+                            hours: Number(document.getElementById('linkHoras').value)
+                        }));
+                        document.getElementById('cotaBtn').addEventListener('click', () => acaoLink(lead, link, 'quota', {
+                            downloads: Number(document.getElementById('linkDownloads').value)
+                        }));
+                        document.getElementById('revogarBtn').addEventListener('click', () => {
+                            const reason = prompt('Motivo da revogação (opcional):');
+                            if (reason === null) return;
+                            acaoLink(lead, link, 'revoke', { reason });
+                        });
+                    }
+
+                    document.getElementById('reemitirBtn').addEventListener('click', () => {
+                        const aviso = revogado
+                            ? 'Gerar um novo link para os mesmos arquivos?'
+                            : 'Gerar um novo link para os mesmos arquivos? O link atual será revogado.';
+                        if (!confirm(aviso)) return;
+                        acaoLink(lead, link, 'reissue', {});
+                    });
+                }
+
+                async function acaoLink(lead, link, acao, payload) {
+                    const mensagem = document.getElementById('mensagemLink');
+
+                    try {
+                        const response = await fetch(\`/api/download-links/\${encodeURIComponent(link.linkId)}/\${acao}\`, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(payload)
+                        });
+                        const data = await response.json();
+
+                        if (!data.success) {
+                            mensagem.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                            return;
+                        }
+
+                        if (acao === 'reissue') {
+                            abrirLead(lead.requestId);
+                            return;
+                        }
+
+                        carregarLinkDownload(lead);
+                    } catch (error) {
+                        mensagem.innerHTML = '<div class="error">❌ Erro ao atualizar link de download</div>';
+                    }
+                }
+
+                async function atualizarLead(requestId, payload) {
+                    const mensagem = document.getElementById('mensagemDetalhe');
+
+                    try {
+                        const response = await fetch(\`/api/leads/\${encodeURIComponent(requestId)}\`, {
+                            method: 'PATCH',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(payload)
+                        });
+                        const data = await response.json();
+
+                        if (!data.success) {
+                            mensagem.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                            return;
+                        }
+
+                        renderDetalhe(data.lead, data.nextStatus);
+                        carregarLeads();
+                    } catch (error) {
+                        mensagem.innerHTML = '<div class="error">❌ Erro ao atualizar solicitação</div>';
+                    }
+                }
+
+                document.getElementById('filtrosForm').addEventListener('submit', function(e) {
+                    e.preventDefault();
+                    carregarLeads();
+                });
+
+                document.getElementById('limparFiltros').addEventListener('click', function() {
+                    document.getElementById('filtrosForm').reset();
+                    carregarLeads();
+                });
+
+                carregarLeads();
+
+                // ===== SESSÃO E USUÁRIOS =====
+                const USUARIO = ${JSON.stringify(req.user).replace(/</g, '\\u003c')};
+                const PERFIS = ${JSON.stringify(auth.ROLES)};
+                document.getElementById('usuarioAtual').textContent = \`👤 \${USUARIO.name} (\${PERFIS[USUARIO.role] || USUARIO.role})\`;
+
+                document.getElementById('sairBtn').addEventListener('click', async function() {
+                    await fetch('/api/auth/logout', { method: 'POST' });
+                    window.location.href = '/login';
+                });
+
+                async function carregarUsuarios() {
+                    const lista = document.getElementById('listaUsuarios');
+
+                    try {
+                        const response = await fetch('/api/users');
+                        const data = await response.json();
+
+                        if (!data.success) {
+                            lista.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                            return;
+                        }
+
+                        lista.innerHTML = \`
+                            <table class="leads-table">
+                                <thead>
+                                    <tr><th>Usuário</th><th>Nome</th><th>Perfil</th><th>Criado em</th></tr>
+                                </thead>
+                                <tbody>
+                                    \${data.users.map(user => \`
+                                        <tr>
+                                            <td>\${escapeHtml(user.username)}</td>
+                                            <td>\${escapeHtml(user.name)}</td>
+                                            <td>\${escapeHtml(PERFIS[user.role] || user.role)}</td>
+                                            <td>\${formatarData(user.createdAt)}</td>
+                                        </tr>
+                                    \`).join('')}
+                                </tbody>
+                            </table>
+                        \`;
+                    } catch (error) {
+                        lista.innerHTML = '<div class="error">❌ Erro ao carregar usuários</div>';
+                    }
+                }
+
+                if (USUARIO.role === 'admin') {
+                    document.getElementById('usuarioForm').addEventListener('submit', async function(e) {
+                        e.preventDefault();
+                        const form = this;
+                        const mensagem = document.getElementById('mensagemUsuario');
+
+                        try {
+                            const response = await fetch('/api/users', {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({
+                                    username: document.getElementById('novo-username').value,
+                                    name: document.getElementById('novo-name').value,
+                                    password: document.getElementById('novo-password').value,
+                                    role: document.getElementById('novo-role').value
+                                })
+                            });
+                            const data = await response.json();
+
+                            if (!data.success) {
+                                mensagem.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                                return;
+                            }
+
+                            mensagem.innerHTML = \`<div class="success">✅ Usuário \${escapeHtml(data.user.username)} cadastrado</div>\`;
+                            form.reset();
+                            carregarUsuarios();
+                        } catch (error) {
+                            mensagem.innerHTML = '<div class="error">❌ Erro ao cadastrar usuário</div>';
+                        }
+                    });
+
+                    carregarUsuarios();
+                }
+
+                // ===== REGRAS DO SCORE =====
+                async function carregarRegras(version = null) {
+                    const ativas = document.getElementById('regrasAtivas');
+                    const historico = document.getElementById('historicoRegras');
+
+                    try {
+                        const response = await fetch('/api/score-rules');
+                        const data = await response.json();
+
+                        if (!data.success) {
+                            historico.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                            return;
+                        }
+
+                        const ativa = data.active;
+                        ativas.textContent = \`Versão ativa: v\${ativa.version} • publicada em \${formatarData(ativa.createdAt)} por \${ativa.createdBy || '-'}\`;
+
+                        historico.innerHTML = \`
+                            <table class="leads-table">
+                                <thead>
+                                    <tr><th>Versão</th><th>Publicada em</th><th>Por</th><th>Observação</th><th></th></tr>
+                                </thead>
+                                <tbody>
+                                    \${data.versions.map(versao => \`
+                                        <tr>
+                                            <td>v\${versao.version}\${versao.version === ativa.version ? ' (ativa)' : ''}</td>
+                                            <td>\${formatarData(versao.createdAt)}</td>
+                                            <td>\${escapeHtml(versao.createdBy || '-')}</td>
+                                            <td>\${escapeHtml(versao.note || '')}</td>
+                                            <td><button type="button" class="btn btn-secondary" data-version="\${versao.version}">Carregar no editor</button></td>
+                                        </tr>
+                                    \`).join('')}
+                                </tbody>
+                            </table>
+                        \`;
+
+                        historico.querySelectorAll('button[data-version]').forEach(botao => {
+                            botao.addEventListener('click', () => carregarRegras(Number(botao.dataset.version)));
+                        });
+
+                        let regras = ativa.rules;
+                        if (version && version !== ativa.version) {
+                            const versaoResponse = await fetch(\`/api/score-rules/\${version}\`);
+                            const versaoData = await versaoResponse.json();
+                            if (versaoData.success) {
+                                regras = versaoData.record.rules;
+                                document.getElementById('mensagemRegras').innerHTML =
+                                    \`<div class="muted">Editando a partir da v\${version}. Publicar cria uma nova versão.</div>\`;
+                            }
+                        }
+
+                        document.getElementById('regrasJson').value = JSON.stringify(regras, null, 4);
+                    } catch (error) {
+                        historico.innerHTML = '<div class="error">❌ Erro ao carregar regras do score</div>';
+                    }
+                }
+
+                if (USUARIO.role === 'admin') {
+                    document.getElementById('salvarRegrasBtn').addEventListener('click', async function() {
+                        const mensagem = document.getElementById('mensagemRegras');
+                        let rules;
+
+                        try {
+                            rules = JSON.parse(document.getElementById('regrasJson').value);
+                        } catch (error) {
+                            mensagem.innerHTML = \`<div class="error">❌ JSON inválido: \${escapeHtml(error.message)}</div>\`;
+                            return;
+                        }
+
+                        try {
+                            const response = await fetch('/api/score-rules', {
+                                method: 'PUT',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ rules, note: document.getElementById('regrasNota').value })
+                            });
+                            const data = await response.json();
+
+                            if (!data.success) {
+                                mensagem.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                                return;
+                            }
+
+                            mensagem.innerHTML = \`<div class="success">✅ Regras v\${data.record.version} publicadas. Novos scores usarão esta versão.</div>\`;
+                            document.getElementById('regrasNota').value = '';
+                            carregarRegras();
+                        } catch (error) {
+                            mensagem.innerHTML = '<div class="error">❌ Erro ao publicar regras</div>';
+                        }
+                    });
+
+                    carregarRegras();
+                }
+
+                // ===== FILA DE EMAILS =====
+                const STATUS_EMAIL = {
+                    pendente: '🕒 Pendente',
+                    enviado: '✅ Enviado',
+                    falhou: '❌ Falhou'
+                };
+                const TIPOS_EMAIL = ${JSON.stringify(emailOutbox.OUTBOX_KINDS)};
+
+                async function carregarFilaEmails() {
+                    const lista = document.getElementById('listaEmails');
+                    const status = document.getElementById('filtro-email-status').value;
+
+                    lista.innerHTML = '<div class="loading">🔄 Carregando fila de emails...</div>';
+
+                    try {
+                        const response = await fetch(\`/api/email-outbox\${status ? \`?status=\${status}\` : ''}\`);
+                        const data = await response.json();
+
+                        if (!data.success) {
+                            lista.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                            return;
+                        }
+
+                        document.getElementById('totalEmails').textContent = \`\${data.total} email(s)\`;
+                        if (data.emails.length === 0) {
+                            lista.innerHTML = '<div class="loading">Nenhum email na fila para o filtro selecionado.</div>';
+                            return;
+                        }
+
+                        lista.innerHTML = \`
+                            <table class="leads-table">
+                                <thead>
+                                    <tr><th>Criado em</th><th>Empresa</th><th>Email</th><th>Para</th><th>Status</th><th>Tentativas</th><th></th></tr>
+                                </thead>
+                                <tbody>
+                                    \${data.emails.map(email => \`
+                                        <tr data-id="\${escapeHtml(email.requestId)}">
+                                            <td>\${formatarData(email.createdAt)}</td>
+                                            <td>\${escapeHtml(email.empresa || email.requestId)}</td>
+                                            <td>\${escapeHtml(TIPOS_EMAIL[email.kind] || email.kind)}</td>
+                                            <td>\${escapeHtml(email.to)}</td>
+                                            <td>
+                                                \${STATUS_EMAIL[email.status] || escapeHtml(email.status)}
+                                                \${email.status === 'enviado' ? \`<br><span class="muted">\${formatarData(email.sentAt)}</span>\` : ''}
+                                                \${email.status === 'pendente' && email.attempts > 0 ? \`<br><span class="muted">próxima tentativa: \${formatarData(email.nextAttemptAt)}</span>\` : ''}
+                                                \${email.lastError && email.status !== 'enviado' ? \`<br><span class="muted">\${escapeHtml(email.lastError)}</span>\` : ''}
+                                            </td>
+                                            <td>\${email.attempts}/\${email.maxAttempts}</td>
+                                            <td><button type="button" class="btn btn-secondary btn-reenviar" data-email="\${escapeHtml(email.id)}">Reenviar</button></td>
+                                        </tr>
+                                    \`).join('')}
+                                </tbody>
+                            </table>
+                        \`;
+
+                        lista.querySelectorAll('tr[data-id]').forEach(row => {
+                            row.addEventListener('click', () => abrirLead(row.dataset.id));
+                        });
+                        lista.querySelectorAll('.btn-reenviar').forEach(botao => {
+                            botao.addEventListener('click', e => {
+                                e.stopPropagation();
+                                reenviarEmail(botao.dataset.email, botao);
+                            });
+                        });
+                    } catch (error) {
+                        lista.innerHTML = '<div class="error">❌ Erro ao carregar fila de emails</div>';
+                    }
+                }
+
+                async function reenviarEmail(id, botao) {
+                    const mensagem = document.getElementById('mensagemEmails');
+                    botao.disabled = true;
+
+                    try {
+                        const response = await fetch(\`/api/email-outbox/\${encodeURIComponent(id)}/resend\`, { method: 'POST' });
+                        const data = await response.json();
+
+                        mensagem.innerHTML = data.success
+                            ? \`<div class="success">✅ \${escapeHtml(data.message)}</div>\`
+                            : \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                        carregarFilaEmails();
+                    } catch (error) {
+                        mensagem.innerHTML = '<div class="error">❌ Erro ao reenviar email</div>';
+                        botao.disabled = false;
+                    }
+                }
+
+                document.getElementById('filtro-email-status').addEventListener('change', carregarFilaEmails);
+                document.getElementById('atualizarEmails').addEventListener('click', carregarFilaEmails);
+
+                carregarFilaEmails();
+
+                // ===== SIMULAÇÃO DE FINANCIAMENTO =====
+                function lerSimulacao() {
+                    const campo = id => document.getElementById(id).value;
+                    return {
+                        linha: campo('sim-linha') || undefined,
+                        valor: campo('sim-valor'),
+                        prazoMeses: campo('sim-prazo'),
+                        carenciaMeses: campo('sim-carencia'),
+                        carenciaTipo: campo('sim-carencia-tipo'),
+                        sistema: campo('sim-sistema'),
+                        taxaMensal: campo('sim-taxa'),
+                        tac: campo('sim-tac'),
+                        financiarCustos: document.getElementById('sim-financiar').checked
+                    };
+                }
+
+                /**
+                 * Preenche o simulador com o cenário enviado pelo cliente
+                 */
+                function preencherSimulacao(simulacao) {
+                    document.getElementById('sim-linha').value = simulacao.linha ? simulacao.linha.id : '';
+                    document.getElementById('sim-valor').value = simulacao.valor;
+                    document.getElementById('sim-prazo').value = simulacao.prazoMeses;
+                    document.getElementById('sim-carencia').value = simulacao.carenciaMeses;
+                    document.getElementById('sim-sistema').value = simulacao.sistema;
+                    document.getElementById('sim-taxa').value = simulacao.taxaMensal;
+                    document.getElementById('simulacaoCard').scrollIntoView({ behavior: 'smooth' });
+                    calcularSimulacao();
+                }
+
+                async function calcularSimulacao() {
+                    const resultado = document.getElementById('resultadoSimulacao');
+                    resultado.innerHTML = '<div class="loading">🔄 Calculando...</div>';
+
+                    try {
+                        const response = await fetch('/api/simulacao', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(lerSimulacao())
+                        });
+                        const data = await response.json();
+
+                        if (!data.success) {
+                            resultado.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                            return;
+                        }
+
+                        const { parametros, parcelas, resumo } = data.simulacao;
+                        resultado.innerHTML = \`
+                            <div class="details-grid">
+                                <div class="detail-card">
+                                    <p><strong>Valor financiado:</strong> \${formatarMoeda(parametros.valorFinanciado)}</p>
+                                    <p><strong>Valor liberado:</strong> \${formatarMoeda(resumo.valorLiberado)}</p>
+                                    <p><strong>IOF:</strong> \${formatarMoeda(resumo.iof)} • <strong>TAC:</strong> \${formatarMoeda(resumo.tac)}</p>
+                                </div>
+                                <div class="detail-card">
+                                    <p><strong>Primeira parcela:</strong> \${formatarMoeda(resumo.primeiraParcela)}</p>
+                                    <p><strong>Última parcela:</strong> \${formatarMoeda(resumo.ultimaParcela)}</p>
+                                    <p><strong>Total pago:</strong> \${formatarMoeda(resumo.totalPago)} (juros \${formatarMoeda(resumo.totalJuros)})</p>
+                                </div>
+                                <div class="detail-card">
+                                    <p><strong>Taxa:</strong> \${parametros.taxaMensal.toLocaleString('pt-BR')}% a.m.</p>
+                                    <p><strong>CET:</strong> \${resumo.cetMensal === null ? '-' : \`\${resumo.cetMensal.toLocaleString('pt-BR')}% a.m. • \${resumo.cetAnual.toLocaleString('pt-BR')}% a.a.\`}</p>
+                                </div>
+                            </div>
+                            <div style="max-height: 400px; overflow: auto; margin-top: 20px;">
+                                <table class="leads-table">
+                                    <thead><tr><th>Mês</th><th>Parcela</th><th>Juros</th><th>Amortização</th><th>Saldo devedor</th></tr></thead>
+                                    <tbody>
+                                        \${parcelas.map(item => \`
+                                            <tr><td>\${item.numero}</td><td>\${formatarMoeda(item.parcela)}</td><td>\${formatarMoeda(item.juros)}</td><td>\${formatarMoeda(item.amortizacao)}</td><td>\${formatarMoeda(item.saldo)}</td></tr>
+                                        \`).join('')}
+                                    </tbody>
+                                </table>
+                            </div>
+                        \`;
+                    } catch (error) {
+                        resultado.innerHTML = '<div class="error">❌ Erro ao calcular a simulação</div>';
+                    }
+                }
+
+                async function baixarSimulacaoCSV() {
+                    const resultado = document.getElementById('resultadoSimulacao');
+
+                    try {
+                        const response = await fetch('/api/simulacao?formato=csv', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(lerSimulacao())
+                        });
+
+                        if (!response.ok) {
+                            const data = await response.json();
+                            resultado.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
+                            return;
+                        }
+
+                        const nome = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+                        const link = document.createElement('a');
+                        link.href = URL.createObjectURL(await response.blob());
+                        link.download = nome ? nome[1] : 'simulacao.csv';
+                        link.click();
+                        URL.revokeObjectURL(link.href);
+                    } catch (error) {
+                        resultado.innerHTML = '<div class="error">❌ Erro ao gerar o CSV</div>';
+                    }
+                }
+
+                document.getElementById('simulacaoForm').addEventListener('submit', function(e) {
+                    e.preventDefault();
+                    calcularSimulacao();
+                });
+                document.getElementById('simulacaoCsvBtn').addEventListener('click', baixarSimulacaoCSV);
+
                 // Máscara para CNPJ
                 document.getElementById('cnpj').addEventListener('input', function(e) {
                     let value = e.target.value.replace(/\\D/g, '');
@@ -2333,8 +4181,9 @@ app.get('/dashboard', (req, res) => {
                     const btn = document.getElementById('consultarBtn');
                     const resultado = document.getElementById('resultado');
                     
-                    if (cnpj.length !== 14) {
-                        resultado.innerHTML = '<div class="error">CNPJ deve ter 14 dígitos</div>';
+                    const validacao = CNPJValidator.validate(cnpj);
+                    if (!validacao.valid) {
+                        resultado.innerHTML = \`<div class="error">\${escapeHtml(validacao.reason)}</div>\`;
                         return;
                     }
                     
@@ -2349,7 +4198,7 @@ app.get('/dashboard', (req, res) => {
                         if (data.success) {
                             exibirResultado(data);
                         } else {
-                            resultado.innerHTML = \`<div class="error">❌ \${data.message}</div>\`;
+                            resultado.innerHTML = \`<div class="error">❌ \${escapeHtml(data.message)}</div>\`;
                         }
                     } catch (error) {
                         resultado.innerHTML = '<div class="error">❌ Erro na consulta</div>';
@@ -2361,45 +4210,72 @@ app.get('/dashboard', (req, res) => {
                 
                 function exibirResultado(data) {
                     const { dados, score } = data;
+                    // Respostas sem detalhamento (ex.: erro no cálculo do score) não quebram a página
+                    const detalhes = score.detalhes || {};
+                    const maximos = score.maximos || {};
+                    const pontos = chave => \`\${detalhes[chave] || 0}/\${maximos[chave] !== undefined ? maximos[chave] : '-'}\`;
                     
                     let html = '<div class="card">';
                     
                     // Score
                     html += \`
                         <div class="score-display">
-                            <div class="score-circle" style="background: \${score.cor}">
+                            <div class="score-circle" style="background: \${escapeHtml(score.cor)}">
                                 \${score.score}/100
                             </div>
-                            <div class="score-label" style="color: \${score.cor}">
-                                \${score.classificacao}
+                            <div class="score-label" style="color: \${escapeHtml(score.cor)}">
+                                \${escapeHtml(score.classificacao)}
                             </div>
                         </div>
                         
                         <div class="detail-card">
                             <h4>🎯 Recomendação:</h4>
-                            <p>\${score.recomendacao}</p>
+                            <p>\${escapeHtml(score.recomendacao)}</p>
                         </div>
                     \`;
                     
+                    if (data.linhas && data.linhas.length > 0) {
+                        html += \`
+                            <div class="detail-card">
+                                <h4>💳 Linhas de Crédito:</h4>
+                                \${renderLinhasCredito(data.linhas)}
+                            </div>
+                        \`;
+                    }
+                    
+                    if (data.cache) {
+                        html += \`
+                            <p class="muted">
+                                Fonte: \${escapeHtml(dados.source || '-')} •
+                                \${CACHE_CNPJ[data.cache.status] || escapeHtml(data.cache.status)}
+                                \${data.cache.cachedAt ? \` (consulta de \${formatarData(data.cache.cachedAt)})\` : ''}
+                            </p>
+                        \`;
+                    }
+                    
                     if (dados.success) {
                         html += \`
                             <h3>📊 Dados da Empresa</h3>
                             <div class="details-grid">
                                 <div class="detail-card">
                                     <h4>🏢 Razão Social</h4>
-                                    <p>\${dados.razaoSocial}</p>
+                                    <p>\${escapeHtml(dados.razaoSocial)}</p>
                                 </div>
                                 <div class="detail-card">
                                     <h4>📋 Situação</h4>
-                                    <p>\${dados.situacao}</p>
+                                    <p>\${escapeHtml(dados.situacao)}</p>
                                 </div>
                                 <div class="detail-card">
                                     <h4>📅 Data Abertura</h4>
-                                    <p>\${dados.dataAbertura}</p>
+                                    <p>\${escapeHtml(dados.dataAbertura)}</p>
                                 </div>
                                 <div class="detail-card">
                                     <h4>💰 Capital Social</h4>
-                                    <p>R$ \${dados.capitalSocial}</p>
+                                    <p>R$ \${escapeHtml(dados.capitalSocial)}</p>
+                                </div>
+                                <div class="detail-card">
+                                    <h4>🧮 Regime Tributário</h4>
+                                    <p>\${escapeHtml(dados.regimeTributario || 'Não informado')}</p>
                                 </div>
                             </div>
                         \`;
@@ -2408,17 +4284,19 @@ app.get('/dashboard', (req, res) => {
                     html += \`
                         <h3>📋 Fatores Analisados</h3>
                         <div class="detail-card">
-                            \${score.fatores.map(fator => \`<div>• \${fator}</div>\`).join('')}
+                            \${score.fatores.map(fator => \`<div>• \${escapeHtml(fator)}</div>\`).join('')}
                         </div>
                         
                         <h3>📊 Detalhamento da Pontuação</h3>
                         <div class="details-grid">
-                            <div class="detail-card">Situação Cadastral: <strong>\${score.detalhes.situacao}/30</strong></div>
-                            <div class="detail-card">Tempo de Atividade: <strong>\${score.detalhes.tempo_atividade}/25</strong></div>
-                            <div class="detail-card">Capital Social: <strong>\${score.detalhes.capital_social}/20</strong></div>
-                            <div class="detail-card">Atividade Principal: <strong>\${score.detalhes.atividade_principal}/15</strong></div>
-                            <div class="detail-card">Endereço Completo: <strong>\${score.detalhes.endereco}/10</strong></div>
+                            <div class="detail-card">Situação Cadastral: <strong>\${pontos('situacao')}</strong></div>
+                            <div class="detail-card">Tempo de Atividade: <strong>\${pontos('tempo_atividade')}</strong></div>
+                            <div class="detail-card">Capital Social: <strong>\${pontos('capital_social')}</strong></div>
+                            <div class="detail-card">Atividade Principal: <strong>\${pontos('atividade_principal')}</strong></div>
+                            <div class="detail-card">Endereço Completo: <strong>\${pontos('endereco')}</strong></div>
+                            <div class="detail-card">Regime Tributário (ajuste): <strong>\${detalhes.regime_tributario > 0 ? '+' : ''}\${detalhes.regime_tributario || 0}</strong></div>
                         </div>
+                        \${score.versaoRegras ? \`<p class="muted">Regras do score: v\${score.versaoRegras}</p>\` : ''}
                     \`;
                     
                     html += '</div>';
@@ -2441,15 +4319,50 @@ app.use('*', (req, res) => {
     });
 });
 
+/**
+ * Middleware de tratamento de erros do multer
+ * Registrado depois de todas as rotas, para receber os erros de qualquer uma delas
+ */
+app.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                message: 'Arquivo muito grande. Tamanho máximo: 50MB'
+            });
+        }
+        if (error.code === 'LIMIT_FILE_COUNT') {
+            return res.status(400).json({
+                success: false,
+                message: 'Muitos arquivos. Máximo: 10 arquivos'
+            });
+        }
+    }
+    
+    if (error.message === 'Apenas arquivos PDF são permitidos') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+    
+    console.error('Erro não tratado:', error);
+    res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+    });
+});
+
 // ===== INICIALIZAÇÃO DO SERVIDOR =====
 app.listen(PORT, () => {
     console.log(`
     ===== SERVIDOR DE CONSULTORIA =====
     🚀 Servidor rodando na porta ${PORT}
     🌐 Acesse: http://localhost:${PORT}
-    📧 Email remetente: ${emailConfig.auth.user}
+    📧 Email remetente: ${emailSender}
+    📮 Transporte de email: ${mailTransport.describeMailTransport()}
     📨 Email destinatário: ${process.env.RECIPIENT_EMAIL || 'contato@aportecapitalcred.com.br'}
-    📁 Uploads salvos em: ${path.join(__dirname, 'uploads')}
+    📁 Uploads salvos em: ${UPLOAD_DIR}
     🔧 Ambiente: ${process.env.NODE_ENV || 'development'}
 
     Para configurar o email:
@@ -0,0 +1,200 @@
+/**
+ * Normalização das respostas dos provedores de CNPJ (respostas gravadas em test/fixtures/cnpj)
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CAMPOS_CNPJ, criarDadosVazios, normalizarDadosCNPJ } = require('../lib/cnpj-normalizers');
+
+const fixture = name => require(`./fixtures/cnpj/${name}.json`);
+
+const ENDERECO = {
+    numero: '37',
+    complemento: 'ANDAR 4',
+    bairro: 'BELA VISTA',
+    uf: 'SP'
+};
+
+test('campos da procedência cobrem todos os dados normalizados', () => {
+    const { success, ...campos } = criarDadosVazios();
+    assert.strictEqual(success, true);
+    assert.deepStrictEqual(Object.keys(campos).sort(), Object.keys(CAMPOS_CNPJ).sort());
+});
+
+test('BrasilAPI: resposta gravada, com email e Simples nulos', () => {
+    assert.deepStrictEqual(normalizarDadosCNPJ(fixture('brasilapi'), 'BrasilAPI'), {
+        ...criarDadosVazios(),
+        cnpj: '19131243000197',
+        razaoSocial: 'OPEN KNOWLEDGE BRASIL',
+        nomeFantasia: 'REDE PELO CONHECIMENTO LIVRE',
+        situacao: 'ATIVA',
+        dataSituacao: '2013-10-03',
+        motivoSituacao: 'SEM MOTIVO',
+        dataAbertura: '2013-10-03',
+        porte: 'DEMAIS',
+        endereco: { ...ENDERECO, logradouro: 'PAULISTA 37', municipio: 'SAO PAULO', cep: '01311902' },
+        telefone: '1123851939',
+        atividadePrincipal: '94.30-8-00 - Atividades de associações de defesa de direitos sociais',
+        atividadesSecundarias: [
+            '94.93-6-00 - Atividades de organizações associativas ligadas à cultura e à arte',
+            '94.99-5-00 - Atividades associativas não especificadas anteriormente',
+            '85.99-6-99 - Outras atividades de ensino não especificadas anteriormente'
+        ],
+        socios: [{ nome: 'FERNANDA CAMPAGNUCCI PEREIRA', qualificacao: 'Presidente', dataEntrada: '2019-10-25' }]
+    });
+});
+
+test('BrasilAPI: CNAE com código 0 é tratado como não informado', () => {
+    const data = {
+        ...fixture('brasilapi'),
+        cnae_fiscal: 0,
+        cnaes_secundarios: [{ codigo: 0, descricao: '' }]
+    };
+
+    const normalized = normalizarDadosCNPJ(data, 'BrasilAPI');
+    assert.strictEqual(normalized.atividadePrincipal, '');
+    assert.deepStrictEqual(normalized.atividadesSecundarias, []);
+});
+
+test('BrasilAPI: opção pelo Simples e pelo MEI', () => {
+    const data = {
+        ...fixture('brasilapi'),
+        opcao_pelo_simples: true,
+        data_opcao_pelo_simples: '2015-01-01',
+        opcao_pelo_mei: true,
+        data_opcao_pelo_mei: '2015-01-01'
+    };
+
+    const normalized = normalizarDadosCNPJ(data, 'BrasilAPI');
+    assert.deepStrictEqual(normalized.simples, {
+        optante: true,
+        dataOpcao: '2015-01-01',
+        dataExclusao: '',
+        mei: true,
+        dataOpcaoMei: '2015-01-01',
+        dataExclusaoMei: ''
+    });
+    assert.strictEqual(normalized.regimeTributario, 'MEI');
+});
+
+test('ReceitaWS: resposta gravada, não optante pelo Simples', () => {
+    assert.deepStrictEqual(normalizarDadosCNPJ(fixture('receitaws'), 'ReceitaWS'), {
+        ...criarDadosVazios(),
+        cnpj: '19.131.243/0001-97',
+        razaoSocial: 'OPEN KNOWLEDGE BRASIL',
+        nomeFantasia: 'REDE PELO CONHECIMENTO LIVRE',
+        situacao: 'ATIVA',
+        dataAbertura: '2013-10-03',
+        naturezaJuridica: '399-9 - Associação Privada',
+        porte: 'DEMAIS',
+        capitalSocial: '0.00',
+        endereco: { ...ENDERECO, logradouro: 'AV PAULISTA', municipio: 'SAO PAULO', cep: '01.311-902' },
+        telefone: '(11) 2385-1939',
+        atividadePrincipal: '94.30-8-00 - Atividades de associações de defesa de direitos sociais',
+        atividadesSecundarias: [
+            '94.93-6-00 - Atividades de organizações associativas ligadas à cultura e à arte',
+            '94.99-5-00 - Atividades associativas não especificadas anteriormente'
+        ],
+        socios: [{ nome: 'FERNANDA CAMPAGNUCCI PEREIRA', qualificacao: '16-Presidente', dataEntrada: '' }],
+        simples: {
+            optante: false,
+            dataOpcao: '',
+            dataExclusao: '',
+            mei: false,
+            dataOpcaoMei: '',
+            dataExclusaoMei: ''
+        },
+        regimeTributario: 'Não optante'
+    });
+});
+
+test('ReceitaWS: datas do Simples em dd/mm/aaaa e empresa excluída', () => {
+    const data = {
+        ...fixture('receitaws'),
+        simples: { optante: false, data_opcao: '01/01/2015', data_exclusao: '31/12/2020' }
+    };
+
+    const normalized = normalizarDadosCNPJ(data, 'ReceitaWS');
+    assert.strictEqual(normalized.simples.dataOpcao, '2015-01-01');
+    assert.strictEqual(normalized.simples.dataExclusao, '2020-12-31');
+    assert.strictEqual(normalized.regimeTributario, 'Excluída do Simples Nacional');
+});
+
+test('ReceitaWS: sem atividades, sócios e Simples', () => {
+    const { atividade_principal, atividades_secundarias, qsa, simples, simei, ...data } = fixture('receitaws');
+
+    const normalized = normalizarDadosCNPJ({ ...data, atividade_principal: [] }, 'ReceitaWS');
+    assert.strictEqual(normalized.atividadePrincipal, '');
+    assert.deepStrictEqual(normalized.atividadesSecundarias, []);
+    assert.deepStrictEqual(normalized.socios, []);
+    assert.strictEqual(normalized.simples, null);
+    assert.strictEqual(normalized.regimeTributario, '');
+});
+
+test('CNPJ.ws: resposta gravada, com motivo da situação nulo', () => {
+    assert.deepStrictEqual(normalizarDadosCNPJ(fixture('cnpjws'), 'CNPJ.ws'), {
+        ...criarDadosVazios(),
+        cnpj: '19131243000197',
+        razaoSocial: 'OPEN KNOWLEDGE BRASIL',
+        nomeFantasia: 'REDE PELO CONHECIMENTO LIVRE',
+        situacao: 'Ativa',
+        dataSituacao: '2013-10-03',
+        dataAbertura: '2013-10-03',
+        naturezaJuridica: 'Associação Privada',
+        porte: 'Demais',
+        capitalSocial: 0,
+        regimeTributario: 'Simples Nacional',
+        endereco: { ...ENDERECO, logradouro: 'Avenida PAULISTA 37', municipio: 'São Paulo', cep: '01311902' },
+        telefone: '(11) 23851939',
+        email: 'contato@ok.org.br',
+        atividadePrincipal: '94.30-8-00 - Atividades de associações de defesa de direitos sociais',
+        atividadesSecundarias: ['94.93-6-00 - Atividades de organizações associativas ligadas à cultura e à arte'],
+        socios: [{ nome: 'FERNANDA CAMPAGNUCCI PEREIRA', qualificacao: 'Presidente', dataEntrada: '2019-10-25' }],
+        inscricoesEstaduais: [{ inscricao: '149876543110', uf: 'SP', ativa: true }],
+        simples: {
+            optante: true,
+            dataOpcao: '2015-01-01',
+            dataExclusao: '',
+            mei: false,
+            dataOpcaoMei: '',
+            dataExclusaoMei: ''
+        },
+        dataUltimaAtualizacao: '2026-01-20T03:00:00.000Z'
+    });
+});
+
+test('CNPJ.ws: simples nulo e estabelecimento sem telefone', () => {
+    const data = fixture('cnpjws');
+    const normalized = normalizarDadosCNPJ({
+        ...data,
+        simples: null,
+        estabelecimento: { ...data.estabelecimento, ddd1: null, telefone1: null, inscricoes_estaduais: [] }
+    }, 'CNPJ.ws');
+
+    assert.strictEqual(normalized.simples, null);
+    assert.strictEqual(normalized.regimeTributario, '');
+    assert.strictEqual(normalized.telefone, '');
+    assert.deepStrictEqual(normalized.inscricoesEstaduais, []);
+});
+
+test('CNPJ.ws: sem estabelecimento mantém os campos vazios', () => {
+    const { estabelecimento, ...data } = fixture('cnpjws');
+
+    const normalized = normalizarDadosCNPJ(data, 'CNPJ.ws');
+    assert.strictEqual(normalized.razaoSocial, 'OPEN KNOWLEDGE BRASIL');
+    assert.strictEqual(normalized.cnpj, '');
+    assert.deepStrictEqual(normalized.endereco, criarDadosVazios().endereco);
+    assert.deepStrictEqual(normalized.atividadesSecundarias, []);
+});
+
+test('resposta sem razão social é rejeitada', () => {
+    for (const [name, data] of [
+        ['BrasilAPI', { ...fixture('brasilapi'), razao_social: null }],
+        ['ReceitaWS', { ...fixture('receitaws'), nome: '' }],
+        ['CNPJ.ws', { ...fixture('cnpjws'), razao_social: null }]
+    ]) {
+        assert.deepStrictEqual(normalizarDadosCNPJ(data, name), {
+            success: false,
+            error: 'Dados incompletos retornados pela API'
+        }, name);
+    }
+});
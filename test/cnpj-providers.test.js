@@ -0,0 +1,127 @@
+/**
+ * Disjuntor e tempo limite dos provedores de CNPJ
+ */
+require('./helpers/data-dir');
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { registerProvider, listProviders, queryProvider } = require('../lib/cnpj-providers');
+
+const CNPJ = '19131243000197';
+
+test.afterEach(() => mock.timers.reset());
+
+function stateOf(name) {
+    return listProviders().find(provider => provider.name === name).state;
+}
+
+/**
+ * Provedor de teste cujas respostas são controladas pelo teste
+ */
+function registerControlledProvider(name) {
+    const calls = [];
+    registerProvider({
+        name,
+        priority: 900,
+        timeoutMs: 5000,
+        lookup: () => new Promise((resolve, reject) => calls.push({ resolve, reject })),
+        normalize: raw => ({ success: true, razaoSocial: raw.razaoSocial })
+    });
+    return calls;
+}
+
+async function openBreaker(name, calls) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const pending = queryProvider(name, CNPJ);
+        calls[calls.length - 1].reject(new Error('ECONNRESET'));
+        assert.strictEqual((await pending).success, false);
+    }
+    assert.strictEqual(stateOf(name), 'aberto');
+}
+
+test('disjuntor aberto ignora o provedor sem consultá-lo', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-02-01T12:00:00Z') });
+    const calls = registerControlledProvider('Teste aberto');
+    await openBreaker('Teste aberto', calls);
+
+    const result = await queryProvider('Teste aberto', CNPJ);
+    assert.deepStrictEqual(result, { success: false, skipped: true, error: 'Provedor temporariamente desativado após falhas seguidas' });
+    assert.strictEqual(calls.length, 3);
+});
+
+test('meio-aberto permite uma única consulta de teste; as demais falham na hora', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-02-01T13:00:00Z') });
+    const calls = registerControlledProvider('Teste meio-aberto');
+    await openBreaker('Teste meio-aberto', calls);
+
+    mock.timers.tick(121 * 1000);
+    assert.strictEqual(stateOf('Teste meio-aberto'), 'meio-aberto');
+
+    const probe = queryProvider('Teste meio-aberto', CNPJ);
+    const concurrent = await Promise.all([queryProvider('Teste meio-aberto', CNPJ), queryProvider('Teste meio-aberto', CNPJ)]);
+    concurrent.forEach(result => {
+        assert.deepStrictEqual(result, { success: false, skipped: true, error: 'Provedor em teste após falhas seguidas' });
+    });
+    assert.strictEqual(calls.length, 4, 'mais de uma consulta de teste enviada');
+
+    calls[3].resolve({ razaoSocial: 'EMPRESA TESTE LTDA' });
+    const result = await probe;
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.data.razaoSocial, 'EMPRESA TESTE LTDA');
+    assert.strictEqual(stateOf('Teste meio-aberto'), 'fechado');
+
+    // Fechado, as consultas voltam a ser simultâneas
+    const first = queryProvider('Teste meio-aberto', CNPJ);
+    const second = queryProvider('Teste meio-aberto', CNPJ);
+    assert.strictEqual(calls.length, 6);
+    calls[4].resolve({ razaoSocial: 'A' });
+    calls[5].resolve({ razaoSocial: 'B' });
+    assert.deepStrictEqual([(await first).success, (await second).success], [true, true]);
+});
+
+test('falha da consulta de teste reabre o disjuntor', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-02-01T14:00:00Z') });
+    const calls = registerControlledProvider('Teste reabre');
+    await openBreaker('Teste reabre', calls);
+
+    mock.timers.tick(121 * 1000);
+    const probe = queryProvider('Teste reabre', CNPJ);
+    calls[3].reject(new Error('status 503'));
+    assert.strictEqual((await probe).error, 'status 503');
+    assert.strictEqual(stateOf('Teste reabre'), 'aberto');
+    assert.strictEqual((await queryProvider('Teste reabre', CNPJ)).skipped, true);
+});
+
+test('lookup passa pelo mesmo tempo limite das consultas por URL', async () => {
+    let signal = null;
+    registerProvider({
+        name: 'Teste lento',
+        priority: 900,
+        timeoutMs: 30,
+        lookup: (cnpj, options) => {
+            signal = options.signal;
+            return new Promise(() => {});
+        },
+        normalize: raw => ({ success: true, ...raw })
+    });
+
+    const result = await queryProvider('Teste lento', CNPJ);
+    assert.deepStrictEqual(result, { success: false, error: 'tempo limite de 30ms excedido' });
+    assert.strictEqual(signal.aborted, true);
+    assert.strictEqual(listProviders().find(provider => provider.name === 'Teste lento').failures, 1);
+});
+
+test('CNPJ inexistente (404) não conta como falha do provedor', async () => {
+    registerProvider({
+        name: 'Teste 404',
+        priority: 900,
+        lookup: async () => {
+            const error = new Error('status 404');
+            error.status = 404;
+            throw error;
+        },
+        normalize: raw => raw
+    });
+
+    assert.deepStrictEqual(await queryProvider('Teste 404', CNPJ), { success: false, error: 'status 404' });
+    assert.strictEqual(listProviders().find(provider => provider.name === 'Teste 404').failures, 0);
+});
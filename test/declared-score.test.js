@@ -0,0 +1,52 @@
+/**
+ * Dados declarados no formulário confrontados com os dados públicos do CNPJ
+ */
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { avaliarDadosDeclarados } = require('../lib/declared-score');
+const { normalizarDadosCNPJ } = require('../lib/cnpj-normalizers');
+const { declarados: regras } = require('../lib/score-rules.json');
+
+const receitaws = require('./fixtures/cnpj/receitaws.json');
+
+test.beforeEach(() => mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-02-01T12:00:00Z') }));
+test.afterEach(() => mock.timers.reset());
+
+function alertasDeTempo(tempoExistencia, dadosCNPJ) {
+    return avaliarDadosDeclarados({ tempoExistencia }, [], dadosCNPJ, regras).alertas
+        .filter(alerta => alerta.campo === 'tempoExistencia');
+}
+
+test('ReceitaWS: tempo declarado confere com a abertura em dd/mm/aaaa', () => {
+    // Aberta em 03/10/2013: pouco mais de 12 anos
+    const dadosCNPJ = normalizarDadosCNPJ(receitaws, 'ReceitaWS');
+
+    assert.deepStrictEqual(alertasDeTempo('mais-10-anos', dadosCNPJ), []);
+    assert.deepStrictEqual(alertasDeTempo('5-10-anos', dadosCNPJ), [{
+        campo: 'tempoExistencia',
+        mensagem: 'Tempo de existência declarado (5 a 10 anos) incompatível com a abertura do CNPJ em 03/10/2013 (12 anos)'
+    }]);
+});
+
+test('ReceitaWS: dia acima de 12 não inverte dia e mês', () => {
+    const dadosCNPJ = normalizarDadosCNPJ({ ...receitaws, abertura: '25/10/2025' }, 'ReceitaWS');
+
+    assert.deepStrictEqual(alertasDeTempo('menos-1-ano', dadosCNPJ), []);
+    assert.deepStrictEqual(alertasDeTempo('2-5-anos', dadosCNPJ), [{
+        campo: 'tempoExistencia',
+        mensagem: 'Tempo de existência declarado (2 a 5 anos) incompatível com a abertura do CNPJ em 25/10/2025 (3 meses)'
+    }]);
+});
+
+test('data de abertura inválida não gera alerta', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    try {
+        for (const dataAbertura of ['2013-02-30', '10/2013', 'sem data']) {
+            const dadosCNPJ = { ...normalizarDadosCNPJ(receitaws, 'ReceitaWS'), dataAbertura };
+            assert.deepStrictEqual(alertasDeTempo('menos-1-ano', dadosCNPJ), [], dataAbertura);
+        }
+        assert.strictEqual(warn.mock.callCount(), 3);
+    } finally {
+        warn.mock.restore();
+    }
+});
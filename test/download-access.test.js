@@ -0,0 +1,60 @@
+/**
+ * Códigos de verificação dos downloads
+ */
+require('./helpers/data-dir');
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { OTP_RESEND_SECONDS, createOtp, verifyOtp } = require('../lib/download-access');
+
+test.afterEach(() => mock.timers.reset());
+
+test('código gerado é aceito uma única vez', () => {
+    const otp = createOtp('link-a', 'rcp-1', '10.0.0.1');
+
+    assert.strictEqual(otp.success, true);
+    assert.match(otp.code, /^\d{6}$/);
+    const errado = String((Number(otp.code) + 1) % 1000000).padStart(6, '0');
+    assert.deepStrictEqual(verifyOtp('link-a', 'rcp-1', errado), { valid: false, reason: 'Código inválido' });
+    assert.deepStrictEqual(verifyOtp('link-a', 'rcp-1', otp.code), { valid: true });
+    assert.strictEqual(verifyOtp('link-a', 'rcp-1', otp.code).valid, false);
+});
+
+test('no máximo um código por minuto para o mesmo destinatário, mesmo de outro IP', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T12:00:00Z') });
+
+    assert.strictEqual(createOtp('link-b', 'rcp-1', '10.0.0.2').success, true);
+
+    mock.timers.tick(20 * 1000);
+    const bloqueado = createOtp('link-b', 'rcp-1', '10.0.0.3');
+    assert.deepStrictEqual(bloqueado, {
+        success: false,
+        error: `Aguarde ${OTP_RESEND_SECONDS - 20} segundos para solicitar um novo código.`,
+        retryAfter: OTP_RESEND_SECONDS - 20,
+        pending: true
+    });
+
+    mock.timers.tick((OTP_RESEND_SECONDS - 20) * 1000);
+    assert.strictEqual(createOtp('link-b', 'rcp-1', '10.0.0.3').success, true);
+});
+
+test('no máximo um código por minuto para o mesmo IP, mesmo em outro link', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T13:00:00Z') });
+
+    assert.strictEqual(createOtp('link-c', 'rcp-1', '10.0.0.4').success, true);
+
+    const outroLink = createOtp('link-d', 'rcp-1', '10.0.0.4');
+    assert.strictEqual(outroLink.success, false);
+    assert.strictEqual(outroLink.retryAfter, OTP_RESEND_SECONDS);
+    // Nenhum código pendente para este link: a página pede para solicitar de novo
+    assert.strictEqual(outroLink.pending, false);
+
+    assert.strictEqual(createOtp('link-d', 'rcp-1', '10.0.0.5').success, true);
+});
+
+test('código bloqueado não substitui o que já foi enviado', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T14:00:00Z') });
+
+    const enviado = createOtp('link-e', 'rcp-1', '10.0.0.6');
+    assert.strictEqual(createOtp('link-e', 'rcp-1', '10.0.0.6').success, false);
+    assert.deepStrictEqual(verifyOtp('link-e', 'rcp-1', enviado.code), { valid: true });
+});
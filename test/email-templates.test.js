@@ -0,0 +1,90 @@
+/**
+ * Templates de email: resultado de cada template (html e texto) comparado
+ * com os arquivos em test/fixtures/emails, e regras de escape da sintaxe
+ *
+ * Depois de alterar um template de propósito, regrave os arquivos com
+ * UPDATE_SNAPSHOTS=true npm test e revise a diferença no git.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { EMAIL_TEMPLATES, renderEmail } = require('../lib/email-templates');
+const dados = require('./fixtures/emails/dados');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'fixtures', 'emails');
+
+function assertSnapshot(fileName, actual) {
+    const file = path.join(SNAPSHOT_DIR, fileName);
+
+    if (process.env.UPDATE_SNAPSHOTS === 'true') {
+        fs.writeFileSync(file, actual);
+        return;
+    }
+
+    assert.ok(fs.existsSync(file), `Snapshot ${fileName} não existe; gere com UPDATE_SNAPSHOTS=true npm test`);
+    assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `${fileName} diferente do snapshot`);
+}
+
+Object.keys(EMAIL_TEMPLATES).forEach(name => {
+    test(`${name}: html e texto iguais aos snapshots`, () => {
+        assert.ok(dados[name], `Sem dados de exemplo para ${name} em test/fixtures/emails/dados.js`);
+        const { html, text } = renderEmail(name, dados[name]);
+
+        assertSnapshot(`${name}.html`, html);
+        assertSnapshot(`${name}.txt`, text);
+    });
+});
+
+/**
+ * Email de aporte com os campos informados (valores do solicitante)
+ */
+function renderAporte(solicitante) {
+    return renderEmail('aporte-equipe', { ...dados['aporte-equipe'], solicitante });
+}
+
+test('valores são escapados no html e inseridos como estão no texto', () => {
+    const valor = '<b>"Pão" & \'Cia\'</b>';
+    const { html, text } = renderAporte([{ label: 'Empresa:', valor }]);
+
+    assert.ok(html.includes('&lt;b&gt;&quot;Pão&quot; &amp; &#39;Cia&#39;&lt;/b&gt;'));
+    assert.ok(!html.includes(valor));
+    assert.ok(text.includes(`Empresa: ${valor}`));
+});
+
+test('nl2br quebra linhas depois do escape, só no html', () => {
+    const { html, text } = renderAporte([{ label: 'Descrição:', valor: '<a>\nb' }]);
+
+    assert.ok(html.includes('&lt;a&gt;<br>b'));
+    assert.ok(text.includes('Descrição: <a>\nb'));
+});
+
+test('valores ausentes viram texto vazio; zero e false aparecem', () => {
+    const { html, text } = renderAporte([
+        { label: 'A:', valor: null },
+        { label: 'B:' },
+        { label: 'C:', valor: 0 },
+        { label: 'D:', valor: false }
+    ]);
+
+    assert.ok(!/null|undefined/.test(html));
+    assert.ok(html.includes('<div class="value">0</div>'));
+    assert.ok(html.includes('<div class="value">false</div>'));
+    assert.ok(text.includes('A: \nB: \nC: 0\nD: false'));
+});
+
+test('corpo do email entra sem escape no layout, e os campos do layout com escape', () => {
+    const { html } = renderEmail('aporte-equipe', {
+        ...dados['aporte-equipe'],
+        titulo: '<Aporte>',
+        solicitante: [{ label: 'Nome:', valor: '<script>x</script>' }]
+    });
+
+    assert.ok(html.includes('<title>&lt;Aporte&gt;</title>'));
+    assert.ok(html.includes('<div class="content">'), 'corpo do email escapado pelo layout');
+    assert.ok(html.includes('&lt;script&gt;x&lt;/script&gt;'));
+});
+
+test('template desconhecido gera erro', () => {
+    assert.throws(() => renderEmail('inexistente'), /Template de email desconhecido: inexistente/);
+});
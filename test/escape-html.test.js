@@ -0,0 +1,153 @@
+/**
+ * Dados hostis (tags, aspas, javascript:) vindos do formulário, dos nomes de
+ * arquivos enviados e dos provedores de CNPJ não podem virar HTML ativo
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { escapeHtml } = require('../lib/html');
+const { renderEmail } = require('../lib/email-templates');
+const { loadPublicScripts } = require('./helpers/browser');
+
+const SCRIPT = '<script>alert(1)</script>';
+const ATRIBUTO = '"><img src=x onerror=alert(1)>';
+const APOSTROFO = "x' onmouseover='alert(1)";
+const JS_URL = 'javascript:alert(document.cookie)';
+
+/**
+ * Nenhum dos valores hostis aparece sem escape, nem como link javascript:
+ */
+function assertInerte(html) {
+    [SCRIPT, ATRIBUTO, APOSTROFO].forEach(payload => {
+        assert.ok(!html.includes(payload), `valor sem escape: ${payload}`);
+    });
+    assert.ok(!/href\s*=\s*["']?\s*javascript:/i.test(html), 'link javascript: gerado');
+}
+
+test('escapeHtml escapa tags, aspas e apóstrofos', () => {
+    assert.strictEqual(escapeHtml(SCRIPT), '&lt;script&gt;alert(1)&lt;/script&gt;');
+    assert.strictEqual(escapeHtml(ATRIBUTO), '&quot;&gt;&lt;img src=x onerror=alert(1)&gt;');
+    assert.strictEqual(escapeHtml(APOSTROFO), 'x&#39; onmouseover=&#39;alert(1)');
+    assert.strictEqual(escapeHtml('A & B'), 'A &amp; B');
+    assert.strictEqual(escapeHtml(null), '');
+    assert.strictEqual(escapeHtml(undefined), '');
+    assert.strictEqual(escapeHtml(0), '0');
+});
+
+test('email da equipe escapa formulário, arquivos e dados do provedor de CNPJ', () => {
+    const { html, text } = renderEmail('consultoria-equipe', {
+        subject: SCRIPT,
+        preheader: ATRIBUTO,
+        solicitante: [
+            { label: 'Nome:', valor: SCRIPT },
+            { label: 'Email:', valor: ATRIBUTO },
+            { label: 'Telefone:', valor: APOSTROFO },
+            { label: 'Empresa:', valor: JS_URL }
+        ],
+        empresaInformada: [],
+        cnpj: {
+            consultadoEm: SCRIPT,
+            fonte: ATRIBUTO,
+            razaoSocial: SCRIPT,
+            nomeFantasia: ATRIBUTO,
+            situacao: APOSTROFO,
+            corSituacao: '#059669',
+            dataAbertura: JS_URL,
+            endereco: { logradouro: SCRIPT, localidade: ATRIBUTO, cep: APOSTROFO },
+            atividadePrincipal: SCRIPT,
+            socios: [{ nome: SCRIPT, qualificacao: ATRIBUTO }]
+        },
+        consultoria: [{ label: 'Descrição do Projeto:', valor: `${SCRIPT}\n${ATRIBUTO}` }],
+        outrosDocumentos: `${JS_URL}\n${SCRIPT}`,
+        documentos: {
+            arquivos: [{ nome: `${SCRIPT}.pdf`, tamanhoKB: '1.0' }, { nome: `${ATRIBUTO}.pdf`, tamanhoKB: '2.0' }]
+        }
+    });
+
+    assertInerte(html);
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;.pdf'));
+    assert.ok(html.includes('&quot;&gt;&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(html.includes('x&#39; onmouseover=&#39;alert(1)'));
+    // nl2br continua funcionando depois do escape
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;<br>&quot;&gt;'));
+
+    // A versão em texto mantém os valores originais
+    assert.ok(text.includes(`${SCRIPT}.pdf`));
+});
+
+test('email de confirmação escapa os dados do cliente', () => {
+    const { html } = renderEmail('confirmacao-cliente', {
+        subject: 'Confirmação',
+        nome: SCRIPT,
+        empresa: ATRIBUTO,
+        cnpj: APOSTROFO,
+        tipoConsultoria: JS_URL,
+        dataSolicitacao: SCRIPT,
+        whatsapp: ATRIBUTO
+    });
+
+    assertInerte(html);
+    assert.ok(html.includes('Olá, &lt;script&gt;alert(1)&lt;/script&gt;!'));
+});
+
+test('Utils.escapeHtml existe no script do site e escapa valores hostis', () => {
+    const { run } = loadPublicScripts(['cnpj.js', 'credit-catalog.js', 'loan-simulator.js', 'script.js']);
+
+    assert.strictEqual(typeof run('Utils.escapeHtml'), 'function');
+    assert.strictEqual(run(`Utils.escapeHtml(${JSON.stringify(ATRIBUTO)})`), escapeHtml(ATRIBUTO));
+    assert.strictEqual(run(`Utils.escapeHtml(${JSON.stringify(APOSTROFO)})`), escapeHtml(APOSTROFO));
+    assert.strictEqual(run('Utils.escapeHtml(null)'), '');
+});
+
+test('Utils.safeURL aceita apenas http(s)', () => {
+    const { run } = loadPublicScripts(['cnpj.js', 'credit-catalog.js', 'loan-simulator.js', 'script.js']);
+
+    assert.strictEqual(run('Utils.safeURL("https://wa.me/5592999889392?text=Ol%C3%A1")'), 'https://wa.me/5592999889392?text=Ol%C3%A1');
+    assert.strictEqual(run(`Utils.safeURL(${JSON.stringify(JS_URL)})`), '');
+    assert.strictEqual(run('Utils.safeURL(" JavaScript:alert(1)")'), '');
+    assert.strictEqual(run('Utils.safeURL("data:text/html,<script>alert(1)</script>")'), '');
+    assert.strictEqual(run('Utils.safeURL(undefined)'), 'http://localhost:3001/undefined');
+});
+
+test('lista de arquivos do formulário escapa o nome do arquivo', () => {
+    const { run } = loadPublicScripts(['cnpj.js', 'credit-catalog.js', 'loan-simulator.js', 'script.js']);
+
+    const html = run(`
+        ConsultoriaModal.fileList = document.createElement('div');
+        ConsultoriaModal.uploadedFiles = [{ name: ${JSON.stringify(`${SCRIPT}${ATRIBUTO}.pdf`)}, size: 2048 }];
+        ConsultoriaModal.renderFileList();
+        ConsultoriaModal.fileList.children.map(item => item.innerHTML).join('');
+    `);
+
+    assertInerte(html);
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;&quot;&gt;&lt;img'));
+});
+
+test('mensagem de sucesso escapa a resposta do servidor e descarta URL javascript:', () => {
+    const { run } = loadPublicScripts(['cnpj.js', 'credit-catalog.js', 'loan-simulator.js', 'script.js']);
+
+    const html = run(`
+        ConsultoriaModal.modal = document.createElement('div');
+        ConsultoriaModal.form = document.createElement('form');
+        ConsultoriaModal.showSuccessWithWhatsApp(${JSON.stringify(SCRIPT)}, ${JSON.stringify(JS_URL)});
+        ConsultoriaModal.form.children.concat(ConsultoriaModal.modal.children, document.body.children)
+            .map(item => item.innerHTML).join('');
+    `);
+
+    assertInerte(html);
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(!html.includes('href='), 'botão do WhatsApp exibido com URL inválida');
+});
+
+test('redirecionamento para o WhatsApp não monta onclick com a URL', () => {
+    const { run, context } = loadPublicScripts(['cnpj.js', 'credit-catalog.js', 'loan-simulator.js', 'script.js']);
+
+    const html = run(`
+        ConsultoriaModal.modal = document.createElement('div');
+        ConsultoriaModal.showSuccessWithWhatsAppRedirect(${JSON.stringify(ATRIBUTO)}, "https://wa.me/1?text=');alert(1);//");
+        document.body.children.map(item => item.innerHTML).join('');
+    `);
+
+    assertInerte(html);
+    assert.ok(!html.includes('onclick'), 'URL do WhatsApp dentro de onclick');
+    assert.strictEqual(context.opened.length, 0);
+});
@@ -0,0 +1,177 @@
+/**
+ * Dados de exemplo de cada email, no formato montado por server.js
+ * (generateEmail e generateConfirmationEmail) e por api/send-email.js
+ */
+module.exports = {
+    'consultoria-equipe': {
+        titulo: 'Nova Solicitação de Consultoria',
+        preheader: 'Padaria Pão & Cia (CNPJ 19.131.243/0001-97) • ATIVA • Score 72/100 - Bom • 1 inconsistência(s) • 2 documento(s)',
+        cabecalho: 'Nova Solicitação de Consultoria',
+        subtitulo: null,
+        solicitante: [
+            { label: 'Nome:', valor: 'Ana Souza' },
+            { label: 'Email:', valor: 'ana@padaria.com.br' },
+            { label: 'Telefone:', valor: '(92) 99999-8888' },
+            { label: 'Empresa:', valor: 'Padaria Pão & Cia' }
+        ],
+        empresaInformada: [
+            { label: 'CNPJ:', valor: '19.131.243/0001-97' },
+            { label: 'Faturamento Anual:', valor: '1m-2m' },
+            { label: 'Tempo de Existência:', valor: '5-10-anos' }
+        ],
+        cnpj: {
+            consultadoEm: '15/01/2026, 10:30:00',
+            fonte: 'BrasilAPI + ReceitaWS',
+            fontes: ['BrasilAPI: situação, endereço', 'ReceitaWS: sócios'],
+            cache: {
+                motivo: 'As APIs de CNPJ estavam indisponíveis no momento do envio;',
+                cachedAt: '10/01/2026, 08:00:00'
+            },
+            razaoSocial: 'PADARIA PAO E CIA LTDA',
+            nomeFantasia: 'PÃO & CIA',
+            situacao: 'ATIVA',
+            corSituacao: '#059669',
+            dataSituacao: '03/11/2005',
+            motivoSituacao: null,
+            dataAbertura: '03/11/2005',
+            naturezaJuridica: '206-2 - Sociedade Empresária Limitada',
+            porte: 'MICRO EMPRESA',
+            regimeTributario: 'Simples Nacional',
+            opcoesSimples: ['Opção pelo Simples: 01/01/2007'],
+            capitalSocial: '50.000,00',
+            endereco: {
+                logradouro: 'RUA DAS FLORES 100, LOJA 2',
+                localidade: 'CENTRO - MANAUS/AM',
+                cep: '69005-000'
+            },
+            contatos: [
+                { label: '📱 Telefone:', valor: '(92) 3333-4444' },
+                { label: '📧 Email:', valor: 'contato@padaria.com.br' }
+            ],
+            atividadePrincipal: '10.91-1-02 - Fabricação de produtos de padaria e confeitaria',
+            atividadesSecundarias: ['47.21-1-02 - Padaria e confeitaria com predominância de revenda'],
+            atividadesRestantes: 0,
+            inscricoesEstaduais: [
+                { inscricao: '041234567', uf: 'AM', ativa: true },
+                { inscricao: '049876543', uf: 'AM', ativa: false }
+            ],
+            socios: [
+                { nome: 'ANA SOUZA', qualificacao: 'Sócio-Administrador', dataEntrada: '03/11/2005' },
+                { nome: 'JOÃO SOUZA', qualificacao: 'Sócio', dataEntrada: null }
+            ],
+            sociosRestantes: 0
+        },
+        erroCNPJ: null,
+        score: {
+            pontuacao: 72,
+            cor: '#059669',
+            classificacao: 'Bom',
+            alertas: ['Tempo de existência declarado (5-10 anos) diferente da abertura (20 anos)'],
+            recomendacao: 'Perfil adequado para as principais linhas de crédito.',
+            fatores: ['✅ Situação cadastral ativa', '⚠️ Capital social baixo'],
+            detalhamento: [
+                { rotulo: 'Situação Cadastral', pontos: '30/30' },
+                { rotulo: 'Tempo de Atividade', pontos: '25/25' },
+                { rotulo: 'Capital Social', pontos: '5/20' },
+                { rotulo: 'Atividade Principal', pontos: '10/15' },
+                { rotulo: 'Endereço Completo', pontos: '10/10' },
+                { rotulo: 'Regime Tributário (ajuste)', pontos: '+2' }
+            ],
+            composicao: {
+                publico: 82,
+                pesoPublico: 70,
+                declarados: 50,
+                pesoDeclarados: 30,
+                itens: { faturamento: 20, tempo_existencia: 10, bancos: 10, documentos: 10 },
+                inconsistencias: 1
+            },
+            calculadoEm: '15/01/2026, 10:30:01',
+            versaoRegras: 2
+        },
+        linhasCredito: {
+            itens: [
+                {
+                    nome: 'PRONAMPE',
+                    descricao: 'Crédito para micro e pequenas empresas com garantia do FGO',
+                    atendidos: 'Porte ME/EPP • Faturamento até R$ 4,8 milhões',
+                    aConfirmar: ''
+                },
+                {
+                    nome: 'BNDES FGI',
+                    descricao: 'Capital de giro com garantia do FGI',
+                    atendidos: 'Mais de 1 ano de atividade',
+                    aConfirmar: 'Conta em banco credenciado'
+                }
+            ]
+        },
+        simulacao: {
+            linha: 'PRONAMPE',
+            valor: 'R$ 100.000,00',
+            prazoMeses: 36,
+            carenciaMeses: 6,
+            sistema: 'Price (parcelas fixas)',
+            taxaMensal: '1,2',
+            primeiraParcela: 'R$ 3.672,54',
+            ultimaParcela: 'R$ 3.672,54',
+            totalJuros: 'R$ 17.376,20',
+            totalPago: 'R$ 117.376,20'
+        },
+        consultoria: [
+            { label: 'Tipo de Consultoria:', valor: 'capital-giro' },
+            { label: 'Descrição do Projeto:', valor: 'Ampliar a produção.\nComprar um forno novo.' }
+        ],
+        bancos: { lista: ['Banco do Brasil', 'Caixa'], outros: 'Sicoob' },
+        outrosDocumentos: 'Balanço 2025\nDRE 2025',
+        documentos: {
+            arquivos: [
+                { nome: 'contrato-social.pdf', tamanhoKB: '120.5' },
+                { nome: 'balanco.pdf', tamanhoKB: '80.0' }
+            ],
+            downloadUrl: 'http://localhost:3001/download/ABCDEF0123456789?t=interno.assinatura',
+            validadeHoras: 48,
+            maxDownloads: 5
+        },
+        dashboardUrl: 'http://localhost:3001/dashboard',
+        rodape: [
+            { texto: 'Esta solicitação foi enviada através do formulário de consultoria do site.', destaque: false },
+            { texto: 'Data: 15/01/2026, 10:30:02', destaque: false },
+            { texto: '✅ Dados do CNPJ verificados automaticamente', destaque: true }
+        ]
+    },
+
+    'confirmacao-cliente': {
+        titulo: 'Confirmação de Solicitação - Aporte Capital',
+        preheader: 'Recebemos a solicitação da Padaria Pão & Cia. Retornaremos em até 24 horas úteis.',
+        nome: 'Ana Souza',
+        empresa: 'Padaria Pão & Cia',
+        cnpj: '19.131.243/0001-97',
+        tipoConsultoria: 'Capital de Giro',
+        dataSolicitacao: '15/01/2026, 10:30',
+        documentos: 2,
+        whatsapp: '(92) 99988-9392'
+    },
+
+    'aporte-equipe': {
+        titulo: 'Nova Solicitação de Aporte - Padaria Pão & Cia',
+        preheader: 'Ana Souza • Padaria Pão & Cia • R$ 250.000 • (92) 99999-8888',
+        cabecalho: '🚀 Nova Solicitação de Aporte',
+        subtitulo: 'Recebemos uma nova solicitação através da landing page',
+        solicitante: [
+            { label: 'Nome:', valor: 'Ana Souza' },
+            { label: 'E-mail:', valor: 'ana@padaria.com.br' },
+            { label: 'Telefone:', valor: '(92) 99999-8888' }
+        ],
+        empresa: [
+            { label: 'Empresa:', valor: 'Padaria Pão & Cia' },
+            { label: 'CNPJ:', valor: '19.131.243/0001-97' }
+        ],
+        aporte: [
+            { label: 'Valor Solicitado:', valor: 'R$ 250.000' },
+            { label: 'Descrição:', valor: 'Expansão para uma segunda loja' }
+        ],
+        rodape: [
+            { texto: '📧 E-mail enviado automaticamente pela Landing Page', destaque: false },
+            { texto: '🕒 15/01/2026, 10:30:00', destaque: false }
+        ]
+    }
+};
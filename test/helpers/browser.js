@@ -0,0 +1,94 @@
+/**
+ * ===== DOM MÍNIMO PARA OS SCRIPTS DO SITE =====
+ *
+ * Carrega os arquivos de public/ em um contexto vm com um document simplificado,
+ * suficiente para chamar os métodos que montam HTML e conferir o innerHTML.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+function createElement(tagName = 'div', id = '') {
+    const listeners = {};
+    return {
+        tagName: tagName.toUpperCase(),
+        id,
+        value: '',
+        innerHTML: '',
+        textContent: '',
+        className: '',
+        style: {},
+        children: [],
+        listeners,
+        parentNode: null,
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener(type, handler) { listeners[type] = handler; },
+        removeEventListener() {},
+        setAttribute() {},
+        getAttribute: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        closest: () => null,
+        appendChild(child) {
+            child.parentNode = this;
+            this.children.push(child);
+            return child;
+        },
+        insertBefore(child) { return this.appendChild(child); },
+        remove() { this.parentNode = null; }
+    };
+}
+
+/**
+ * Carrega scripts de public/ (ex.: ['cnpj.js', 'script.js'])
+ * @param {Array} files - Arquivos na ordem das tags <script> do index.html
+ * @returns {Object} { context, document, run(code) }
+ */
+function loadPublicScripts(files) {
+    const elements = {};
+    const getElementById = id => elements[id] || (elements[id] = createElement('div', id));
+    const document = {
+        readyState: 'loading',
+        getElementById,
+        createElement: tagName => createElement(tagName),
+        addEventListener() {},
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        head: createElement('head'),
+        body: createElement('body')
+    };
+
+    const context = {
+        document,
+        console,
+        // Timers do site (ex.: mensagens que somem sozinhas) não seguram o fim dos testes
+        setTimeout: (handler, ms) => setTimeout(handler, ms).unref(),
+        clearTimeout,
+        setInterval: () => 0,
+        clearInterval() {},
+        requestAnimationFrame() {},
+        IntersectionObserver: function () { return { observe() {}, unobserve() {} }; },
+        URL,
+        opened: []
+    };
+    context.window = context;
+    context.self = context;
+    context.location = { hostname: 'localhost', href: 'http://localhost:3001/' };
+    context.addEventListener = () => {};
+    context.open = (url, target) => context.opened.push({ url, target });
+
+    vm.createContext(context);
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(PUBLIC_DIR, file), 'utf8'), context, { filename: file });
+    });
+
+    return {
+        context,
+        document,
+        run: code => vm.runInContext(code, context)
+    };
+}
+
+module.exports = { loadPublicScripts };
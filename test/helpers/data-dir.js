@@ -0,0 +1,16 @@
+/**
+ * ===== DATA_DIR TEMPORÁRIO =====
+ *
+ * Deve ser importado antes dos módulos de lib/ que persistem dados: aponta
+ * DATA_DIR para uma pasta temporária, removida ao fim do processo de teste.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aporte-test-'));
+process.env.DATA_DIR = dataDir;
+
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = { dataDir };
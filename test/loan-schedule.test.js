@@ -0,0 +1,179 @@
+/**
+ * Cronograma de financiamento conferido com exemplos de tabelas bancárias
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LoanSimulator = require('../public/loan-simulator');
+const { IOF_PADRAO, calcularCronograma, cronogramaCSV } = require('../lib/loan-schedule');
+
+const soma = (parcelas, campo) => Math.round(parcelas.reduce((total, item) => total + item[campo], 0) * 100) / 100;
+
+function cronograma(cenario) {
+    const resultado = calcularCronograma(cenario);
+    assert.strictEqual(resultado.success, true, resultado.error);
+    return resultado.simulacao;
+}
+
+test('Price: R$ 10.000 a 1% a.m. em 12 meses tem parcela de R$ 888,49', () => {
+    const { parcelas, resumo } = cronograma({ valor: 10000, prazoMeses: 12, taxaMensal: 1, sistema: 'price', iof: false });
+
+    assert.strictEqual(parcelas.length, 12);
+    assert.deepStrictEqual(parcelas[0], { numero: 1, amortizacao: 788.49, juros: 100, parcela: 888.49, saldo: 9211.51 });
+    parcelas.slice(0, 11).forEach(item => assert.strictEqual(item.parcela, 888.49));
+    // A última parcela absorve os centavos do arredondamento e zera o saldo
+    assert.strictEqual(parcelas[11].saldo, 0);
+    assert.ok(Math.abs(parcelas[11].parcela - 888.49) <= 0.05);
+    assert.strictEqual(soma(parcelas, 'amortizacao'), 10000);
+    assert.strictEqual(resumo.primeiraParcela, 888.49);
+    assert.strictEqual(resumo.totalJuros, 661.86);
+});
+
+test('SAC: R$ 12.000 a 1% a.m. em 12 meses começa em R$ 1.120 e termina em R$ 1.010', () => {
+    const { parcelas, resumo } = cronograma({ valor: 12000, prazoMeses: 12, taxaMensal: 1, sistema: 'sac', iof: false });
+
+    assert.deepStrictEqual(parcelas.map(item => item.parcela), [1120, 1110, 1100, 1090, 1080, 1070, 1060, 1050, 1040, 1030, 1020, 1010]);
+    parcelas.forEach(item => assert.strictEqual(item.amortizacao, 1000));
+    assert.strictEqual(resumo.primeiraParcela, 1120);
+    assert.strictEqual(resumo.ultimaParcela, 1010);
+    assert.strictEqual(resumo.totalJuros, 780);
+    assert.strictEqual(resumo.totalPago, 12780);
+});
+
+test('carência com pagamento dos juros mantém o saldo e paga só o juro do mês', () => {
+    const { parcelas, resumo } = cronograma({
+        valor: 12000, prazoMeses: 15, carenciaMeses: 3, carenciaTipo: 'juros', taxaMensal: 1, sistema: 'sac', iof: false
+    });
+
+    assert.strictEqual(parcelas.length, 15);
+    parcelas.slice(0, 3).forEach(item => {
+        assert.deepStrictEqual({ amortizacao: item.amortizacao, juros: item.juros, parcela: item.parcela, saldo: item.saldo },
+            { amortizacao: 0, juros: 120, parcela: 120, saldo: 12000 });
+    });
+    // Depois da carência, o mesmo cronograma SAC de 12 meses
+    assert.deepStrictEqual(parcelas.slice(3).map(item => item.parcela), [1120, 1110, 1100, 1090, 1080, 1070, 1060, 1050, 1040, 1030, 1020, 1010]);
+    assert.strictEqual(resumo.primeiraParcela, 1120);
+    assert.strictEqual(resumo.totalJuros, 780 + 3 * 120);
+});
+
+test('carência capitalizada soma os juros ao saldo, que vira a base da amortização', () => {
+    const { parcelas, resumo } = cronograma({
+        valor: 12000, prazoMeses: 15, carenciaMeses: 3, carenciaTipo: 'capitalizada', taxaMensal: 1, sistema: 'sac', iof: false
+    });
+
+    assert.deepStrictEqual(parcelas.slice(0, 3).map(item => [item.parcela, item.juros, item.saldo]), [
+        [0, 120, 12120],
+        [0, 121.2, 12241.2],
+        [0, 122.41, 12363.61]
+    ]);
+    // 12.363,61 / 12 = 1.030,30 por mês
+    assert.strictEqual(parcelas[3].amortizacao, 1030.3);
+    assert.strictEqual(parcelas[3].juros, 123.64);
+    assert.strictEqual(resumo.primeiraParcela, 1153.94);
+    assert.strictEqual(parcelas[14].saldo, 0);
+    assert.strictEqual(soma(parcelas, 'amortizacao'), 12363.61);
+});
+
+test('IOF: alíquota adicional sobre o valor mais a diária sobre cada amortização', () => {
+    const { resumo } = cronograma({ valor: 12000, prazoMeses: 12, taxaMensal: 1, sistema: 'sac' });
+
+    // 0,38% de 12.000 = 45,60; diária: 1.000 x 0,0041% x (30 + 60 + ... + 360 dias) = 95,94
+    assert.deepStrictEqual(IOF_PADRAO, { aliquotaDiaria: 0.0041, aliquotaAdicional: 0.38 });
+    assert.strictEqual(resumo.iof, 141.54);
+    assert.strictEqual(resumo.valorLiberado, 11858.46);
+});
+
+test('IOF: dias limitados a 365 e alíquotas informadas na requisição', () => {
+    const { resumo } = cronograma({
+        valor: 24000, prazoMeses: 24, taxaMensal: 1, sistema: 'sac', iof: { aliquotaDiaria: 0.01, aliquotaAdicional: 0 }
+    });
+
+    // 1.000 por mês; do 13º mês em diante conta 365 dias
+    const dias = Array.from({ length: 24 }, (_, index) => Math.min((index + 1) * 30, 365)).reduce((total, valor) => total + valor, 0);
+    assert.strictEqual(resumo.iof, Math.round(1000 * dias * 0.0001 * 100) / 100);
+});
+
+test('TAC descontada do valor liberado sem financiarCustos', () => {
+    const { parametros, resumo } = cronograma({ valor: 10000, prazoMeses: 12, taxaMensal: 1, sistema: 'price', tac: 500 });
+
+    assert.strictEqual(parametros.valorFinanciado, 10000);
+    assert.strictEqual(resumo.primeiraParcela, 888.49);
+    assert.strictEqual(resumo.tac, 500);
+    assert.strictEqual(resumo.valorLiberado, Math.round((10000 - resumo.iof - 500) * 100) / 100);
+});
+
+test('financiarCustos inclui IOF e TAC no valor financiado e libera o valor pedido', () => {
+    const { parametros, resumo } = cronograma({
+        valor: 10000, prazoMeses: 12, taxaMensal: 1, sistema: 'price', tac: 500, financiarCustos: 'true'
+    });
+
+    assert.strictEqual(parametros.financiarCustos, true);
+    assert.ok(parametros.valorFinanciado > 10500);
+    assert.strictEqual(Math.round((parametros.valorFinanciado - resumo.iof - resumo.tac) * 100) / 100, resumo.valorLiberado);
+    assert.ok(Math.abs(resumo.valorLiberado - 10000) <= 0.05, `valor liberado ${resumo.valorLiberado}`);
+    assert.strictEqual(soma(cronograma({
+        valor: 10000, prazoMeses: 12, taxaMensal: 1, sistema: 'price', tac: 500, financiarCustos: true
+    }).parcelas, 'amortizacao'), parametros.valorFinanciado);
+});
+
+test('CET igual à taxa de juros sem custos e maior com IOF e TAC', () => {
+    const semCustos = cronograma({ valor: 10000, prazoMeses: 12, taxaMensal: 1, sistema: 'price', iof: false });
+    assert.strictEqual(semCustos.resumo.cetMensal, 1);
+    // (1 + 1%)^12 - 1
+    assert.strictEqual(semCustos.resumo.cetAnual, 12.68);
+
+    const comCustos = cronograma({ valor: 10000, prazoMeses: 12, taxaMensal: 1, sistema: 'price', tac: 500 });
+    assert.ok(comCustos.resumo.cetMensal > 1);
+
+    // O CET desconta as parcelas até o valor liberado
+    const taxa = comCustos.resumo.cetMensal / 100;
+    const valorPresente = comCustos.parcelas.reduce((total, item) => total + item.parcela / Math.pow(1 + taxa, item.numero), 0);
+    assert.ok(Math.abs(valorPresente - comCustos.resumo.valorLiberado) < 1);
+    assert.strictEqual(comCustos.resumo.cetAnual, Math.round((Math.pow(1 + taxa, 12) - 1) * 100 * 100) / 100);
+});
+
+test('linha do catálogo fornece a taxa de referência', () => {
+    const { parametros } = cronograma({ linha: 'pronampe', valor: '100.000,00', prazoMeses: '36', sistema: 'PRICE' });
+
+    assert.deepStrictEqual(parametros.linha, { id: 'pronampe', nome: parametros.linha.nome });
+    assert.strictEqual(parametros.valor, 100000);
+    assert.strictEqual(parametros.sistema, 'price');
+    assert.ok(parametros.taxaMensal > 0);
+});
+
+test('CSV com BOM, separador ";" e vírgula decimal', () => {
+    const csv = cronogramaCSV(cronograma({ valor: 10000, prazoMeses: 12, taxaMensal: 1, sistema: 'price', iof: false }));
+    const linhas = csv.slice(1).split('\r\n');
+
+    assert.ok(csv.startsWith('﻿'));
+    assert.ok(csv.endsWith('\r\n'));
+    assert.strictEqual(linhas[0], 'Mês;Parcela;Juros;Amortização;Saldo devedor');
+    assert.strictEqual(linhas[1], '1;888,49;100,00;788,49;9211,51');
+    assert.strictEqual(linhas[12], '12;888,47;8,80;879,67;0,00');
+    assert.strictEqual(linhas[13], 'Total;10661,86;661,86;10000,00;');
+    assert.ok(linhas.includes('Sistema;PRICE'));
+    assert.ok(linhas.includes('IOF;0,00'));
+    assert.ok(linhas.includes('CET (% a.m.);1,00'));
+    assert.ok(linhas.includes('CET (% a.a.);12,68'));
+});
+
+test('rejeita prazo acima do máximo sem montar o cronograma', () => {
+    assert.strictEqual(LoanSimulator.PRAZO_MAXIMO_MESES, 420);
+    assert.strictEqual(cronograma({ valor: 10000, prazoMeses: 420, taxaMensal: 1, sistema: 'sac', iof: false }).parcelas.length, 420);
+
+    const resultado = calcularCronograma({ valor: 1e12, prazoMeses: 1e9, taxaMensal: 1, sistema: 'price' });
+    assert.deepStrictEqual(resultado, { success: false, error: 'Prazo máximo: 420 meses' });
+    assert.strictEqual(calcularCronograma({ valor: 10000, prazoMeses: 421, taxaMensal: 1, sistema: 'sac' }).success, false);
+    assert.strictEqual(LoanSimulator.simular({ valor: 10000, prazoMeses: 421, taxaMensal: 1, sistema: 'sac' }).success, false);
+});
+
+test('rejeita parâmetros inválidos', () => {
+    const erro = cenario => calcularCronograma(cenario).error;
+
+    assert.strictEqual(erro({ valor: 0, prazoMeses: 12, taxaMensal: 1, sistema: 'sac' }), 'Informe um valor maior que zero');
+    assert.strictEqual(erro({ valor: 1000, prazoMeses: 1.5, taxaMensal: 1, sistema: 'sac' }), 'Prazo deve ser um número inteiro de meses');
+    assert.strictEqual(erro({ valor: 1000, prazoMeses: 12, carenciaMeses: 12, taxaMensal: 1, sistema: 'sac' }), 'Carência deve ser menor que o prazo total');
+    assert.strictEqual(erro({ valor: 1000, prazoMeses: 12, sistema: 'sac' }), 'Informe taxaMensal ou uma linha do catálogo');
+    assert.strictEqual(erro({ valor: 1000, prazoMeses: 12, taxaMensal: 1, sistema: 'sac', tac: -1 }), 'TAC deve ser um valor maior ou igual a zero');
+    assert.strictEqual(erro({ valor: 1000, prazoMeses: 12, taxaMensal: 1, sistema: 'bullet' }), 'Sistema de amortização deve ser SAC ou Price');
+    assert.strictEqual(erro({ linha: 'inexistente', valor: 1000, prazoMeses: 12, sistema: 'sac' }), 'Linha desconhecida: inexistente');
+});
@@ -0,0 +1,113 @@
+/**
+ * Links temporários: reativação dentro da carência e arquivos compartilhados
+ * entre o link original e o reemitido
+ */
+const { dataDir } = require('./helpers/data-dir');
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+    LINK_GRACE_HOURS,
+    generateTempLink,
+    getTempLink,
+    getLinkStatus,
+    validateTempLink,
+    extendTempLink,
+    raiseDownloadQuota,
+    reissueTempLink,
+    incrementDownload,
+    cleanupExpiredLinks
+} = require('../lib/temp-links');
+
+const HOUR = 60 * 60 * 1000;
+const uploadDir = path.join(dataDir, 'uploads');
+
+test.afterEach(() => mock.timers.reset());
+
+function uploadFile(name) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+    const filePath = path.join(uploadDir, name);
+    fs.writeFileSync(filePath, `conteúdo de ${name}`);
+    return { originalname: name, filename: name, path: filePath, size: 20, mimetype: 'application/pdf' };
+}
+
+test('link esgotado continua guardado e volta a funcionar ao ampliar o limite', () => {
+    const file = uploadFile('esgotado.pdf');
+    const linkId = generateTempLink([file], 1, 48);
+
+    incrementDownload(linkId);
+    assert.deepStrictEqual(validateTempLink(linkId), { valid: false, reason: 'Limite de downloads atingido' });
+    assert.strictEqual(getTempLink(linkId).active, false);
+
+    cleanupExpiredLinks();
+    assert.ok(getTempLink(linkId), 'link esgotado removido antes de vencer');
+    assert.ok(fs.existsSync(file.path));
+
+    const result = raiseDownloadQuota(linkId, 2);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(getLinkStatus(result.link), 'ativo');
+    assert.strictEqual(validateTempLink(linkId).valid, true);
+});
+
+test('link vencido pode ser prorrogado durante a carência e é removido depois dela', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T12:00:00Z') });
+    const file = uploadFile('vencido.pdf');
+    const linkId = generateTempLink([file], 5, 1);
+
+    mock.timers.tick(2 * HOUR);
+    assert.deepStrictEqual(validateTempLink(linkId), { valid: false, reason: 'Link expirado' });
+
+    cleanupExpiredLinks();
+    assert.ok(getTempLink(linkId), 'link vencido removido dentro da carência');
+
+    const result = extendTempLink(linkId, 24);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(validateTempLink(linkId).valid, true);
+
+    // 24 h de validade + a carência inteira
+    mock.timers.tick((24 + LINK_GRACE_HOURS) * HOUR + 1000);
+    cleanupExpiredLinks();
+    assert.strictEqual(getTempLink(linkId), null);
+    assert.strictEqual(fs.existsSync(file.path), false);
+});
+
+test('arquivos do link reemitido continuam no disco quando o original é removido', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-04-01T12:00:00Z') });
+    const file = uploadFile('reemitido.pdf');
+    const originalId = generateTempLink([file], 5, 1);
+
+    const reissued = reissueTempLink(originalId, { maxDownloads: 5, expirationHours: 2 * LINK_GRACE_HOURS });
+    assert.strictEqual(reissued.success, true);
+    assert.strictEqual(getLinkStatus(reissued.previous), 'revogado');
+
+    // O original (revogado) passa da carência; o reemitido continua válido
+    mock.timers.tick((1 + LINK_GRACE_HOURS) * HOUR + 1000);
+    cleanupExpiredLinks();
+    assert.strictEqual(getTempLink(originalId), null);
+    assert.ok(fs.existsSync(file.path), 'arquivo compartilhado removido com o link original');
+    assert.strictEqual(validateTempLink(reissued.link.linkId).valid, true);
+
+    // Sem nenhum link guardado referenciando o arquivo, ele é apagado
+    mock.timers.tick(2 * LINK_GRACE_HOURS * HOUR + 1000);
+    cleanupExpiredLinks();
+    assert.strictEqual(getTempLink(reissued.link.linkId), null);
+    assert.strictEqual(fs.existsSync(file.path), false);
+});
+
+test('arquivo compartilhado é mantido enquanto um link inativo ainda o referencia', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-05-01T12:00:00Z') });
+    const file = uploadFile('compartilhado.pdf');
+    const longoId = generateTempLink([file], 1, 10 * 24);
+    const curtoId = generateTempLink([file], 5, 1);
+
+    // O link mais longo está esgotado (inativo), mas ainda pode ser reativado
+    incrementDownload(longoId);
+    assert.strictEqual(validateTempLink(longoId).valid, false);
+
+    mock.timers.tick((1 + LINK_GRACE_HOURS) * HOUR + 1000);
+    cleanupExpiredLinks();
+    assert.strictEqual(getTempLink(curtoId), null);
+    assert.ok(fs.existsSync(file.path));
+    assert.strictEqual(raiseDownloadQuota(longoId, 1).success, true);
+});